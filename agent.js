@@ -0,0 +1,359 @@
+import { parseLabourInput, CONTRACT_TYPES, TERMINATION_INITIATIVES, TERMINATION_REASONS } from './labour-calculator.js';
+
+// Caracteres de cada trecho devolvidos ao LLM por uma ferramenta
+const TOOL_TEXT_MAX_CHARS = 1500;
+
+// Trechos devolvidos por omissão (e no máximo) por pesquisar_leis
+const SEARCH_DEFAULT_TOP_K = 5;
+const SEARCH_MAX_TOP_K = 10;
+
+/**
+ * Ferramentas que o gerador pode chamar (formato de tools da API OpenAI)
+ */
+export const AGENT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'pesquisar_leis',
+      description: 'Pesquisa trechos das leis de Moçambique relevantes para uma pergunta ou expressão.',
+      parameters: {
+        type: 'object',
+        properties: {
+          consulta: { type: 'string', description: 'O que procurar, na linguagem das leis (ex: "indemnização por despedimento sem justa causa")' },
+          lei: { type: 'string', description: 'Opcional: restringir a uma lei (id, abreviatura, número como "13/2023" ou título)' },
+          top_k: { type: 'integer', description: `Número de trechos (omissão ${SEARCH_DEFAULT_TOP_K}, máximo ${SEARCH_MAX_TOP_K})` }
+        },
+        required: ['consulta']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'obter_artigo',
+      description: 'Obtém o texto de um artigo concreto de uma lei.',
+      parameters: {
+        type: 'object',
+        properties: {
+          lei: { type: 'string', description: 'Lei (id, abreviatura, número como "13/2023" ou título)' },
+          artigo: { type: 'integer', description: 'Número do artigo' },
+          numero: { type: 'integer', description: 'Opcional: n.º dentro do artigo' }
+        },
+        required: ['lei', 'artigo']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'listar_artigos',
+      description: 'Lista os artigos (número e epígrafe) de uma lei.',
+      parameters: {
+        type: 'object',
+        properties: {
+          lei: { type: 'string', description: 'Lei (id, abreviatura, número como "13/2023" ou título)' }
+        },
+        required: ['lei']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'calcular_prazos',
+      description: 'Calcula os prazos legais aplicáveis a uma situação (datas-limite em dias corridos ou úteis, com feriados).',
+      parameters: {
+        type: 'object',
+        properties: {
+          situacao: { type: 'string', description: 'Descrição da situação, com a data do acontecimento (ex: "fui despedido a 3 de setembro")' }
+        },
+        required: ['situacao']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'calcular_direitos_laborais',
+      description: 'Calcula indemnização, aviso prévio, férias e salários em atraso na cessação de um contrato de trabalho.',
+      parameters: {
+        type: 'object',
+        properties: {
+          salario: { type: 'number', description: 'Salário base mensal, em meticais' },
+          data_inicio: { type: 'string', description: 'Início do contrato (AAAA-MM-DD)' },
+          data_fim: { type: 'string', description: 'Cessação do contrato (AAAA-MM-DD)' },
+          tipo_contrato: { type: 'string', enum: CONTRACT_TYPES },
+          motivo: { type: 'string', enum: Object.keys(TERMINATION_REASONS) },
+          data_termo_contrato: { type: 'string', description: 'Termo previsto do contrato a prazo certo (AAAA-MM-DD)' },
+          salario_minimo: { type: 'number', description: 'Salário mínimo do sector (motivos económicos)' },
+          aviso_previo_cumprido: { type: 'boolean' },
+          iniciativa: { type: 'string', enum: TERMINATION_INITIATIVES, description: 'Quem denunciou o contrato no período probatório' },
+          ferias_gozadas: { type: 'number', description: 'Dias de férias já gozados no ano' },
+          meses_salario_em_atraso: { type: 'number' }
+        },
+        required: ['salario', 'data_inicio', 'data_fim', 'motivo']
+      }
+    }
+  }
+];
+
+// Acrescentado ao prompt de sistema no modo agente
+const AGENT_INSTRUCTIONS = `
+
+FERRAMENTAS: Os trechos fornecidos podem não bastar. Se precisar de um artigo que não está nos trechos, de outra lei ou de um cálculo (prazos, indemnização), use as ferramentas antes de responder. Cite apenas artigos que constem dos trechos fornecidos ou devolvidos pelas ferramentas.`;
+
+function count(n, singular, plural) {
+  return `${n} ${n === 1 ? singular : plural}`;
+}
+
+function truncate(text) {
+  return text.length > TOOL_TEXT_MAX_CHARS ? `${text.substring(0, TOOL_TEXT_MAX_CHARS)}…` : text;
+}
+
+// Trecho no formato devolvido ao LLM
+function toToolChunk(chunk) {
+  return {
+    lei: chunk.lei,
+    lei_id: chunk.leiId,
+    artigo: chunk.articleNumber,
+    caminho: chunk.path,
+    texto: truncate(chunk.text)
+  };
+}
+
+/**
+ * Modo agente dos geradores de respostas
+ * Em vez de uma única geração sobre os trechos recuperados à partida, o LLM
+ * pode chamar ferramentas (pesquisa, artigo de uma lei, lista de artigos,
+ * calculadoras) e receber o resultado antes de responder. O número de passos
+ * (respostas do LLM com chamadas) e de chamadas é limitado; atingido o
+ * limite, o LLM responde com o que já tem.
+ */
+export class LegalAgent {
+  /**
+   * @param {Object} deps
+   * @param {ChatProvider} deps.llm - Fornecedor de LLM com suporte de tools (ver providers.js)
+   * @param {Retriever} deps.retriever - Pesquisa e artigos do índice
+   * @param {LawCatalog} deps.catalog - Resolve as leis indicadas pelo LLM
+   * @param {DeadlineCalculator} deps.deadlines - Ferramenta calcular_prazos
+   * @param {LabourCalculator} deps.labourCalculator - Ferramenta calcular_direitos_laborais
+   * @param {Object} options
+   * @param {number} options.maxSteps - Respostas do LLM com chamadas de ferramentas, por pergunta
+   * @param {number} options.maxToolCalls - Chamadas de ferramentas, por pergunta
+   */
+  constructor({ llm, retriever, catalog, deadlines, labourCalculator }, { maxSteps = 4, maxToolCalls = 8 } = {}) {
+    for (const [name, value] of Object.entries({ maxSteps, maxToolCalls })) {
+      if (!(Number.isInteger(value) && value > 0)) {
+        throw new Error(`Limite do agente inválido: ${name} = ${value} (deve ser um inteiro positivo)`);
+      }
+    }
+    this.llm = llm;
+    this.retriever = retriever;
+    this.catalog = catalog;
+    this.deadlines = deadlines;
+    this.labourCalculator = labourCalculator;
+    this.maxSteps = maxSteps;
+    this.maxToolCalls = maxToolCalls;
+  }
+
+  /**
+   * Sessão para uma pergunta, usada pelos geradores no lugar do ChatProvider
+   * @param {Object} options
+   * @param {Array} options.chunks - Trechos já fornecidos ao gerador; os obtidos pelas ferramentas são acrescentados a este array
+   * @param {Array<string>|null} options.leiIds - Actos que as ferramentas podem consultar (ex: em vigor na data de referência)
+   * @param {Function} options.onToolCall - Chamada com cada entrada do trace, depois de executada a ferramenta
+   * @returns {AgentSession}
+   */
+  createSession({ chunks = [], leiIds = null, onToolCall = null } = {}) {
+    return new AgentSession(this, { chunks, leiIds, onToolCall });
+  }
+}
+
+/**
+ * Uma pergunta em modo agente: mesmo complete() do ChatProvider, com o ciclo
+ * de chamadas de ferramentas e o trace das chamadas
+ */
+export class AgentSession {
+  constructor(agent, { chunks, leiIds, onToolCall }) {
+    this.agent = agent;
+    this.chunks = chunks;
+    this.leiIds = leiIds ? new Set(leiIds) : null;
+    this.onToolCall = onToolCall;
+    this.trace = [];
+    this.passos = 0;
+    this.limiteAtingido = false;
+    this.trechosAdicionados = 0;
+    this.seen = new Set(chunks.map(c => `${c.leiId}#${c.chunkIndex}`));
+  }
+
+  /**
+   * Gera a resposta deixando o LLM chamar ferramentas
+   * @param {Object} params - Como em ChatProvider.createCompletion
+   * @param {Function} onToken - Streaming da resposta final (os passos com ferramentas não são transmitidos)
+   * @returns {Promise<Object>} Resposta final no formato OpenAI
+   */
+  async complete(params, onToken = null) {
+    const { llm, maxSteps, maxToolCalls } = this.agent;
+    const messages = params.messages.map(message => message.role === 'system'
+      ? { ...message, content: message.content + AGENT_INSTRUCTIONS }
+      : message);
+
+    while (this.passos < maxSteps) {
+      const response = await llm.createCompletion({ ...params, messages, tools: AGENT_TOOLS, tool_choice: 'auto' });
+      const message = response.choices[0].message;
+      if (!message.tool_calls?.length) {
+        if (onToken && message.content) onToken(message.content);
+        return response;
+      }
+
+      this.passos++;
+      messages.push(message);
+      for (const toolCall of message.tool_calls) {
+        // Cada tool_call precisa de uma resposta, mesmo as que já não são executadas
+        if (this.trace.length >= maxToolCalls) {
+          this.limiteAtingido = true;
+          messages.push({ role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify({ erro: 'Limite de chamadas de ferramentas atingido' }) });
+          continue;
+        }
+        const resultado = await this.runTool(toolCall.function.name, toolCall.function.arguments);
+        messages.push({ role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(resultado) });
+      }
+      if (this.limiteAtingido) break;
+    }
+
+    // Limite atingido: responder sem mais ferramentas
+    this.limiteAtingido = true;
+    console.log(`   🧰 Limite do agente atingido (${count(this.passos, 'passo', 'passos')}, ${count(this.trace.length, 'chamada', 'chamadas')})`);
+    return llm.complete({ ...params, messages, tools: AGENT_TOOLS, tool_choice: 'none' }, onToken);
+  }
+
+  /**
+   * Executa uma chamada de ferramenta e regista-a no trace
+   * @param {string} name - Nome da ferramenta
+   * @param {string} rawArgs - Argumentos em JSON, como vêm do LLM
+   * @returns {Promise<Object>} Resultado devolvido ao LLM ({ erro } em caso de falha)
+   */
+  async runTool(name, rawArgs) {
+    const started = Date.now();
+    let argumentos = null;
+    let resultado;
+    let resumo = null;
+
+    try {
+      argumentos = JSON.parse(rawArgs || '{}');
+      const handler = TOOL_HANDLERS[name];
+      if (!handler) throw new Error(`Ferramenta desconhecida: ${name}`);
+      ({ resultado, resumo } = await handler.call(this, argumentos));
+    } catch (error) {
+      resultado = { erro: error instanceof SyntaxError ? 'Argumentos inválidos (JSON esperado)' : error.message };
+    }
+
+    const entry = {
+      passo: this.passos,
+      ferramenta: name,
+      argumentos,
+      resumo,
+      erro: resultado.erro || null,
+      duracao_ms: Date.now() - started
+    };
+    this.trace.push(entry);
+    console.log(`   🧰 ${name}(${JSON.stringify(argumentos)}) → ${entry.erro ? `erro: ${entry.erro}` : resumo}`);
+    this.onToolCall?.(entry);
+    return resultado;
+  }
+
+  /**
+   * Acto pedido pelo LLM, se existir e puder ser consultado
+   */
+  resolveAct(lei) {
+    const act = this.agent.catalog.findAct(lei);
+    if (!act) throw new Error(`Lei não encontrada no catálogo: ${lei}`);
+    if (this.leiIds && !this.leiIds.has(act.id)) {
+      throw new Error(`${act.titulo} não está em vigor na data de referência`);
+    }
+    return act;
+  }
+
+  /**
+   * Acrescenta aos trechos da resposta os obtidos por uma ferramenta (sem repetidos)
+   */
+  addChunks(chunks) {
+    for (const chunk of chunks) {
+      const key = `${chunk.leiId}#${chunk.chunkIndex}`;
+      if (this.seen.has(key)) continue;
+      this.seen.add(key);
+      this.chunks.push({ ...chunk, agente: true });
+      this.trechosAdicionados++;
+    }
+  }
+
+  /**
+   * Resumo para os metadados da resposta
+   */
+  summary() {
+    return {
+      passos: this.passos,
+      chamadas: this.trace,
+      limite_atingido: this.limiteAtingido,
+      trechos_adicionados: this.trechosAdicionados
+    };
+  }
+}
+
+// Ferramentas: cada uma devolve { resultado (para o LLM), resumo (para o trace) }
+const TOOL_HANDLERS = {
+  async pesquisar_leis({ consulta, lei = null, top_k = SEARCH_DEFAULT_TOP_K }) {
+    if (!consulta) throw new Error('consulta é obrigatória');
+    const leiIds = lei ? [this.resolveAct(lei).id] : this.leiIds && [...this.leiIds];
+    const topK = Math.min(Math.max(parseInt(top_k) || SEARCH_DEFAULT_TOP_K, 1), SEARCH_MAX_TOP_K);
+
+    const chunks = await this.agent.retriever.search(consulta, topK, { leiIds });
+    this.addChunks(chunks);
+    return {
+      resultado: { trechos: chunks.map(toToolChunk) },
+      resumo: count(chunks.length, 'trecho', 'trechos')
+    };
+  },
+
+  async obter_artigo({ lei, artigo, numero = null }) {
+    const act = this.resolveAct(lei);
+    artigo = parseInt(artigo);
+    numero = numero ? parseInt(numero) : null;
+    if (!Number.isInteger(artigo)) throw new Error('artigo deve ser um número');
+    const chunks = await this.agent.retriever.getArticleChunks(act.id, artigo, numero);
+    if (chunks.length === 0) throw new Error(`O artigo ${artigo} não existe em ${act.titulo}`);
+    this.addChunks(chunks);
+    return {
+      resultado: { trechos: chunks.map(toToolChunk) },
+      resumo: `${act.titulo}, artigo ${artigo}${numero ? `, n.º ${numero}` : ''} (${count(chunks.length, 'trecho', 'trechos')})`
+    };
+  },
+
+  async listar_artigos({ lei }) {
+    const act = this.resolveAct(lei);
+    const artigos = await this.agent.retriever.getIndexedArticles(act.id);
+    return {
+      resultado: { lei: act.titulo, artigos: artigos.map(a => ({ numero: a.number, epigrafe: a.title })) },
+      resumo: `${act.titulo}: ${count(artigos.length, 'artigo', 'artigos')}`
+    };
+  },
+
+  async calcular_prazos({ situacao }) {
+    if (!situacao) throw new Error('situacao é obrigatória');
+    const calculo = this.agent.deadlines.calculate(situacao);
+    return {
+      resultado: calculo,
+      resumo: `${count(calculo.prazos.length, 'prazo', 'prazos')}${calculo.inicio ? ` desde ${calculo.inicio.data}` : ''}`
+    };
+  },
+
+  async calcular_direitos_laborais(argumentos) {
+    const { erro, dados } = parseLabourInput(argumentos);
+    if (erro) throw new Error(erro);
+    const calculo = this.agent.labourCalculator.calculate(dados);
+    return {
+      resultado: calculo,
+      resumo: `total a receber ${calculo.total_a_receber}`
+    };
+  }
+};
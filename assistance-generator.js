@@ -1,12 +1,87 @@
-import OpenAI from 'openai';
+// Instrução de vigência para os prompts quando a pergunta se refere a uma data concreta
+function vigenciaInstruction(dataReferencia) {
+  if (!dataReferencia) return '';
+  return `\nResponda segundo a legislação em vigor em ${dataReferencia}. Os trechos fornecidos já foram filtrados para essa data.`;
+}
+
+// Estrutura completa da resposta assistencial
+const ASSISTANCE_STRUCTURE = `1. RECONHECIMENTO EMPÁTICO (2-3 frases)
+   - Reconheça a situação difícil
+   - Mostre empatia genuína
+   - Dê esperança inicial
+
+2. 🛡️ SEUS DIREITOS GARANTIDOS POR LEI
+   Para cada direito:
+   - Nome do direito (ex: "INDEMNIZAÇÃO POR DESPEDIMENTO")
+   - Lei e artigo específico (ex: "Lei do Trabalho 23/2007, Artigo 125")
+   - O que a lei garante (linguagem simples)
+   - Valor ou benefício específico (se aplicável)
+   - Use ✓ para cada item
+
+3. 📋 PASSOS PRÁTICOS - FAÇA AGORA
+   Divida em:
+   - URGENTE - Próximas 48 horas (com checkboxes ☐)
+   - Esta semana (ações importantes)
+   - Este mês (se aplicável)
+   
+   Para cada passo:
+   - Seja específico (que instituição procurar, com os contactos verificados fornecidos)
+   - Explique COMO fazer
+   - Diga O QUE levar
+
+4. ⚠️ PRAZOS CRÍTICOS
+   - Liste os prazos calculados que lhe são fornecidos, com as datas-limite exatas
+   - Use 🚨 para prazos urgentes ou já expirados
+   - Não calcule datas por conta própria
+   - Explique consequências de perder prazo
+
+5. 🆘 CONTACTOS ÚTEIS
+   - Inspecção do Trabalho / Tribunal / Ordem dos Advogados
+   - Assistência social (se situação financeira crítica)
+   - Assistência jurídica gratuita
+   - Use SÓ os contactos verificados que lhe forem fornecidos; nunca invente endereços, telefones ou horários
+
+6. 💡 DICAS IMPORTANTES
+   - Documentos a guardar
+   - O que NÃO fazer
+   - Erros comuns a evitar
+
+7. MENSAGEM FINAL MOTIVADORA
+   - Reforce que a lei está do lado da pessoa
+   - Mencione que muitas pessoas conseguiram justiça
+   - Encoraje a não desistir`;
+
+// Situação de risco iminente: a resposta já abre com os passos de segurança e os
+// contactos de emergência (ver safety.js); aqui só a parte jurídica, curta
+const CRISIS_STRUCTURE = `A RESPOSTA SERÁ MOSTRADA DEPOIS DE UM BLOCO DE SEGURANÇA com os passos de protecção e os contactos de emergência.
+Não repita esse bloco nem as instruções de segurança. Seja breve (no máximo 250 palavras):
+
+1. 🛡️ SEUS DIREITOS
+   - Os 2-3 direitos mais importantes nesta situação, com a lei e o artigo exatos (use ✓)
+
+2. 📋 PRÓXIMOS PASSOS LEGAIS
+   - Queixa, medidas de protecção ou defesa, pela ordem em que devem ser feitos
+   - Use SÓ os contactos verificados que lhe forem fornecidos
+
+3. ⚠️ PRAZOS
+   - Só os prazos calculados que lhe são fornecidos, com as datas-limite exatas`;
 
 /**
  * Gerador de Respostas Assistenciais
  * Cria respostas empáticas com passos práticos para pessoas em situação vulnerável
  */
 export class AssistanceGenerator {
-  constructor(openaiApiKey) {
-    this.openai = new OpenAI({ apiKey: openaiApiKey });
+  /**
+   * @param {ChatProvider} llm - Fornecedor de LLM (ver providers.js)
+   * @param {DeadlineCalculator} deadlines - Cálculo dos prazos legais (ver deadlines.js)
+   * @param {LabourCalculator} labourCalculator - Valores devidos na cessação do contrato (ver labour-calculator.js)
+   * @param {ContactDirectory} contacts - Contactos verificados de instituições (ver contacts.js)
+   */
+  constructor(llm, deadlines, labourCalculator, contacts) {
+    this.llm = llm;
+    this.deadlines = deadlines;
+    this.labourCalculator = labourCalculator;
+    this.contacts = contacts;
   }
 
   /**
@@ -15,12 +90,17 @@ export class AssistanceGenerator {
    * @param {Object} classification - Classificação da intenção
    * @param {Object} facts - Fatos extraídos
    * @param {Array} relevantChunks - Chunks de leis relevantes do RAG
-   * @returns {Promise<Object>} Resposta assistencial estruturada
+   * @param {Array} context - Histórico da conversa
+   * @param {Object} options - { dataReferencia, onToken, agente, seguranca } data (YYYY-MM-DD) da legislação aplicável;
+   *   onToken recebe a resposta fragmento a fragmento (streaming); agente é uma AgentSession
+   *   (ver agent.js) que gera a resposta no lugar do LLM, podendo chamar ferramentas;
+   *   seguranca é a avaliação de risco iminente (ver safety.js), que pede uma resposta curta
+   * @returns {Promise<Object>} Resposta assistencial estruturada, com os prazos, valores e contactos
    */
-  async generateAssistance(pergunta, classification, facts, relevantChunks, context = []) {
+  async generateAssistance(pergunta, classification, facts, relevantChunks, context = [], options = {}) {
     // Preparar contexto das leis
     const leisContext = relevantChunks
-      .map((chunk, i) => `[LEI ${i + 1}] (${chunk.lei}, similaridade: ${(chunk.similarity * 100).toFixed(0)}%)\n${chunk.text}`)
+      .map((chunk, i) => `[LEI ${i + 1}] (${chunk.path || chunk.lei}, similaridade: ${(chunk.similarity * 100).toFixed(0)}%)\n${chunk.text}`)
       .join('\n\n━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n');
 
     // Formatar histórico da conversa
@@ -45,6 +125,17 @@ SITUAÇÃO DO UTILIZADOR:
 - Emoção detectada: ${classification.emocao}
 ` : '';
 
+    // Prazos calculados de forma determinística (o LLM só os explica)
+    const prazos = this.deadlines.calculate(pergunta, facts, classification.area_legal);
+    // Indemnização, férias, aviso prévio: só quando os factos têm salário, datas e motivo
+    const calculoTrabalho = this.labourCalculator.fromFacts(facts);
+    // Contactos só do diretório verificado, na província da pessoa se a mencionou na conversa
+    const provincia = this.contacts.detectProvince([
+      pergunta,
+      ...(context || []).filter(msg => msg.role === 'user').map(msg => msg.content).reverse()
+    ]);
+    const contactos = this.contacts.forSituation(classification, provincia);
+
     const systemPrompt = `Você é um Assistente Jurídico Empático especializado nas leis de Moçambique.
 
 MISSÃO: Ajudar pessoas em situações vulneráveis, fornecendo assistência jurídica prática e motivadora.
@@ -54,57 +145,13 @@ PRINCÍPIOS:
 2. SER CLARO: Use linguagem simples, evite juridiquês
 3. SER PRÁTICO: Forneça passos concretos que a pessoa pode fazer AGORA
 4. SER MOTIVADOR: Mostre que há esperança e que a lei protege
-5. SER ESPECÍFICO: Cite artigos de lei exatos, calcule valores quando possível
+5. SER ESPECÍFICO: Cite artigos de lei exatos e use os valores calculados que lhe forem fornecidos; nunca calcule valores por conta própria
 6. SER COMPLETO: Não deixe a pessoa sem saber o que fazer em seguida
 7. SER CONTEXTUAL: Se houver histórico de conversa, use-o para entender a situação completa
 
 ESTRUTURA OBRIGATÓRIA DA RESPOSTA:
 
-1. RECONHECIMENTO EMPÁTICO (2-3 frases)
-   - Reconheça a situação difícil
-   - Mostre empatia genuína
-   - Dê esperança inicial
-
-2. 🛡️ SEUS DIREITOS GARANTIDOS POR LEI
-   Para cada direito:
-   - Nome do direito (ex: "INDEMNIZAÇÃO POR DESPEDIMENTO")
-   - Lei e artigo específico (ex: "Lei do Trabalho 23/2007, Artigo 125")
-   - O que a lei garante (linguagem simples)
-   - Valor ou benefício específico (se aplicável)
-   - Use ✓ para cada item
-
-3. 📋 PASSOS PRÁTICOS - FAÇA AGORA
-   Divida em:
-   - URGENTE - Próximas 48 horas (com checkboxes ☐)
-   - Esta semana (ações importantes)
-   - Este mês (se aplicável)
-   
-   Para cada passo:
-   - Seja específico (endereços, telefones, horários)
-   - Explique COMO fazer
-   - Diga O QUE levar
-
-4. ⚠️ PRAZOS CRÍTICOS
-   - Liste todos os prazos legais importantes
-   - Use 🚨 para prazos urgentes
-   - Calcule quantos dias restam (se possível inferir)
-   - Explique consequências de perder prazo
-
-5. 🆘 CONTACTOS ÚTEIS
-   - Inspeção do Trabalho / Tribunal / Ordem dos Advogados
-   - Assistência social (se situação financeira crítica)
-   - Assistência jurídica gratuita
-   - Inclua: nome, endereço, telefone, horário
-
-6. 💡 DICAS IMPORTANTES
-   - Documentos a guardar
-   - O que NÃO fazer
-   - Erros comuns a evitar
-
-7. MENSAGEM FINAL MOTIVADORA
-   - Reforce que a lei está do lado da pessoa
-   - Mencione que muitas pessoas conseguiram justiça
-   - Encoraje a não desistir
+${options.seguranca ? CRISIS_STRUCTURE : ASSISTANCE_STRUCTURE}
 
 TOM: Empático, humano, prático, encorajador, profissional
 FORMATO: Use emojis, seções claras, listas, destaques
@@ -121,22 +168,24 @@ ${conversationHistory}
 PERGUNTA/SITUAÇÃO ATUAL DO UTILIZADOR:
 "${pergunta}"
 
-Forneça assistência jurídica completa seguindo TODA a estrutura obrigatória acima.
-Use a data atual: 22 de outubro de 2025 para calcular prazos.
+${this.deadlines.formatForPrompt(prazos)}${calculoTrabalho ? `\n\n${this.labourCalculator.formatForPrompt(calculoTrabalho)}` : ''}
+
+${this.contacts.formatForPrompt(contactos, provincia)}
+
+${options.seguranca ? 'Responda de forma curta, seguindo a estrutura obrigatória acima.' : 'Forneça assistência jurídica completa seguindo TODA a estrutura obrigatória acima.'}${vigenciaInstruction(options.dataReferencia)}
 Se houver histórico de conversa, considere-o para entender o contexto completo da situação.`;
 
     try {
       console.log('\n💙 Gerando resposta assistencial...');
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await (options.agente || this.llm).complete({
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.7, // Um pouco mais criativo para ser empático
-        max_tokens: 3000
-      });
+        max_tokens: options.seguranca ? 1200 : 3000
+      }, options.onToken);
 
       const respostaTexto = response.choices[0].message.content;
 
@@ -144,9 +193,13 @@ Se houver histórico de conversa, considere-o para entender o contexto completo
       return {
         modo: 'assistencia',
         resposta: respostaTexto,
+        prazos,
+        ...(calculoTrabalho && { calculo_trabalho: calculoTrabalho }),
+        contactos,
         metadata: {
           classification,
           facts,
+          provincia,
           leis_usadas: relevantChunks.map(c => c.lei),
           num_artigos: relevantChunks.length,
           urgencia: classification.urgencia,
@@ -163,11 +216,15 @@ Se houver histórico de conversa, considere-o para entender o contexto completo
    * Gera resposta de consulta técnica (modo objetivo)
    * @param {string} pergunta - Pergunta do usuário
    * @param {Array} relevantChunks - Chunks de leis relevantes
+   * @param {Array} context - Histórico da conversa
+   * @param {Object} options - { dataReferencia, onToken, agente } data (YYYY-MM-DD) da legislação aplicável;
+   *   onToken recebe a resposta fragmento a fragmento (streaming); agente é uma AgentSession
+   *   (ver agent.js) que gera a resposta no lugar do LLM, podendo chamar ferramentas
    * @returns {Promise<Object>} Resposta técnica
    */
-  async generateConsulta(pergunta, relevantChunks, context = []) {
+  async generateConsulta(pergunta, relevantChunks, context = [], options = {}) {
     const leisContext = relevantChunks
-      .map((chunk, i) => `[TRECHO ${i + 1}] (${chunk.lei})\n${chunk.text}`)
+      .map((chunk, i) => `[TRECHO ${i + 1}] (${chunk.path || chunk.lei})\n${chunk.text}`)
       .join('\n\n───────\n\n');
 
     // Formatar histórico da conversa
@@ -204,18 +261,17 @@ ${conversationHistory}
 PERGUNTA ATUAL:
 ${pergunta}
 
-Responda de forma clara e objetiva, citando os artigos relevantes. Se esta for uma pergunta de seguimento, mantenha o foco no tópico da conversa anterior.`;
+Responda de forma clara e objetiva, citando os artigos relevantes. Se esta for uma pergunta de seguimento, mantenha o foco no tópico da conversa anterior.${vigenciaInstruction(options.dataReferencia)}`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await (options.agente || this.llm).complete({
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.3,
         max_tokens: 2000
-      });
+      }, options.onToken);
 
       return {
         modo: 'consulta',
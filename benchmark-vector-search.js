@@ -0,0 +1,164 @@
+/**
+ * Benchmark da pesquisa vetorial
+ * Compara a pesquisa linear antiga (arrays JS, cosseno com normalização e
+ * ordenação completa), a pesquisa exata com Float32Array + top-k e o HNSW.
+ * Reporta latência p50/p95 e o recall@k do HNSW face à pesquisa exata.
+ *
+ * Uso:
+ *   node benchmark-vector-search.js                 # usa .rag-index/index.json se existir
+ *   node benchmark-vector-search.js --synthetic --n 20000 --dim 384
+ *   node benchmark-vector-search.js --queries 200 --k 10 --ef 128 --M 16
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { IndexStore } from './index-store.js';
+import { HNSWIndex, exactSearch, normalizeVector } from './vector-index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].substring(2);
+    const next = argv[i + 1];
+    args[key] = next && !next.startsWith('--') ? (i++, next) : true;
+  }
+  return args;
+}
+
+// Gerador determinístico para resultados reprodutíveis
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // Normal padrão (Box-Muller)
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+  return { uniform, gaussian };
+}
+
+// Vetores agrupados em tópicos, para se parecerem com embeddings reais
+function syntheticVectors(n, dim, random) {
+  const topics = Array.from({ length: Math.max(10, Math.round(n / 200)) }, () =>
+    Array.from({ length: dim }, random.gaussian));
+  return Array.from({ length: n }, () => {
+    const topic = topics[Math.floor(random.uniform() * topics.length)];
+    return normalizeVector(topic.map(v => v + random.gaussian() * 0.8));
+  });
+}
+
+function loadIndexVectors(indexPath) {
+  const store = new IndexStore(indexPath);
+  if (!store.load()) return null;
+  const vectors = [];
+  for (const entry of store.laws.values()) {
+    entry.chunks.forEach(chunk => vectors.push(normalizeVector(chunk.embedding)));
+  }
+  return vectors.length > 0 ? vectors : null;
+}
+
+// Perguntas simuladas: vetores do corpus com ruído (não há embeddings de perguntas offline)
+function makeQueries(vectors, count, random) {
+  return Array.from({ length: count }, () => {
+    const base = vectors[Math.floor(random.uniform() * vectors.length)];
+    return normalizeVector(Array.from(base, v => v + random.gaussian() * 0.03));
+  });
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p / 100 * sorted.length))];
+}
+
+function measure(queries, fn) {
+  const times = [];
+  const results = queries.map(query => {
+    const start = process.hrtime.bigint();
+    const result = fn(query);
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    return result;
+  });
+  return { results, p50: percentile(times, 50), p95: percentile(times, 95) };
+}
+
+// Implementação anterior do SimpleRAG.search, para comparação
+function legacySearch(arrays, query, k) {
+  const cosine = (a, b) => {
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dotProduct += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+  };
+  return arrays
+    .map((vector, id) => ({ id, score: cosine(query, vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const k = parseInt(args.k || '10');
+  const numQueries = parseInt(args.queries || '200');
+  const random = createRandom(parseInt(args.seed || '7'));
+
+  let vectors = null;
+  let source;
+  const indexPath = args.index || process.env.RAG_INDEX_PATH || path.join(__dirname, '.rag-index', 'index.json');
+  if (!args.synthetic && fs.existsSync(indexPath)) {
+    vectors = loadIndexVectors(indexPath);
+    source = `índice ${indexPath}`;
+  }
+  if (!vectors) {
+    const n = parseInt(args.n || '10000');
+    const dim = parseInt(args.dim || '384');
+    vectors = syntheticVectors(n, dim, random);
+    source = `sintético (${n} vetores)`;
+  }
+
+  const dim = vectors[0].length;
+  console.log(`\n📊 Benchmark de pesquisa vetorial: ${source}, dimensão ${dim}, ${numQueries} perguntas, k=${k}\n`);
+
+  const queries = makeQueries(vectors, numQueries, random);
+  const queryArrays = queries.map(q => Array.from(q));
+  const arrays = vectors.map(v => Array.from(v));
+
+  const legacy = measure(queryArrays, q => legacySearch(arrays, q, k));
+  const exact = measure(queries, q => exactSearch(vectors, q, k));
+
+  const buildStart = Date.now();
+  const hnsw = new HNSWIndex({
+    M: parseInt(args.M || '16'),
+    efConstruction: parseInt(args.efConstruction || '100'),
+    efSearch: parseInt(args.ef || '128')
+  });
+  vectors.forEach(v => hnsw.add(v));
+  const buildTime = Date.now() - buildStart;
+  const approx = measure(queries, q => hnsw.search(q, k));
+
+  // Recall@k: fração dos k resultados exatos que o HNSW também devolve
+  let hits = 0;
+  exact.results.forEach((expected, i) => {
+    const found = new Set(approx.results[i].map(r => r.id));
+    hits += expected.filter(r => found.has(r.id)).length;
+  });
+  const recall = hits / (exact.results.length * k);
+
+  const row = (name, r) => console.log(`  ${name.padEnd(28)} p50 ${r.p50.toFixed(2).padStart(8)} ms   p95 ${r.p95.toFixed(2).padStart(8)} ms`);
+  row('Linear antigo (arrays)', legacy);
+  row('Exato (Float32 + top-k)', exact);
+  row(`HNSW (ef=${hnsw.efSearch}, M=${hnsw.M})`, approx);
+  console.log(`\n  HNSW: construção ${buildTime} ms, recall@${k} = ${(recall * 100).toFixed(1)}%\n`);
+}
+
+main();
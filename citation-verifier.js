@@ -0,0 +1,176 @@
+import { foldText } from './law-catalog.js';
+import { extractReferences } from './cross-references.js';
+
+// O que fazer com citações não verificadas: assinalar na resposta ou remover as linhas
+export const CITATION_MODES = ['marcar', 'remover'];
+
+// Tamanho máximo do trecho citado devolvido em cada citação
+const PASSAGE_MAX_CHARS = 400;
+
+// Citações literais na resposta («...», "...", “...”) com pelo menos 15 caracteres
+const QUOTE_REGEX = /[«"“]([^«»"“”\n]{15,})[»"”]/g;
+
+const MOTIVOS = {
+  fora_do_contexto: 'não consta dos trechos consultados',
+  inexistente: 'artigo inexistente',
+  lei_desconhecida: 'lei fora do catálogo'
+};
+
+function truncate(text) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > PASSAGE_MAX_CHARS ? `${clean.substring(0, PASSAGE_MAX_CHARS)}…` : clean;
+}
+
+/**
+ * Verificação das citações de uma resposta gerada
+ * Cada artigo citado é procurado nos trechos fornecidos ao gerador; se não
+ * estiver lá, o índice (checkArticleExists) diz se o artigo existe mas ficou
+ * fora do contexto ou se não existe de todo. As citações não verificadas são
+ * assinaladas na própria resposta ou, no modo 'remover', as linhas que só
+ * têm citações não verificadas são retiradas.
+ */
+export class CitationVerifier {
+  /**
+   * @param {LawCatalog} catalog - Catálogo de leis (títulos)
+   * @param {ReferenceResolver} resolver - Identifica a lei citada
+   * @param {Object} articleIndex - Sistema RAG (checkArticleExists(numero, leiId))
+   */
+  constructor(catalog, resolver, articleIndex) {
+    this.catalog = catalog;
+    this.resolver = resolver;
+    this.articleIndex = articleIndex;
+  }
+
+  /**
+   * Leis a que uma referência pode pertencer
+   * @returns {Array<string>|null} Ids dos actos; [] = diploma fora do catálogo; null = qualquer lei
+   */
+  candidateLaws(ref, line) {
+    if (ref.leiIds !== null) return ref.leiIds;
+    // "Segundo a Lei do Trabalho, o artigo 107 ..." (lei antes do artigo, na mesma linha)
+    const mentioned = this.resolver.findLawMentions(line);
+    return mentioned.length > 0 ? mentioned : null;
+  }
+
+  /**
+   * Verifica uma referência contra os trechos e o índice
+   * @returns {Promise<Object>} { leiId, lei, chunk, verificada, motivo }
+   */
+  async checkReference(ref, line, chunks) {
+    const candidates = this.candidateLaws(ref, line);
+    if (candidates && candidates.length === 0) {
+      return { leiId: null, lei: ref.leiTexto, chunk: null, verificada: false, motivo: 'lei_desconhecida' };
+    }
+
+    const inContext = chunks.filter(c => c.articleNumber === ref.artigo && (!candidates || candidates.includes(c.leiId)));
+    const withParagraph = ref.numero ? inContext.filter(c => c.paragraphs?.includes(ref.numero)) : [];
+    const chunk = withParagraph[0] || inContext[0];
+    if (chunk) {
+      return { leiId: chunk.leiId, lei: chunk.lei, chunk, verificada: true, motivo: null };
+    }
+
+    for (const leiId of candidates || [null]) {
+      if (await this.articleIndex.checkArticleExists(ref.artigo, leiId)) {
+        return { leiId, lei: leiId ? this.catalog.getTitle(leiId) : null, chunk: null, verificada: false, motivo: 'fora_do_contexto' };
+      }
+    }
+
+    const leiId = candidates?.length === 1 ? candidates[0] : null;
+    return { leiId, lei: leiId ? this.catalog.getTitle(leiId) : null, chunk: null, verificada: false, motivo: 'inexistente' };
+  }
+
+  /**
+   * Trecho citado: a citação literal da resposta, se estiver no artigo;
+   * senão o n.º indicado ou o início do artigo
+   * @returns {Object} { trecho, literal }
+   */
+  extractPassage(chunk, numero, quotes) {
+    const folded = foldText(chunk.text);
+    const quote = quotes.find(q => folded.includes(foldText(q)));
+    if (quote) return { trecho: quote, literal: true };
+
+    if (numero) {
+      const match = chunk.text.match(new RegExp(`(?:^|\\n)${numero}\\.\\s([\\s\\S]*?)(?=\\n\\d+\\.\\s|$)`));
+      if (match) return { trecho: truncate(`${numero}. ${match[1]}`), literal: false };
+    }
+
+    // Sem a linha "Artigo N" nem a epígrafe
+    const body = chunk.text.replace(/^\s*Artigo[^\n]*\n(?:\s*\([^\n]*\)\s*\n)?/, '');
+    return { trecho: truncate(body), literal: false };
+  }
+
+  /**
+   * Verifica as citações de uma resposta
+   * @param {string} resposta - Texto gerado
+   * @param {Array} chunks - Trechos fornecidos ao gerador
+   * @param {Object} options - { modo } 'marcar' (omissão) ou 'remover'
+   * @returns {Promise<Object>} { resposta, citacoes, resumo: { modo, total, verificadas, nao_verificadas, removidas } }
+   */
+  async verify(resposta, chunks, { modo = 'marcar' } = {}) {
+    const lines = resposta.split('\n');
+    const citacoes = new Map(); // lei#artigo#n.º -> citação (uma por artigo citado)
+    const lineCitations = new Map(); // índice da linha -> citações
+
+    for (const [i, line] of lines.entries()) {
+      const refs = extractReferences(line, null, this.resolver).filter(ref => ref.artigo);
+      if (refs.length === 0) continue;
+      const quotes = [...line.matchAll(QUOTE_REGEX)].map(m => m[1].trim());
+
+      for (const ref of refs) {
+        const result = await this.checkReference(ref, line, chunks);
+        const key = `${result.leiId || result.lei || '*'}#${ref.artigo}#${ref.numero || ''}`;
+
+        if (!citacoes.has(key)) {
+          citacoes.set(key, {
+            lei: result.lei,
+            lei_id: result.leiId,
+            artigo: ref.artigo,
+            numero: ref.numero,
+            ...(result.chunk ? this.extractPassage(result.chunk, ref.numero, quotes) : { trecho: null, literal: false }),
+            fonte: result.chunk
+              ? { lei_id: result.chunk.leiId, chunk_index: result.chunk.chunkIndex, caminho: result.chunk.path }
+              : null,
+            verificada: result.verificada,
+            motivo: result.motivo,
+            linhas: []
+          });
+        }
+        const citacao = citacoes.get(key);
+        if (!citacao.linhas.includes(i)) citacao.linhas.push(i);
+        if (!lineCitations.has(i)) lineCitations.set(i, []);
+        if (!lineCitations.get(i).includes(citacao)) lineCitations.get(i).push(citacao);
+      }
+    }
+
+    const removedLines = new Set();
+    const output = [];
+    for (const [i, line] of lines.entries()) {
+      const pending = (lineCitations.get(i) || []).filter(c => !c.verificada);
+      if (pending.length === 0) {
+        output.push(line);
+      } else if (modo === 'remover' && lineCitations.get(i).every(c => !c.verificada)) {
+        removedLines.add(i);
+      } else {
+        const labels = pending.map(c => `artigo ${c.artigo}${c.lei ? `, ${c.lei}` : ''}: ${MOTIVOS[c.motivo]}`);
+        output.push(`${line} ⚠️ _(${labels.join('; ')})_`);
+      }
+    }
+
+    const lista = [...citacoes.values()].map(({ linhas, ...citacao }) => ({
+      ...citacao,
+      removida: linhas.every(i => removedLines.has(i))
+    }));
+
+    return {
+      resposta: removedLines.size > 0 ? output.join('\n').replace(/\n{3,}/g, '\n\n').trim() : output.join('\n'),
+      citacoes: lista,
+      resumo: {
+        modo,
+        total: lista.length,
+        verificadas: lista.filter(c => c.verificada).length,
+        nao_verificadas: lista.filter(c => !c.verificada).length,
+        removidas: lista.filter(c => c.removida).length
+      }
+    };
+  }
+}
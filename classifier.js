@@ -1,23 +1,341 @@
-import OpenAI from 'openai';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TERMINATION_INITIATIVES, TERMINATION_REASONS } from './labour-calculator.js';
+import { AREA_KEYWORDS, LEGAL_AREAS, foldText } from './law-catalog.js';
+import { NaiveBayesClassifier } from './intent-model.js';
+import { RISK_CATEGORIES } from './safety.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Camada que decidiu a classificação (campo camada do resultado)
+export const CLASSIFIER_LAYERS = ['regras', 'modelo', 'llm', 'fallback'];
+
+// Relato de uma situação pessoal (texto normalizado): primeira pessoa e a outra parte
+const ASSISTANCE_PATTERNS = [
+  /\b(?:fui|fomos|estou a ser|estamos a ser|tenho sido) (?:despedid|demitid|mandad[oa]s? embora|suspens|acusad|detid|pres[oa]|agredid|ameacad|expuls|despejad|assediad|discriminad|roubad|enganad)/,
+  /\b(?:despediram|demitiram|mandaram|expulsaram|despejaram|roubaram|agrediram|acusaram)-(?:me|nos)\b/,
+  /\bme (?:despediu|despediram|demitiu|bateu|bate|expulsou|roubou|roubaram|ameaca|ameacou|deve|devem)\b/,
+  /\bnao (?:me|nos) (?:paga|pagou|pagam|pagaram|deixa|deixam|quer|querem|devolve|devolveu)\b/,
+  /\b(?:o meu|a minha|os meus|as minhas) (?:patrao|patroa|chefe|empregador|supervisor|marido|esposa|mulher|companheir|ex-|namorad|senhorio|senhoria|vizinh|sogr|pai|mae|irmao|irma|tio|tia)/,
+  /\bo que (?:posso|devo|podemos|devemos) fazer\b/,
+  /\b(?:ajude-me|ajudem-me|ajudem|preciso de ajuda|socorro)\b/
+];
+
+// Pergunta objetiva sobre a lei
+const CONSULTA_PATTERNS = [
+  /^o que (?:diz|dizem|estabelece|preve|determina|regula)\b/,
+  /\bartigo \d+/,
+  /^(?:qual|quais) (?:e|sao) (?:a|o|as|os) (?:pena|penas|prazo|prazos|requisitos|idade|duracao|direitos|deveres|limites|regras|efeitos)\b/,
+  /^(?:quantos|quantas|quanto tempo)\b/,
+  /^como (?:se|funciona|funcionam)\b/,
+  /^(?:segundo|de acordo com) a (?:lei|constituicao)\b/,
+  /^a lei (?:permite|proibe|preve|obriga)\b/
+];
+
+// Continuação de uma conversa ("E se for verbal?"): só o LLM a lê com o contexto
+const FOLLOW_UP_PATTERN = /^(?:e|mas|entao|nesse caso|neste caso|e no caso|e quanto|e se)\b/;
+const FOLLOW_UP_MAX_WORDS = 6;
+
+// Expressões comuns por área legal, além das palavras-chave do catálogo e dos termos do glossário
+const AREA_TERMS = {
+  direito_trabalho: ['trabalho', 'emprego', 'empresa', 'salario', 'ferias', 'horas extra', 'horas extraordinarias', 'despedido', 'despedida', 'inss', 'seguranca social', 'greve', 'licenca de maternidade'],
+  direito_familia: ['divorcio', 'divorciar', 'casar', 'marido', 'esposa', 'filhos', 'pensao de alimentos', 'guarda dos filhos', 'lobolo', 'adopcao', 'perfilhacao'],
+  direito_penal: ['crime', 'roubo', 'roubaram', 'furto', 'queixa', 'policia', 'preso', 'presa', 'detido', 'detida', 'agressao', 'bateu', 'ameaca', 'ameacas', 'violacao', 'corrupcao', 'arguido', 'codigo penal'],
+  direito_civil: ['divida', 'dividas', 'emprestimo', 'renda', 'senhorio', 'inquilino', 'despejo', 'heranca', 'herdeiros', 'testamento', 'compra e venda', 'indemnizacao por danos'],
+  direito_propriedade: ['terreno', 'duat', 'machamba', 'machambas', 'lei de terras', 'vedacao', 'expropriacao', 'imovel'],
+  direitos_humanos: ['discriminacao', 'discriminada', 'discriminado', 'bilhete de identidade', 'constituicao', 'liberdade de expressao', 'igualdade', 'deficiencia']
+};
+
+// Sinais para os restantes campos da classificação local (texto normalizado)
+const URGENCY_TERMS = ['urgente', 'urgencia', 'hoje', 'amanha', 'agora mesmo', 'esta semana', 'ontem', 'despej', 'detid', 'preso', 'presa', 'ameac', 'me bate', 'bateu', 'expuls', 'sem casa', 'na rua', 'fome'];
+const EMOTION_TERMS = {
+  desespero: ['desesper', 'socorro', 'nao sei o que fazer', 'nao aguento', 'por favor'],
+  raiva: ['injust', 'revolt', 'absurdo', 'vergonha'],
+  preocupacao: ['medo', 'preocupad', 'receio', 'ansios'],
+  confusao: ['nao entendo', 'nao percebo', 'confus', 'duvida']
+};
+const VULNERABILITY_TERMS = {
+  dependentes_menores: ['filhos', 'filho', 'filha', 'criancas', 'bebe'],
+  gravidez: ['gravida', 'gestante'],
+  situacao_financeira: ['sem dinheiro', 'nao tenho dinheiro', 'desempregad', 'dividas', 'sem salario', 'fome'],
+  saude: ['doente', 'doenca', 'deficiencia', 'seropositiv', 'hiv', 'vih'],
+  idade_avancada: ['idos', 'reformad']
+};
+
+// Valores aceites nos campos da classificação do LLM
+const URGENCY_LEVELS = ['baixa', 'media', 'alta'];
+const EMOTIONS = ['neutra', ...Object.keys(EMOTION_TERMS)];
+const RISK_TYPES = Object.keys(RISK_CATEGORIES);
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Termo no início de uma palavra do texto normalizado (os termos podem ser radicais: "desesper")
+function mentions(folded, termo) {
+  return new RegExp(`(?:^|[^a-z0-9])${escapeRegex(termo)}`).test(folded);
+}
 
 /**
  * Classificador Inteligente
  * Detecta se o usuário quer:
  * - CONSULTA: Informação técnica objetiva sobre leis
  * - ASSISTENCIA: Ajuda com situação pessoal/problema real
+ * - GLOSSARIO: Explicação de um termo jurídico
+ *
+ * Por camadas, da mais barata para a mais cara:
+ * 1. regras: pedidos de glossário (LegalGlossary.detectGlossaryRequest) e padrões
+ *    de situação pessoal ou de pergunta sobre a lei
+ * 2. modelo: Naive Bayes local treinado com data/classificador/exemplos.json
+ * 3. llm: só quando as camadas locais não chegam à confiança mínima
+ * Se o LLM falhar (ou estiver desligado), fica a melhor classificação local
+ * (camada 'fallback'). A área legal, a urgência e a emoção das classificações
+ * locais vêm de léxicos, que também preenchem os campos que o LLM não devolva.
  */
 export class IntentClassifier {
-  constructor(openaiApiKey) {
-    this.openai = new OpenAI({ apiKey: openaiApiKey });
+  /**
+   * @param {ChatProvider} llm - Fornecedor de LLM (ver providers.js)
+   * @param {Object} options - { glossary, exemplosPath, minConfianca, usarLLM }
+   *   glossary (LegalGlossary) ativa a regra de glossário e junta os seus termos ao léxico de áreas;
+   *   minConfianca é a confiança a partir da qual uma camada local decide;
+   *   usarLLM a false classifica só com as camadas locais (sem rede)
+   */
+  constructor(llm, options = {}) {
+    this.llm = llm;
+    this.glossary = options.glossary || null;
+    this.exemplosPath = options.exemplosPath || path.join(__dirname, 'data', 'classificador', 'exemplos.json');
+    this.minConfianca = options.minConfianca ?? 0.9;
+    this.usarLLM = options.usarLLM !== false;
+    this.modeModel = null;
+    this.areaModel = null;
+
+    // Léxico de áreas (com o plural), da expressão mais longa para a mais curta ("contrato de trabalho" antes de "contrato")
+    const entries = [
+      ...Object.entries(AREA_KEYWORDS).flatMap(([area, termos]) => termos.map(variante => ({ variante, area }))),
+      ...Object.entries(AREA_TERMS).flatMap(([area, termos]) => termos.map(variante => ({ variante, area }))),
+      ...(this.glossary ? this.glossary.getAreaEntries() : [])
+    ].filter(({ area }) => LEGAL_AREAS.includes(area));
+    this.areaLexicon = entries
+      .map(({ variante, area }) => ({ area, regex: new RegExp(`(?<![a-z0-9])${escapeRegex(foldText(variante))}s?(?![a-z0-9])`, 'g'), tamanho: variante.length }))
+      .sort((a, b) => b.tamanho - a.tamanho);
   }
 
   /**
-   * Classifica a intenção do usuário
+   * Treina o modelo local (modo e área) com os exemplos rotulados
+   * @returns {number} Número de exemplos (0 sem ficheiro: a camada do modelo fica desligada)
+   */
+  load() {
+    if (!fs.existsSync(this.exemplosPath)) {
+      console.warn(`⚠️  Exemplos do classificador não encontrados: ${this.exemplosPath}`);
+      return 0;
+    }
+
+    const { exemplos } = JSON.parse(fs.readFileSync(this.exemplosPath, 'utf-8'));
+    this.modeModel = new NaiveBayesClassifier().train(exemplos.map(e => ({ texto: e.pergunta, rotulo: e.modo })));
+    this.areaModel = new NaiveBayesClassifier().train(exemplos.map(e => ({ texto: e.pergunta, rotulo: e.area_legal[0] })));
+    return exemplos.length;
+  }
+
+  /**
+   * Classifica a intenção do usuário, pela primeira camada com confiança suficiente
    * @param {string} pergunta - Pergunta do usuário
    * @param {Array} context - Histórico de mensagens anteriores
-   * @returns {Promise<Object>} { modo: 'consulta'|'assistencia', confianca: number, analise: {...} }
+   * @returns {Promise<Object>} { modo, confianca, area_legal, urgencia, emocao, problema, vulnerabilidades,
+   *   termo_glossario, risco_iminente, tipo_risco, reasoning, camada, camadas }
+   *   camada: a que decidiu (ver CLASSIFIER_LAYERS); camadas: o resultado de cada camada consultada
    */
   async classify(pergunta, context = []) {
+    const camadas = [];
+    const seguimento = this.isFollowUp(pergunta, context);
+
+    // 1. Regras (numa pergunta de seguimento, só o pedido explícito de glossário)
+    const regra = this.classifyByRules(pergunta, { seguimento });
+    if (regra) camadas.push({ camada: 'regras', modo: regra.modo, confianca: regra.confianca });
+    if (regra && regra.confianca >= this.minConfianca) {
+      return this.report(this.buildLocalResult(pergunta, regra, 'regras', camadas));
+    }
+
+    // 2. Modelo local (numa pergunta de seguimento, só como palpite se o LLM falhar)
+    const modelo = this.classifyByModel(pergunta);
+    if (modelo) camadas.push({ camada: 'modelo', modo: modelo.modo, confianca: modelo.confianca });
+    if (modelo && !seguimento && modelo.confianca >= this.minConfianca) {
+      return this.report(this.buildLocalResult(pergunta, modelo, 'modelo', camadas));
+    }
+
+    // Melhor palpite local, se o LLM não estiver disponível (glossário só com termo)
+    const local = [regra, modelo]
+      .filter(r => r && (r.modo !== 'glossario' || r.termo_glossario))
+      .sort((a, b) => b.confianca - a.confianca)[0]
+      || { modo: 'consulta', confianca: 0.5, motivo: 'sem sinais locais' };
+
+    if (!this.usarLLM) {
+      return this.report(this.buildLocalResult(pergunta, local, 'fallback', camadas, 'LLM desligado'));
+    }
+
+    // 3. LLM
+    try {
+      const result = this.mergeLLMResult(pergunta, await this.classifyWithLLM(pergunta, context), camadas);
+      camadas.push({ camada: 'llm', modo: result.modo, confianca: result.confianca });
+      return this.report(result);
+    } catch (error) {
+      console.error('❌ Erro ao classificar pergunta:', error);
+      return this.report(this.buildLocalResult(pergunta, local, 'fallback', camadas, 'erro do LLM'));
+    }
+  }
+
+  /**
+   * Pergunta curta ou começada por "e"/"mas" com conversa anterior: depende do contexto
+   */
+  isFollowUp(pergunta, context = []) {
+    if (!context || context.length === 0) return false;
+    const folded = foldText(pergunta);
+    return FOLLOW_UP_PATTERN.test(folded) || folded.split(' ').length <= FOLLOW_UP_MAX_WORDS;
+  }
+
+  /**
+   * Camada 1: regras determinísticas
+   * @returns {Object|null} { modo, confianca, termo_glossario, motivo }
+   */
+  classifyByRules(pergunta, { seguimento = false } = {}) {
+    const glossario = this.glossary?.detectGlossaryRequest(pergunta);
+    if (glossario) {
+      return { modo: 'glossario', confianca: glossario.confianca, termo_glossario: glossario.termo, motivo: `pedido de explicação de "${glossario.termo}"` };
+    }
+    if (seguimento) return null;
+
+    const folded = foldText(pergunta);
+    // Uma situação pessoal pesa mais do que a forma da pergunta ("fui despedido, o que diz a lei?")
+    const pessoal = ASSISTANCE_PATTERNS.find(pattern => pattern.test(folded));
+    if (pessoal) return { modo: 'assistencia', confianca: 0.9, motivo: 'relato de uma situação pessoal' };
+    const objetiva = CONSULTA_PATTERNS.find(pattern => pattern.test(folded));
+    if (objetiva) return { modo: 'consulta', confianca: 0.9, motivo: 'pergunta objetiva sobre a lei' };
+    return null;
+  }
+
+  /**
+   * Camada 2: modelo Naive Bayes local
+   * @returns {Object|null} { modo, confianca, termo_glossario, motivo } (null sem modelo treinado)
+   */
+  classifyByModel(pergunta) {
+    const previsao = this.modeModel?.predict(pergunta);
+    if (!previsao) return null;
+
+    const resultado = { modo: previsao.rotulo, confianca: previsao.confianca, motivo: `modelo local (P=${previsao.confianca.toFixed(2)})` };
+    if (resultado.modo === 'glossario') {
+      // Glossário sem termo identificável não serve à pesquisa: deixar decidir o LLM
+      resultado.termo_glossario = this.glossary?.extractRequestedTerm(pergunta) || null;
+      if (!resultado.termo_glossario) resultado.confianca = Math.min(resultado.confianca, this.minConfianca / 2);
+    }
+    return resultado;
+  }
+
+  /**
+   * Áreas legais mencionadas na pergunta (léxico), ou a prevista pelo modelo local
+   * @returns {Array<string>} Até duas áreas, das mais mencionadas; ['outro'] sem sinais
+   */
+  detectAreas(pergunta) {
+    const folded = foldText(pergunta);
+    const covered = [];
+    const counts = new Map();
+    for (const { area, regex } of this.areaLexicon) {
+      for (const match of folded.matchAll(regex)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        // Parte de uma expressão mais longa já contada
+        if (covered.some(([from, to]) => start < to && end > from)) continue;
+        covered.push([start, end]);
+        counts.set(area, (counts.get(area) || 0) + 1);
+      }
+    }
+    if (counts.size > 0) {
+      return [...counts].sort((a, b) => b[1] - a[1]).slice(0, 2).map(([area]) => area);
+    }
+
+    const previsao = this.areaModel?.predict(pergunta);
+    return previsao && previsao.confianca >= 0.5 ? [previsao.rotulo] : ['outro'];
+  }
+
+  /**
+   * Classificação completa a partir de uma camada local (os restantes campos por léxico)
+   */
+  buildLocalResult(pergunta, { modo, confianca, termo_glossario = null, motivo }, camada, camadas, nota = null) {
+    const folded = foldText(pergunta);
+    const assistencia = modo === 'assistencia';
+    const has = termos => termos.some(termo => mentions(folded, termo));
+    const primeiraFrase = pergunta.trim().split(/(?<=[.!?])\s/)[0];
+
+    return {
+      modo,
+      confianca,
+      area_legal: this.detectAreas(pergunta),
+      urgencia: !assistencia ? 'baixa' : (has(URGENCY_TERMS) ? 'alta' : 'media'),
+      emocao: Object.keys(EMOTION_TERMS).find(emocao => has(EMOTION_TERMS[emocao])) || 'neutra',
+      problema: assistencia ? primeiraFrase.slice(0, 200) : null,
+      vulnerabilidades: assistencia ? Object.keys(VULNERABILITY_TERMS).filter(v => has(VULNERABILITY_TERMS[v])) : [],
+      termo_glossario: modo === 'glossario' ? termo_glossario : null,
+      // O risco iminente tem regras próprias (ver safety.js)
+      risco_iminente: false,
+      tipo_risco: null,
+      reasoning: `${camada === 'fallback' ? `Classificação local (${nota}): ` : ''}${motivo}`,
+      camada,
+      camadas
+    };
+  }
+
+  /**
+   * Classificação do LLM sobre a classificação local: campos em falta, de outro
+   * tipo ou fora dos valores aceites ficam com o valor do léxico, para que as
+   * três camadas devolvam o mesmo contrato
+   */
+  mergeLLMResult(pergunta, llm, camadas) {
+    const texto = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const confianca = Number.isFinite(llm.confianca) ? Math.min(Math.max(llm.confianca, 0), 1) : 0.5;
+    const local = this.buildLocalResult(pergunta, {
+      modo: llm.modo,
+      confianca,
+      termo_glossario: texto(llm.termo_glossario),
+      motivo: 'classificação do LLM'
+    }, 'llm', camadas);
+
+    const areas = Array.isArray(llm.area_legal) ? [...new Set(llm.area_legal.filter(area => LEGAL_AREAS.includes(area)))] : [];
+    const vulnerabilidades = Array.isArray(llm.vulnerabilidades) ? llm.vulnerabilidades.map(texto).filter(Boolean) : null;
+    const risco = llm.risco_iminente === true;
+
+    return {
+      ...local,
+      area_legal: areas.length > 0 ? areas : local.area_legal,
+      urgencia: URGENCY_LEVELS.includes(llm.urgencia) ? llm.urgencia : local.urgencia,
+      emocao: EMOTIONS.includes(llm.emocao) ? llm.emocao : local.emocao,
+      problema: texto(llm.problema) ?? local.problema,
+      vulnerabilidades: vulnerabilidades ?? local.vulnerabilidades,
+      risco_iminente: risco,
+      tipo_risco: risco && RISK_TYPES.includes(llm.tipo_risco) ? llm.tipo_risco : null,
+      reasoning: texto(llm.reasoning) ?? local.reasoning
+    };
+  }
+
+  // Regista a classificação no log do servidor
+  report(result) {
+    console.log(`\n🎯 Classificação da pergunta (camada: ${result.camada}):`);
+    console.log(`   Modo: ${result.modo.toUpperCase()}`);
+    console.log(`   Confiança: ${(result.confianca * 100).toFixed(0)}%`);
+    console.log(`   Urgência: ${result.urgencia}`);
+    console.log(`   Emoção: ${result.emocao}`);
+    if (result.problema) {
+      console.log(`   Problema: ${result.problema}`);
+    }
+    if (result.risco_iminente) {
+      console.log(`   🚨 Risco iminente: ${result.tipo_risco}`);
+    }
+    return result;
+  }
+
+  /**
+   * Camada 3: classificação pelo LLM, com o contexto da conversa
+   * @returns {Promise<Object>} Classificação (lança erro se o LLM falhar ou não devolver JSON)
+   */
+  async classifyWithLLM(pergunta, context = []) {
     // Formatar contexto de mensagens anteriores
     let contextText = '';
     if (context && context.length > 0) {
@@ -65,6 +383,12 @@ Analise a pergunta do usuário e determine:
 6. VULNERABILIDADES (se aplicável):
    - Lista de fatores de vulnerabilidade detectados (ex: ["dependentes_menores", "situacao_financeira"])
 
+7. RISCO IMINENTE:
+   - true se a pessoa (ou alguém próximo, em especial uma criança) está em perigo agora: violência física ou sexual, ameaças à vida por outra pessoa, abuso de uma criança, detenção pela polícia, ou pensamentos de suicídio ou de se magoar
+   - tipo_risco: "violencia", "ameaca", "abuso_infantil", "detencao" ou "autolesao" (null se não houver risco)
+   - Expressões como "o chefe quer me matar de trabalho" NÃO são risco iminente
+   - Perguntas gerais sobre a lei (ex: "Qual a pena por violência doméstica?") NÃO são risco iminente
+
 **IMPORTANTE**: Se houver CONTEXTO DE CONVERSA, use-o para entender melhor a pergunta atual. Por exemplo:
 - Se a conversa anterior foi sobre "aborto" e a pergunta atual é "Se for menor de idade?", você deve entender que é sobre "aborto em caso de menor de idade".
 - Se a conversa foi sobre "contrato de trabalho" e a pergunta é "E se for verbal?", é sobre "contrato de trabalho verbal".
@@ -79,49 +403,28 @@ Responda APENAS em formato JSON válido:
   "problema": "descrição do problema" ou null,
   "vulnerabilidades": ["..."] ou [],
   "termo_glossario": "termo que usuário quer explicação" ou null,
+  "risco_iminente": true ou false,
+  "tipo_risco": "violencia|ameaca|abuso_infantil|detencao|autolesao" ou null,
   "reasoning": "breve explicação da classificação"
 }
 ${contextText}
 PERGUNTA ATUAL DO USUÁRIO:
 "${pergunta}"`;
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: 'Você é um classificador especializado em detectar intenções em consultas jurídicas. SEMPRE considere o contexto da conversa anterior para entender perguntas de seguimento.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.1, // Baixa temperatura para respostas consistentes
-        response_format: { type: 'json_object' }
-      });
-
-      const result = JSON.parse(response.choices[0].message.content);
-      
-      console.log(`\n🎯 Classificação da pergunta:`);
-      console.log(`   Modo: ${result.modo.toUpperCase()}`);
-      console.log(`   Confiança: ${(result.confianca * 100).toFixed(0)}%`);
-      console.log(`   Urgência: ${result.urgencia}`);
-      console.log(`   Emoção: ${result.emocao}`);
-      if (result.problema) {
-        console.log(`   Problema: ${result.problema}`);
-      }
+    const response = await this.llm.createCompletion({
+      messages: [
+        { role: 'system', content: 'Você é um classificador especializado em detectar intenções em consultas jurídicas. SEMPRE considere o contexto da conversa anterior para entender perguntas de seguimento.' },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.1, // Baixa temperatura para respostas consistentes
+      response_format: { type: 'json_object' }
+    });
 
-      return result;
-    } catch (error) {
-      console.error('❌ Erro ao classificar pergunta:', error);
-      // Fallback: assume consulta se houver erro
-      return {
-        modo: 'consulta',
-        confianca: 0.5,
-        area_legal: ['geral'],
-        urgencia: 'media',
-        emocao: 'neutra',
-        problema: null,
-        vulnerabilidades: [],
-        reasoning: 'Classificação por fallback devido a erro'
-      };
+    const result = JSON.parse(response.choices[0].message.content);
+    if (!['consulta', 'assistencia', 'glossario'].includes(result.modo)) {
+      throw new Error(`modo inválido na classificação: ${result.modo}`);
     }
+    return result;
   }
 
   /**
@@ -164,12 +467,25 @@ Extraia e estruture os seguintes fatos (responda em JSON):
   },
   "documentos_mencionados": ["lista de documentos que usuário mencionou ter ou não ter"],
   "acoes_ja_tomadas": ["o que usuário já fez"],
-  "perguntas_especificas": ["o que usuário quer saber especificamente"]
-}`;
+  "perguntas_especificas": ["o que usuário quer saber especificamente"],
+  "dados_laborais": {
+    "salario": salário base mensal em meticais (número) ou null,
+    "data_inicio": "início do contrato (AAAA-MM-DD)" ou null,
+    "data_fim": "data da cessação (AAAA-MM-DD)" ou null,
+    "tipo_contrato": "indeterminado|prazo_certo|prazo_incerto" ou null,
+    "data_termo_contrato": "fim previsto do contrato a prazo (AAAA-MM-DD)" ou null,
+    "motivo": "${Object.keys(TERMINATION_REASONS).join('|')}" ou null,
+    "iniciativa": "${TERMINATION_INITIATIVES.join('|')}" (quem pôs fim ao contrato no período probatório) ou null,
+    "aviso_previo_cumprido": false se o aviso prévio devido não foi dado, true se foi, ou null,
+    "ferias_gozadas": dias de férias já gozados no ano (número) ou null,
+    "meses_salario_em_atraso": número ou null
+  }
+}
+
+Em "dados_laborais" preencha apenas o que o usuário disser explicitamente (sem estimar valores nem datas); se a situação não for de trabalho, use null.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await this.llm.createCompletion({
         messages: [
           { role: 'system', content: 'Você é um extrator de fatos especializado em casos jurídicos.' },
           { role: 'user', content: prompt }
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { foldText } from './law-catalog.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Províncias (a Cidade de Maputo tem estatuto de província) e os termos que
+ * as identificam numa conversa: o nome e as principais cidades e distritos.
+ * "Beira" só com preposição ("na Beira"), porque "à beira de" é comum.
+ */
+export const PROVINCES = {
+  maputo_provincia: { nome: 'Província de Maputo', termos: ['provincia de maputo', 'maputo provincia', 'matola', 'boane', 'marracuene', 'namaacha', 'manhica', 'moamba'] },
+  maputo_cidade: { nome: 'Cidade de Maputo', termos: ['cidade de maputo', 'maputo cidade', 'maputo', 'catembe', 'ka tembe'] },
+  gaza: { nome: 'Gaza', termos: ['gaza', 'xai-xai', 'xai xai', 'chokwe', 'chibuto', 'bilene'] },
+  inhambane: { nome: 'Inhambane', termos: ['inhambane', 'vilankulo', 'vilanculos', 'massinga'] },
+  sofala: { nome: 'Sofala', termos: ['sofala', 'na beira', 'da beira', 'cidade da beira', 'dondo', 'nhamatanda', 'buzi'] },
+  manica: { nome: 'Manica', termos: ['manica', 'chimoio', 'gondola', 'catandica'] },
+  tete: { nome: 'Tete', termos: ['tete', 'moatize', 'angonia', 'ulongue'] },
+  zambezia: { nome: 'Zambézia', termos: ['zambezia', 'quelimane', 'mocuba', 'gurue', 'milange'] },
+  nampula: { nome: 'Nampula', termos: ['nampula', 'nacala', 'angoche', 'ilha de mocambique', 'monapo'] },
+  niassa: { nome: 'Niassa', termos: ['niassa', 'lichinga', 'cuamba'] },
+  cabo_delgado: { nome: 'Cabo Delgado', termos: ['cabo delgado', 'pemba', 'montepuez', 'mocimboa', 'chiure'] }
+};
+
+// Tipos de instituição no diretório
+export const CONTACT_TYPES = [
+  'assistencia_juridica',
+  'inspeccao_trabalho',
+  'mediacao_laboral',
+  'tribunal',
+  'ministerio_publico',
+  'policia',
+  'apoio_vitimas',
+  'linha_apoio',
+  'advogados'
+];
+
+// Contactos injetados por resposta de assistência
+const MAX_PROMPT_CONTACTS = 8;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Diretório de contactos de assistência jurídica (data/contactos.json)
+ * Instituições por província e área legal. Só os contactos com
+ * verificado_em (data da última confirmação numa fonte oficial) e as linhas
+ * nacionais de emergência (emergencia: true) entram nas respostas geradas;
+ * os restantes aparecem na API assinalados como não verificados. Contactos
+ * sem província são nacionais.
+ */
+export class ContactDirectory {
+  constructor(options = {}) {
+    this.dataPath = options.dataPath || path.join(__dirname, 'data', 'contactos.json');
+    this.contacts = [];
+    // Termos das províncias, como palavras inteiras no texto normalizado
+    this.provinceTerms = Object.entries(PROVINCES)
+      .flatMap(([id, { termos }]) => termos.map(termo => ({ id, regex: new RegExp(`(?:^|[^a-z0-9])${escapeRegex(termo)}(?![a-z0-9])`) })));
+  }
+
+  /**
+   * Carrega o diretório
+   * @returns {number} Número de contactos
+   */
+  load() {
+    if (!fs.existsSync(this.dataPath)) {
+      console.warn(`⚠️  Diretório de contactos não encontrado: ${this.dataPath}`);
+      this.contacts = [];
+      return 0;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.dataPath, 'utf-8'));
+    this.contacts = data.contactos.filter(contacto => {
+      const valido = CONTACT_TYPES.includes(contacto.tipo) && (contacto.provincia === null || PROVINCES[contacto.provincia]);
+      if (!valido) console.warn(`⚠️  Contacto ignorado (tipo ou província inválidos): ${contacto.id}`);
+      return valido;
+    });
+    return this.contacts.length;
+  }
+
+  /**
+   * Província mencionada numa conversa
+   * @param {Array<string>} textos - Do mais recente para o mais antigo (a pergunta atual primeiro)
+   * @returns {string|null} Id da província (ver PROVINCES)
+   */
+  detectProvince(textos) {
+    for (const texto of textos) {
+      const folded = foldText(texto || '');
+      let found = null;
+      for (const { id, regex } of this.provinceTerms) {
+        const match = regex.exec(folded);
+        // A primeira menção no texto; "provincia de maputo" começa antes do "maputo" que contém
+        if (match && (!found || match.index < found.index)) found = { id, index: match.index };
+      }
+      if (found) return found.id;
+    }
+    return null;
+  }
+
+  /**
+   * Pesquisa no diretório
+   * @param {Object} filtros - { provincia, area_legal, tipo, verificados }
+   *   provincia inclui os contactos nacionais; area_legal inclui os contactos de todas as áreas
+   * @returns {Array<Object>} Contactos (primeiro os da província, depois os nacionais)
+   */
+  search({ provincia = null, area_legal = null, tipo = null, verificados = false } = {}) {
+    return this.contacts
+      .filter(c => !provincia || c.provincia === provincia || c.provincia === null)
+      .filter(c => !area_legal || c.areas_legais.length === 0 || c.areas_legais.includes(area_legal))
+      .filter(c => !tipo || c.tipo === tipo)
+      .filter(c => !verificados || c.verificado_em)
+      .sort((a, b) => (a.provincia === null) - (b.provincia === null))
+      .map(c => ({ ...c, emergencia: c.emergencia === true, provincia_nome: c.provincia ? PROVINCES[c.provincia].nome : null, verificado: Boolean(c.verificado_em) }));
+  }
+
+  /**
+   * Contactos para uma resposta de assistência: os verificados e as linhas
+   * nacionais de emergência, da província da pessoa (se conhecida) e das
+   * áreas legais da situação
+   * @returns {Array<Object>}
+   */
+  forSituation(classification, provincia = null) {
+    const areas = classification.area_legal?.length > 0 ? classification.area_legal : [null];
+    const byId = new Map();
+    for (const area of areas) {
+      for (const contacto of this.search({ provincia, area_legal: area === 'outro' ? null : area })) {
+        if (!contacto.verificado && !contacto.emergencia) continue;
+        // Sem província conhecida, só os contactos nacionais
+        if (!provincia && contacto.provincia !== null) continue;
+        byId.set(contacto.id, contacto);
+      }
+    }
+    return [...byId.values()].slice(0, MAX_PROMPT_CONTACTS);
+  }
+
+  /**
+   * Bloco de contactos para o prompt do gerador de assistência
+   */
+  formatForPrompt(contactos, provincia = null) {
+    const onde = provincia
+      ? `A pessoa está em ${PROVINCES[provincia].nome}.`
+      : 'A província da pessoa não é conhecida: se precisar de contactos locais, pergunte onde vive.';
+    const semVerificados = 'indique apenas as instituições a procurar (por exemplo, a delegação do IPAJ ou da Inspecção-Geral do Trabalho), sem endereços, telefones ou horários, e recomende confirmar o contacto localmente.';
+    if (contactos.length === 0) {
+      return `${onde}\nNão há contactos verificados para esta situação: ${semVerificados}`;
+    }
+
+    const lines = contactos.map(c => {
+      const detalhes = [
+        c.distrito && `${c.distrito}${c.provincia ? `, ${PROVINCES[c.provincia].nome}` : ''}`,
+        c.morada && `morada: ${c.morada}`,
+        c.telefone && `telefone: ${c.telefone}`,
+        c.horario && `horário: ${c.horario}`
+      ].filter(Boolean);
+      const ambito = c.emergencia ? ' (linha nacional de emergência)' : c.provincia ? '' : ' (nacional)';
+      return `- ${c.instituicao}${ambito}: ${c.servicos.join('; ')}${detalhes.length > 0 ? ` (${detalhes.join('; ')})` : ''}`;
+    });
+    const outros = contactos.some(c => c.verificado) ? '' : `\nPara as restantes instituições não há contactos verificados: ${semVerificados}`;
+    return `${onde}\nCONTACTOS (use apenas estes; não invente endereços, telefones ou horários):\n${lines.join('\n')}${outros}`;
+  }
+}
@@ -0,0 +1,254 @@
+import { foldText } from './law-catalog.js';
+import { LegalParser } from './legal-parser.js';
+
+// "n.º 3 do artigo 12", "artigos 5 e 7", "artigos 10 a 14", "artigo anterior" (texto sem acentos)
+const ARTICLE_REF_REGEX = /(?:(?:n\.?\s*[º°o]s?\.?|numeros?)\s*(\d+)\.?[º°]?\s*,?\s*d[oa]s?\s+)?\bart(?:igos?|s?\.)\s*(anterior|seguinte|\d+\.?[º°]?(?:\s*(?:,|e|a|ao)\s*\d+\.?[º°]?)*)/g;
+
+// "Lei n.º 23/2007", "Decreto-Lei n.º 1/2011" citados sem artigo
+const ACT_REF_REGEX = /\b(?:lei|decreto(?:-lei)?|diploma ministerial)\s+n\.?\s*[º°o]?\.?\s*\d+\/\d+/g;
+
+// A referência continua na própria lei ("do presente Código", "desta Lei")
+const SELF_LAW_REGEX = /^\s*,?\s*(?:d[oa]s?\s+(?:presente|present[ea]s?)\s|dest[ea]\s|neste\s|nesta\s)/;
+
+// A referência aponta para outro diploma, mesmo que não esteja no catálogo
+const OTHER_LAW_REGEX = /^\s*,?\s*d[oa]s?\s+((?:lei|decreto|codigo|constituicao|regulamento|diploma|estatuto|convencao|carta)\b(?:[^,;:.()]|\.(?=\s*[º°o\d])){0,80})/;
+
+// Fim do nome do diploma citado ("Código Civil e caso não seja...")
+const LAW_NAME_END_REGEX = /\s(?:e|ou|que|quando|sem|com|para|nos?|nas?|sobre|se)\s.*$/;
+
+// Limite para intervalos ("artigos 10 a 300" é quase sempre ruído de OCR)
+const MAX_RANGE = 20;
+
+/**
+ * Números de artigo de uma lista ("5 e 7", "10 a 14", "anterior")
+ * @returns {Array<number>}
+ */
+export function parseArticleList(list, currentArticle) {
+  if (list === 'anterior') return currentArticle ? [currentArticle - 1] : [];
+  if (list === 'seguinte') return currentArticle ? [currentArticle + 1] : [];
+
+  const numbers = [];
+  const tokens = list.match(/\d+|\ba\b|\bao\b/g) || [];
+  for (let i = 0; i < tokens.length; i++) {
+    if ((tokens[i] === 'a' || tokens[i] === 'ao') && numbers.length > 0 && tokens[i + 1]) {
+      const from = numbers[numbers.length - 1];
+      const to = parseInt(tokens[i + 1]);
+      if (to > from && to - from <= MAX_RANGE) {
+        for (let n = from + 1; n <= to; n++) numbers.push(n);
+      }
+      i++;
+    } else if (/^\d+$/.test(tokens[i])) {
+      numbers.push(parseInt(tokens[i]));
+    }
+  }
+  return numbers;
+}
+
+/**
+ * Extrai referências cruzadas do texto de um artigo
+ * @param {string} text - Texto (de um artigo ou número)
+ * @param {number} currentArticle - Número do artigo onde o texto está
+ * @param {ReferenceResolver} resolver - Para identificar a lei citada
+ * @returns {Array} [{ artigo, numero, leiIds, leiTexto, texto }] (leiIds null = mesma lei)
+ */
+export function extractReferences(text, currentArticle, resolver) {
+  const folded = foldText(text);
+  const references = [];
+  const consumed = [];
+
+  for (const match of folded.matchAll(ARTICLE_REF_REGEX)) {
+    const [texto, numero, list] = match;
+    const end = match.index + texto.length;
+    const rest = folded.substring(end, end + 150);
+
+    let leiIds = null;
+    let leiTexto = null;
+    if (!SELF_LAW_REGEX.test(rest)) {
+      const matched = resolver.matchLawPrefix(rest);
+      const other = rest.match(OTHER_LAW_REGEX);
+      const otherName = other ? other[1].replace(LAW_NAME_END_REGEX, '').trim() : null;
+      if (matched) {
+        leiIds = matched;
+        leiTexto = otherName;
+      } else if (otherName) {
+        // Diploma externo que não existe no catálogo
+        leiIds = [];
+        leiTexto = otherName;
+      }
+    }
+    if (leiTexto) consumed.push([end, end + rest.indexOf(leiTexto) + leiTexto.length]);
+
+    for (const artigo of parseArticleList(list, currentArticle)) {
+      references.push({
+        artigo,
+        numero: numero ? parseInt(numero) : null,
+        leiIds,
+        leiTexto,
+        texto: texto.trim()
+      });
+    }
+  }
+
+  // Diplomas citados sem artigo ("a que se refere a Lei n.º 6/2004")
+  for (const match of folded.matchAll(ACT_REF_REGEX)) {
+    if (consumed.some(([from, to]) => match.index >= from && match.index < to)) continue;
+    references.push({
+      artigo: null,
+      numero: null,
+      leiIds: resolver.matchLawPrefix(match[0]) || [],
+      leiTexto: match[0],
+      texto: match[0]
+    });
+  }
+
+  return references;
+}
+
+/**
+ * Grafo de referências cruzadas entre artigos
+ * Nós são artigos (id do acto + número); arestas ligam o artigo que cita
+ * ao artigo (ou diploma) citado. Referências internas ficam na mesma lei;
+ * externas apontam para outro acto do catálogo, ou ficam só com o texto
+ * quando o diploma não está no corpus.
+ */
+export class CrossReferenceGraph {
+  /**
+   * @param {ReferenceResolver} resolver - Resolve nomes de leis para actos do catálogo
+   */
+  constructor(resolver) {
+    this.resolver = resolver;
+    this.parser = new LegalParser();
+    this.outgoing = new Map(); // "leiId#artigo" -> arestas
+    this.incoming = new Map();
+    this.edgeCount = 0;
+  }
+
+  static key(leiId, artigo) {
+    return `${leiId}#${artigo}`;
+  }
+
+  /**
+   * Constrói o grafo a partir do corpus de indexação
+   * @param {Map} corpus - id do acto -> { text, title } (ver LawCatalog.toCorpus)
+   * @returns {CrossReferenceGraph}
+   */
+  build(corpus) {
+    this.outgoing.clear();
+    this.incoming.clear();
+    this.edgeCount = 0;
+
+    for (const [leiId, data] of corpus.entries()) {
+      const tree = this.parser.parse(data.text, { title: data.title });
+      const articles = this.parser.listArticles(tree).map(({ article }) => article);
+      const existing = new Set(articles.map(a => a.number));
+
+      for (const article of articles) {
+        // Texto por número, para saber de que n.º parte cada referência
+        const parts = [{ numero: null, text: [article.epigrafe, article.intro].filter(Boolean).join('\n') }];
+        for (const child of article.children) {
+          if (child.type === 'numero') {
+            parts.push({ numero: child.number, text: [child.text, ...child.children.map(a => a.text)].join('\n') });
+          } else {
+            parts[0].text += `\n${child.text}`;
+          }
+        }
+
+        for (const part of parts) {
+          for (const ref of extractReferences(part.text, article.number, this.resolver)) {
+            this.addEdge(leiId, article.number, part.numero, ref, existing);
+          }
+        }
+      }
+    }
+
+    console.log(`🔗 Grafo de referências: ${this.edgeCount} referências entre ${this.outgoing.size} artigos`);
+    return this;
+  }
+
+  addEdge(leiId, artigo, numeroOrigem, ref, existing) {
+    let target;
+    if (ref.leiIds === null) {
+      // Referência interna: ignorar o próprio artigo e números que não existem na lei
+      if (ref.artigo === artigo || !existing.has(ref.artigo)) return;
+      target = { leiId, artigo: ref.artigo, numero: ref.numero, tipo: 'interna' };
+    } else {
+      // Alias partilhado (ex: "Lei do Trabalho" de 2007 e de 2023): dentro de uma delas, é a própria
+      const targetId = ref.leiIds.length === 1 ? ref.leiIds[0] : (ref.leiIds.includes(leiId) ? leiId : null);
+      if (targetId === leiId && ref.artigo === artigo) return;
+      target = {
+        leiId: targetId,
+        artigo: ref.artigo,
+        numero: ref.numero,
+        tipo: targetId === leiId ? 'interna' : 'externa',
+        ...(!targetId && { lei_texto: ref.leiTexto })
+      };
+    }
+
+    const sourceKey = CrossReferenceGraph.key(leiId, artigo);
+    const edges = this.outgoing.get(sourceKey) || [];
+    const duplicate = edges.some(e => e.para.leiId === target.leiId && e.para.artigo === target.artigo &&
+      e.para.numero === target.numero && e.para.lei_texto === target.lei_texto);
+    if (duplicate) return;
+
+    const { tipo, ...para } = target;
+    const edge = { de: { leiId, artigo, numero: numeroOrigem }, para, tipo, texto: ref.texto };
+    edges.push(edge);
+    this.outgoing.set(sourceKey, edges);
+    this.edgeCount++;
+
+    if (target.leiId && target.artigo) {
+      const targetKey = CrossReferenceGraph.key(target.leiId, target.artigo);
+      const incoming = this.incoming.get(targetKey) || [];
+      incoming.push(edge);
+      this.incoming.set(targetKey, incoming);
+    }
+  }
+
+  /**
+   * Referências feitas por um artigo
+   */
+  getCitations(leiId, artigo) {
+    return this.outgoing.get(CrossReferenceGraph.key(leiId, artigo)) || [];
+  }
+
+  /**
+   * Artigos que citam um artigo
+   */
+  getCitedBy(leiId, artigo) {
+    return this.incoming.get(CrossReferenceGraph.key(leiId, artigo)) || [];
+  }
+
+  /**
+   * Artigos citados diretamente pelos resultados de uma pesquisa (sem repetidos
+   * nem artigos já presentes), pela ordem dos resultados
+   * @param {Array} results - Chunks devolvidos pela pesquisa
+   * @param {number} limit - Máximo de artigos a acrescentar
+   * @returns {Array} [{ leiId, artigo, numero, citadoPor: { leiId, artigo } }]
+   */
+  getSupportingArticles(results, limit = 3) {
+    const present = new Set(results.filter(r => r.articleNumber).map(r => CrossReferenceGraph.key(r.leiId, r.articleNumber)));
+    const supporting = [];
+
+    for (const result of results) {
+      if (!result.articleNumber) continue;
+      for (const edge of this.getCitations(result.leiId, result.articleNumber)) {
+        if (!edge.para.leiId || !edge.para.artigo) continue;
+        const key = CrossReferenceGraph.key(edge.para.leiId, edge.para.artigo);
+        if (present.has(key)) continue;
+        present.add(key);
+        supporting.push({ ...edge.para, citadoPor: { leiId: result.leiId, artigo: result.articleNumber } });
+        if (supporting.length >= limit) return supporting;
+      }
+    }
+
+    return supporting;
+  }
+
+  getStats() {
+    return {
+      referencias: this.edgeCount,
+      artigos_com_referencias: this.outgoing.size,
+      artigos_citados: this.incoming.size
+    };
+  }
+}
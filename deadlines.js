@@ -0,0 +1,514 @@
+import { foldText } from './law-catalog.js';
+
+const MESES = [
+  'janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho',
+  'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'
+];
+
+// Fuso de Moçambique: a data atual é a de Maputo, não a do servidor (UTC)
+const TIMEZONE = 'Africa/Maputo';
+
+// Prazos com 7 dias ou menos por correr são urgentes
+const URGENT_DAYS = 7;
+
+/**
+ * Feriados nacionais (Lei do Trabalho, Lei n.º 13/2023, artigo 105, n.º 2)
+ * Quando coincidem com o domingo, a suspensão passa para segunda-feira (n.º 6).
+ */
+export const FERIADOS = [
+  { data: '01-01', nome: 'Ano Novo' },
+  { data: '02-03', nome: 'Dia dos Heróis Moçambicanos' },
+  { data: '04-07', nome: 'Dia da Mulher Moçambicana' },
+  { data: '05-01', nome: 'Dia Internacional do Trabalhador' },
+  { data: '06-25', nome: 'Dia da Independência Nacional' },
+  { data: '09-07', nome: 'Dia dos Acordos de Lusaka' },
+  { data: '09-25', nome: 'Dia das Forças Armadas' },
+  { data: '10-04', nome: 'Dia da Paz e Reconciliação Nacional' },
+  { data: '12-25', nome: 'Dia da Família' }
+];
+
+/**
+ * Tabela de prazos legais comuns
+ * - duracao: { valor, unidade } em dias, meses ou anos
+ * - contagem: 'corridos' (dias de calendário) ou 'uteis' (sem sábados, domingos e feriados)
+ * - prorrogaDiaUtil: termo que cai em dia não útil passa para o dia útil seguinte
+ *   (só actos em tribunal; na Lei do Trabalho os prazos são em dias consecutivos, art. 57, n.º 5)
+ * - inicio: acontecimento a partir do qual o prazo corre
+ * - termos: expressões (sem acentos) que indicam que o prazo se aplica à situação
+ *   (só expressões próprias da área: "recorrer" ou "recurso" sozinhos servem a qualquer área)
+ * - substitui: regra mais genérica que deixa de se aplicar quando esta se aplica
+ */
+export const DEADLINE_RULES = [
+  {
+    id: 'creditos_laborais',
+    descricao: 'Reclamar os direitos do contrato de trabalho (salários, férias, indemnização)',
+    area: 'direito_trabalho',
+    duracao: { valor: 6, unidade: 'meses' },
+    contagem: 'corridos',
+    inicio: 'data da cessação do contrato de trabalho',
+    consequencia: 'Os direitos resultantes do contrato prescrevem e deixam de poder ser exigidos.',
+    fonte: { lei_id: 'lei-13-2023', artigo: 57, numero: 1 },
+    termos: ['salario', 'ordenado', 'indemnizacao', 'ferias', 'horas extra', 'despedi', 'demiti', 'cessacao do contrato', 'rescisao', 'rescindi']
+  },
+  {
+    id: 'impugnacao_despedimento',
+    descricao: 'Contestar o despedimento no tribunal do trabalho ou em arbitragem laboral',
+    area: 'direito_trabalho',
+    duracao: { valor: 6, unidade: 'meses' },
+    contagem: 'corridos',
+    inicio: 'data do despedimento',
+    consequencia: 'Deixa de ser possível pedir a declaração de ilicitude do despedimento e a reintegração.',
+    fonte: { lei_id: 'lei-13-2023', artigo: 76, numero: 2 },
+    termos: ['despedi', 'demiti', 'mandaram embora', 'justa causa']
+  },
+  {
+    id: 'suspensao_despedimento',
+    descricao: 'Pedir a providência cautelar de suspensão do despedimento',
+    area: 'direito_trabalho',
+    duracao: { valor: 30, unidade: 'dias' },
+    contagem: 'corridos',
+    inicio: 'data da cessação do contrato de trabalho',
+    consequencia: 'Já não é possível suspender o despedimento enquanto a acção decorre.',
+    fonte: { lei_id: 'lei-13-2023', artigo: 76, numero: 4 },
+    termos: ['despedi', 'demiti', 'mandaram embora']
+  },
+  {
+    id: 'defesa_nota_culpa',
+    descricao: 'Responder por escrito à nota de culpa no processo disciplinar',
+    area: 'direito_trabalho',
+    duracao: { valor: 15, unidade: 'dias' },
+    contagem: 'corridos',
+    inicio: 'data de recepção da nota de culpa',
+    consequencia: 'O processo disciplinar segue sem a defesa do trabalhador.',
+    fonte: { lei_id: 'lei-13-2023', artigo: 70, numero: 1 },
+    termos: ['nota de culpa', 'processo disciplinar']
+  },
+  {
+    id: 'impugnacao_sancao_disciplinar',
+    descricao: 'Contestar uma sanção disciplinar (multa, suspensão, despromoção)',
+    area: 'direito_trabalho',
+    duracao: { valor: 6, unidade: 'meses' },
+    contagem: 'corridos',
+    inicio: 'data da comunicação da sanção',
+    consequencia: 'A sanção torna-se definitiva.',
+    fonte: { lei_id: 'lei-13-2023', artigo: 65, numero: 1 },
+    termos: ['sancao disciplinar', 'processo disciplinar', 'suspenso do trabalho', 'suspensa do trabalho', 'despromovid']
+  },
+  {
+    id: 'indemnizacao_acidente_trabalho',
+    descricao: 'Reclamar a indemnização por acidente de trabalho ou doença profissional',
+    area: 'direito_trabalho',
+    duracao: { valor: 1, unidade: 'anos' },
+    contagem: 'corridos',
+    inicio: 'data da alta clínica (ou do acidente, se causou morte ou incapacidade permanente)',
+    consequencia: 'O direito à indemnização prescreve.',
+    fonte: { lei_id: 'lei-13-2023', artigo: 239, numero: 1 },
+    termos: ['acidente de trabalho', 'acidente no trabalho', 'doenca profissional']
+  },
+  {
+    id: 'recurso_junta_saude',
+    descricao: 'Recorrer da decisão da Junta de Saúde (pensão por invalidez)',
+    area: 'direito_trabalho',
+    duracao: { valor: 8, unidade: 'dias' },
+    contagem: 'uteis',
+    inicio: 'data em que teve conhecimento da decisão',
+    consequencia: 'A decisão da Junta de Saúde mantém-se.',
+    fonte: { lei_id: 'decreto-53-2007', artigo: 35, numero: 1 },
+    termos: ['junta de saude', 'invalidez']
+  },
+  {
+    id: 'queixa_crime',
+    descricao: 'Apresentar queixa por crime que dela dependa, com pena máxima até 2 anos (ex.: ofensas corporais simples)',
+    area: 'direito_penal',
+    duracao: { valor: 1, unidade: 'anos' },
+    contagem: 'corridos',
+    inicio: 'data do crime',
+    consequencia: 'O direito de queixa prescreve e o crime deixa de poder ser julgado.',
+    fonte: { lei_id: 'lei-24-2019', artigo: 155, numero: 5 },
+    termos: ['queixa', 'queixar', 'agredi', 'agressao', 'bateu', 'ameac', 'injuri', 'difama']
+  },
+  {
+    id: 'queixa_crime_grave',
+    descricao: 'Apresentar queixa por crime que dela dependa, com pena máxima superior a 2 anos',
+    area: 'direito_penal',
+    duracao: { valor: 2, unidade: 'anos' },
+    contagem: 'corridos',
+    inicio: 'data do crime',
+    consequencia: 'O direito de queixa prescreve e o crime deixa de poder ser julgado.',
+    fonte: { lei_id: 'lei-24-2019', artigo: 155, numero: 5 },
+    // Só quando a pessoa indica a gravidade; uma queixa sem mais é a do prazo de 1 ano
+    termos: ['ofensas corporais graves', 'ofensa corporal grave', 'agressao grave', 'ferimentos graves', 'gravemente ferid', 'pena superior a 2 anos', 'pena superior a dois anos'],
+    substitui: 'queixa_crime'
+  },
+  {
+    id: 'recurso_penal_comum',
+    descricao: 'Recorrer de uma decisão em processo penal comum',
+    area: 'direito_penal',
+    duracao: { valor: 20, unidade: 'dias' },
+    contagem: 'corridos',
+    prorrogaDiaUtil: true,
+    inicio: 'data da notificação da decisão ou do depósito da sentença',
+    consequencia: 'A decisão transita em julgado e deixa de poder ser contestada.',
+    fonte: { lei_id: 'lei-25-2019', artigo: 466, numero: 1 },
+    termos: ['sentenca', 'condenad', 'condenacao']
+  },
+  {
+    id: 'recurso_penal_especial',
+    descricao: 'Recorrer de uma decisão em processo penal especial (ex.: sumário)',
+    area: 'direito_penal',
+    duracao: { valor: 8, unidade: 'dias' },
+    contagem: 'corridos',
+    prorrogaDiaUtil: true,
+    inicio: 'data da notificação da decisão ou do depósito da sentença',
+    consequencia: 'A decisão transita em julgado e deixa de poder ser contestada.',
+    fonte: { lei_id: 'lei-25-2019', artigo: 466, numero: 1 },
+    termos: ['sentenca', 'condenad', 'condenacao', 'processo sumario']
+  },
+  {
+    id: 'pagamento_multa_penal',
+    descricao: 'Pagar a multa e as custas de uma condenação penal',
+    area: 'direito_penal',
+    duracao: { valor: 10, unidade: 'dias' },
+    contagem: 'uteis',
+    inicio: 'data em que a decisão se tornou definitiva',
+    consequencia: 'A multa pode ser cobrada coercivamente ou convertida noutra pena.',
+    fonte: { lei_id: 'lei-24-2019', artigo: 64, numero: 1 },
+    termos: ['pena de multa', 'pagar a multa', 'pagamento da multa', 'condenado a multa', 'condenada a multa']
+  },
+  {
+    id: 'defesa_contravencao_estrada',
+    descricao: 'Apresentar defesa ou pagar voluntariamente uma multa de trânsito',
+    area: 'outro',
+    duracao: { valor: 15, unidade: 'dias' },
+    contagem: 'uteis',
+    inicio: 'data da notificação do auto',
+    consequencia: 'Perde-se a possibilidade de defesa e de pagamento voluntário pelo mínimo.',
+    fonte: { lei_id: 'decreto-lei-1-2011', artigo: 174, numero: 2 },
+    termos: ['multa de transito', 'auto de transgressao', 'contravencao', 'policia de transito', 'coima']
+  }
+];
+
+// Números por extenso nas expressões "há dois meses"
+const NUMEROS = { um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5, seis: 6, sete: 7, oito: 8, nove: 9, dez: 10 };
+
+const UNIDADES = { dia: 'dias', dias: 'dias', semana: 'semanas', semanas: 'semanas', mes: 'meses', meses: 'meses', ano: 'anos', anos: 'anos' };
+
+// Número de diploma imediatamente antes de uma data ("23/2007, de ")
+const LAW_DATE_PREFIX = /\d+\/\d{2,4},?\s*(?:de\s*)?$/;
+
+// Fim de oração para as datas relativas
+const CLAUSE_BREAK = /[.;:!?\n,]|\bmas\b/g;
+
+const MESES_REGEX = 'janeiro|fevereiro|marco|abril|maio|junho|julho|agosto|setembro|outubro|novembro|dezembro';
+
+function toISO(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function parseISO(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+function addDays(isoDate, days) {
+  const date = parseISO(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toISO(date);
+}
+
+// Mesmo dia do mês de chegada; se não existir (31 de Abril), o último dia desse mês
+function addMonths(isoDate, months) {
+  const date = parseISO(isoDate);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return toISO(date);
+}
+
+function daysBetween(fromISO, toISOdate) {
+  return Math.round((parseISO(toISOdate) - parseISO(fromISO)) / 86400000);
+}
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Data atual em Maputo (YYYY-MM-DD)
+ */
+export function todayMaputo() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(new Date());
+}
+
+/**
+ * Data por extenso ("3 de fevereiro de 2026")
+ */
+export function formatDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return `${day} de ${MESES[month - 1]} de ${year}`;
+}
+
+function dias(n) {
+  return n === 1 ? '1 dia' : `${n} dias`;
+}
+
+function formatDuration({ valor, unidade }, contagem) {
+  const singular = { dias: 'dia', meses: 'mês', anos: 'ano' };
+  const unit = valor === 1 ? singular[unidade] : unidade;
+  return `${valor} ${unit}${contagem === 'uteis' ? (valor === 1 ? ' útil' : ' úteis') : ''}`;
+}
+
+/**
+ * Calculadora determinística de prazos legais
+ * Substitui as contas de datas feitas pelo LLM: identifica os prazos da
+ * tabela que se aplicam à situação, a data de início (se a pessoa a indicar)
+ * e calcula a data-limite com dias corridos ou úteis e os feriados nacionais.
+ */
+export class DeadlineCalculator {
+  /**
+   * @param {LawCatalog} catalog - Nomes oficiais das leis das fontes
+   * @param {Object} options
+   * @param {Function} options.today - Data atual (YYYY-MM-DD); por omissão a de Maputo
+   * @param {Array<string>} options.feriadosAdicionais - Datas (YYYY-MM-DD) de feriados ou tolerâncias de ponto decretados
+   */
+  constructor(catalog, { today = todayMaputo, feriadosAdicionais = [] } = {}) {
+    this.catalog = catalog;
+    this.today = today;
+    this.feriadosAdicionais = new Set(feriadosAdicionais);
+    this.holidayCache = new Map(); // ano -> Map(data -> nome)
+  }
+
+  /**
+   * Feriados de um ano, incluindo as segundas-feiras de suspensão diferida
+   * @returns {Map<string, string>} data (YYYY-MM-DD) -> nome
+   */
+  getHolidays(year) {
+    if (this.holidayCache.has(year)) return this.holidayCache.get(year);
+
+    const holidays = new Map();
+    for (const { data, nome } of FERIADOS) {
+      const iso = `${year}-${data}`;
+      holidays.set(iso, nome);
+      if (parseISO(iso).getUTCDay() === 0) {
+        holidays.set(addDays(iso, 1), `${nome} (diferido de domingo)`);
+      }
+    }
+    for (const iso of this.feriadosAdicionais) {
+      if (iso.startsWith(`${year}-`) && !holidays.has(iso)) holidays.set(iso, 'Feriado ou tolerância de ponto');
+    }
+
+    this.holidayCache.set(year, holidays);
+    return holidays;
+  }
+
+  isHoliday(isoDate) {
+    return this.getHolidays(Number(isoDate.substring(0, 4))).has(isoDate);
+  }
+
+  isWorkingDay(isoDate) {
+    const weekday = parseISO(isoDate).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !this.isHoliday(isoDate);
+  }
+
+  nextWorkingDay(isoDate) {
+    let date = isoDate;
+    while (!this.isWorkingDay(date)) date = addDays(date, 1);
+    return date;
+  }
+
+  /**
+   * Soma dias úteis: o dia do acontecimento não conta, cada dia útil seguinte conta um
+   */
+  addWorkingDays(isoDate, days) {
+    let date = isoDate;
+    let counted = 0;
+    while (counted < days) {
+      date = addDays(date, 1);
+      if (this.isWorkingDay(date)) counted++;
+    }
+    return date;
+  }
+
+  /**
+   * Data-limite de um prazo a partir da data de início
+   * Prazos em dias não contam o dia do acontecimento; prazos em meses e anos
+   * terminam no dia correspondente do mês final.
+   * @returns {string} YYYY-MM-DD
+   */
+  computeDueDate(rule, dataInicio) {
+    const { valor, unidade } = rule.duracao;
+    let due;
+    if (unidade === 'dias') {
+      due = rule.contagem === 'uteis' ? this.addWorkingDays(dataInicio, valor) : addDays(dataInicio, valor);
+    } else {
+      due = addMonths(dataInicio, unidade === 'anos' ? valor * 12 : valor);
+    }
+    return rule.prorrogaDiaUtil ? this.nextWorkingDay(due) : due;
+  }
+
+  /**
+   * Prazos da tabela que se aplicam ao texto (pergunta e factos)
+   * Com áreas conhecidas ficam só as regras dessas áreas ('outro' não restringe).
+   * @param {string} text
+   * @param {Array<string>|null} areas - Áreas legais da classificação
+   */
+  selectRules(text, areas = null) {
+    const folded = foldText(text);
+    const restringe = (areas || []).some(area => area !== 'outro');
+    const rules = DEADLINE_RULES
+      .filter(rule => !restringe || areas.includes(rule.area))
+      .filter(rule => rule.termos.some(termo => folded.includes(termo)));
+    const substituidas = new Set(rules.map(rule => rule.substitui).filter(Boolean));
+    return rules.filter(rule => !substituidas.has(rule.id));
+  }
+
+  /**
+   * Data de início indicada no texto: "12/03/2025", "3 de setembro [de 2025]",
+   * "hoje", "ontem", "há 2 semanas" (aproximada). A primeira ocorrência conta;
+   * datas no futuro são ignoradas. Com `eventos`, as datas relativas só contam
+   * na mesma oração de um deles ("hoje fui ver, mas o despedimento foi em
+   * março" não tem data).
+   * @param {Array<string>|null} eventos - Termos (sem acentos) do acontecimento
+   * @returns {Object|null} { data, texto, aproximada }
+   */
+  extractStartDate(text, today = this.today(), eventos = null) {
+    const folded = foldText(text || '');
+    const [currentYear] = today.split('-').map(Number);
+    const candidates = [];
+
+    for (const m of folded.matchAll(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/g)) {
+      const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+      if (isValidDate(year, Number(m[2]), Number(m[1]))) {
+        candidates.push({ index: m.index, data: `${year}-${pad(m[2])}-${pad(m[1])}`, texto: m[0], aproximada: false });
+      }
+    }
+
+    for (const m of folded.matchAll(new RegExp(`\\b(\\d{1,2})(?:º|o)? de (${MESES_REGEX})(?: de (\\d{4}))?`, 'g'))) {
+      const month = MESES.findIndex(mes => foldText(mes) === m[2]) + 1;
+      let year = m[3] ? Number(m[3]) : currentYear;
+      if (!isValidDate(year, month, Number(m[1]))) continue;
+      // "Lei n.º 23/2007, de 1 de Agosto" é a data da lei, não do acontecimento
+      if (LAW_DATE_PREFIX.test(folded.substring(Math.max(0, m.index - 20), m.index))) continue;
+      // Sem ano: a ocorrência mais recente dessa data
+      if (!m[3] && `${year}-${pad(month)}-${pad(m[1])}` > today) year--;
+      candidates.push({ index: m.index, data: `${year}-${pad(month)}-${pad(m[1])}`, texto: m[0], aproximada: false });
+    }
+
+    // Oração à volta de uma data relativa: entre pontuação ou "mas"
+    const ligadaAoEvento = index => {
+      if (!eventos) return true;
+      const antes = folded.substring(0, index);
+      const inicio = Math.max(...[...antes.matchAll(CLAUSE_BREAK)].map(m => m.index + m[0].length), 0);
+      const fim = folded.substring(index).search(CLAUSE_BREAK);
+      const oracao = folded.substring(inicio, fim === -1 ? folded.length : index + fim);
+      return eventos.some(termo => oracao.includes(termo));
+    };
+
+    for (const m of folded.matchAll(/\b(anteontem|ontem|hoje)\b/g)) {
+      if (!ligadaAoEvento(m.index)) continue;
+      const offset = { hoje: 0, ontem: -1, anteontem: -2 }[m[1]];
+      candidates.push({ index: m.index, data: addDays(today, offset), texto: m[0], aproximada: false });
+    }
+
+    for (const m of folded.matchAll(/\bha (\d+|um|uma|dois|duas|tres|quatro|cinco|seis|sete|oito|nove|dez) (dias?|semanas?|mes|meses|anos?)\b/g)) {
+      if (!ligadaAoEvento(m.index)) continue;
+      const n = NUMEROS[m[1]] ?? Number(m[1]);
+      const unidade = UNIDADES[m[2]];
+      const data = unidade === 'dias' ? addDays(today, -n)
+        : unidade === 'semanas' ? addDays(today, -7 * n)
+        : addMonths(today, unidade === 'anos' ? -12 * n : -n);
+      candidates.push({ index: m.index, data, texto: m[0], aproximada: true });
+    }
+
+    const valid = candidates.filter(c => c.data <= today).sort((a, b) => a.index - b.index);
+    if (valid.length === 0) return null;
+    const { index, ...inicio } = valid[0];
+    return inicio;
+  }
+
+  /**
+   * Calcula um prazo da tabela
+   * @param {Object} rule - Regra de DEADLINE_RULES
+   * @param {string|null} dataInicio - YYYY-MM-DD; sem data devolve só a duração
+   * @returns {Object} Prazo estruturado com fonte, data-limite e dias restantes
+   */
+  compute(rule, dataInicio, today = this.today()) {
+    const dataLimite = dataInicio ? this.computeDueDate(rule, dataInicio) : null;
+    const diasRestantes = dataLimite ? daysBetween(today, dataLimite) : null;
+    const estado = dataLimite === null ? 'sem_data'
+      : diasRestantes < 0 ? 'expirado'
+      : diasRestantes <= URGENT_DAYS ? 'urgente'
+      : 'em_curso';
+
+    return {
+      id: rule.id,
+      descricao: rule.descricao,
+      area: rule.area,
+      duracao: formatDuration(rule.duracao, rule.contagem),
+      contagem: rule.contagem,
+      inicio: rule.inicio,
+      data_inicio: dataInicio,
+      data_limite: dataLimite,
+      dias_restantes: diasRestantes,
+      estado,
+      consequencia: rule.consequencia,
+      fonte: {
+        lei_id: rule.fonte.lei_id,
+        lei: this.catalog.getTitle(rule.fonte.lei_id),
+        artigo: rule.fonte.artigo,
+        numero: rule.fonte.numero
+      }
+    };
+  }
+
+  /**
+   * Prazos aplicáveis a uma situação
+   * @param {string} pergunta - Situação descrita
+   * @param {Object|null} facts - Factos extraídos (problema_principal, contexto_temporal)
+   * @param {Array<string>|null} areas - Áreas legais da classificação; sem áreas, todas as regras
+   * @returns {Object} { data_atual, inicio: { data, texto, aproximada } | null, prazos }
+   */
+  calculate(pergunta, facts = null, areas = null) {
+    const today = this.today();
+    const text = [pergunta, facts?.problema_principal, ...(facts?.problemas_secundarios || [])].filter(Boolean).join('\n');
+    const rules = this.selectRules(text, areas);
+    // O contexto temporal extraído já é o do acontecimento
+    const inicio = this.extractStartDate(pergunta, today, rules.flatMap(rule => rule.termos))
+      || this.extractStartDate(facts?.contexto_temporal, today);
+
+    const prazos = rules
+      .map(rule => this.compute(rule, inicio?.data ?? null, today))
+      .sort((a, b) => (a.data_limite ?? '9999').localeCompare(b.data_limite ?? '9999'));
+
+    return { data_atual: today, inicio, prazos };
+  }
+
+  /**
+   * Bloco do prompt com a data atual e os prazos calculados
+   */
+  formatForPrompt({ data_atual, inicio, prazos }) {
+    const header = `DATA ATUAL: ${formatDate(data_atual)}`;
+    if (prazos.length === 0) {
+      return `${header}\nNão há prazos calculados para esta situação: não indique datas-limite concretas, apenas os prazos que constam das leis acima.`;
+    }
+
+    const lines = prazos.map(p => {
+      const fonte = `${p.fonte.lei}, artigo ${p.fonte.artigo}${p.fonte.numero ? `, n.º ${p.fonte.numero}` : ''}`;
+      const quando = p.data_limite
+        ? `termina em ${formatDate(p.data_limite)} (${p.estado === 'expirado' ? `expirou há ${dias(-p.dias_restantes)}` : `faltam ${dias(p.dias_restantes)}`})`
+        : `data-limite desconhecida: conta a partir da ${p.inicio}`;
+      return `- ${p.descricao}: ${p.duracao} (${fonte}); ${quando}`;
+    });
+    const origem = inicio
+      ? `Data de início considerada: ${formatDate(inicio.data)} ("${inicio.texto}"${inicio.aproximada ? ', aproximada' : ''}).`
+      : 'A pessoa não indicou a data do acontecimento: peça-a para calcular as datas-limite.';
+
+    return `${header}\nPRAZOS CALCULADOS (use estas datas; não calcule nem invente outras):\n${lines.join('\n')}\n${origem}`;
+  }
+}
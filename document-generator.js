@@ -0,0 +1,424 @@
+import { foldText, isValidISODate } from './law-catalog.js';
+import { todayMaputo, formatDate } from './deadlines.js';
+import { formatMZN } from './labour-calculator.js';
+import { PdfWriter } from './pdf-writer.js';
+
+export const DOCUMENT_FORMATS = ['pdf', 'json'];
+
+// Espaço para preencher à mão quando falta um campo
+const BLANK = '____________________';
+
+// Identificação de quem assina (comum a todos os modelos)
+// Tipos de campo: texto, data (AAAA-MM-DD), numero, lista (de textos), booleano
+const REQUERENTE = [
+  { id: 'nome', rotulo: 'Nome completo', tipo: 'texto', obrigatorio: true },
+  { id: 'documento_identificacao', rotulo: 'Documento de identificação (ex: BI n.º 110100000000A)', tipo: 'texto', obrigatorio: true },
+  { id: 'morada', rotulo: 'Morada (bairro, quarteirão, casa, cidade)', tipo: 'texto', obrigatorio: true },
+  { id: 'contacto', rotulo: 'Telefone ou email', tipo: 'texto' },
+  { id: 'local', rotulo: 'Local onde o documento é assinado', tipo: 'texto', obrigatorio: true },
+  { id: 'data', rotulo: 'Data do documento (omissão: hoje)', tipo: 'data' }
+];
+
+// Relação de trabalho (queixa e carta ao empregador)
+const CONTRATO = [
+  { id: 'empregador', rotulo: 'Empregador (nome da empresa ou pessoa)', tipo: 'texto', obrigatorio: true },
+  { id: 'morada_empregador', rotulo: 'Morada do empregador', tipo: 'texto' },
+  { id: 'funcao', rotulo: 'Função ou categoria profissional', tipo: 'texto' },
+  { id: 'data_inicio_contrato', rotulo: 'Início do contrato', tipo: 'data' },
+  { id: 'data_fim_contrato', rotulo: 'Cessação do contrato (se já terminou)', tipo: 'data' },
+  { id: 'salario', rotulo: 'Salário base mensal (meticais)', tipo: 'numero' }
+];
+
+const FACTOS = { id: 'factos', rotulo: 'O que aconteceu (factos, datas, valores)', tipo: 'texto', obrigatorio: true };
+const DOCUMENTOS = { id: 'documentos', rotulo: 'Documentos entregues em anexo', tipo: 'lista' };
+const PEDIDO = { id: 'pedido', rotulo: 'Pedido (omissão: o texto do modelo)', tipo: 'texto' };
+
+function any(text, termos) {
+  return termos.some(termo => text.includes(termo));
+}
+
+/**
+ * Modelos de documentos
+ * - campos: preenchidos pelos factos extraídos (ver factsToFields) e pelas edições do utilizador
+ * - fundamentos: artigos citados no documento (ver DocumentGenerator.cite)
+ * - sugerir(area, texto, factos): se o modelo serve a situação de uma resposta de assistência
+ * - destinatario, assunto, corpo, pedido: texto do documento a partir dos campos
+ * - instrucoes: como entregar o documento (página à parte, não faz parte do documento)
+ */
+export const DOCUMENT_TEMPLATES = {
+  queixa_inspecao_trabalho: {
+    titulo: 'Queixa à Inspecção-Geral do Trabalho',
+    descricao: 'Participação de violações da Lei do Trabalho pelo empregador (salários em atraso, despedimento sem processo, falta de segurança), para fiscalização',
+    campos: [...REQUERENTE, ...CONTRATO, FACTOS, DOCUMENTOS, PEDIDO],
+    fundamentos: {
+      direito: { lei_id: 'lei-13-2023', artigo: 55, numero: 5, alinea: 'i' },
+      competencia: { lei_id: 'lei-13-2023', artigo: 261, numero: 1 },
+      suspensao: { lei_id: 'lei-13-2023', artigo: 57, numero: 4, alinea: 'b' }
+    },
+    sugerir: area => area.includes('direito_trabalho'),
+    destinatario: () => ['Exmo. Senhor Inspector-Geral do Trabalho', 'Inspecção-Geral do Trabalho'],
+    assunto: c => `Queixa contra ${c.empregador}`,
+    corpo: (c, cite) => [
+      `Eu, ${c.nome}, titular do ${c.documento_identificacao}, residente em ${c.morada}${c.contacto !== BLANK ? `, contacto ${c.contacto}` : ''}, venho, ao abrigo da ${cite('direito')}, apresentar queixa contra ${c.empregador}${c.morada_empregador !== BLANK ? `, com sede em ${c.morada_empregador}` : ''}, pelos factos seguintes.`,
+      c.vinculo,
+      c.factos
+    ],
+    pedido: (c, cite) => `Sendo competência da Inspecção-Geral do Trabalho fiscalizar e garantir o cumprimento da Lei do Trabalho (${cite('competencia')}), solicito que proceda à fiscalização da situação descrita, notifique o empregador para a regularizar, incluindo o pagamento dos valores em dívida, e me informe das diligências realizadas.`,
+    instrucoes: cite => [
+      'Entregue o documento em duas vias na delegação da Inspecção-Geral do Trabalho da sua província ou distrito e peça que carimbem e datem a sua cópia.',
+      `A queixa escrita suspende por 15 dias o prazo de prescrição dos seus créditos laborais (${cite('suspensao')}).`,
+      'Leve o seu documento de identificação e cópias do contrato, recibos de salário e de qualquer comunicação do empregador.'
+    ]
+  },
+
+  carta_empregador: {
+    titulo: 'Carta de reclamação ao empregador',
+    descricao: 'Reclamação formal e escrita ao empregador (salários em atraso, férias, indemnização), antes de recorrer à Inspecção ou ao tribunal',
+    campos: [...REQUERENTE, ...CONTRATO, FACTOS, { id: 'prazo_resposta', rotulo: 'Dias para o empregador responder (omissão: 15)', tipo: 'numero' }, DOCUMENTOS, PEDIDO],
+    fundamentos: {
+      remuneracao: { lei_id: 'lei-13-2023', artigo: 55, numero: 5, alinea: 'd' },
+      irrenunciaveis: { lei_id: 'lei-13-2023', artigo: 55, numero: 3 },
+      suspensao: { lei_id: 'lei-13-2023', artigo: 57, numero: 4, alinea: 'a' },
+      inspecao: { lei_id: 'lei-13-2023', artigo: 55, numero: 5, alinea: 'i' },
+      prescricao: { lei_id: 'lei-13-2023', artigo: 57, numero: 1 }
+    },
+    sugerir: area => area.includes('direito_trabalho'),
+    destinatario: c => ['Exmos. Senhores', c.empregador, ...(c.morada_empregador !== BLANK ? [c.morada_empregador] : [])],
+    assunto: () => 'Reclamação de direitos laborais',
+    corpo: (c, cite) => [
+      `Eu, ${c.nome}, titular do ${c.documento_identificacao}, residente em ${c.morada}${c.contacto !== BLANK ? `, contacto ${c.contacto}` : ''}, venho por este meio apresentar a seguinte reclamação.`,
+      c.vinculo,
+      c.factos,
+      `Lembro que o trabalhador tem direito a ser remunerado pontualmente (${cite('remuneracao')}) e que os direitos do trabalhador não podem ser objecto de renúncia ou limitação (${cite('irrenunciaveis')}). A presente reclamação é apresentada por escrito para os efeitos da ${cite('suspensao')}.`
+    ],
+    pedido: (c, cite) => `Solicito que, no prazo de ${c.prazo_resposta !== BLANK ? c.prazo_resposta : 15} dias a contar da recepção desta carta, regularize a situação ou me responda por escrito. Não o fazendo, recorrerei à Inspecção-Geral do Trabalho e aos órgãos da jurisdição laboral (${cite('inspecao')}).`,
+    instrucoes: cite => [
+      'Entregue a carta em mão, em duas vias, e peça a quem a receber que assine e date a sua cópia; ou envie-a por correio registado com aviso de recepção.',
+      `Guarde a cópia assinada: os direitos do contrato de trabalho prescrevem seis meses após a cessação do contrato (${cite('prescricao')}).`,
+      'Se o empregador não responder no prazo indicado, pode apresentar queixa à Inspecção-Geral do Trabalho (modelo queixa_inspecao_trabalho).'
+    ]
+  },
+
+  queixa_violencia_domestica: {
+    titulo: 'Denúncia de violência doméstica',
+    descricao: 'Denúncia escrita de violência doméstica ao Ministério Público ou à polícia (Gabinete de Atendimento à Família e Menores Vítimas de Violência)',
+    campos: [
+      ...REQUERENTE,
+      { id: 'entidade', rotulo: 'A quem é dirigida (omissão: Procurador da República)', tipo: 'texto' },
+      { id: 'agressor', rotulo: 'Nome de quem praticou a violência', tipo: 'texto', obrigatorio: true },
+      { id: 'relacao_agressor', rotulo: 'Relação com quem praticou a violência (ex: marido, ex-companheiro)', tipo: 'texto' },
+      { id: 'morada_agressor', rotulo: 'Morada de quem praticou a violência', tipo: 'texto' },
+      { id: 'data_factos', rotulo: 'Data dos factos', tipo: 'data' },
+      { id: 'local_factos', rotulo: 'Local dos factos', tipo: 'texto' },
+      FACTOS,
+      { id: 'testemunhas', rotulo: 'Testemunhas (nome e contacto)', tipo: 'lista' },
+      { id: 'constituir_assistente', rotulo: 'Deseja constituir-se assistente no processo', tipo: 'booleano' },
+      DOCUMENTOS,
+      PEDIDO
+    ],
+    fundamentos: {
+      denuncia: { lei_id: 'lei-25-2019', artigo: 287 },
+      forma: { lei_id: 'lei-25-2019', artigo: 289, numero: 1 },
+      assistente: { lei_id: 'lei-25-2019', artigo: 289, numero: 4 },
+      certificado: { lei_id: 'lei-25-2019', artigo: 290, numero: 2 },
+      transmissao: { lei_id: 'lei-25-2019', artigo: 288 }
+    },
+    sugerir: (area, texto) => texto.includes('violencia domestica') ||
+      ((area.includes('direito_familia') || area.includes('direito_penal')) && any(texto, ['agred', 'agress', 'espanc', 'me bate', 'bateu', 'maltrat'])),
+    destinatario: c => [c.entidade !== BLANK ? c.entidade : 'Exmo. Senhor Procurador da República'],
+    assunto: c => `Denúncia contra ${c.agressor}`,
+    corpo: (c, cite) => [
+      `Eu, ${c.nome}, titular do ${c.documento_identificacao}, residente em ${c.morada}${c.contacto !== BLANK ? `, contacto ${c.contacto}` : ''}, venho, nos termos do ${cite('denuncia')}, apresentar denúncia contra ${c.agressor}${c.relacao_agressor !== BLANK ? ` (${c.relacao_agressor})` : ''}${c.morada_agressor !== BLANK ? `, residente em ${c.morada_agressor}` : ''}, pelos factos seguintes.`,
+      `${c.data_factos !== BLANK || c.local_factos !== BLANK ? `Os factos ocorreram${c.data_factos !== BLANK ? ` em ${c.data_factos}` : ''}${c.local_factos !== BLANK ? `, em ${c.local_factos}` : ''}. ` : ''}${c.factos}`,
+      'Os factos descritos podem constituir crime, nomeadamente de violência doméstica, nos termos da Lei sobre a Violência Doméstica praticada contra a Mulher (Lei n.º 29/2009) e do Código Penal.',
+      ...(c.testemunhas.length > 0 ? [`Indico como testemunhas: ${c.testemunhas.join('; ')}.`] : [])
+    ],
+    pedido: (c, cite) => `Requeiro que seja instaurado o procedimento criminal contra o denunciado, que sejam tomadas as medidas necessárias à minha protecção e à dos meus dependentes, e que me seja entregue certificado do registo desta denúncia (${cite('certificado')}).${c.constituir_assistente === true ? ` Declaro que desejo constituir-me assistente no processo (${cite('assistente')}).` : ''}`,
+    instrucoes: cite => [
+      `A denúncia pode ser feita por escrito ou verbalmente e não está sujeita a formalidades especiais (${cite('forma')}).`,
+      `Pode entregá-la no Ministério Público ou em qualquer esquadra da polícia (Gabinete de Atendimento à Família e Menores Vítimas de Violência); a denúncia feita a outra entidade é transmitida ao Ministério Público (${cite('transmissao')}).`,
+      'Se estiver em perigo imediato, ligue para a polícia (119) antes de qualquer outro passo.',
+      'Leve relatórios médicos, fotografias das lesões e mensagens de ameaça, se os tiver.'
+    ]
+  },
+
+  pedido_assistencia_juridica: {
+    titulo: 'Pedido de assistência jurídica gratuita',
+    descricao: 'Pedido ao IPAJ (Instituto do Patrocínio e Assistência Jurídica) de assistência jurídica e patrocínio judiciário para quem não pode pagar advogado',
+    campos: [
+      ...REQUERENTE,
+      FACTOS,
+      { id: 'parte_contraria', rotulo: 'Contra quem (se houver)', tipo: 'texto' },
+      { id: 'situacao_economica', rotulo: 'Situação económica (ex: desempregado, sem rendimentos)', tipo: 'texto', obrigatorio: true },
+      { id: 'rendimento_mensal', rotulo: 'Rendimento mensal (meticais)', tipo: 'numero' },
+      { id: 'dependentes', rotulo: 'Número de dependentes', tipo: 'numero' },
+      DOCUMENTOS,
+      PEDIDO
+    ],
+    fundamentos: {
+      acesso: { lei_id: 'crm-2004', artigo: 62, numero: 1 },
+      patrocinio: { lei_id: 'crm-2004', artigo: 62, numero: 2 }
+    },
+    sugerir: (area, texto, factos) => ['vulneravel', 'critica'].includes(factos?.vulnerabilidades?.situacao_financeira),
+    destinatario: () => ['Exmo. Senhor Delegado do Instituto do Patrocínio e Assistência Jurídica (IPAJ)'],
+    assunto: () => 'Pedido de assistência jurídica e patrocínio judiciário',
+    corpo: (c, cite) => [
+      `Eu, ${c.nome}, titular do ${c.documento_identificacao}, residente em ${c.morada}${c.contacto !== BLANK ? `, contacto ${c.contacto}` : ''}, venho requerer assistência jurídica e patrocínio judiciário para o seguinte assunto${c.parte_contraria !== BLANK ? `, contra ${c.parte_contraria}` : ''}.`,
+      c.factos,
+      `Não tenho meios económicos para constituir advogado: ${c.situacao_economica}.${c.rendimento_mensal !== BLANK ? ` O meu rendimento mensal é de ${formatMZN(c.rendimento_mensal)}.` : ''}${c.dependentes !== BLANK ? ` Tenho ${c.dependentes === 1 ? '1 dependente' : `${c.dependentes} dependentes`} a meu cargo.` : ''}`,
+      `A Constituição da República garante o acesso dos cidadãos aos tribunais e o direito à assistência jurídica e patrocínio judiciário (${cite('acesso')}), que deve ser assegurado a quem, por razões económicas, não possa constituir advogado (${cite('patrocinio')}).`
+    ],
+    pedido: () => 'Solicito que me seja concedida assistência jurídica e, se necessário, patrocínio judiciário gratuito para a defesa dos meus direitos.',
+    instrucoes: () => [
+      'Entregue o pedido na delegação do IPAJ da sua província ou distrito.',
+      'Leve o seu documento de identificação, um documento que comprove a sua situação económica (por exemplo, declaração do bairro ou do posto administrativo) e os documentos do seu caso.'
+    ]
+  }
+};
+
+/**
+ * Valida um pedido ao /api/documentos
+ * @param {Object} body - { modelo, campos, factos, pergunta, formato }
+ * @returns {Object} { erro } ou { pedido }
+ */
+export function parseDocumentRequest(body = {}) {
+  const { modelo, campos = {}, factos = null, pergunta = null, formato = 'pdf' } = body;
+
+  const template = DOCUMENT_TEMPLATES[modelo];
+  if (!template) {
+    return { erro: `modelo inválido (valores aceites: ${Object.keys(DOCUMENT_TEMPLATES).join(', ')})` };
+  }
+  if (!DOCUMENT_FORMATS.includes(formato)) {
+    return { erro: `formato inválido (valores aceites: ${DOCUMENT_FORMATS.join(', ')})` };
+  }
+  if (typeof campos !== 'object' || campos === null || Array.isArray(campos)) {
+    return { erro: 'campos deve ser um objeto' };
+  }
+  if (factos !== null && (typeof factos !== 'object' || Array.isArray(factos))) {
+    return { erro: 'factos deve ser um objeto (ex: metadata.facts de uma resposta de assistência)' };
+  }
+  if (pergunta !== null && typeof pergunta !== 'string') {
+    return { erro: 'pergunta deve ser um texto' };
+  }
+
+  const fields = new Map(template.campos.map(campo => [campo.id, campo]));
+  const valores = {};
+  for (const [id, valor] of Object.entries(campos)) {
+    const campo = fields.get(id);
+    if (!campo) {
+      return { erro: `Campo desconhecido no modelo ${modelo}: ${id} (campos aceites: ${[...fields.keys()].join(', ')})` };
+    }
+    if (valor === null || valor === undefined || valor === '') continue;
+
+    if (campo.tipo === 'data' && !isValidISODate(valor)) {
+      return { erro: `${id} inválida (formato esperado: AAAA-MM-DD)` };
+    }
+    if (campo.tipo === 'numero' && !(typeof valor === 'number' && valor >= 0)) {
+      return { erro: `${id} deve ser um número igual ou superior a 0` };
+    }
+    if (campo.tipo === 'booleano' && typeof valor !== 'boolean') {
+      return { erro: `${id} deve ser true ou false` };
+    }
+    if (campo.tipo === 'lista' && !(typeof valor === 'string' || (Array.isArray(valor) && valor.every(item => typeof item === 'string')))) {
+      return { erro: `${id} deve ser uma lista de textos` };
+    }
+    if (campo.tipo === 'texto' && typeof valor !== 'string') {
+      return { erro: `${id} deve ser um texto` };
+    }
+    valores[id] = campo.tipo === 'lista' ? [].concat(valor).flatMap(item => item.split('\n')).map(item => item.trim()).filter(Boolean) : valor;
+  }
+
+  return { pedido: { modelo, campos: valores, factos, pergunta, formato } };
+}
+
+/**
+ * Geração de documentos prontos a entregar (queixas, cartas, pedidos)
+ * Os campos vêm dos factos extraídos de uma resposta de assistência
+ * (extractFacts) e das edições do utilizador, que prevalecem. Campos em
+ * falta ficam em branco para preencher à mão. Os artigos citados vêm de
+ * cada modelo; nos modelos laborais, os valores em dívida são os da
+ * calculadora (LabourCalculator) quando há dados suficientes.
+ */
+export class DocumentGenerator {
+  /**
+   * @param {LawCatalog} catalog - Títulos das leis citadas
+   * @param {LabourCalculator} labourCalculator - Valores em dívida nos modelos laborais
+   */
+  constructor(catalog, labourCalculator) {
+    this.catalog = catalog;
+    this.labourCalculator = labourCalculator;
+  }
+
+  /**
+   * Modelos disponíveis e os seus campos (GET /api/documentos)
+   */
+  listTemplates() {
+    return Object.entries(DOCUMENT_TEMPLATES).map(([modelo, template]) => ({
+      modelo,
+      titulo: template.titulo,
+      descricao: template.descricao,
+      campos: template.campos
+    }));
+  }
+
+  /**
+   * Modelos úteis para a situação de uma resposta de assistência
+   * @returns {Array<Object>} [{ modelo, titulo }]
+   */
+  suggest(classification, facts) {
+    const area = classification.area_legal || [];
+    const texto = foldText([classification.problema, facts?.problema_principal, ...(facts?.problemas_secundarios || [])].filter(Boolean).join('\n'));
+    return Object.entries(DOCUMENT_TEMPLATES)
+      .filter(([, template]) => template.sugerir(area, texto, facts))
+      .map(([modelo, template]) => ({ modelo, titulo: template.titulo }));
+  }
+
+  /**
+   * Citação por extenso: "alínea i) do n.º 5 do artigo 55 da Lei do Trabalho, Lei n.º 13/2023"
+   * (sem parênteses, porque as citações aparecem muitas vezes entre parênteses)
+   */
+  cite({ lei_id, artigo, numero = null, alinea = null }) {
+    const lei = this.catalog.getTitle(lei_id).replace(/\s*\(([^()]+)\)$/, ', $1');
+    const preposicao = /^(Lei|Constituição|Declaração)/.test(lei) ? 'da' : 'do';
+    return `${alinea ? `alínea ${alinea}) do ` : ''}${numero ? `n.º ${numero} do ` : ''}artigo ${artigo} ${preposicao} ${lei}`;
+  }
+
+  /**
+   * Valores iniciais dos campos a partir dos factos extraídos (extractFacts)
+   */
+  factsToFields(facts) {
+    if (!facts) return {};
+    const dados = facts.dados_laborais || {};
+    const outraParte = facts.partes_envolvidas?.outra_parte || null;
+    const secundarios = facts.problemas_secundarios || [];
+    const factos = facts.problema_principal
+      ? `${facts.problema_principal.replace(/\.$/, '')}.${secundarios.length > 0 ? ` Além disso: ${secundarios.join('; ')}.` : ''}`
+      : null;
+
+    return {
+      factos,
+      empregador: outraParte,
+      agressor: outraParte,
+      parte_contraria: outraParte,
+      data_inicio_contrato: dados.data_inicio,
+      data_fim_contrato: dados.data_fim,
+      salario: dados.salario,
+      dependentes: facts.vulnerabilidades?.numero_dependentes,
+      documentos: facts.documentos_mencionados?.length > 0 ? facts.documentos_mencionados : null
+    };
+  }
+
+  /**
+   * Valores em dívida (modelos laborais), com os dados do contrato dos campos
+   */
+  labourValues(campos, facts) {
+    const calculo = this.labourCalculator.fromFacts({
+      dados_laborais: {
+        ...facts?.dados_laborais,
+        salario: campos.salario ?? null,
+        data_inicio: campos.data_inicio_contrato ?? null,
+        data_fim: campos.data_fim_contrato ?? null
+      }
+    });
+    if (!calculo) return [];
+    return calculo.valores.map(v => `${v.descricao}: ${formatMZN(v.valor)} (${this.cite({ lei_id: v.fonte.lei_id, artigo: v.fonte.artigo, numero: v.fonte.numero, alinea: v.fonte.alinea })})`);
+  }
+
+  /**
+   * Preenche um modelo
+   * @param {string} modelo - Id do modelo (ver DOCUMENT_TEMPLATES)
+   * @param {Object} options - { campos, factos } edições do utilizador e factos extraídos
+   * @returns {Object} Documento: { modelo, titulo, campos, em_falta, destinatario, assunto,
+   *   corpo, valores, pedido, anexos, local_data, assinatura, fundamentos, instrucoes }
+   */
+  fill(modelo, { campos = {}, factos = null } = {}) {
+    const template = DOCUMENT_TEMPLATES[modelo];
+    const fromFacts = this.factsToFields(factos);
+    const ids = new Set(template.campos.map(campo => campo.id));
+
+    // Edições do utilizador prevalecem sobre os factos extraídos
+    const valores = {};
+    for (const campo of template.campos) {
+      const valor = campos[campo.id] ?? fromFacts[campo.id] ?? null;
+      if (valor !== null && valor !== undefined) valores[campo.id] = valor;
+    }
+    valores.data = valores.data || todayMaputo();
+
+    const em_falta = template.campos.filter(campo => campo.obrigatorio && valores[campo.id] === undefined).map(campo => campo.id);
+
+    // Texto: campos em falta ficam em branco, datas por extenso
+    const c = {};
+    for (const campo of template.campos) {
+      const valor = valores[campo.id];
+      if (campo.tipo === 'lista') c[campo.id] = valor || [];
+      else if (valor === undefined) c[campo.id] = BLANK;
+      else c[campo.id] = campo.tipo === 'data' ? formatDate(valor) : valor;
+    }
+
+    const laboral = ids.has('empregador');
+    if (laboral) {
+      const terminou = valores.data_fim_contrato !== undefined;
+      c.vinculo = `${terminou ? 'Trabalhei' : 'Trabalho'} para ${c.empregador}${c.funcao !== BLANK ? ` como ${c.funcao}` : ''} desde ${c.data_inicio_contrato}${terminou ? ` até ${c.data_fim_contrato}` : ''}${c.salario !== BLANK ? `, com o salário base mensal de ${formatMZN(c.salario)}` : ''}.`;
+    }
+
+    const cite = key => this.cite(template.fundamentos[key]);
+    const valoresEmDivida = laboral ? this.labourValues(valores, factos) : [];
+
+    return {
+      modelo,
+      titulo: template.titulo,
+      campos: valores,
+      em_falta,
+      destinatario: template.destinatario(c),
+      assunto: template.assunto(c),
+      corpo: template.corpo(c, cite),
+      valores: valoresEmDivida,
+      pedido: valores.pedido || template.pedido(c, cite),
+      anexos: c.documentos,
+      local_data: `${c.local}, ${c.data}`,
+      assinatura: valores.nome || '',
+      fundamentos: Object.values(template.fundamentos).map(f => ({ ...f, lei: this.catalog.getTitle(f.lei_id) })),
+      instrucoes: template.instrucoes(cite)
+    };
+  }
+
+  /**
+   * Documento em PDF (A4), com as instruções numa página à parte
+   * @returns {Promise<Uint8Array>}
+   */
+  async toPDF(documento) {
+    const pdf = await PdfWriter.create({ titulo: documento.titulo });
+
+    pdf.text(documento.destinatario.join('\n'), { align: 'right', spacingAfter: 18 });
+    pdf.text(`Assunto: ${documento.assunto}`, { bold: true, spacingAfter: 14 });
+    documento.corpo.forEach(paragrafo => pdf.text(paragrafo, { spacingAfter: 10 }));
+
+    if (documento.valores.length > 0) {
+      pdf.text('Segundo a Lei do Trabalho, são-me devidos, pelo menos, os seguintes valores:', { spacingAfter: 4 });
+      pdf.list(documento.valores);
+    }
+
+    pdf.text(documento.pedido, { spacingAfter: 14 });
+
+    if (documento.anexos.length > 0) {
+      pdf.text('Documentos em anexo:', { bold: true, spacingAfter: 4 });
+      pdf.list(documento.anexos, { numbered: true });
+    }
+
+    pdf.text(documento.local_data, { spacingAfter: 30 });
+    pdf.text('_______________________________________', { align: 'center', spacingAfter: 2 });
+    pdf.text(documento.assinatura, { align: 'center' });
+
+    pdf.addPage();
+    pdf.heading('Instruções (não entregar esta página)', 2);
+    pdf.list(documento.instrucoes);
+    if (documento.em_falta.length > 0) {
+      const rotulos = new Map(DOCUMENT_TEMPLATES[documento.modelo].campos.map(campo => [campo.id, campo.rotulo]));
+      pdf.text('Preencha à mão os espaços em branco:', { bold: true, spacingAfter: 4 });
+      pdf.list(documento.em_falta.map(id => rotulos.get(id)));
+    }
+    pdf.text('Documento gerado automaticamente a partir das leis de Moçambique. Confirme os dados antes de assinar; em caso de dúvida, procure o IPAJ ou um advogado.', { italic: true, size: 9 });
+
+    return pdf.save();
+  }
+}
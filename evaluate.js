@@ -0,0 +1,395 @@
+/**
+ * Avaliação da pesquisa e das respostas com um conjunto de perguntas de referência
+ * (data/avaliacao/perguntas.json). Para cada pergunta, anotada com a lei, os
+ * artigos e o modo esperados, mede:
+ * - recall@k e MRR da pesquisa (mesmo pipeline do /api/perguntar-rag:
+ *   referências explícitas, expansão da pergunta e re-ranking do modo esperado)
+ * - exatidão do classificador face ao modo esperado
+ * - correção das citações (CitationVerifier): artigos citados na resposta que
+ *   estão nos trechos fornecidos ao gerador, e se o artigo esperado foi citado
+ * e compara com um baseline guardado.
+ *
+ * Uso:
+ *   node evaluate.js                          # pesquisa + classificador + geração
+ *   node evaluate.js --so-pesquisa            # só recall@k e MRR (sem LLM)
+ *   node evaluate.js --sem-geracao            # pesquisa + classificador
+ *   node evaluate.js --guardar-baseline       # grava o resultado como novo baseline
+ *   node evaluate.js --k 10 --modo-busca lexical --sem-expansao --sem-rerank
+ *   node evaluate.js --perguntas outro.json --baseline outro-baseline.json --saida resultado.json
+ *   node evaluate.js --apenas trabalho-ferias,penal-furto --verbose
+ *   node evaluate.js --agente                 # geração em modo agente (ferramentas)
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { loadAllPDFs } from './pdf-loader.js';
+import { LawCatalog, todayISO } from './law-catalog.js';
+import { createProviders } from './providers.js';
+import { createRetriever } from './retrievers.js';
+import { SEARCH_MODES } from './retriever.js';
+import { ReferenceResolver } from './reference-resolver.js';
+import { CitationVerifier } from './citation-verifier.js';
+import { QueryExpander } from './query-expander.js';
+import { Reranker } from './reranker.js';
+import { IntentClassifier } from './classifier.js';
+import { AssistanceGenerator } from './assistance-generator.js';
+import { DeadlineCalculator } from './deadlines.js';
+import { LabourCalculator } from './labour-calculator.js';
+import { LegalGlossary } from './glossary.js';
+import { LegalAgent } from './agent.js';
+import { ContactDirectory } from './contacts.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+dotenv.config();
+
+const RECALL_CUTOFFS = [1, 3, 5, 10];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].substring(2);
+    const next = argv[i + 1];
+    args[key] = next && !next.startsWith('--') ? (i++, next) : true;
+  }
+  return args;
+}
+
+// Silencia os logs dos módulos durante o pipeline (exceto com --verbose)
+async function quietly(verbose, fn) {
+  if (verbose) return fn();
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+// O trecho corresponde a um dos artigos esperados?
+function matchesExpected(chunk, esperado, { leiOnly = false } = {}) {
+  return esperado.some(e => e.lei === chunk.leiId &&
+    (leiOnly || !e.artigos?.length || e.artigos.includes(chunk.articleNumber)));
+}
+
+/**
+ * Resumo das citações verificadas de uma resposta (ver CitationVerifier)
+ * @returns {Object} { total, corretas, cita_esperado, citacoes: [{ artigo, lei, suportada, esperada }] }
+ */
+function summarizeCitations(citacoes, esperado) {
+  const lista = citacoes.map(c => ({
+    artigo: c.artigo,
+    lei: c.lei,
+    suportada: c.verificada,
+    esperada: esperado.some(e => e.artigos?.includes(c.artigo) && (!c.lei_id || c.lei_id === e.lei))
+  }));
+  return {
+    total: lista.length,
+    corretas: lista.filter(c => c.suportada).length,
+    cita_esperado: lista.some(c => c.esperada),
+    citacoes: lista
+  };
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Métricas agregadas de um conjunto de resultados por pergunta
+ */
+function aggregate(results) {
+  const metrics = {};
+  for (const k of RECALL_CUTOFFS) {
+    metrics[`recall@${k}`] = mean(results.map(r => (r.rank && r.rank <= k ? 1 : 0)));
+  }
+  metrics.mrr = mean(results.map(r => (r.rank ? 1 / r.rank : 0)));
+  metrics.lei_recall = mean(results.map(r => (r.rankLei ? 1 : 0)));
+
+  const classified = results.filter(r => r.modo_previsto);
+  if (classified.length > 0) {
+    metrics.classificador = mean(classified.map(r => (r.modo_previsto === r.modo ? 1 : 0)));
+  }
+
+  const generated = results.filter(r => r.citacoes);
+  if (generated.length > 0) {
+    const total = generated.reduce((sum, r) => sum + r.citacoes.total, 0);
+    metrics.citacoes_corretas = total > 0 ? generated.reduce((sum, r) => sum + r.citacoes.corretas, 0) / total : null;
+    metrics.cita_esperado = mean(generated.map(r => (r.citacoes.cita_esperado ? 1 : 0)));
+  }
+  return metrics;
+}
+
+function formatMetric(value) {
+  return value === null || value === undefined ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printReport(report) {
+  const modes = [...new Set(report.perguntas.map(r => r.modo))];
+  const names = Object.keys(report.metricas);
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`📊 AVALIAÇÃO — perguntas v${report.versao} (${report.perguntas.length}), ${report.config.embeddings}, ${report.config.backend}, modo ${report.config.modo_busca}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`\n  ${'métrica'.padEnd(20)}${'total'.padStart(8)}${modes.map(m => m.padStart(13)).join('')}`);
+  for (const name of names) {
+    const byMode = modes.map(m => formatMetric(report.metricas_por_modo[m][name]).padStart(13)).join('');
+    console.log(`  ${name.padEnd(20)}${formatMetric(report.metricas[name]).padStart(8)}${byMode}`);
+  }
+
+  const misses = report.perguntas.filter(r => !r.rank || r.rank > report.config.k);
+  if (misses.length > 0) {
+    console.log(`\n  ✗ Artigo esperado fora do top-${report.config.k}:`);
+    misses.forEach(r => console.log(`    - ${r.id}: encontrados ${r.encontrados.slice(0, 3).join(', ') || 'nenhum'}`));
+  }
+  const wrongMode = report.perguntas.filter(r => r.modo_previsto && r.modo_previsto !== r.modo);
+  if (wrongMode.length > 0) {
+    console.log(`\n  ✗ Modo errado:`);
+    wrongMode.forEach(r => console.log(`    - ${r.id}: esperado ${r.modo}, previsto ${r.modo_previsto} (camada ${r.camada})`));
+  }
+  // Que camada do classificador decidiu cada pergunta, e com que exatidão
+  const camadas = [...new Set(report.perguntas.filter(r => r.camada).map(r => r.camada))];
+  if (camadas.length > 0) {
+    const porCamada = camadas.map(camada => {
+      const decididas = report.perguntas.filter(r => r.camada === camada);
+      return `${camada} ${decididas.filter(r => r.modo_previsto === r.modo).length}/${decididas.length}`;
+    });
+    console.log(`\n  🎯 Classificador por camada (acertos/decididas): ${porCamada.join(', ')}`);
+  }
+  const unsupported = report.perguntas.filter(r => r.citacoes && r.citacoes.corretas < r.citacoes.total);
+  if (unsupported.length > 0) {
+    console.log(`\n  ✗ Citações sem trecho de suporte:`);
+    unsupported.forEach(r => console.log(`    - ${r.id}: ${r.citacoes.citacoes.filter(c => !c.suportada).map(c => `artigo ${c.artigo}${c.lei ? ` (${c.lei})` : ''}`).join(', ')}`));
+  }
+}
+
+function describeRank(rank) {
+  return rank ? `#${rank}` : 'fora';
+}
+
+/**
+ * Compara o resultado com o baseline: métricas e perguntas que mudaram
+ */
+function printDiff(report, baseline) {
+  console.log(`\n${'─'.repeat(70)}`);
+  console.log(`🔁 Comparação com o baseline de ${baseline.data}`);
+  if (baseline.versao !== report.versao) {
+    console.log(`  ⚠️  Versões diferentes das perguntas (baseline v${baseline.versao}, atual v${report.versao}): só as perguntas comuns são comparadas`);
+  }
+  const changedConfig = Object.keys(report.config).filter(key => JSON.stringify(report.config[key]) !== JSON.stringify(baseline.config?.[key]));
+  if (changedConfig.length > 0) {
+    console.log(`  ⚙️  Configuração alterada: ${changedConfig.map(key => `${key} ${JSON.stringify(baseline.config?.[key])} → ${JSON.stringify(report.config[key])}`).join('; ')}`);
+  }
+
+  console.log();
+  for (const name of Object.keys(report.metricas)) {
+    const before = baseline.metricas[name];
+    const after = report.metricas[name];
+    if (before === undefined || before === null || after === null) continue;
+    const delta = (after - before) * 100;
+    const arrow = Math.abs(delta) < 0.05 ? '=' : (delta > 0 ? '▲' : '▼');
+    console.log(`  ${name.padEnd(20)}${formatMetric(before)} → ${formatMetric(after)}  ${arrow} ${delta > 0 ? '+' : ''}${delta.toFixed(1)}`);
+  }
+
+  const previous = new Map(baseline.perguntas.map(r => [r.id, r]));
+  const changes = [];
+  for (const r of report.perguntas) {
+    const old = previous.get(r.id);
+    if (!old) continue;
+    if (old.rank !== r.rank) {
+      const better = r.rank && (!old.rank || r.rank < old.rank);
+      changes.push(`${better ? '▲' : '▼'} ${r.id}: artigo esperado ${describeRank(old.rank)} → ${describeRank(r.rank)}`);
+    }
+    if (old.modo_previsto && r.modo_previsto && old.modo_previsto !== r.modo_previsto) {
+      changes.push(`${r.modo_previsto === r.modo ? '▲' : '▼'} ${r.id}: modo ${old.modo_previsto} → ${r.modo_previsto}`);
+    }
+    if (old.citacoes && r.citacoes && old.citacoes.cita_esperado !== r.citacoes.cita_esperado) {
+      changes.push(`${r.citacoes.cita_esperado ? '▲' : '▼'} ${r.id}: ${r.citacoes.cita_esperado ? 'passou a citar' : 'deixou de citar'} o artigo esperado`);
+    }
+  }
+  if (changes.length > 0) {
+    console.log(`\n  Perguntas alteradas:`);
+    changes.forEach(change => console.log(`    ${change}`));
+  } else {
+    console.log(`\n  Nenhuma pergunta alterada.`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const k = parseInt(args.k || '5');
+  const verbose = Boolean(args.verbose);
+  const retrievalOnly = Boolean(args['so-pesquisa']);
+  const generate = !retrievalOnly && !args['sem-geracao'];
+  const modoBusca = args['modo-busca'] || 'hybrid';
+  const expandir = !args['sem-expansao'];
+  const rerank = !args['sem-rerank'];
+  const agente = Boolean(args.agente);
+
+  if (!SEARCH_MODES.includes(modoBusca)) {
+    throw new Error(`--modo-busca inválido (valores aceites: ${SEARCH_MODES.join(', ')})`);
+  }
+
+  const questionsPath = args.perguntas || path.join(__dirname, 'data', 'avaliacao', 'perguntas.json');
+  const baselinePath = args.baseline || path.join(__dirname, 'data', 'avaliacao', 'baseline.json');
+  const goldSet = JSON.parse(fs.readFileSync(questionsPath, 'utf-8'));
+  const only = args.apenas ? new Set(args.apenas.split(',')) : null;
+  const questions = goldSet.perguntas.filter(q => !only || only.has(q.id));
+
+  // Mesmo arranque do servidor: PDFs -> catálogo -> índice
+  console.log('🚀 A preparar o índice...');
+  const pdfCache = new Map();
+  const catalog = new LawCatalog();
+  const providers = createProviders();
+  const ragSystem = createRetriever(providers.embeddings);
+  const referenceResolver = new ReferenceResolver(catalog, ragSystem);
+  const citationVerifier = new CitationVerifier(catalog, referenceResolver, ragSystem);
+  const glossary = new LegalGlossary(providers.llm);
+  const queryExpander = new QueryExpander(glossary);
+  const reranker = new Reranker({
+    scorer: process.env.RERANK_SCORER || 'none',
+    llm: providers.llm,
+    crossEncoderModel: process.env.RERANK_MODEL,
+    localModelsPath: process.env.LOCAL_MODELS_PATH || null
+  });
+  const classifier = new IntentClassifier(providers.llm, {
+    glossary,
+    minConfianca: parseFloat(process.env.CLASSIFIER_MIN_CONFIDENCE || '0.9'),
+    usarLLM: process.env.CLASSIFIER_LLM !== 'false'
+  });
+  classifier.load();
+  const deadlineCalculator = new DeadlineCalculator(catalog);
+  const labourCalculator = new LabourCalculator(catalog);
+  const contactDirectory = new ContactDirectory();
+  contactDirectory.load();
+  const assistanceGenerator = new AssistanceGenerator(providers.llm, deadlineCalculator, labourCalculator, contactDirectory);
+  const legalAgent = new LegalAgent({ llm: providers.llm, retriever: ragSystem, catalog, deadlines: deadlineCalculator, labourCalculator });
+
+  await quietly(verbose, async () => {
+    await loadAllPDFs(path.join(__dirname, 'leis'), pdfCache);
+    catalog.build(pdfCache);
+    await ragSystem.indexAllLaws(catalog.toCorpus(pdfCache));
+  });
+
+  const unknown = questions.flatMap(q => q.esperado.map(e => e.lei)).filter(id => !catalog.getAct(id));
+  if (unknown.length > 0) {
+    throw new Error(`Leis esperadas que não existem no catálogo: ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  const leiIds = catalog.actsInForce(todayISO());
+  const results = [];
+
+  for (const [i, q] of questions.entries()) {
+    process.stdout.write(`  [${i + 1}/${questions.length}] ${q.id}...`);
+    const result = await quietly(verbose, async () => {
+      const { referencias } = await referenceResolver.resolve(q.pergunta, { leiIds });
+
+      let classification = null;
+      if (!retrievalOnly) {
+        classification = await classifier.classify(q.pergunta);
+      }
+
+      // Glossário pesquisa pelo termo (o do classificador, ou o anotado sem LLM)
+      const searchQuery = q.modo === 'glossario'
+        ? classification?.termo_glossario || q.termo || q.pergunta
+        : q.pergunta;
+      const expansao = expandir ? queryExpander.expand(searchQuery) : null;
+      const profile = reranker.getProfile(q.modo, { topK: Math.max(k, ...RECALL_CUTOFFS) });
+
+      const candidatos = await ragSystem.search(expansao ? expansao.semantica : searchQuery, rerank ? profile.candidatos : profile.topK, {
+        lexicalQuery: expansao?.lexical,
+        leiIds,
+        mode: modoBusca,
+        references: referencias.filter(ref => ref.existe)
+      });
+      const ranked = rerank ? await reranker.rerank(searchQuery, candidatos, profile) : candidatos;
+
+      const rankIndex = ranked.findIndex(c => matchesExpected(c, q.esperado));
+      const rankLeiIndex = ranked.slice(0, k).findIndex(c => matchesExpected(c, q.esperado, { leiOnly: true }));
+      const entry = {
+        id: q.id,
+        modo: q.modo,
+        rank: rankIndex >= 0 ? rankIndex + 1 : null,
+        rankLei: rankLeiIndex >= 0 ? rankLeiIndex + 1 : null,
+        encontrados: ranked.slice(0, k).map(c => `${c.leiId}#${c.articleNumber ?? '-'}`),
+        ...(classification && { modo_previsto: classification.modo, camada: classification.camada })
+      };
+
+      if (generate) {
+        // Gerar no modo esperado, para avaliar as citações independentemente do classificador
+        // No modo agente, os trechos obtidos pelas ferramentas juntam-se a chunks
+        const chunks = ranked.slice(0, reranker.getProfile(q.modo).topK);
+        const sessao = agente ? legalAgent.createSession({ chunks, leiIds }) : null;
+        const options = { agente: sessao };
+        let resposta;
+        if (q.modo === 'glossario') {
+          resposta = (await glossary.explainTerm(searchQuery, chunks, null, options)).explicacao;
+        } else if (q.modo === 'assistencia') {
+          const assistClassification = { ...classification, modo: 'assistencia' };
+          const facts = await classifier.extractFacts(q.pergunta, assistClassification);
+          resposta = (await assistanceGenerator.generateAssistance(q.pergunta, assistClassification, facts, chunks, [], options)).resposta;
+        } else {
+          resposta = (await assistanceGenerator.generateConsulta(q.pergunta, chunks, [], options)).resposta;
+        }
+        const { citacoes } = await citationVerifier.verify(resposta, chunks);
+        entry.citacoes = summarizeCitations(citacoes, q.esperado);
+        if (sessao) entry.agente = { passos: sessao.passos, chamadas: sessao.trace.length, limite_atingido: sessao.limiteAtingido };
+      }
+      return entry;
+    });
+    console.log(` ${describeRank(result.rank)}${result.modo_previsto ? `, modo ${result.modo_previsto}` : ''}`);
+    results.push(result);
+  }
+
+  const metricasPorModo = {};
+  for (const modo of [...new Set(results.map(r => r.modo))]) {
+    metricasPorModo[modo] = aggregate(results.filter(r => r.modo === modo));
+  }
+
+  const report = {
+    data: new Date().toISOString(),
+    versao: goldSet.versao,
+    config: {
+      k,
+      backend: ragSystem.backend,
+      embeddings: providers.embeddings.id,
+      llm: retrievalOnly ? null : `${providers.llm.name}:${providers.llm.model}`,
+      modo_busca: modoBusca,
+      expansao: expandir,
+      rerank: rerank ? reranker.scorer : false,
+      geracao: generate,
+      agente
+    },
+    metricas: aggregate(results),
+    metricas_por_modo: metricasPorModo,
+    perguntas: results
+  };
+
+  printReport(report);
+
+  if (fs.existsSync(baselinePath)) {
+    printDiff(report, JSON.parse(fs.readFileSync(baselinePath, 'utf-8')));
+  } else if (!args['guardar-baseline']) {
+    console.log(`\nℹ️  Sem baseline em ${baselinePath} (use --guardar-baseline para criar)`);
+  }
+
+  if (args.saida) {
+    fs.writeFileSync(args.saida, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Resultado gravado em ${args.saida}`);
+  }
+  if (args['guardar-baseline']) {
+    fs.writeFileSync(baselinePath, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Baseline gravado em ${baselinePath}`);
+  }
+  console.log();
+}
+
+main().catch(error => {
+  console.error('❌ Erro na avaliação:', error);
+  process.exit(1);
+});
@@ -1,17 +1,13 @@
-import OpenAI from 'openai';
-import { OpenAIEmbeddings } from '@langchain/openai';
-
 /**
  * Sistema de Glossário Jurídico
  * Explica termos técnicos de forma simples e contextualizada
  */
 export class LegalGlossary {
-  constructor(openaiApiKey) {
-    this.openai = new OpenAI({ apiKey: openaiApiKey });
-    this.embeddings = new OpenAIEmbeddings({
-      openAIApiKey: openaiApiKey,
-      modelName: 'text-embedding-3-small'
-    });
+  /**
+   * @param {ChatProvider} llm - Fornecedor de LLM (ver providers.js)
+   */
+  constructor(llm) {
+    this.llm = llm;
     
     // Cache de termos já explicados nesta sessão
     this.termCache = new Map();
@@ -34,6 +30,7 @@ export class LegalGlossary {
       'despedimento': {
         categoria: 'direito_trabalho',
         sinonimos: ['demissão', 'exoneração'],
+        coloquial: ['despedido', 'despedida', 'despediram', 'demitido', 'demitida', 'mandado embora', 'mandada embora', 'mandaram embora', 'mandaram-me embora', 'fui corrido'],
         nivel_dificuldade: 1
       },
       'indemnização': {
@@ -46,6 +43,18 @@ export class LegalGlossary {
         sinonimos: ['pré-aviso', 'notificação prévia'],
         nivel_dificuldade: 1
       },
+      'empregador': {
+        categoria: 'direito_trabalho',
+        sinonimos: ['entidade empregadora'],
+        coloquial: ['patrão', 'patroa', 'chefe'],
+        nivel_dificuldade: 1
+      },
+      'remuneração': {
+        categoria: 'direito_trabalho',
+        sinonimos: ['retribuição'],
+        coloquial: ['ordenado', 'pagamento do mês'],
+        nivel_dificuldade: 1
+      },
       
       // Direito de Família
       'regime de bens': {
@@ -78,6 +87,26 @@ export class LegalGlossary {
         sinonimos: ['custódia'],
         nivel_dificuldade: 1
       },
+      'cônjuge': {
+        categoria: 'direito_familia',
+        sinonimos: [],
+        coloquial: ['marido', 'esposa', 'esposo'],
+        nivel_dificuldade: 1
+      },
+      'união de facto': {
+        categoria: 'direito_familia',
+        sinonimos: [],
+        variantes: ['união de fato', 'união estável'],
+        coloquial: ['amigados', 'amigada', 'amigado', 'vivemos juntos', 'vivem juntos', 'juntados'],
+        nivel_dificuldade: 2
+      },
+      'alimentos': {
+        categoria: 'direito_familia',
+        sinonimos: [],
+        variantes: ['pensão alimentícia'],
+        coloquial: ['pensão de alimentos', 'pensão dos filhos', 'mesada dos filhos'],
+        nivel_dificuldade: 2
+      },
       
       // Direito Civil/Propriedade
       'usucapião': {
@@ -88,6 +117,7 @@ export class LegalGlossary {
       'posse': {
         categoria: 'direito_civil',
         sinonimos: ['detenção'],
+        expansao: false, // "detenção" nas perguntas é quase sempre prisão
         nivel_dificuldade: 2
       },
       'propriedade': {
@@ -95,6 +125,13 @@ export class LegalGlossary {
         sinonimos: ['domínio'],
         nivel_dificuldade: 1
       },
+      'arrendamento': {
+        categoria: 'direito_civil',
+        sinonimos: ['locação'],
+        variantes: ['aluguel'],
+        coloquial: ['aluguer', 'renda de casa', 'inquilino', 'senhorio'],
+        nivel_dificuldade: 1
+      },
       'boa-fé': {
         categoria: 'direito_civil',
         sinonimos: ['boa fé'],
@@ -110,6 +147,7 @@ export class LegalGlossary {
       'dolo': {
         categoria: 'direito_penal',
         sinonimos: ['intenção'],
+        expansao: false, // "intenção" é uma palavra comum
         nivel_dificuldade: 3
       },
       'culpa': {
@@ -121,17 +159,42 @@ export class LegalGlossary {
         categoria: 'direito_penal',
         sinonimos: [],
         nivel_dificuldade: 3
+      },
+      'ofensa corporal': {
+        categoria: 'direito_penal',
+        sinonimos: ['ofensas corporais'],
+        coloquial: ['agressão', 'espancamento', 'espancada', 'espancado', 'bateu-me', 'me bateu'],
+        nivel_dificuldade: 2
       }
     };
   }
 
   /**
-   * Detecta se a pergunta é um pedido de glossário
+   * Entradas para a expansão de perguntas (ver QueryExpander)
+   * - sinonimos: palavra equivalente (ignorados se o termo tiver expansao: false)
+   * - variantes: grafias PT-BR ou formas brasileiras do termo
+   * - coloquial: expressões do dia-a-dia que correspondem ao termo
+   * @returns {Array} [{ termo, variante, tipo: 'sinonimo'|'ortografia'|'coloquial' }]
+   */
+  getExpansionEntries() {
+    const entries = [];
+    for (const [termo, data] of Object.entries(this.commonTerms)) {
+      if (data.expansao !== false) {
+        data.sinonimos.forEach(variante => entries.push({ termo, variante, tipo: 'sinonimo' }));
+      }
+      (data.variantes || []).forEach(variante => entries.push({ termo, variante, tipo: 'ortografia' }));
+      (data.coloquial || []).forEach(variante => entries.push({ termo, variante, tipo: 'coloquial' }));
+    }
+    return entries;
+  }
+
+  /**
+   * Termo pedido numa pergunta de glossário ("o que é...", "explique...", "significado de..."),
+   * conhecido ou não, sem o artigo inicial ("o que é a meação" -> "meação")
    * @param {string} pergunta - Pergunta do usuário
-   * @param {Object} conversationContext - Contexto da conversa anterior
-   * @returns {Object|null} { termo, confianca } ou null
+   * @returns {string|null}
    */
-  detectGlossaryRequest(pergunta, conversationContext = null) {
+  extractRequestedTerm(pergunta) {
     const perguntaLower = pergunta.toLowerCase().trim();
     
     // Padrões comuns de pedido de glossário
@@ -147,25 +210,50 @@ export class LegalGlossary {
     for (const pattern of patterns) {
       const match = perguntaLower.match(pattern);
       if (match && match[1]) {
-        const termo = match[1].trim();
-        
-        // Verificar se termo existe no banco ou se apareceu na conversa anterior
-        const isKnownTerm = this.isKnownTerm(termo);
-        const wasInPreviousResponse = conversationContext?.termos_tecnicos_usados?.includes(termo);
-        
-        if (isKnownTerm || wasInPreviousResponse) {
-          return {
-            termo: termo,
-            confianca: isKnownTerm ? 0.95 : 0.85,
-            fonte: isKnownTerm ? 'banco_termos' : 'conversa_anterior'
-          };
-        }
+        const termo = match[1].trim().replace(/^(?:o|a|os|as|um|uma) /, '');
+        if (termo) return termo;
       }
     }
 
     return null;
   }
 
+  /**
+   * Detecta se a pergunta é um pedido de glossário
+   * @param {string} pergunta - Pergunta do usuário
+   * @param {Object} conversationContext - Contexto da conversa anterior
+   * @returns {Object|null} { termo, confianca } ou null
+   */
+  detectGlossaryRequest(pergunta, conversationContext = null) {
+    const termo = this.extractRequestedTerm(pergunta);
+    if (!termo) return null;
+
+    // Verificar se termo existe no banco ou se apareceu na conversa anterior
+    const isKnownTerm = this.isKnownTerm(termo);
+    const wasInPreviousResponse = conversationContext?.termos_tecnicos_usados?.includes(termo);
+    
+    if (isKnownTerm || wasInPreviousResponse) {
+      return {
+        termo: termo,
+        confianca: isKnownTerm ? 0.95 : 0.85,
+        fonte: isKnownTerm ? 'banco_termos' : 'conversa_anterior'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Termos do glossário (com sinónimos, variantes e expressões coloquiais) por área legal,
+   * para o léxico de áreas do classificador de intenção
+   * @returns {Array<Object>} [{ variante, area }]
+   */
+  getAreaEntries() {
+    return Object.entries(this.commonTerms).flatMap(([termo, data]) =>
+      [termo, ...data.sinonimos, ...(data.variantes || []), ...(data.coloquial || [])]
+        .map(variante => ({ variante, area: data.categoria })));
+  }
+
   /**
    * Verifica se termo é conhecido
    * @param {string} termo - Termo a verificar
@@ -240,13 +328,17 @@ export class LegalGlossary {
    * @param {string} termo - Termo a explicar
    * @param {Array} relevantChunks - Chunks de leis relevantes (do RAG)
    * @param {Object} conversationContext - Contexto da conversa
+   * @param {Object} options - { onToken, agente } onToken recebe a explicação fragmento a fragmento
+   *   (streaming); agente é uma AgentSession (ver agent.js) que gera no lugar do LLM
    * @returns {Promise<Object>} Explicação estruturada
    */
-  async explainTerm(termo, relevantChunks = [], conversationContext = null) {
+  async explainTerm(termo, relevantChunks = [], conversationContext = null, options = {}) {
     // Verificar cache
     if (this.termCache.has(termo)) {
       console.log(`   ✓ Termo "${termo}" encontrado em cache`);
-      return this.termCache.get(termo);
+      const cached = this.termCache.get(termo);
+      options.onToken?.(cached.explicacao);
+      return cached;
     }
 
     const termoNormalizado = this.normalizeTerm(termo);
@@ -255,7 +347,7 @@ export class LegalGlossary {
     // Preparar contexto das leis
     const leisContext = relevantChunks.length > 0 
       ? relevantChunks
-          .map((chunk, i) => `[LEI ${i + 1}] (${chunk.lei})\n${chunk.text}`)
+          .map((chunk, i) => `[LEI ${i + 1}] (${chunk.path || chunk.lei})\n${chunk.text}`)
           .join('\n\n━━━━━━━━━━━━━━━━━━━━━━━\n\n')
       : 'Nenhum trecho de lei específico encontrado.';
 
@@ -322,15 +414,14 @@ Use exemplos específicos de Moçambique.`;
     try {
       console.log(`\n📖 Gerando explicação para: "${termo}"`);
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await (options.agente || this.llm).complete({
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.7,
         max_tokens: 2500
-      });
+      }, options.onToken);
 
       const explicacao = response.choices[0].message.content;
 
@@ -0,0 +1,197 @@
+import { tokenize } from './lexical-index.js';
+
+/**
+ * Limiares por modo do /api/perguntar-rag
+ * - minSuporte: fração mínima de afirmações suportadas pelos trechos; abaixo, a resposta é substituída
+ * As respostas de assistência e de glossário têm passos práticos e exemplos
+ * que não vêm das leis, por isso exigem menos suporte do que a consulta.
+ */
+export const GROUNDING_PROFILES = {
+  consulta: { minSuporte: 0.5 },
+  assistencia: { minSuporte: 0.3 },
+  glossario: { minSuporte: 0.25 }
+};
+
+// Uma afirmação precisa de pelo menos 5 termos com conteúdo (sem palavras de ligação)
+const MIN_CLAIM_TERMS = 5;
+
+// Fração dos termos de uma afirmação presentes num trecho a partir da qual conta como suportada
+const LEXICAL_COVERAGE = 0.6;
+
+// Pesos da confiança final: recuperação, afirmações suportadas e citações verificadas
+const CONFIDENCE_WEIGHTS = { recuperacao: 0.3, suporte: 0.5, citacoes: 0.2 };
+
+// Perguntas com menos termos do que isto são vagas demais para responder sem mais detalhes
+const VAGUE_QUESTION_TERMS = 4;
+
+// Marcadores de markdown e listas no início das linhas
+const LINE_PREFIX_REGEX = /^\s*(?:#{1,6}\s+|[-*•>]\s+|\d+[.)]\s+|[✓✔☐☑✅❌⚠️🛡️📋🆘💡📜💬🔗📚🚨]+\s*)+/u;
+
+function clamp(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Verificação da fundamentação das respostas
+ * 1. Antes da geração: confiança da recuperação, a partir da similaridade do
+ *    melhor trecho (limiares de cosseno); abaixo do mínimo não vale a pena gerar.
+ * 2. Depois da geração: cada afirmação da resposta é comparada com os trechos
+ *    (cosseno dos embeddings e cobertura dos termos); conta como suportada se
+ *    algum trecho a cobrir.
+ * A confiança final junta as duas fases e as citações verificadas.
+ */
+export class GroundingChecker {
+  /**
+   * @param {Retriever} retriever - Para os embeddings dos trechos (ver textSimilarities)
+   * @param {Object} options
+   * @param {number} options.minSimilarity - Similaridade do melhor trecho abaixo da qual a recuperação é fraca
+   * @param {number} options.strongSimilarity - Similaridade a partir da qual a recuperação tem confiança total
+   * @param {number} options.claimSimilarity - Similaridade afirmação-trecho a partir da qual a afirmação é suportada
+   */
+  constructor(retriever, { minSimilarity = 0.3, strongSimilarity = 0.55, claimSimilarity = 0.55 } = {}) {
+    if (!(minSimilarity < strongSimilarity)) {
+      throw new Error(`Limiares de fundamentação inválidos: mínimo ${minSimilarity} deve ser menor que ${strongSimilarity}`);
+    }
+    this.retriever = retriever;
+    this.minSimilarity = minSimilarity;
+    this.strongSimilarity = strongSimilarity;
+    this.claimSimilarity = claimSimilarity;
+  }
+
+  getProfile(modo) {
+    return GROUNDING_PROFILES[modo] || GROUNDING_PROFILES.consulta;
+  }
+
+  /**
+   * Confiança da recuperação (0-1) a partir do melhor trecho
+   * @param {Array} chunks - Trechos recuperados
+   * @param {string} modoBusca - No modo lexical a similaridade é BM25 normalizado e não serve
+   * @returns {Object} { valor, similaridade_maxima, fraca }
+   */
+  retrievalConfidence(chunks, modoBusca) {
+    if (chunks.some(c => c.exact)) {
+      return { valor: 1, similaridade_maxima: 1, fraca: false };
+    }
+    if (modoBusca === 'lexical') {
+      return { valor: null, similaridade_maxima: null, fraca: chunks.length === 0 };
+    }
+
+    const best = chunks.filter(c => !c.suporte).reduce((max, c) => Math.max(max, c.similarity || 0), 0);
+    return {
+      valor: round(clamp((best - this.minSimilarity) / (this.strongSimilarity - this.minSimilarity))),
+      similaridade_maxima: round(best),
+      fraca: best < this.minSimilarity
+    };
+  }
+
+  /**
+   * Pergunta vaga demais (poucos termos ou classificador pouco confiante)?
+   */
+  isVague(pergunta, classification) {
+    return tokenize(pergunta).length < VAGUE_QUESTION_TERMS || (classification.confianca ?? 1) < 0.5;
+  }
+
+  /**
+   * Afirmações verificáveis de uma resposta: frases com conteúdo, sem títulos nem perguntas
+   * @returns {Array<string>}
+   */
+  splitClaims(resposta) {
+    const claims = [];
+    for (const rawLine of resposta.split('\n')) {
+      const line = rawLine.replace(LINE_PREFIX_REGEX, '').replace(/[*_`]/g, '').trim();
+      if (!line || line.endsWith(':')) continue;
+
+      for (const sentence of line.split(/(?<=[.!;])\s+(?=[A-ZÀ-Ú0-9"«(])/)) {
+        const text = sentence.trim();
+        if (text.endsWith('?')) continue;
+        if (tokenize(text).length >= MIN_CLAIM_TERMS) claims.push(text);
+      }
+    }
+    return claims;
+  }
+
+  /**
+   * Verifica que afirmações da resposta estão suportadas pelos trechos
+   * @param {string} resposta - Texto gerado
+   * @param {Array} chunks - Trechos fornecidos ao gerador
+   * @returns {Promise<Object>} { afirmacoes: [{ texto, suporte, suportada, fonte }], total, suportadas, fracao }
+   */
+  async checkClaims(resposta, chunks) {
+    const claims = this.splitClaims(resposta);
+    if (claims.length === 0 || chunks.length === 0) {
+      return {
+        afirmacoes: claims.map(texto => ({ texto, suporte: 0, suportada: false, fonte: null })),
+        total: claims.length,
+        suportadas: 0,
+        fracao: claims.length === 0 ? null : 0
+      };
+    }
+
+    const similarities = await this.retriever.textSimilarities(claims, chunks);
+    const chunkTerms = chunks.map(c => new Set(tokenize(c.text)));
+
+    const afirmacoes = claims.map((texto, i) => {
+      const terms = [...new Set(tokenize(texto))];
+      let best = { suporte: 0, index: -1 };
+      chunks.forEach((chunk, j) => {
+        const coverage = terms.filter(t => chunkTerms[j].has(t)).length / terms.length;
+        // Cada critério normalizado pelo seu limiar: >= 1 em qualquer deles basta
+        const suporte = Math.max(similarities[i][j] / this.claimSimilarity, coverage / LEXICAL_COVERAGE);
+        if (suporte > best.suporte) best = { suporte, index: j };
+      });
+
+      const suportada = best.suporte >= 1;
+      return {
+        texto,
+        suporte: round(clamp(best.suporte)),
+        suportada,
+        fonte: suportada ? chunks[best.index].path || chunks[best.index].lei : null
+      };
+    });
+
+    const suportadas = afirmacoes.filter(a => a.suportada).length;
+    return { afirmacoes, total: afirmacoes.length, suportadas, fracao: round(suportadas / afirmacoes.length) };
+  }
+
+  /**
+   * Confiança da resposta (0-1) e nível para a interface
+   * @param {Object} parts - { recuperacao, suporte, citacoes } (null = não disponível)
+   * @returns {Object} { valor, nivel, recuperacao, suporte, citacoes }
+   */
+  confidence({ recuperacao = null, suporte = null, citacoes = null }) {
+    const parts = { recuperacao, suporte, citacoes };
+    let total = 0;
+    let weights = 0;
+    for (const [name, value] of Object.entries(parts)) {
+      if (value === null || value === undefined) continue;
+      total += CONFIDENCE_WEIGHTS[name] * value;
+      weights += CONFIDENCE_WEIGHTS[name];
+    }
+
+    const valor = weights > 0 ? round(total / weights) : null;
+    const nivel = valor === null ? 'desconhecida' : valor >= 0.7 ? 'alta' : valor >= 0.45 ? 'media' : 'baixa';
+    return { valor, nivel, ...parts };
+  }
+
+  /**
+   * Texto de abstenção quando as leis disponíveis não suportam uma resposta
+   * @param {Array<string>} leis - Leis mais próximas consultadas
+   */
+  buildAbstention(leis = []) {
+    const proximas = leis.length > 0
+      ? `\n\nAs leis mais próximas que consultei foram:\n${leis.slice(0, 3).map(lei => `- ${lei}`).join('\n')}`
+      : '';
+    return `Não há resposta segundo as leis disponíveis: os trechos que encontrei não sustentam uma resposta segura a esta pergunta.${proximas}\n\nPode reformular a pergunta com mais detalhes ou procurar aconselhamento jurídico (por exemplo, no IPAJ — Instituto do Patrocínio e Assistência Jurídica).`;
+  }
+
+  /**
+   * Pedido de mais detalhes quando a pergunta é vaga e a recuperação fraca
+   */
+  buildClarification() {
+    return `Não encontrei nas leis disponíveis trechos que respondam com segurança à sua pergunta. Pode dar mais detalhes?\n\n- Que tipo de situação é (trabalho, família, herança, terra, crime...)?\n- O que aconteceu e quando?\n- O que gostaria de saber ou de fazer?`;
+  }
+}
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Incrementar sempre que o formato do ficheiro de índice mudar
+export const INDEX_VERSION = 1;
+
+/**
+ * Calcula hash SHA-256 de um conteúdo (Buffer ou string)
+ * @param {Buffer|string} content
+ * @returns {string} Hash hexadecimal
+ */
+export function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Armazenamento persistente do índice RAG
+ * Guarda chunks, metadados e embeddings por lei, chaveados pelo hash
+ * do conteúdo do PDF e pela configuração de chunking/embeddings.
+ */
+export class IndexStore {
+  constructor(indexPath) {
+    this.indexPath = indexPath;
+    this.laws = new Map(); // lei -> { contentHash, configHash, chunks }
+  }
+
+  /**
+   * Carrega o índice do disco (ignora ficheiros de versão diferente)
+   * @returns {boolean} true se o índice foi carregado
+   */
+  load() {
+    this.laws.clear();
+
+    if (!fs.existsSync(this.indexPath)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'));
+
+      if (data.version !== INDEX_VERSION) {
+        console.warn(`⚠️  Índice RAG com versão ${data.version} (esperada ${INDEX_VERSION}), será reconstruído`);
+        return false;
+      }
+
+      for (const [lawName, entry] of Object.entries(data.laws || {})) {
+        this.laws.set(lawName, {
+          contentHash: entry.contentHash,
+          configHash: entry.configHash,
+          chunks: entry.chunks.map(chunk => ({
+            ...chunk,
+            embedding: decodeEmbedding(chunk.embedding)
+          }))
+        });
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`Erro ao carregar índice RAG ${this.indexPath}:`, error.message);
+      this.laws.clear();
+      return false;
+    }
+  }
+
+  /**
+   * Devolve os chunks de uma lei se o conteúdo e a configuração coincidirem
+   * @param {string} lawName - Nome da lei
+   * @param {string} hash - Hash do conteúdo atual
+   * @param {string} configHash - Hash da configuração atual
+   * @returns {Array|null} Chunks guardados ou null se desatualizados
+   */
+  get(lawName, hash, configHash) {
+    const entry = this.laws.get(lawName);
+    if (!entry || entry.contentHash !== hash || entry.configHash !== configHash) {
+      return null;
+    }
+    return entry.chunks;
+  }
+
+  set(lawName, hash, configHash, chunks) {
+    this.laws.set(lawName, { contentHash: hash, configHash, chunks });
+  }
+
+  /**
+   * Remove leis que já não existem no corpus
+   * @param {Iterable<string>} currentLaws - Nomes das leis atuais
+   * @returns {Array<string>} Leis removidas
+   */
+  prune(currentLaws) {
+    const keep = new Set(currentLaws);
+    const removed = [];
+    for (const lawName of this.laws.keys()) {
+      if (!keep.has(lawName)) {
+        this.laws.delete(lawName);
+        removed.push(lawName);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Grava o índice em disco (escrita atómica via ficheiro temporário)
+   */
+  save() {
+    const laws = {};
+    for (const [lawName, entry] of this.laws.entries()) {
+      laws[lawName] = {
+        contentHash: entry.contentHash,
+        configHash: entry.configHash,
+        chunks: entry.chunks.map(chunk => ({
+          ...chunk,
+          embedding: encodeEmbedding(chunk.embedding)
+        }))
+      };
+    }
+
+    const data = {
+      version: INDEX_VERSION,
+      updatedAt: new Date().toISOString(),
+      laws
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+      const tmpPath = `${this.indexPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data));
+      fs.renameSync(tmpPath, this.indexPath);
+      return true;
+    } catch (error) {
+      // Em ambientes só de leitura (ex: Vercel) o índice continua em memória
+      console.warn(`⚠️  Não foi possível gravar índice RAG em ${this.indexPath}: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+// Embeddings guardados como Float32 em base64 (~4x menor que JSON de números)
+function encodeEmbedding(embedding) {
+  return Buffer.from(new Float32Array(embedding).buffer).toString('base64');
+}
+
+function decodeEmbedding(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  // Cópia alinhada (o Buffer pode partilhar memória com outros)
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
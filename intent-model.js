@@ -0,0 +1,78 @@
+import { foldText } from './law-catalog.js';
+import { stemPortuguese } from './lexical-index.js';
+
+/**
+ * Termos de uma pergunta para o modelo de intenção: palavras com stemming e
+ * pares de palavras seguidas. Ao contrário da pesquisa (lexical-index.js),
+ * as palavras de ligação ficam: "o meu", "fui", "o que é" distinguem os modos.
+ * @param {string} text
+ * @returns {Array<string>} Termos
+ */
+export function intentFeatures(text) {
+  const words = (foldText(text || '').match(/[a-z0-9]+/g) || []).map(stemPortuguese);
+  const pairs = words.slice(1).map((word, i) => `${words[i]}_${word}`);
+  return [...words, ...pairs];
+}
+
+/**
+ * Naive Bayes multinomial (suavização de Laplace) sobre intentFeatures
+ * Pequeno e determinístico: treina em milissegundos com o ficheiro de exemplos
+ * e classifica sem rede nem LLM.
+ */
+export class NaiveBayesClassifier {
+  constructor({ alpha = 1 } = {}) {
+    this.alpha = alpha;
+    this.labels = new Map(); // rótulo -> { documentos, termos: Map, total }
+    this.vocabulary = new Set();
+    this.documents = 0;
+  }
+
+  /**
+   * Treina com exemplos rotulados
+   * @param {Array<Object>} exemplos - [{ texto, rotulo }]
+   * @returns {NaiveBayesClassifier}
+   */
+  train(exemplos) {
+    for (const { texto, rotulo } of exemplos) {
+      if (!this.labels.has(rotulo)) this.labels.set(rotulo, { documentos: 0, termos: new Map(), total: 0 });
+      const label = this.labels.get(rotulo);
+      label.documentos++;
+      for (const feature of intentFeatures(texto)) {
+        label.termos.set(feature, (label.termos.get(feature) || 0) + 1);
+        label.total++;
+        this.vocabulary.add(feature);
+      }
+      this.documents++;
+    }
+    return this;
+  }
+
+  /**
+   * Classifica um texto
+   * @returns {Object|null} { rotulo, confianca, probabilidades } ou null sem treino
+   *   (confianca é a probabilidade a posteriori do rótulo escolhido)
+   */
+  predict(texto) {
+    if (this.documents === 0) return null;
+
+    // Termos nunca vistos no treino não distinguem os rótulos
+    const features = intentFeatures(texto).filter(feature => this.vocabulary.has(feature));
+    const logScores = [...this.labels].map(([rotulo, label]) => {
+      const denominador = label.total + this.alpha * this.vocabulary.size;
+      const score = features.reduce(
+        (sum, feature) => sum + Math.log(((label.termos.get(feature) || 0) + this.alpha) / denominador),
+        Math.log(label.documentos / this.documents)
+      );
+      return [rotulo, score];
+    });
+
+    // Softmax estável dos log-scores
+    const max = Math.max(...logScores.map(([, score]) => score));
+    const exps = logScores.map(([rotulo, score]) => [rotulo, Math.exp(score - max)]);
+    const soma = exps.reduce((sum, [, value]) => sum + value, 0);
+    const probabilidades = Object.fromEntries(exps.map(([rotulo, value]) => [rotulo, value / soma]));
+    const [rotulo, confianca] = Object.entries(probabilidades).sort((a, b) => b[1] - a[1])[0];
+
+    return { rotulo, confianca, probabilidades };
+  }
+}
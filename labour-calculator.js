@@ -0,0 +1,460 @@
+import { isValidISODate } from './law-catalog.js';
+import { todayMaputo } from './deadlines.js';
+
+const LEI_TRABALHO = 'lei-13-2023';
+
+// Tipos de contrato aceites
+export const CONTRACT_TYPES = ['indeterminado', 'prazo_certo', 'prazo_incerto'];
+
+// Motivos de cessação do contrato (Lei do Trabalho, artigos 135 a 146)
+export const TERMINATION_REASONS = {
+  despedimento_ilicito: 'Despedimento sem justa causa ou declarado ilícito',
+  justa_causa_trabalhador: 'Rescisão pelo trabalhador com justa causa',
+  motivos_economicos: 'Rescisão pelo empregador por motivos estruturais, tecnológicos ou de mercado',
+  justa_causa_empregador: 'Rescisão pelo empregador com justa causa (despedimento disciplinar)',
+  denuncia_trabalhador: 'Denúncia pelo trabalhador (demissão com aviso prévio)',
+  caducidade: 'Caducidade (fim do prazo, reforma, incapacidade)',
+  periodo_probatorio: 'Denúncia durante o período probatório'
+};
+
+// Salário diário = salário mensal / 30 (as férias e os prazos da Lei do Trabalho contam em dias de calendário)
+const DIAS_POR_MES = 30;
+
+// Remunerações vencidas desde o despedimento ilícito, no máximo (artigo 76, n.º 3)
+const MAX_MESES_INTERCALARES = 6;
+
+// Quem deve dar o aviso prévio
+const AVISO_PREVIO_PARTES = { trabalhador: 'o trabalhador', empregador: 'o empregador', ambas: 'qualquer das partes' };
+
+// Quem tomou a iniciativa da cessação, quando o motivo não o diz (período probatório)
+export const TERMINATION_INITIATIVES = ['empregador', 'trabalhador'];
+
+// Dias de salário por ano de serviço na rescisão por motivos económicos, por escalão de salários mínimos (artigo 141, n.º 3)
+const ESCALOES_ECONOMICOS = [
+  { ateSalariosMinimos: 7, dias: 30, alinea: 'a' },
+  { ateSalariosMinimos: 18, dias: 15, alinea: 'b' },
+  { ateSalariosMinimos: Infinity, dias: 5, alinea: 'c' }
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function parseISO(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+function nextDay(isoDate) {
+  const date = parseISO(isoDate);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Anos, meses e dias completos entre duas datas
+ */
+function elapsed(fromISO, toISO) {
+  const from = parseISO(fromISO);
+  const to = parseISO(toISO);
+  let anos = to.getUTCFullYear() - from.getUTCFullYear();
+  let meses = to.getUTCMonth() - from.getUTCMonth();
+  let dias = to.getUTCDate() - from.getUTCDate();
+  if (dias < 0) {
+    meses--;
+    dias += new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), 0)).getUTCDate();
+  }
+  if (meses < 0) {
+    anos--;
+    meses += 12;
+  }
+  return { anos, meses, dias };
+}
+
+export function formatMZN(value) {
+  return `${value.toLocaleString('pt-PT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} MT`;
+}
+
+/**
+ * Valida os dados da calculadora (pedido da API ou factos extraídos)
+ * Campos: salario (base + bónus de antiguidade, artigo 118, n.º 3), data_inicio,
+ * data_fim, tipo_contrato, motivo; opcionais: data_termo_contrato (prazo certo),
+ * salario_minimo (motivos económicos), aviso_previo_cumprido, iniciativa
+ * (período probatório: quem denunciou o contrato), ferias_gozadas,
+ * meses_salario_em_atraso
+ * @returns {Object} { erro } ou { dados }
+ */
+export function parseLabourInput(input = {}) {
+  const {
+    salario,
+    data_inicio,
+    data_fim,
+    tipo_contrato = 'indeterminado',
+    motivo,
+    data_termo_contrato = null,
+    salario_minimo = null,
+    aviso_previo_cumprido = true,
+    iniciativa = null,
+    ferias_gozadas = 0,
+    meses_salario_em_atraso = 0
+  } = input;
+
+  if (!(typeof salario === 'number' && salario > 0)) {
+    return { erro: 'salario deve ser um número positivo (salário base mensal, em meticais)' };
+  }
+  for (const [campo, valor] of Object.entries({ data_inicio, data_fim })) {
+    if (!isValidISODate(valor)) {
+      return { erro: `${campo} inválida (formato esperado: AAAA-MM-DD)` };
+    }
+  }
+  if (data_fim < data_inicio) {
+    return { erro: 'data_fim não pode ser anterior a data_inicio' };
+  }
+  if (!CONTRACT_TYPES.includes(tipo_contrato)) {
+    return { erro: `tipo_contrato inválido (valores aceites: ${CONTRACT_TYPES.join(', ')})` };
+  }
+  if (!TERMINATION_REASONS[motivo]) {
+    return { erro: `motivo inválido (valores aceites: ${Object.keys(TERMINATION_REASONS).join(', ')})` };
+  }
+  if (data_termo_contrato !== null && !(isValidISODate(data_termo_contrato) && data_termo_contrato >= data_fim)) {
+    return { erro: 'data_termo_contrato inválida (AAAA-MM-DD, igual ou posterior a data_fim)' };
+  }
+  if (salario_minimo !== null && !(typeof salario_minimo === 'number' && salario_minimo > 0)) {
+    return { erro: 'salario_minimo deve ser um número positivo' };
+  }
+  if (typeof aviso_previo_cumprido !== 'boolean') {
+    return { erro: 'aviso_previo_cumprido deve ser true ou false' };
+  }
+  if (iniciativa !== null && !TERMINATION_INITIATIVES.includes(iniciativa)) {
+    return { erro: `iniciativa inválida (valores aceites: ${TERMINATION_INITIATIVES.join(', ')})` };
+  }
+  for (const [campo, valor] of Object.entries({ ferias_gozadas, meses_salario_em_atraso })) {
+    if (!(typeof valor === 'number' && valor >= 0)) {
+      return { erro: `${campo} deve ser um número igual ou superior a 0` };
+    }
+  }
+
+  return {
+    dados: {
+      salario, data_inicio, data_fim, tipo_contrato, motivo, data_termo_contrato,
+      salario_minimo, aviso_previo_cumprido, iniciativa, ferias_gozadas, meses_salario_em_atraso
+    }
+  };
+}
+
+/**
+ * Calculadora de direitos laborais na cessação do contrato
+ * Indemnização, aviso prévio, férias e salários em atraso segundo a Lei do
+ * Trabalho (Lei n.º 13/2023), com o artigo de cada valor. Os valores são
+ * os mínimos legais: o contrato ou o instrumento de regulamentação colectiva
+ * podem prever valores mais favoráveis (artigo 141, n.º 4).
+ */
+export class LabourCalculator {
+  /**
+   * @param {LawCatalog} catalog - Nome oficial da Lei do Trabalho nas fontes
+   */
+  constructor(catalog) {
+    this.catalog = catalog;
+  }
+
+  fonte(artigo, numero, alinea = null) {
+    return { lei_id: LEI_TRABALHO, lei: this.catalog.getTitle(LEI_TRABALHO), artigo, numero, ...(alinea && { alinea }) };
+  }
+
+  /**
+   * Remunerações que se venceriam até ao termo convencionado do contrato a prazo certo
+   */
+  remainingSalaries(dados, diario, fonte, descricao) {
+    if (!dados.data_termo_contrato) {
+      return { falta: 'data_termo_contrato' };
+    }
+    const dias = Math.round((parseISO(dados.data_termo_contrato) - parseISO(dados.data_fim)) / 86400000);
+    return {
+      valor: {
+        id: 'indemnizacao',
+        descricao,
+        valor: round2(dias * diario),
+        calculo: `${dias} dias até ao termo do contrato (${dados.data_termo_contrato}) × ${formatMZN(diario)}`,
+        fonte
+      }
+    };
+  }
+
+  /**
+   * Indemnização de 45 dias de salário por ano de serviço (rateada) ou remunerações até ao termo
+   */
+  justCauseCompensation(dados, diario, anosServico, descricao) {
+    if (dados.tipo_contrato === 'prazo_certo') {
+      return this.remainingSalaries(dados, diario, this.fonte(139, 3), descricao);
+    }
+    return {
+      valor: {
+        id: 'indemnizacao',
+        descricao,
+        valor: round2(45 * diario * anosServico),
+        calculo: `45 dias × ${formatMZN(diario)} × ${anosServico} anos de serviço`,
+        fonte: this.fonte(139, 2)
+      }
+    };
+  }
+
+  /**
+   * Indemnização por motivos estruturais, tecnológicos ou de mercado
+   */
+  economicCompensation(dados, diario, anosServico) {
+    const descricao = 'Indemnização por rescisão por motivos económicos';
+    if (dados.tipo_contrato === 'prazo_certo') {
+      return this.remainingSalaries(dados, diario, this.fonte(142, 4), descricao);
+    }
+    if (!dados.salario_minimo) {
+      return { falta: 'salario_minimo' };
+    }
+
+    const salariosMinimos = dados.salario / dados.salario_minimo;
+    const escalao = ESCALOES_ECONOMICOS.find(e => salariosMinimos <= e.ateSalariosMinimos);
+    return {
+      valor: {
+        id: 'indemnizacao',
+        descricao,
+        valor: round2(escalao.dias * diario * anosServico),
+        calculo: `${escalao.dias} dias × ${formatMZN(diario)} × ${anosServico} anos de serviço (salário de ${round2(salariosMinimos)} salários mínimos)`,
+        fonte: dados.tipo_contrato === 'prazo_incerto' ? this.fonte(141, 5) : this.fonte(141, 3, escalao.alinea)
+      }
+    };
+  }
+
+  /**
+   * Aviso prévio devido pelo trabalhador que se demite (dias)
+   * @returns {Object|null} { dias, fonte } ou null quando a lei não fixa prazo
+   */
+  resignationNotice(dados, antiguidade) {
+    if (dados.tipo_contrato === 'prazo_certo') {
+      return { dias: 30, fonte: this.fonte(140, 2) };
+    }
+    // "superior a" seis meses / três anos: um dia além do período já conta
+    const meses = antiguidade.anos * 12 + antiguidade.meses;
+    const superiorA = limite => meses > limite || (meses === limite && antiguidade.dias > 0);
+    if (superiorA(36)) return { dias: 30, fonte: this.fonte(140, 3, 'b') };
+    if (superiorA(6)) return { dias: 15, fonte: this.fonte(140, 3, 'a') };
+    return null;
+  }
+
+  /**
+   * Dias de férias vencidos no ano da cessação (artigo 108): o direito anual
+   * proporcional ao tempo de serviço nesse ano (o dia da cessação conta)
+   */
+  holidayEntitlement(dados, antiguidade) {
+    const mesesServico = antiguidade.anos * 12 + antiguidade.meses;
+    if (dados.tipo_contrato === 'prazo_certo' && mesesServico > 3 && mesesServico < 12) {
+      return { dias: mesesServico, fonte: this.fonte(108, 3), regra: `1 dia por mês de serviço (${mesesServico} meses)` };
+    }
+
+    const anual = antiguidade.anos === 0
+      ? { dias: 12, regra: '12 dias no primeiro ano' }
+      : { dias: 30, regra: '30 dias a partir do segundo ano' };
+    const inicioAno = `${dados.data_fim.substring(0, 4)}-01-01`;
+    const noAno = elapsed(dados.data_inicio > inicioAno ? dados.data_inicio : inicioAno, nextDay(dados.data_fim));
+    const meses = Math.min(round2(noAno.anos * 12 + noAno.meses + noAno.dias / DIAS_POR_MES), 12);
+    return {
+      dias: round2(anual.dias * meses / 12),
+      fonte: this.fonte(108, 1),
+      regra: meses === 12 ? anual.regra : `${anual.regra} × ${meses} de 12 meses de serviço no ano da cessação`
+    };
+  }
+
+  /**
+   * Aviso prévio não cumprido: a parte que o devia dar paga o salário desses dias
+   * (ao trabalhador, quando é o empregador; deduzido, quando é o trabalhador)
+   * @returns {Object} { valor } a receber, { deducao } ou {} sem valor a pagar
+   */
+  unmetNotice(dados, diario, aviso, devidoPor) {
+    if (dados.aviso_previo_cumprido) return {};
+    const montante = { valor: round2(aviso.dias * diario), calculo: `${aviso.dias} dias × ${formatMZN(diario)}`, fonte: aviso.fonte };
+    return devidoPor === 'empregador'
+      ? { valor: { id: 'aviso_previo', descricao: 'Salário do aviso prévio que o empregador não deu', ...montante } }
+      : { deducao: { id: 'indemnizacao_aviso_previo', descricao: 'Indemnização ao empregador pelo aviso prévio não cumprido', ...montante } };
+  }
+
+  /**
+   * Calcula os valores devidos na cessação do contrato
+   * @param {Object} dados - Dados validados por parseLabourInput
+   * @returns {Object} { dados, antiguidade, salario_diario, valores, total_a_receber,
+   *   total_a_deduzir, aviso_previo, dados_em_falta, notas }
+   */
+  calculate(dados) {
+    const antiguidade = elapsed(dados.data_inicio, dados.data_fim);
+    const anosServico = round2(antiguidade.anos + (antiguidade.meses + antiguidade.dias / DIAS_POR_MES) / 12);
+    const diario = round2(dados.salario / DIAS_POR_MES);
+
+    const valores = [];
+    const deducoes = [];
+    const dadosEmFalta = [];
+    const notas = [];
+    let avisoPrevio = null;
+
+    const add = result => {
+      if (result.falta) dadosEmFalta.push(result.falta);
+      else valores.push(result.valor);
+    };
+
+    switch (dados.motivo) {
+      case 'despedimento_ilicito':
+        // Sem reintegração, a indemnização é a do artigo 139 (artigo 76, n.º 5)
+        add(this.justCauseCompensation(dados, diario, anosServico, 'Indemnização por despedimento ilícito, em alternativa à reintegração'));
+        valores.push({
+          id: 'remuneracoes_vencidas',
+          descricao: 'Remunerações vencidas desde o despedimento até à reintegração (valor máximo)',
+          valor: round2(MAX_MESES_INTERCALARES * dados.salario),
+          maximo: true,
+          calculo: `até ${MAX_MESES_INTERCALARES} meses × ${formatMZN(dados.salario)}`,
+          fonte: this.fonte(76, 3)
+        });
+        notas.push('A ilicitude do despedimento tem de ser declarada pelo tribunal do trabalho ou por arbitragem laboral (artigo 76, n.º 1).');
+        break;
+
+      case 'justa_causa_trabalhador':
+        add(this.justCauseCompensation(dados, diario, anosServico, 'Indemnização por rescisão com justa causa pelo trabalhador'));
+        avisoPrevio = { dias: 7, devido_por: 'trabalhador', fonte: this.fonte(139, 1) };
+        if (!dados.aviso_previo_cumprido) {
+          deducoes.push({
+            id: 'multa_aviso_previo',
+            descricao: 'Multa por falta de comunicação prévia de 7 dias, deduzida da indemnização',
+            valor: round2(7 * diario),
+            calculo: `7 dias × ${formatMZN(diario)}`,
+            fonte: this.fonte(139, 4)
+          });
+        }
+        break;
+
+      case 'motivos_economicos': {
+        add(this.economicCompensation(dados, diario, anosServico));
+        avisoPrevio = { dias: 30, devido_por: 'empregador', fonte: this.fonte(142, 2) };
+        const { valor } = this.unmetNotice(dados, diario, avisoPrevio, 'empregador');
+        if (valor) valores.push(valor);
+        notas.push('Receber a indemnização faz presumir a aceitação da rescisão, salvo impugnação da justa causa (artigo 142, n.os 6 e 7).');
+        break;
+      }
+
+      case 'denuncia_trabalhador': {
+        const aviso = this.resignationNotice(dados, antiguidade);
+        if (aviso) {
+          avisoPrevio = { dias: aviso.dias, devido_por: 'trabalhador', fonte: aviso.fonte };
+          const fonte = dados.tipo_contrato === 'prazo_certo' ? this.fonte(140, 2) : this.fonte(140, 5);
+          const { deducao } = this.unmetNotice(dados, diario, { dias: aviso.dias, fonte }, 'trabalhador');
+          if (deducao) deducoes.push(deducao);
+        }
+        notas.push('A demissão por iniciativa do trabalhador não dá direito a indemnização (artigo 140).');
+        break;
+      }
+
+      case 'justa_causa_empregador':
+        notas.push('O despedimento com justa causa não dá direito a indemnização; pode ser impugnado no prazo de seis meses (artigo 138, n.º 2).');
+        break;
+
+      case 'caducidade':
+        notas.push('A caducidade do contrato não confere direito a indemnização (artigo 136, n.º 3).');
+        break;
+
+      case 'periodo_probatorio': {
+        avisoPrevio = { dias: 7, devido_por: 'ambas', fonte: this.fonte(51, 2) };
+        // Deve o aviso quem denunciou o contrato
+        if (!dados.aviso_previo_cumprido && !dados.iniciativa) {
+          dadosEmFalta.push('iniciativa');
+        } else if (dados.iniciativa) {
+          const { valor, deducao } = this.unmetNotice(dados, diario, avisoPrevio, dados.iniciativa);
+          if (valor) valores.push(valor);
+          if (deducao) deducoes.push(deducao);
+        }
+        notas.push('No período probatório qualquer das partes pode denunciar o contrato sem direito a indemnização (artigo 51, n.º 1).');
+        break;
+      }
+    }
+
+    // Férias do ano da cessação ainda não gozadas
+    const ferias = this.holidayEntitlement(dados, antiguidade);
+    const diasFerias = Math.max(round2(ferias.dias - dados.ferias_gozadas), 0);
+    if (diasFerias > 0) {
+      valores.push({
+        id: 'ferias',
+        descricao: 'Férias não gozadas',
+        valor: round2(diasFerias * diario),
+        calculo: `${diasFerias} dias (${ferias.regra}, menos ${dados.ferias_gozadas} gozados) × ${formatMZN(diario)}`,
+        fonte: ferias.fonte
+      });
+    }
+
+    if (dados.meses_salario_em_atraso > 0) {
+      valores.push({
+        id: 'salarios_em_atraso',
+        descricao: 'Salários em atraso',
+        valor: round2(dados.meses_salario_em_atraso * dados.salario),
+        calculo: `${dados.meses_salario_em_atraso} ${dados.meses_salario_em_atraso === 1 ? 'mês' : 'meses'} × ${formatMZN(dados.salario)}`,
+        fonte: this.fonte(55, 5, 'd')
+      });
+    }
+
+    if (dadosEmFalta.includes('data_termo_contrato')) {
+      notas.push('Indique a data_termo_contrato (fim previsto do contrato a prazo) para calcular a indemnização.');
+    }
+    if (dadosEmFalta.includes('iniciativa')) {
+      notas.push('Indique a iniciativa (empregador ou trabalhador) da denúncia no período probatório para calcular o aviso prévio não cumprido.');
+    }
+    if (dadosEmFalta.includes('salario_minimo')) {
+      notas.push('Indique o salario_minimo do sector de actividade para calcular a indemnização por motivos económicos.');
+    }
+
+    notas.push(`Salário diário = salário mensal / ${DIAS_POR_MES}. Valores mínimos legais: o contrato ou a convenção colectiva podem prever mais.`);
+
+    const totalReceber = valores.filter(v => !v.maximo).reduce((sum, v) => sum + v.valor, 0);
+    const totalDeduzir = deducoes.reduce((sum, v) => sum + v.valor, 0);
+
+    return {
+      dados,
+      antiguidade: { ...antiguidade, anos_servico: anosServico },
+      salario_diario: diario,
+      valores,
+      deducoes,
+      total_a_receber: round2(Math.max(totalReceber - totalDeduzir, 0)),
+      aviso_previo: avisoPrevio,
+      dados_em_falta: dadosEmFalta,
+      notas
+    };
+  }
+
+  /**
+   * Cálculo a partir dos factos extraídos da situação (dados_laborais)
+   * Sem data de cessação indicada, conta-se até hoje.
+   * @returns {Object|null} Resultado de calculate, ou null se faltarem dados essenciais
+   */
+  fromFacts(facts) {
+    const dadosLaborais = facts?.dados_laborais;
+    if (!dadosLaborais) return null;
+
+    const input = Object.fromEntries(Object.entries(dadosLaborais).filter(([, valor]) => valor !== null && valor !== undefined));
+    if (input.data_inicio && !input.data_fim && input.motivo) {
+      input.data_fim = todayMaputo();
+    }
+
+    const { erro, dados } = parseLabourInput(input);
+    return erro ? null : this.calculate(dados);
+  }
+
+  /**
+   * Bloco do prompt com os valores calculados
+   */
+  formatForPrompt(calculo) {
+    const linha = v => `- ${v.descricao}: ${formatMZN(v.valor)}${v.maximo ? ' (máximo)' : ''} = ${v.calculo} (${v.fonte.lei}, artigo ${v.fonte.artigo}, n.º ${v.fonte.numero}${v.fonte.alinea ? `, alínea ${v.fonte.alinea}` : ''})`;
+    const lines = [
+      `VALORES CALCULADOS (use estes valores; não calcule outros):`,
+      `Salário: ${formatMZN(calculo.dados.salario)}; antiguidade: ${calculo.antiguidade.anos} anos, ${calculo.antiguidade.meses} meses e ${calculo.antiguidade.dias} dias`,
+      ...calculo.valores.map(linha),
+      ...calculo.deducoes.map(v => `${linha(v)} [a deduzir]`),
+      `Total a receber: ${formatMZN(calculo.total_a_receber)}`,
+      ...calculo.notas.map(nota => `Nota: ${nota}`)
+    ];
+    if (calculo.aviso_previo) {
+      const { dias, devido_por: devidoPor, fonte } = calculo.aviso_previo;
+      lines.push(`Aviso prévio: ${dias} dias, a dar por ${AVISO_PREVIO_PARTES[devidoPor]} (artigo ${fonte.artigo}, n.º ${fonte.numero})`);
+    }
+    return lines.join('\n');
+  }
+}
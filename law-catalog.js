@@ -0,0 +1,534 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MESES = {
+  janeiro: 1, fevereiro: 2, marco: 3, abril: 4, maio: 5, junho: 6,
+  julho: 7, agosto: 8, setembro: 9, outubro: 10, novembro: 11, dezembro: 12
+};
+
+// Palavras-chave para detetar área legal (mesmos valores do classificador)
+export const AREA_KEYWORDS = {
+  direito_trabalho: ['trabalhador', 'empregador', 'contrato de trabalho', 'salário', 'despedimento'],
+  direito_familia: ['casamento', 'cônjuge', 'filiação', 'poder parental', 'união de facto'],
+  direito_penal: ['crime', 'pena de prisão', 'arguido', 'infracção penal', 'ministério público'],
+  direito_civil: ['obrigações', 'contrato', 'sociedade', 'comerciante', 'associação'],
+  direito_propriedade: ['terra', 'direito de uso e aproveitamento', 'propriedade', 'posse'],
+  direitos_humanos: ['direitos fundamentais', 'dignidade', 'liberdade', 'nacionalidade', 'refugiado']
+};
+
+// Áreas legais (mesmos valores que o classificador de intenção devolve)
+export const LEGAL_AREAS = [...Object.keys(AREA_KEYWORDS), 'outro'];
+
+// Semelhança mínima (Jaccard estimado) para agrupar ficheiros como o mesmo acto
+const DUPLICATE_THRESHOLD = 0.8;
+const MINHASH_SIZE = 64;
+
+/**
+ * Data atual no formato ISO (YYYY-MM-DD)
+ */
+export function todayISO() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * Valida data no formato YYYY-MM-DD
+ */
+export function isValidISODate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Remove acentos e normaliza para comparação
+ */
+export function foldText(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Catálogo Canónico de Leis
+ * Combina um manifesto curado (data/catalogo-leis.json) com deteção automática
+ * de metadados e agrupamento de ficheiros quase-duplicados sob um único acto.
+ */
+export class LawCatalog {
+  constructor(options = {}) {
+    this.manifestPath = options.manifestPath || path.join(__dirname, 'data', 'catalogo-leis.json');
+    this.acts = new Map(); // id -> acto
+    this.fileToAct = new Map(); // ficheiro -> id
+    this.signatures = new Map(); // ficheiro -> assinatura MinHash
+  }
+
+  /**
+   * Carrega o manifesto curado
+   */
+  loadManifest() {
+    this.acts.clear();
+    this.fileToAct.clear();
+
+    if (!fs.existsSync(this.manifestPath)) {
+      console.warn(`⚠️  Manifesto de leis não encontrado: ${this.manifestPath}`);
+      return 0;
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf-8'));
+    for (const act of manifest.actos) {
+      this.acts.set(act.id, {
+        ...act,
+        abreviaturas: act.abreviaturas || [],
+        vigencia: { ...act.vigencia },
+        revoga: act.revoga || [],
+        alteracoes: act.alteracoes || [],
+        ficheiros: [...act.ficheiros],
+        origem: 'manifesto'
+      });
+      act.ficheiros.forEach(f => this.fileToAct.set(f, act.id));
+    }
+
+    return this.acts.size;
+  }
+
+  /**
+   * Constrói o catálogo a partir dos PDFs carregados
+   * @param {Map} pdfCache - ficheiro -> { text, hash }
+   * @returns {LawCatalog}
+   */
+  build(pdfCache) {
+    this.loadManifest();
+
+    // Assinaturas para deteção de quase-duplicados
+    for (const [file, data] of pdfCache.entries()) {
+      this.signatures.set(file, this.computeSignature(data.text));
+    }
+
+    for (const [file, data] of pdfCache.entries()) {
+      let actId = this.fileToAct.get(file);
+
+      if (!actId) {
+        // Ficheiro fora do manifesto: procurar duplicado de um acto existente
+        const duplicate = this.findDuplicate(file, data);
+        if (duplicate) {
+          actId = duplicate.actId;
+          this.acts.get(actId).ficheiros.push(file);
+          console.log(`  ≈ ${file} agrupado em "${this.acts.get(actId).titulo}" (semelhança ${(duplicate.similarity * 100).toFixed(0)}%)`);
+        } else {
+          const detected = this.detectMetadata(file, data.text);
+          // Mesmo número de um acto já catalogado mas conteúdo diferente: id pelo ficheiro
+          if (this.acts.has(detected.id)) {
+            detected.id = file.replace(/\.pdf$/i, '');
+          }
+          actId = detected.id;
+          this.acts.set(actId, detected);
+          console.log(`  + ${file} catalogado automaticamente como "${detected.titulo}"`);
+        }
+        this.fileToAct.set(file, actId);
+      }
+    }
+
+    // Escolher ficheiro principal de cada acto (o primeiro do manifesto com texto, ou o mais completo)
+    for (const act of this.acts.values()) {
+      const candidates = act.ficheiros.filter(f => pdfCache.has(f));
+      const withText = candidates.filter(f => pdfCache.get(f).text.trim().length > 100);
+      act.ficheiro_principal = act.origem === 'manifesto'
+        ? (withText[0] || candidates[0] || null)
+        : [...candidates].sort((a, b) => pdfCache.get(b).text.length - pdfCache.get(a).text.length)[0] || null;
+      act.duplicados = candidates.filter(f => f !== act.ficheiro_principal);
+    }
+
+    const missing = [...this.acts.values()].filter(a => !a.ficheiro_principal);
+    missing.forEach(a => console.warn(`⚠️  ${a.titulo}: nenhum ficheiro presente em leis/`));
+
+    this.resolveVersions();
+    return this;
+  }
+
+  /**
+   * Calcula períodos de vigência e liga revogações/alterações nos dois sentidos.
+   * vigencia.inicio explícito tem prioridade; senão data de publicação + vacatio_dias.
+   * Um acto revogado deixa de vigorar quando o acto revogatório entra em vigor.
+   */
+  resolveVersions() {
+    for (const act of this.acts.values()) {
+      const vigencia = act.vigencia || {};
+      const inicio = vigencia.inicio
+        || (act.data_publicacao && vigencia.vacatio_dias !== undefined
+          ? addDays(act.data_publicacao, vigencia.vacatio_dias)
+          : act.data_publicacao || null);
+      act.vigencia = { inicio, fim: vigencia.fim || null, ...(vigencia.nota && { nota: vigencia.nota }) };
+      act.revogada_por = null;
+      act.altera = [];
+    }
+
+    for (const act of this.acts.values()) {
+      for (const revokedId of act.revoga) {
+        const revoked = this.acts.get(revokedId);
+        if (!revoked) continue;
+        revoked.revogada_por = act.id;
+        revoked.estado = 'revogada';
+        if (!revoked.vigencia.fim) revoked.vigencia.fim = act.vigencia.inicio;
+      }
+      for (const alteracao of act.alteracoes) {
+        const amending = this.acts.get(alteracao.acto);
+        if (amending) {
+          amending.altera.push({ acto: act.id, data: alteracao.data, artigos: alteracao.artigos });
+        }
+      }
+    }
+  }
+
+  /**
+   * Verifica se um acto está em vigor numa data
+   * @param {Object|string} actOrId - Acto ou id
+   * @param {string} date - Data ISO (YYYY-MM-DD), por omissão hoje
+   * @returns {boolean}
+   */
+  isInForce(actOrId, date = todayISO()) {
+    const act = typeof actOrId === 'string' ? this.getAct(actOrId) : actOrId;
+    if (!act) return false;
+
+    const { inicio, fim } = act.vigencia || {};
+    if (!inicio && !fim) {
+      // Sem datas conhecidas: confiar apenas no estado
+      return act.estado !== 'revogada';
+    }
+    if (inicio && date < inicio) return false;
+    if (fim && date >= fim) return false;
+    return true;
+  }
+
+  /**
+   * Ids dos actos em vigor numa data
+   */
+  actsInForce(date = todayISO()) {
+    return this.listActs().filter(act => this.isInForce(act, date)).map(act => act.id);
+  }
+
+  /**
+   * Alterações a um artigo posteriores a uma data.
+   * Alterações sem lista de artigos afetam potencialmente qualquer artigo.
+   * @param {string} actId - Id do acto
+   * @param {number} articleNumber - Número do artigo
+   * @param {string} afterDate - Data ISO; null para todas
+   * @returns {Array} [{ acto, titulo, data, artigos, especifica }]
+   */
+  getArticleAmendments(actId, articleNumber, afterDate = null) {
+    const act = this.getAct(actId);
+    if (!act) return [];
+
+    return act.alteracoes
+      .filter(a => !a.artigos || a.artigos.includes(articleNumber))
+      .filter(a => !afterDate || a.data > afterDate)
+      .map(a => ({
+        acto: a.acto,
+        titulo: this.getTitle(a.acto),
+        data: a.data,
+        artigos: a.artigos,
+        especifica: Boolean(a.artigos)
+      }));
+  }
+
+  /**
+   * Avisos de vigência para os artigos recuperados: alterações posteriores
+   * à data de referência e revogação posterior do acto
+   * @param {Array} chunks - Chunks do RAG (com leiId e articleNumber)
+   * @param {string} date - Data de referência ISO
+   * @returns {Array} [{ lei, lei_id, artigo, tipo, mensagem }]
+   */
+  getVigenciaWarnings(chunks, date = todayISO()) {
+    const warnings = [];
+    const seen = new Set();
+
+    for (const chunk of chunks) {
+      const act = chunk.leiId && this.getAct(chunk.leiId);
+      if (!act || !chunk.articleNumber) continue;
+
+      const key = `${act.id}:${chunk.articleNumber}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const label = `${chunk.articleLabel || `Artigo ${chunk.articleNumber}`} (${act.titulo})`;
+      const info = this.describeArticle(act.id, chunk.articleNumber, date);
+
+      for (const alteracao of info.alteracoes_posteriores) {
+        warnings.push({
+          lei: act.titulo,
+          lei_id: act.id,
+          artigo: chunk.articleNumber,
+          tipo: 'alterado',
+          data: alteracao.data,
+          mensagem: alteracao.especifica
+            ? `${label} foi alterado em ${alteracao.data} por ${alteracao.titulo}`
+            : `${act.titulo} foi alterada em ${alteracao.data} por ${alteracao.titulo}; confirme a redação do ${label}`
+        });
+      }
+
+      if (act.vigencia.fim && act.vigencia.fim > date) {
+        warnings.push({
+          lei: act.titulo,
+          lei_id: act.id,
+          artigo: chunk.articleNumber,
+          tipo: 'revogado',
+          data: act.vigencia.fim,
+          mensagem: `${label} deixou de vigorar em ${act.vigencia.fim}${info.revogada_por ? ` (revogado por ${info.revogada_por})` : ''}`
+        });
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Vigência de um artigo: a redação atual vigora desde a última alteração
+   * conhecida que o menciona (ou desde o início do acto) até ao fim do acto.
+   * @param {string} actId - Id do acto
+   * @param {number} articleNumber - Número do artigo
+   * @param {string} date - Data de referência ISO
+   * @returns {Object|null} { inicio, fim, em_vigor, revogada_por, alteracoes_posteriores }
+   */
+  describeArticle(actId, articleNumber, date = todayISO()) {
+    const act = this.getAct(actId);
+    if (!act) return null;
+
+    const specificAmendments = this.getArticleAmendments(actId, articleNumber)
+      .filter(a => a.especifica)
+      .map(a => a.data)
+      .sort();
+    const inicio = specificAmendments.length > 0
+      ? specificAmendments[specificAmendments.length - 1]
+      : act.vigencia.inicio;
+
+    return {
+      inicio,
+      fim: act.vigencia.fim,
+      em_vigor: this.isInForce(act, date),
+      revogada_por: act.revogada_por ? this.getTitle(act.revogada_por) : null,
+      alteracoes_posteriores: this.getArticleAmendments(actId, articleNumber, date)
+    };
+  }
+
+  /**
+   * Assinatura MinHash sobre shingles de 5 palavras (texto sem acentos)
+   */
+  computeSignature(text) {
+    const words = foldText(text).replace(/[^a-z0-9 ]/g, ' ').split(' ').filter(Boolean);
+    const signature = new Array(MINHASH_SIZE).fill(Infinity);
+    if (words.length < 5) return null;
+
+    for (let i = 0; i + 5 <= words.length; i++) {
+      const shingle = words.slice(i, i + 5).join(' ');
+      const digest = crypto.createHash('md5').update(shingle).digest();
+      for (let k = 0; k < MINHASH_SIZE; k++) {
+        // Derivar k funções de hash a partir do digest (dupla hash)
+        const h = (digest.readUInt32LE(0) + k * digest.readUInt32LE(4)) >>> 0;
+        if (h < signature[k]) signature[k] = h;
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Semelhança de Jaccard estimada entre dois ficheiros
+   */
+  similarity(fileA, fileB) {
+    const a = this.signatures.get(fileA);
+    const b = this.signatures.get(fileB);
+    if (!a || !b) return 0;
+    let equal = 0;
+    for (let k = 0; k < MINHASH_SIZE; k++) {
+      if (a[k] === b[k]) equal++;
+    }
+    return equal / MINHASH_SIZE;
+  }
+
+  findDuplicate(file, data) {
+    let best = null;
+    for (const [otherFile, actId] of this.fileToAct.entries()) {
+      if (otherFile === file || !this.signatures.has(otherFile)) continue;
+      const similarity = this.similarity(file, otherFile);
+      if (similarity >= DUPLICATE_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { actId, similarity };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Deteta metadados de um ficheiro sem entrada no manifesto
+   * @param {string} file - Nome do ficheiro PDF
+   * @param {string} text - Texto extraído
+   * @returns {Object} Acto detetado
+   */
+  detectMetadata(file, text) {
+    const head = text.substring(0, 6000);
+    const folded = foldText(head);
+
+    const numberMatch = head.match(/(Lei|Decreto(?:-Lei)?|Diploma\s+Ministerial|Resolução)\s*n\.?\s*[º°o]?\s*(\d{1,3}\/\d{2,4})/i);
+    const tipo = numberMatch ? foldText(numberMatch[1]).replace(/\s+/g, '_') : 'documento';
+    const numero = numberMatch ? numberMatch[2] : null;
+
+    let dataPublicacao = null;
+    const dateMatch = folded.match(/de (\d{1,2}) de (janeiro|fevereiro|marco|abril|maio|junho|julho|agosto|setembro|outubro|novembro|dezembro)(?: de (\d{4}))?/);
+    if (dateMatch) {
+      const year = dateMatch[3] || (numero && numero.split('/')[1]);
+      if (year) {
+        const fullYear = year.length === 2 ? (parseInt(year) > 50 ? `19${year}` : `20${year}`) : year;
+        dataPublicacao = `${fullYear}-${String(MESES[dateMatch[2]]).padStart(2, '0')}-${dateMatch[1].padStart(2, '0')}`;
+      }
+    }
+
+    const sample = foldText(text.substring(0, 20000));
+    const areas = Object.entries(AREA_KEYWORDS)
+      .map(([area, keywords]) => [area, keywords.reduce((n, k) => n + sample.split(foldText(k)).length - 1, 0)])
+      .filter(([, score]) => score >= 3)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 2)
+      .map(([area]) => area);
+
+    const baseName = file.replace(/\.pdf$/i, '');
+    const titulo = numero
+      ? `${numberMatch[1].replace(/\s+/g, ' ')} n.º ${numero}`
+      : baseName.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+    return {
+      id: numero ? `${tipo}-${numero.replace('/', '-')}` : baseName,
+      titulo,
+      abreviaturas: numero ? [`${numberMatch[1]} ${numero}`] : [],
+      tipo,
+      numero,
+      data_publicacao: dataPublicacao,
+      area_legal: areas.length > 0 ? areas : ['outro'],
+      idioma: this.detectLanguage(sample),
+      estado: 'desconhecido',
+      vigencia: {},
+      revoga: [],
+      alteracoes: [],
+      ficheiros: [file],
+      origem: 'detecao_automatica'
+    };
+  }
+
+  detectLanguage(foldedText) {
+    const count = words => words.reduce((n, w) => n + (foldedText.match(new RegExp(`\\b${w}\\b`, 'g')) || []).length, 0);
+    const pt = count(['de', 'da', 'do', 'que', 'nao', 'para', 'com']);
+    const en = count(['the', 'of', 'and', 'shall', 'to', 'which']);
+    if (pt === 0 && en === 0) return 'desconhecido';
+    return pt >= en ? 'pt' : 'en';
+  }
+
+  /**
+   * Acto a que pertence um ficheiro ou id
+   * @param {string} fileOrId - Nome do ficheiro PDF ou id do acto
+   * @returns {Object|null}
+   */
+  getAct(fileOrId) {
+    if (!fileOrId) return null;
+    if (this.acts.has(fileOrId)) return this.acts.get(fileOrId);
+    const actId = this.fileToAct.get(fileOrId);
+    return actId ? this.acts.get(actId) : null;
+  }
+
+  /**
+   * Procura um acto por id, ficheiro, abreviatura, número ou título
+   * (sem distinguir maiúsculas nem acentos)
+   * @param {string} reference - Ex: "lei-23-2007", "LT", "23/2007", "Lei da Família"
+   * @returns {Object|null} Acto
+   */
+  findAct(reference) {
+    const direct = this.getAct(reference);
+    if (direct) return direct;
+    if (!reference) return null;
+
+    const folded = foldText(reference);
+    for (const act of this.acts.values()) {
+      const names = [act.titulo, act.numero, ...act.abreviaturas].filter(Boolean).map(foldText);
+      if (names.includes(folded)) return act;
+    }
+    return null;
+  }
+
+  /**
+   * Nome oficial de um ficheiro/acto (ou o próprio nome se não catalogado)
+   */
+  getTitle(fileOrId) {
+    return this.getAct(fileOrId)?.titulo || fileOrId;
+  }
+
+  /**
+   * Lista de actos com ficheiro presente, ordenados por título
+   */
+  listActs() {
+    return [...this.acts.values()]
+      .filter(act => act.ficheiro_principal)
+      .sort((a, b) => a.titulo.localeCompare(b.titulo, 'pt'));
+  }
+
+  /**
+   * Corpus de indexação: um texto por acto (ficheiro principal), sem duplicados
+   * @param {Map} pdfCache - ficheiro -> { text, hash }
+   * @returns {Map} id do acto -> { text, hash, title, ficheiro, areaLegal }
+   */
+  toCorpus(pdfCache) {
+    const corpus = new Map();
+    for (const act of this.listActs()) {
+      const data = pdfCache.get(act.ficheiro_principal);
+      corpus.set(act.id, {
+        text: data.text,
+        hash: data.hash,
+        title: act.titulo,
+        ficheiro: act.ficheiro_principal,
+        areaLegal: act.area_legal || []
+      });
+    }
+    return corpus;
+  }
+
+  /**
+   * Representação pública de um acto (para a API)
+   */
+  toJSON(act) {
+    return {
+      id: act.id,
+      titulo: act.titulo,
+      abreviaturas: act.abreviaturas,
+      tipo: act.tipo,
+      numero: act.numero,
+      data_publicacao: act.data_publicacao,
+      area_legal: act.area_legal,
+      idioma: act.idioma,
+      estado: act.estado,
+      vigencia: act.vigencia,
+      revoga: act.revoga,
+      revogada_por: act.revogada_por,
+      alteracoes: act.alteracoes,
+      altera: act.altera,
+      ficheiro: act.ficheiro_principal,
+      duplicados: act.duplicados,
+      origem: act.origem
+    };
+  }
+
+  getStats() {
+    const acts = this.listActs();
+    return {
+      actos: acts.length,
+      ficheiros: this.fileToAct.size,
+      duplicados: acts.reduce((n, a) => n + a.duplicados.length, 0),
+      detetados_automaticamente: acts.filter(a => a.origem === 'detecao_automatica').length
+    };
+  }
+}
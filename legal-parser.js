@@ -0,0 +1,461 @@
+/**
+ * Parser Estrutural de Leis
+ * Converte o texto de uma lei numa árvore hierárquica:
+ * Livro › Título › Capítulo › Secção › Subsecção › Artigo › n.º › alínea
+ * e gera chunks alinhados com essa estrutura (cada chunk pertence a um só artigo).
+ */
+
+// Incrementar quando as regras de parsing/chunking mudarem (invalida o índice RAG)
+export const PARSER_VERSION = 1;
+
+// Níveis estruturais acima do artigo, do mais alto para o mais baixo
+const DIVISION_LEVELS = ['livro', 'parte', 'titulo', 'capitulo', 'seccao', 'subseccao'];
+
+const DIVISION_LABELS = {
+  livro: 'Livro',
+  parte: 'Parte',
+  titulo: 'Título',
+  capitulo: 'Capítulo',
+  seccao: 'Secção',
+  subseccao: 'Subsecção'
+};
+
+// "CAPÍTULO IV", "Secção I – Disposições gerais", "TITULO II", "CAPITULOI"
+const DIVISION_REGEX = /^(LIVRO|PARTE|T[IÍ]TULO|CAP[IÍ]TULO|SUBSEC[CÇ][AÃ]O|SEC[CÇ][AÃ]O)\s*([IVXLCDM]+|\d+|[ÚU]NIC[OA])\b\.?\s*(?:[-–—:.]\s*(.*))?$/i;
+
+// "Artigo 1", "ARTIGO 5°", "Artigo 12.º", "Art. 12", "ARTIGON", "Artigo 35-A", "ARTIGO 3 - Objecto"
+// Exige inicial maiúscula: "artigo 12" em minúsculas no início de linha é quase sempre
+// uma referência quebrada pelo PDF, não um cabeçalho. Alguns PDFs perdem o "A" inicial ("RTIGO 2").
+const ARTICLE_REGEX = /^(?:A?RT(?:IGO)?|Art(?:igo)?|ARTIgO)\.?\s*(\d{1,4})\s*(?:\.?\s*[º°o])?(?:\s*[-–]\s*([A-Z])\b)?\s*(?:[-–—:.]\s*(.+))?$/;
+
+// "1.", "2 -", "3)" no início da linha
+const PARAGRAPH_REGEX = /^(\d{1,3})\s*[.)\-–]\s*(.*)$/;
+
+// "a)", "b) ", "aa)"
+const ALINEA_REGEX = /^([a-z]{1,2})\s*\)\s*(.*)$/;
+
+/**
+ * Normaliza uma linha extraída do PDF (espaços múltiplos, tabs)
+ */
+function cleanLine(line) {
+  return line.replace(/[\t\u00a0 ]+/g, ' ').trim();
+}
+
+function romanToInt(roman) {
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+  let total = 0;
+  for (let i = 0; i < roman.length; i++) {
+    const current = values[roman[i]];
+    const next = values[roman[i + 1]] || 0;
+    total += current < next ? -current : current;
+  }
+  return total;
+}
+
+function normalizeDivisionType(word) {
+  const w = word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (w.startsWith('subsec')) return 'subseccao';
+  if (w.startsWith('sec')) return 'seccao';
+  if (w.startsWith('cap')) return 'capitulo';
+  if (w.startsWith('tit')) return 'titulo';
+  return w;
+}
+
+function nextAlinea(letter) {
+  if (!letter) return 'a';
+  const last = letter[letter.length - 1];
+  if (last === 'z') return 'aa';
+  return letter.slice(0, -1) + String.fromCharCode(last.charCodeAt(0) + 1);
+}
+
+export class LegalParser {
+  constructor(options = {}) {
+    this.maxChunkSize = options.maxChunkSize || 1500;
+  }
+
+  /**
+   * Converte o texto de uma lei numa árvore estrutural
+   * @param {string} text - Texto integral da lei
+   * @param {Object} options - { title: nome legível da lei }
+   * @returns {Object} Nó raiz { type: 'lei', title, preambulo, children, articleCount }
+   */
+  parse(text, options = {}) {
+    const root = {
+      type: 'lei',
+      title: options.title || 'Lei',
+      preambulo: '',
+      children: [],
+      articleCount: 0
+    };
+
+    const lines = text
+      .split(/\r?\n/)
+      .map(cleanLine)
+      // Remover números de página isolados
+      .filter(line => !/^\d{1,4}$/.test(line));
+
+    // Pilha de divisões abertas (livro › título › capítulo › ...)
+    const stack = [];
+    let article = null;
+    let preambulo = [];
+
+    const currentContainer = () => (stack.length > 0 ? stack[stack.length - 1] : root);
+
+    const nextNonEmpty = (from) => {
+      for (let j = from; j < lines.length; j++) {
+        if (lines[j]) return j;
+      }
+      return -1;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line) {
+        if (article) article.lines.push('');
+        continue;
+      }
+
+      const divisionMatch = line.match(DIVISION_REGEX);
+      if (divisionMatch) {
+        const type = normalizeDivisionType(divisionMatch[1]);
+        const level = DIVISION_LEVELS.indexOf(type);
+        const numero = divisionMatch[2].toUpperCase();
+        let name = divisionMatch[3] || null;
+
+        // Nome da divisão costuma vir na linha seguinte
+        if (!name) {
+          const j = nextNonEmpty(i + 1);
+          if (j !== -1 && this.isHeadingText(lines[j], lines[nextNonEmpty(j + 1)])) {
+            name = lines[j];
+            i = j;
+          }
+        }
+
+        this.finishArticle(article);
+        article = null;
+
+        while (stack.length > 0 && DIVISION_LEVELS.indexOf(stack[stack.length - 1].type) >= level) {
+          stack.pop();
+        }
+
+        const division = {
+          type,
+          numero,
+          ordem: /^[IVXLCDM]+$/.test(numero) ? romanToInt(numero) : parseInt(numero) || 1,
+          name,
+          label: `${DIVISION_LABELS[type]} ${numero}`,
+          children: []
+        };
+        currentContainer().children.push(division);
+        stack.push(division);
+        continue;
+      }
+
+      const articleMatch = line.match(ARTICLE_REGEX);
+      if (articleMatch) {
+        this.finishArticle(article);
+
+        const number = parseInt(articleMatch[1]);
+        const suffix = articleMatch[2] || '';
+        let epigrafe = articleMatch[3] ? articleMatch[3].replace(/^\(|\)$/g, '').trim() : null;
+
+        if (!epigrafe) {
+          const j = nextNonEmpty(i + 1);
+          if (j !== -1) {
+            const candidate = lines[j];
+            const parenthesized = candidate.match(/^\((.+)\)\.?$/);
+            if (parenthesized) {
+              epigrafe = parenthesized[1].trim();
+              i = j;
+            } else if (this.isHeadingText(candidate, lines[nextNonEmpty(j + 1)])) {
+              epigrafe = candidate;
+              i = j;
+            }
+          }
+        }
+
+        article = {
+          type: 'artigo',
+          number,
+          label: `${number}${suffix ? `-${suffix}` : ''}`,
+          epigrafe,
+          lines: [],
+          text: '',
+          children: []
+        };
+        currentContainer().children.push(article);
+        root.articleCount++;
+        continue;
+      }
+
+      if (article) {
+        article.lines.push(line);
+      } else if (stack.length === 0) {
+        preambulo.push(line);
+      }
+    }
+
+    this.finishArticle(article);
+    root.preambulo = preambulo.join('\n').trim();
+    return root;
+  }
+
+  /**
+   * Verifica se uma linha é texto de cabeçalho (epígrafe ou nome de divisão)
+   * e não o início do corpo do artigo
+   */
+  isHeadingText(line, following) {
+    if (!line || line.length > 120) return false;
+    if (DIVISION_REGEX.test(line) || ARTICLE_REGEX.test(line)) return false;
+    if (PARAGRAPH_REGEX.test(line) || ALINEA_REGEX.test(line)) return false;
+    if (!/^[A-ZÁÉÍÓÚÂÊÔÃÕÀÇ(]/.test(line)) return false;
+    if (/[.;:,]$/.test(line)) return false;
+    if (line.split(' ').length > 14) return false;
+
+    // Se a linha seguinte começa em minúscula, esta é uma frase quebrada do corpo
+    if (following && /^[a-zà-ú]/.test(following)) return false;
+    return true;
+  }
+
+  /**
+   * Fecha um artigo: junta o texto e identifica números e alíneas
+   */
+  finishArticle(article) {
+    if (!article) return;
+
+    const paragraphs = [];
+    let paragraph = null;
+    let alinea = null;
+    let lastAlinea = null;
+    const intro = [];
+
+    for (const line of article.lines) {
+      if (!line) continue;
+
+      const paragraphMatch = line.match(PARAGRAPH_REGEX);
+      const expectedNumber = paragraph ? paragraph.number + 1 : 1;
+      if (paragraphMatch && parseInt(paragraphMatch[1]) === expectedNumber) {
+        paragraph = { type: 'numero', number: expectedNumber, lines: [paragraphMatch[2]], children: [] };
+        paragraphs.push(paragraph);
+        alinea = null;
+        lastAlinea = null;
+        continue;
+      }
+
+      const alineaMatch = line.match(ALINEA_REGEX);
+      if (alineaMatch && alineaMatch[1] === nextAlinea(lastAlinea)) {
+        alinea = { type: 'alinea', letter: alineaMatch[1], lines: [alineaMatch[2]] };
+        lastAlinea = alineaMatch[1];
+        (paragraph ? paragraph.children : article.children).push(alinea);
+        continue;
+      }
+
+      if (alinea) {
+        alinea.lines.push(line);
+      } else if (paragraph) {
+        paragraph.lines.push(line);
+      } else {
+        intro.push(line);
+      }
+    }
+
+    const finishText = node => {
+      node.text = node.lines.join(' ').trim();
+      delete node.lines;
+    };
+
+    article.intro = intro.join(' ').trim();
+    article.children.forEach(finishText);
+    for (const p of paragraphs) {
+      finishText(p);
+      p.children.forEach(finishText);
+    }
+    article.children.push(...paragraphs);
+    article.text = this.renderArticle(article);
+    delete article.lines;
+  }
+
+  /**
+   * Texto legível de um artigo (cabeçalho + corpo com números e alíneas)
+   */
+  renderArticle(article, paragraphNumbers = null) {
+    const out = [`Artigo ${article.label}`];
+    if (article.epigrafe) out.push(`(${article.epigrafe})`);
+    if (article.intro && !paragraphNumbers) out.push(article.intro);
+
+    for (const child of article.children) {
+      if (child.type === 'alinea') {
+        if (!paragraphNumbers) out.push(`${child.letter}) ${child.text}`);
+        continue;
+      }
+      if (paragraphNumbers && !paragraphNumbers.includes(child.number)) continue;
+      out.push(`${child.number}. ${child.text}`);
+      child.children.forEach(a => out.push(`${a.letter}) ${a.text}`));
+    }
+
+    return out.join('\n');
+  }
+
+  /**
+   * Caminho estrutural legível, ex: "Lei do Trabalho › Capítulo IV › Artigo 125 › n.º 2"
+   */
+  formatPath(path) {
+    return path.join(' › ');
+  }
+
+  /**
+   * Percorre a árvore e devolve artigos com o respetivo caminho estrutural
+   * @param {Object} tree - Árvore devolvida por parse()
+   * @returns {Array} [{ article, divisions: [...] }]
+   */
+  listArticles(tree) {
+    const result = [];
+    const walk = (node, divisions) => {
+      for (const child of node.children) {
+        if (child.type === 'artigo') {
+          result.push({ article: child, divisions });
+        } else if (DIVISION_LEVELS.includes(child.type)) {
+          walk(child, [...divisions, child]);
+        }
+      }
+    };
+    walk(tree, []);
+    return result;
+  }
+
+  /**
+   * Gera chunks alinhados com a estrutura. Artigos longos são divididos
+   * por grupos de números (n.º); nunca se junta texto de artigos diferentes.
+   * @param {Object} tree - Árvore devolvida por parse()
+   * @returns {Array} [{ text, path, pathLabel, articleNumber, articleLabel, articleTitle, paragraphs }]
+   */
+  toChunks(tree) {
+    const chunks = [];
+
+    if (tree.preambulo) {
+      for (const piece of this.splitBySize(tree.preambulo)) {
+        chunks.push({
+          text: piece,
+          path: [tree.title],
+          pathLabel: tree.title,
+          articleNumber: null,
+          articleLabel: null,
+          articleTitle: null,
+          paragraphs: []
+        });
+      }
+    }
+
+    for (const { article, divisions } of this.listArticles(tree)) {
+      const basePath = [tree.title, ...divisions.map(d => d.label), `Artigo ${article.label}`];
+      const base = {
+        articleNumber: article.number,
+        articleLabel: article.label,
+        articleTitle: article.epigrafe
+      };
+
+      if (article.text.length <= this.maxChunkSize) {
+        chunks.push({
+          ...base,
+          text: article.text,
+          path: basePath,
+          pathLabel: this.formatPath(basePath),
+          paragraphs: article.children.filter(c => c.type === 'numero').map(c => c.number)
+        });
+        continue;
+      }
+
+      // Artigo longo: agrupar números consecutivos até ao tamanho máximo
+      const numeros = article.children.filter(c => c.type === 'numero');
+      if (numeros.length === 0) {
+        for (const piece of this.splitBySize(article.text)) {
+          chunks.push({ ...base, text: piece, path: basePath, pathLabel: this.formatPath(basePath), paragraphs: [] });
+        }
+        continue;
+      }
+
+      let group = [];
+      const flush = () => {
+        if (group.length === 0) return;
+        const numbers = group.map(p => p.number);
+        const label = numbers.length === 1
+          ? `n.º ${numbers[0]}`
+          : `n.os ${numbers[0]}-${numbers[numbers.length - 1]}`;
+        const path = [...basePath, label];
+        const text = this.renderArticle(article, numbers);
+        for (const piece of this.splitBySize(text)) {
+          chunks.push({ ...base, text: piece, path, pathLabel: this.formatPath(path), paragraphs: numbers });
+        }
+        group = [];
+      };
+
+      // Introdução e alíneas diretas do artigo (antes do n.º 1)
+      const head = this.renderArticle({ ...article, children: article.children.filter(c => c.type === 'alinea') });
+      if (head.split('\n').length > (article.epigrafe ? 2 : 1)) {
+        for (const piece of this.splitBySize(head)) {
+          chunks.push({ ...base, text: piece, path: basePath, pathLabel: this.formatPath(basePath), paragraphs: [] });
+        }
+      }
+
+      let size = 0;
+      for (const numero of numeros) {
+        const numeroSize = this.renderArticle(article, [numero.number]).length;
+        if (group.length > 0 && size + numeroSize > this.maxChunkSize) {
+          flush();
+          size = 0;
+        }
+        group.push(numero);
+        size += numeroSize;
+      }
+      flush();
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Gera os chunks de uma lei a partir da estrutura; leis sem artigos
+   * reconhecíveis (acórdãos, declarações) usam o splitter genérico.
+   * @param {string} lawText - Texto integral da lei
+   * @param {string} title - Nome legível da lei (raiz do caminho estrutural)
+   * @param {Object} fallbackSplitter - Splitter com splitText(text)
+   * @returns {Promise<Array>} Chunks com caminho estrutural
+   */
+  async chunkLaw(lawText, title, fallbackSplitter) {
+    const tree = this.parse(lawText, { title });
+    if (tree.articleCount > 0) {
+      return this.toChunks(tree);
+    }
+
+    const pieces = await fallbackSplitter.splitText(lawText);
+    return pieces.map(text => ({
+      text,
+      path: [title],
+      pathLabel: title,
+      articleNumber: null,
+      articleLabel: null,
+      articleTitle: null,
+      paragraphs: []
+    }));
+  }
+
+  /**
+   * Divide texto em pedaços até maxChunkSize, preferindo quebras de linha e frases
+   */
+  splitBySize(text) {
+    if (text.length <= this.maxChunkSize) return [text];
+
+    const pieces = [];
+    let rest = text;
+    while (rest.length > this.maxChunkSize) {
+      const window = rest.substring(0, this.maxChunkSize);
+      let cut = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. ') + 1, window.lastIndexOf('; ') + 1);
+      if (cut < this.maxChunkSize / 2) cut = window.lastIndexOf(' ');
+      if (cut <= 0) cut = this.maxChunkSize;
+      pieces.push(rest.substring(0, cut).trim());
+      rest = rest.substring(cut).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+  }
+}
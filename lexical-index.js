@@ -0,0 +1,158 @@
+import { foldText } from './law-catalog.js';
+
+// Palavras demasiado frequentes para ajudar na pesquisa (já sem acentos)
+const STOPWORDS = new Set([
+  'a', 'ao', 'aos', 'as', 'ate', 'com', 'como', 'da', 'das', 'de', 'dela', 'dele',
+  'do', 'dos', 'e', 'ela', 'ele', 'em', 'entre', 'era', 'essa', 'esse', 'esta',
+  'este', 'eu', 'foi', 'ha', 'isso', 'isto', 'ja', 'lhe', 'mais', 'mas', 'me',
+  'meu', 'minha', 'na', 'nao', 'nas', 'nem', 'no', 'nos', 'num', 'numa', 'o', 'os',
+  'ou', 'para', 'pela', 'pelas', 'pelo', 'pelos', 'por', 'qual', 'quando', 'que',
+  'se', 'sem', 'ser', 'seu', 'seus', 'sua', 'suas', 'sao', 'tem', 'ter', 'um',
+  'uma', 'umas', 'uns', 'eh', 'sobre', 'diz', 'lei'
+]);
+
+// Sufixos derivacionais (do mais longo para o mais curto), com o tamanho mínimo do radical
+const SUFFIXES = [
+  ['amentos', 4], ['imentos', 4], ['amento', 4], ['imento', 4], ['mente', 4],
+  ['idades', 4], ['idade', 4], ['acoes', 3], ['icoes', 3], ['acao', 3], ['icao', 3],
+  ['adores', 3], ['adoras', 3], ['ador', 3], ['adora', 3],
+  ['ivos', 4], ['ivas', 4], ['ivo', 4], ['iva', 4],
+  ['encia', 4], ['ancia', 4], ['ismo', 4], ['ista', 4],
+  ['avel', 4], ['ivel', 4], ['oso', 4], ['osa', 4]
+];
+
+/**
+ * Stemmer leve para português (redução de plural, sufixos comuns e vogal final).
+ * Não pretende ser linguisticamente exato: só precisa de ser consistente entre
+ * a pergunta e os documentos (ex: "despedimento" e "despedimentos" -> "desped").
+ * @param {string} word - Palavra já sem acentos e em minúsculas
+ * @returns {string} Radical
+ */
+export function stemPortuguese(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let stem = word;
+
+  // Plural
+  if (stem.endsWith('oes') || stem.endsWith('aes')) {
+    stem = stem.slice(0, -3) + 'ao';
+  } else if (stem.endsWith('ais') && stem.length > 4) {
+    stem = stem.slice(0, -2) + 'l';
+  } else if (stem.endsWith('eis') && stem.length > 4) {
+    stem = stem.slice(0, -3) + 'el';
+  } else if (stem.endsWith('ns')) {
+    stem = stem.slice(0, -2) + 'm';
+  } else if (/[rsz]es$/.test(stem) && stem.length > 5) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && !stem.endsWith('ss')) {
+    stem = stem.slice(0, -1);
+  }
+
+  // Sufixos derivacionais
+  for (const [suffix, minStem] of SUFFIXES) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= minStem) {
+      stem = stem.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  // Vogal temática final (trabalhador/trabalho/trabalha -> trabalh)
+  if (stem.length > 4 && /[aeo]$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  return stem;
+}
+
+/**
+ * Tokeniza texto em português: minúsculas, sem acentos, sem stopwords e com stemming.
+ * Números de diplomas ("23/2007") são mantidos como um único termo.
+ * @param {string} text
+ * @returns {Array<string>} Termos
+ */
+export function tokenize(text) {
+  const tokens = foldText(text || '').match(/\d+\/\d+|[a-z0-9]+/g) || [];
+  return tokens
+    .filter(token => (token.length > 1 || /\d/.test(token)) && !STOPWORDS.has(token))
+    .map(stemPortuguese);
+}
+
+/**
+ * Índice invertido com ranking BM25 sobre os mesmos chunks do RAG
+ */
+export class LexicalIndex {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.clear();
+  }
+
+  clear() {
+    this.docs = []; // { item, length }
+    this.postings = new Map(); // termo -> Map(docId -> frequência)
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  /**
+   * Adiciona um documento ao índice
+   * @param {Object} item - Objeto devolvido nas pesquisas (ex: chunk)
+   * @param {string} text - Texto a indexar
+   */
+  add(item, text) {
+    const docId = this.docs.length;
+    const terms = tokenize(text);
+
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const [term, tf] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(docId, tf);
+    }
+
+    this.docs.push({ item, length: terms.length });
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Pesquisa BM25
+   * @param {string} query - Pergunta
+   * @param {Object} options - { filter: (item) => boolean, limit: número máximo de resultados }
+   * @returns {Array} [{ item, score }] ordenado por score decrescente
+   */
+  search(query, { filter = null, limit = null } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.docs.length === 0) return [];
+
+    const N = this.docs.length;
+    const avgLength = this.totalLength / N;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (N - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [docId, tf] of posting) {
+        const { length } = this.docs[docId];
+        const norm = tf + this.k1 * (1 - this.b + this.b * length / avgLength);
+        scores.set(docId, (scores.get(docId) || 0) + idf * (tf * (this.k1 + 1)) / norm);
+      }
+    }
+
+    const results = [];
+    for (const [docId, score] of scores) {
+      const { item } = this.docs[docId];
+      if (filter && !filter(item)) continue;
+      results.push({ item, score });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return limit ? results.slice(0, limit) : results;
+  }
+}
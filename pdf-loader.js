@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+import pdfParse from 'pdf-parse-fork';
+import { contentHash } from './index-store.js';
+
+// Função para extrair texto do PDF usando pdf-parse-fork
+export async function extractTextFromPDF(pdfPath) {
+  try {
+    const dataBuffer = fs.readFileSync(pdfPath);
+    const data = await pdfParse(dataBuffer);
+    return data.text;
+  } catch (error) {
+    console.error(`Erro ao extrair texto do PDF ${pdfPath}:`, error.message);
+    return '';
+  }
+}
+
+/**
+ * Carrega todos os PDFs de uma pasta
+ * @param {string} leisPath - Pasta com os PDFs das leis
+ * @param {Map} pdfCache - Destino: nome do ficheiro -> { name, text, hash, preview }
+ * @returns {Promise<Map>} pdfCache
+ */
+export async function loadAllPDFs(leisPath, pdfCache = new Map()) {
+  const files = fs.readdirSync(leisPath).filter(f => f.endsWith('.pdf'));
+  
+  console.log(`Carregando ${files.length} arquivos PDF...`);
+  
+  for (const file of files) {
+    const filePath = path.join(leisPath, file);
+    const text = await extractTextFromPDF(filePath);
+    
+    pdfCache.set(file, {
+      name: file,
+      text: text,
+      hash: contentHash(fs.readFileSync(filePath)), // Chave do índice RAG persistente
+      preview: text.substring(0, 500)
+    });
+    
+    console.log(`✓ ${file} carregado (${text.length} caracteres)`);
+  }
+  
+  console.log('Todos os PDFs foram carregados!');
+  return pdfCache;
+}
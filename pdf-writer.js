@@ -0,0 +1,199 @@
+import { PDFDocument, StandardFonts, PageSizes, rgb } from 'pdf-lib';
+
+// Margens e tamanhos em pontos (A4: 595 x 842)
+const MARGIN = 56;
+const FOOTER_HEIGHT = 28;
+const LINE_HEIGHT = 1.35;
+const TEXT_SIZE = 11;
+const HEADING_SIZES = { 1: 16, 2: 13, 3: 11.5 };
+
+const GREY = rgb(0.4, 0.4, 0.4);
+
+// Caracteres sem equivalente nas fontes padrão do PDF (WinAnsi)
+const REPLACEMENTS = {
+  '\t': ' ',
+  '✓': '-',
+  '✔': '-',
+  '☐': '-',
+  '☑': '-',
+  '≤': '<=',
+  '≥': '>=',
+  '×': 'x',
+  '→': '->',
+  '─': '-',
+  '━': '-'
+};
+
+/**
+ * Paginação de documentos em PDF (pdf-lib, fontes padrão Helvetica)
+ * Escreve blocos de texto de cima para baixo, com quebra de linha pela
+ * largura da página e nova página quando o espaço acaba; no fim acrescenta
+ * o rodapé e a numeração "Página X de Y" a todas as páginas.
+ */
+export class PdfWriter {
+  /**
+   * @param {Object} options
+   * @param {string} options.titulo - Título nos metadados do PDF
+   * @param {string} options.rodape - Texto do rodapé de cada página
+   * @returns {Promise<PdfWriter>}
+   */
+  static async create({ titulo, rodape = null } = {}) {
+    const doc = await PDFDocument.create();
+    const fonts = {
+      regular: await doc.embedFont(StandardFonts.Helvetica),
+      bold: await doc.embedFont(StandardFonts.HelveticaBold),
+      italic: await doc.embedFont(StandardFonts.HelveticaOblique)
+    };
+    doc.setTitle(titulo || 'Documento');
+    doc.setLanguage('pt-MZ');
+    doc.setCreator('API de Consulta de Leis Moçambicanas');
+    return new PdfWriter(doc, fonts, { rodape });
+  }
+
+  constructor(doc, fonts, { rodape }) {
+    this.doc = doc;
+    this.fonts = fonts;
+    this.rodape = rodape;
+    this.charset = new Set(fonts.regular.getCharacterSet());
+    this.page = null;
+    this.y = 0;
+    this.addPage();
+  }
+
+  get width() {
+    return this.page.getWidth() - 2 * MARGIN;
+  }
+
+  addPage() {
+    this.page = this.doc.addPage(PageSizes.A4);
+    this.y = this.page.getHeight() - MARGIN;
+  }
+
+  // Nova página se o bloco não couber no espaço que resta
+  ensureSpace(height) {
+    if (this.y - height < MARGIN + FOOTER_HEIGHT) this.addPage();
+  }
+
+  /**
+   * Texto que as fontes padrão conseguem desenhar (emojis e símbolos são trocados ou retirados)
+   */
+  sanitize(text) {
+    let clean = '';
+    for (const char of String(text ?? '')) {
+      const replacement = REPLACEMENTS[char];
+      if (replacement !== undefined) clean += replacement;
+      else if (char === '\n' || this.charset.has(char.codePointAt(0))) clean += char;
+    }
+    return clean.replace(/ {2,}/g, ' ');
+  }
+
+  /**
+   * Divide um parágrafo em linhas que cabem na largura (palavras longas são partidas)
+   */
+  wrap(text, font, size, width) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (font.widthOfTextAtSize(line, size) > width) {
+        let cut = line.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(line.substring(0, cut), size) > width) cut--;
+        lines.push(line.substring(0, cut));
+        line = line.substring(cut);
+      }
+    }
+    lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Escreve um bloco de texto (cada '\n' começa uma linha nova)
+   * @param {string} texto
+   * @param {Object} options - { size, bold, italic, align: left|center|right, indent, spacingAfter, color }
+   */
+  text(texto, { size = TEXT_SIZE, bold = false, italic = false, align = 'left', indent = 0, spacingAfter = 6, color = undefined } = {}) {
+    const font = bold ? this.fonts.bold : italic ? this.fonts.italic : this.fonts.regular;
+    const width = this.width - indent;
+    const lineHeight = size * LINE_HEIGHT;
+
+    for (const paragraph of this.sanitize(texto).split('\n')) {
+      for (const line of this.wrap(paragraph.trim(), font, size, width)) {
+        this.ensureSpace(lineHeight);
+        const lineWidth = font.widthOfTextAtSize(line, size);
+        const x = MARGIN + indent + (align === 'center' ? (width - lineWidth) / 2 : align === 'right' ? width - lineWidth : 0);
+        this.page.drawText(line, { x, y: this.y - size, size, font, color });
+        this.y -= lineHeight;
+      }
+    }
+    this.y -= spacingAfter;
+  }
+
+  heading(texto, level = 1) {
+    const size = HEADING_SIZES[level] || TEXT_SIZE;
+    // Um título não fica sozinho no fim da página
+    this.ensureSpace(size * LINE_HEIGHT * 3);
+    this.text(texto, { size, bold: true, align: level === 1 ? 'center' : 'left', spacingAfter: level === 1 ? 12 : 6 });
+  }
+
+  /**
+   * Lista com marcadores ("•") ou numerada
+   */
+  list(items, { numbered = false, size = TEXT_SIZE } = {}) {
+    const font = this.fonts.regular;
+    const indent = 16;
+    items.forEach((item, i) => {
+      const marker = numbered ? `${i + 1}.` : '•';
+      this.ensureSpace(size * LINE_HEIGHT);
+      this.page.drawText(marker, { x: MARGIN + 4, y: this.y - size, size, font });
+      this.text(item, { size, indent, spacingAfter: 2 });
+    });
+    this.y -= 4;
+  }
+
+  // Linha horizontal a toda a largura
+  rule() {
+    this.ensureSpace(12);
+    this.page.drawLine({
+      start: { x: MARGIN, y: this.y - 4 },
+      end: { x: MARGIN + this.width, y: this.y - 4 },
+      thickness: 0.5,
+      color: GREY
+    });
+    this.y -= 14;
+  }
+
+  spacer(height = 12) {
+    this.y -= height;
+  }
+
+  /**
+   * Acrescenta rodapé e numeração às páginas e devolve o PDF
+   * @returns {Promise<Uint8Array>}
+   */
+  async save() {
+    const pages = this.doc.getPages();
+    const font = this.fonts.regular;
+    const size = 8;
+    pages.forEach((page, i) => {
+      const numero = `Página ${i + 1} de ${pages.length}`;
+      page.drawText(numero, {
+        x: page.getWidth() - MARGIN - font.widthOfTextAtSize(numero, size),
+        y: MARGIN / 2,
+        size,
+        font,
+        color: GREY
+      });
+      if (this.rodape) {
+        const [linha] = this.wrap(this.sanitize(this.rodape), font, size, this.width - 80);
+        page.drawText(linha, { x: MARGIN, y: MARGIN / 2, size, font, color: GREY });
+      }
+    });
+    return this.doc.save();
+  }
+}
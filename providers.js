@@ -0,0 +1,250 @@
+import OpenAI from 'openai';
+
+/**
+ * Camada de fornecedores de modelos (LLM e embeddings)
+ * Todos os módulos recebem os fornecedores daqui, em vez de criarem os seus
+ * próprios clientes OpenAI. Permite correr o assistente sem internet:
+ * embeddings locais em CPU e um servidor LLM compatível com a API OpenAI
+ * (Ollama, llama.cpp, LM Studio...).
+ *
+ * Variáveis de ambiente:
+ * - LLM_PROVIDER: 'openai' | 'compatible' (omissão: openai se houver OPENAI_API_KEY)
+ * - LLM_MODEL, LLM_BASE_URL, LLM_API_KEY
+ * - EMBEDDINGS_PROVIDER: 'openai' | 'compatible' | 'local' (omissão: openai se houver OPENAI_API_KEY)
+ * - EMBEDDINGS_MODEL, EMBEDDINGS_BASE_URL, EMBEDDINGS_API_KEY
+ * - LOCAL_MODELS_PATH: pasta com modelos locais já descarregados (desativa downloads)
+ */
+
+const DEFAULTS = {
+  openai: {
+    llmModel: 'gpt-4o-mini',
+    embeddingsModel: 'text-embedding-3-small'
+  },
+  compatible: {
+    baseURL: 'http://localhost:11434/v1', // Ollama
+    llmModel: 'llama3.1',
+    embeddingsModel: 'nomic-embed-text'
+  },
+  local: {
+    embeddingsModel: 'Xenova/all-MiniLM-L6-v2'
+  }
+};
+
+export const LLM_PROVIDERS = ['openai', 'compatible'];
+export const EMBEDDINGS_PROVIDERS = ['openai', 'compatible', 'local'];
+
+/**
+ * LLM de chat via API OpenAI (ou servidor compatível)
+ */
+export class ChatProvider {
+  constructor({ name, apiKey, baseURL = undefined, model }) {
+    this.name = name;
+    this.model = model;
+    // O SDK exige uma chave mesmo quando o servidor local a ignora
+    this.client = new OpenAI({ apiKey: apiKey || 'local', baseURL });
+  }
+
+  /**
+   * Cria uma resposta de chat (mesmos parâmetros de chat.completions.create, sem model)
+   * @param {Object} params - { messages, temperature, max_tokens, response_format, ... }
+   * @returns {Promise<Object>} Resposta no formato OpenAI
+   */
+  async createCompletion(params) {
+    return this.client.chat.completions.create({ model: this.model, ...params });
+  }
+
+  /**
+   * Cria uma resposta de chat em streaming
+   * @param {Object} params - Como em createCompletion
+   * @param {Function} onToken - Chamada com cada fragmento de texto, à medida que é gerado
+   * @returns {Promise<Object>} Resposta completa no mesmo formato de createCompletion
+   */
+  async streamCompletion(params, onToken) {
+    const stream = await this.client.chat.completions.create({ model: this.model, ...params, stream: true });
+    let content = '';
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (!delta) continue;
+      content += delta;
+      onToken(delta);
+    }
+    return { choices: [{ message: { role: 'assistant', content } }] };
+  }
+
+  /**
+   * createCompletion, ou streamCompletion quando há onToken
+   */
+  async complete(params, onToken = null) {
+    return onToken ? this.streamCompletion(params, onToken) : this.createCompletion(params);
+  }
+}
+
+/**
+ * Embeddings via API OpenAI (ou servidor compatível com /v1/embeddings)
+ */
+export class OpenAIEmbeddingProvider {
+  constructor({ name, apiKey, baseURL = undefined, model, batchSize = 256 }) {
+    this.name = name;
+    this.model = model;
+    this.id = `${name}:${model}`;
+    this.batchSize = batchSize;
+    this.client = new OpenAI({ apiKey: apiKey || 'local', baseURL });
+  }
+
+  async embedDocuments(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const response = await this.client.embeddings.create({
+        model: this.model,
+        input: texts.slice(i, i + this.batchSize)
+      });
+      vectors.push(...response.data.sort((a, b) => a.index - b.index).map(d => d.embedding));
+    }
+    return vectors;
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embedDocuments([text]);
+    return vector;
+  }
+}
+
+/**
+ * Embeddings locais em CPU (modelos ONNX via chromadb-default-embed).
+ * O modelo é descarregado na primeira utilização, ou lido de LOCAL_MODELS_PATH.
+ */
+export class LocalEmbeddingProvider {
+  constructor({ model, localModelsPath = null, batchSize = 32 }) {
+    this.name = 'local';
+    this.model = model;
+    this.id = `local:${model}`;
+    this.localModelsPath = localModelsPath;
+    this.batchSize = batchSize;
+    this.pipelinePromise = null;
+  }
+
+  // Carregamento preguiçoso: o modelo só é lido quando há algo para embeber
+  async getPipeline() {
+    if (!this.pipelinePromise) {
+      this.pipelinePromise = import('chromadb-default-embed').then(({ pipeline, env }) => {
+        if (this.localModelsPath) {
+          env.localModelPath = this.localModelsPath;
+          env.allowRemoteModels = false;
+        }
+        console.log(`🧠 A carregar modelo de embeddings local ${this.model}...`);
+        return pipeline('feature-extraction', this.model, { quantized: false });
+      });
+    }
+    return this.pipelinePromise;
+  }
+
+  async embedDocuments(texts) {
+    const extractor = await this.getPipeline();
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const output = await extractor(texts.slice(i, i + this.batchSize), { pooling: 'mean', normalize: true });
+      vectors.push(...output.tolist());
+    }
+    return vectors;
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embedDocuments([text]);
+    return vector;
+  }
+}
+
+/**
+ * Cross-encoder local em CPU (ONNX via chromadb-default-embed) para re-ranking:
+ * pontua o par (pergunta, trecho) em conjunto, mais preciso do que comparar embeddings.
+ */
+export class LocalCrossEncoder {
+  constructor({ model = 'Xenova/ms-marco-MiniLM-L-6-v2', localModelsPath = null, batchSize = 16 } = {}) {
+    this.model = model;
+    this.id = `local:${model}`;
+    this.localModelsPath = localModelsPath;
+    this.batchSize = batchSize;
+    this.modelPromise = null;
+  }
+
+  async getModel() {
+    if (!this.modelPromise) {
+      this.modelPromise = import('chromadb-default-embed').then(async ({ AutoTokenizer, AutoModelForSequenceClassification, env }) => {
+        if (this.localModelsPath) {
+          env.localModelPath = this.localModelsPath;
+          env.allowRemoteModels = false;
+        }
+        console.log(`🧠 A carregar cross-encoder local ${this.model}...`);
+        return {
+          tokenizer: await AutoTokenizer.from_pretrained(this.model),
+          model: await AutoModelForSequenceClassification.from_pretrained(this.model, { quantized: false })
+        };
+      });
+    }
+    return this.modelPromise;
+  }
+
+  /**
+   * Relevância de cada texto para a pergunta
+   * @returns {Promise<Array<number>>} Scores entre 0 e 1 (sigmoide do logit)
+   */
+  async score(query, texts) {
+    const { tokenizer, model } = await this.getModel();
+    const scores = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const inputs = tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch,
+        padding: true,
+        truncation: true
+      });
+      const { logits } = await model(inputs);
+      scores.push(...logits.tolist().map(([logit]) => 1 / (1 + Math.exp(-logit))));
+    }
+    return scores;
+  }
+}
+
+/**
+ * Cria os fornecedores de LLM e embeddings a partir da configuração
+ * @param {Object} config - Variáveis de ambiente (por omissão process.env)
+ * @returns {{ llm: ChatProvider, embeddings: OpenAIEmbeddingProvider|LocalEmbeddingProvider }}
+ */
+export function createProviders(config = process.env) {
+  const hasOpenAIKey = Boolean(config.OPENAI_API_KEY);
+
+  const llmProvider = config.LLM_PROVIDER || (hasOpenAIKey ? 'openai' : 'compatible');
+  const embeddingsProvider = config.EMBEDDINGS_PROVIDER || (hasOpenAIKey ? 'openai' : 'local');
+
+  if (!LLM_PROVIDERS.includes(llmProvider)) {
+    throw new Error(`LLM_PROVIDER inválido: ${llmProvider} (valores aceites: ${LLM_PROVIDERS.join(', ')})`);
+  }
+  if (!EMBEDDINGS_PROVIDERS.includes(embeddingsProvider)) {
+    throw new Error(`EMBEDDINGS_PROVIDER inválido: ${embeddingsProvider} (valores aceites: ${EMBEDDINGS_PROVIDERS.join(', ')})`);
+  }
+
+  const llm = new ChatProvider({
+    name: llmProvider,
+    apiKey: llmProvider === 'openai' ? config.OPENAI_API_KEY : config.LLM_API_KEY,
+    baseURL: llmProvider === 'compatible' ? config.LLM_BASE_URL || DEFAULTS.compatible.baseURL : config.LLM_BASE_URL,
+    model: config.LLM_MODEL || DEFAULTS[llmProvider].llmModel
+  });
+
+  const embeddingsModel = config.EMBEDDINGS_MODEL || DEFAULTS[embeddingsProvider].embeddingsModel;
+  const embeddings = embeddingsProvider === 'local'
+    ? new LocalEmbeddingProvider({
+      model: embeddingsModel,
+      localModelsPath: config.LOCAL_MODELS_PATH || null
+    })
+    : new OpenAIEmbeddingProvider({
+      name: embeddingsProvider,
+      apiKey: embeddingsProvider === 'openai' ? config.OPENAI_API_KEY : config.EMBEDDINGS_API_KEY || config.LLM_API_KEY,
+      baseURL: embeddingsProvider === 'compatible'
+        ? config.EMBEDDINGS_BASE_URL || config.LLM_BASE_URL || DEFAULTS.compatible.baseURL
+        : config.EMBEDDINGS_BASE_URL,
+      model: embeddingsModel
+    });
+
+  console.log(`🤖 LLM: ${llm.name} (${llm.model}) | Embeddings: ${embeddings.id}`);
+  return { llm, embeddings };
+}
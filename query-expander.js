@@ -0,0 +1,128 @@
+import { foldText } from './law-catalog.js';
+
+// Grafias do português do Brasil (ou do Acordo Ortográfico) -> grafia usada nas leis de Moçambique
+const SPELLING_VARIANTS = [
+  ['fato', 'facto'],
+  ['fatos', 'factos'],
+  ['contato', 'contacto'],
+  ['ação', 'acção'],
+  ['ações', 'acções'],
+  ['direção', 'direcção'],
+  ['coletivo', 'colectivo'],
+  ['coletiva', 'colectiva'],
+  ['efetivo', 'efectivo'],
+  ['efetiva', 'efectiva'],
+  ['atual', 'actual'],
+  ['exceção', 'excepção'],
+  ['proteção', 'protecção'],
+  ['infração', 'infracção'],
+  ['registro', 'registo'],
+  ['seção', 'secção'],
+  ['ato', 'acto'],
+  ['atos', 'actos']
+];
+
+// Dobra letra a letra, mantendo as posições do texto original (ao contrário de foldText)
+function foldChars(text) {
+  return Array.from(text, ch => {
+    const folded = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return folded.length === 1 ? folded : ch;
+  }).join('');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Expansão de perguntas antes da pesquisa
+ * Usa os termos do glossário (sinónimos, grafias PT-BR e expressões
+ * coloquiais) para aproximar a pergunta da linguagem das leis:
+ * - grafias PT-BR são reescritas para a grafia moçambicana ("indenização" -> "indemnização")
+ * - sinónimos e coloquialismos acrescentam o termo jurídico ("patrão" -> "empregador")
+ * A pergunta semântica é a reescrita com os termos acrescentados; a lexical
+ * (BM25) junta ainda os termos soltos, sem palavras de ligação.
+ */
+export class QueryExpander {
+  /**
+   * @param {LegalGlossary} glossary - Glossário jurídico (ver getExpansionEntries)
+   */
+  constructor(glossary) {
+    this.glossary = glossary;
+    this.rules = null;
+  }
+
+  // Regras construídas na primeira utilização, da expressão mais longa para a mais curta
+  getRules() {
+    if (this.rules) return this.rules;
+
+    const entries = [
+      ...SPELLING_VARIANTS.map(([variante, termo]) => ({ termo, variante, tipo: 'ortografia' })),
+      ...this.glossary.getExpansionEntries()
+    ];
+
+    const seen = new Set();
+    this.rules = entries
+      .filter(({ termo, variante }) => {
+        const key = `${foldText(variante)}>${foldText(termo)}`;
+        if (foldText(variante) === foldText(termo) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(entry => ({
+        ...entry,
+        termoFolded: foldText(entry.termo),
+        regex: new RegExp(`(?<![a-z0-9])${escapeRegex(foldText(entry.variante))}(?![a-z0-9])`, 'g')
+      }))
+      .sort((a, b) => b.variante.length - a.variante.length);
+
+    return this.rules;
+  }
+
+  /**
+   * Expande uma pergunta
+   * @param {string} query - Pergunta (ou termo do glossário)
+   * @returns {Object} { original, semantica, lexical, expansoes: [{ encontrado, termo, tipo }] }
+   */
+  expand(query) {
+    const original = query.normalize('NFC');
+    const folded = foldChars(original);
+    const expansoes = [];
+    const replacements = []; // [inicio, fim, texto]
+    const added = [];
+    const covered = [];
+
+    for (const rule of this.getRules()) {
+      for (const match of folded.matchAll(rule.regex)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        // Parte de uma expressão mais longa já expandida ("mandado embora" dentro de "fui mandado embora")
+        if (covered.some(([from, to]) => start < to && end > from)) continue;
+        covered.push([start, end]);
+
+        expansoes.push({ encontrado: original.substring(start, end), termo: rule.termo, tipo: rule.tipo });
+        if (rule.tipo === 'ortografia') {
+          replacements.push([start, end, rule.termo]);
+        } else if (!folded.includes(rule.termoFolded) && !added.includes(rule.termo)) {
+          added.push(rule.termo);
+        }
+      }
+    }
+
+    if (expansoes.length === 0) {
+      return { original, semantica: original, lexical: original, expansoes };
+    }
+
+    let rewritten = original;
+    for (const [start, end, termo] of replacements.sort((a, b) => b[0] - a[0])) {
+      rewritten = rewritten.substring(0, start) + termo + rewritten.substring(end);
+    }
+
+    return {
+      original,
+      semantica: added.length > 0 ? `${rewritten} (${added.join(', ')})` : rewritten,
+      lexical: [rewritten, ...added].join(' '),
+      expansoes
+    };
+  }
+}
@@ -1,258 +1,290 @@
 import { ChromaClient } from 'chromadb';
-import { OpenAIEmbeddings } from '@langchain/openai';
-import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
-import { v4 as uuidv4 } from 'uuid';
-
-export class RAGSystem {
-  constructor(openaiApiKey) {
-    this.client = new ChromaClient();
-    this.embeddings = new OpenAIEmbeddings({
-      openAIApiKey: openaiApiKey,
-      modelName: 'text-embedding-3-small'
+import { contentHash } from './index-store.js';
+import { Retriever } from './retriever.js';
+import { normalizeVector, dot } from './vector-index.js';
+
+// Tamanho dos lotes enviados ao Chroma (get/upsert/delete)
+const BATCH_SIZE = 500;
+
+/**
+ * Retriever com embeddings no ChromaDB.
+ * A coleção persiste entre arranques: cada chunk tem id estável
+ * ("<lei_id>#<chunk_index>") e guarda o hash do conteúdo e da configuração,
+ * pelo que só as leis alteradas são re-embebidas (upsert) e só os chunks
+ * de leis removidas ou encurtadas são apagados.
+ */
+export class RAGSystem extends Retriever {
+  /**
+   * @param {Object} embeddings - Fornecedor de embeddings (ver providers.js)
+   * @param {Object} options - { url, collectionName }
+   */
+  constructor(embeddings, options = {}) {
+    super(embeddings);
+    this.backend = 'chroma';
+    const url = new URL(options.url || process.env.CHROMA_URL || 'http://localhost:8000');
+    this.client = new ChromaClient({
+      host: url.hostname,
+      port: parseInt(url.port || (url.protocol === 'https:' ? '443' : '80')),
+      ssl: url.protocol === 'https:'
     });
     this.collection = null;
-    this.collectionName = 'leis_mocambique';
-    this.textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1500, // Aumentado para capturar artigos completos
-      chunkOverlap: 300, // Mais overlap para contexto
-      separators: ['\n\nARTIGO', '\n\n', '\n', '. ', ' ', ''] // Priorizar separação por artigo
-    });
-  }
-
-  // Extrair número do artigo do texto
-  extractArticleNumber(text) {
-    const match = text.match(/ARTIGO\s+(\d+)/i);
-    return match ? parseInt(match[1]) : null;
+    this.collectionName = options.collectionName || process.env.CHROMA_COLLECTION || 'leis_mocambique';
+    this.areasByLaw = new Map(); // id do acto -> áreas legais (filtro por área)
   }
 
-  // Extrair título/assunto do artigo
-  extractArticleTitle(text) {
-    const lines = text.split('\n');
-    for (let i = 0; i < Math.min(lines.length, 5); i++) {
-      const line = lines[i].trim();
-      if (line && !line.match(/^ARTIGO\s+\d+$/i)) {
-        return line.substring(0, 100);
-      }
-    }
-    return null;
+  static chunkId(leiId, chunkIndex) {
+    return `${leiId}#${chunkIndex}`;
   }
 
   async initialize() {
+    if (this.collection) return;
     try {
-      // Tentar deletar coleção existente
-      try {
-        await this.client.deleteCollection({ name: this.collectionName });
-      } catch (e) {
-        // Coleção não existe, tudo bem
-      }
-
-      // Criar nova coleção
-      this.collection = await this.client.createCollection({
+      this.collection = await this.client.getOrCreateCollection({
         name: this.collectionName,
-        metadata: { 
+        metadata: {
           description: 'Leis de Moçambique indexadas',
           'hnsw:space': 'cosine'
         }
       });
 
-      console.log('✓ ChromaDB inicializado');
+      console.log(`✓ ChromaDB inicializado (coleção ${this.collectionName})`);
     } catch (error) {
       console.error('Erro ao inicializar ChromaDB:', error);
       throw error;
     }
   }
 
-  async indexLaw(lawName, lawText) {
-    if (!this.collection) {
-      throw new Error('RAG não foi inicializado. Chame initialize() primeiro.');
-    }
-
-    // Dividir texto em chunks
-    const chunks = await this.textSplitter.splitText(lawText);
-    
-    if (chunks.length === 0) {
-      console.warn(`⚠️  ${lawName}: Nenhum chunk gerado`);
-      return 0;
+  // Metadados do Chroma só aceitam valores escalares (sem null nem arrays)
+  toMetadata(chunk, hash, configHash) {
+    const metadata = {
+      lei: chunk.lei,
+      lei_id: chunk.leiId,
+      ficheiro: chunk.ficheiro || chunk.leiId,
+      area_legal: (chunk.areaLegal || []).join(','),
+      chunk_index: chunk.chunkIndex,
+      path: chunk.path || '',
+      paragraphs: (chunk.paragraphs || []).join(','),
+      has_article: chunk.articleNumber !== null && chunk.articleNumber !== undefined,
+      hash,
+      config_hash: configHash
+    };
+    if (metadata.has_article) {
+      metadata.article_number = chunk.articleNumber;
+      if (chunk.articleLabel) metadata.article_label = chunk.articleLabel;
+      if (chunk.articleTitle) metadata.article_title = chunk.articleTitle;
     }
+    return metadata;
+  }
 
-    // Criar embeddings para cada chunk
-    const embeddings = await this.embeddings.embedDocuments(chunks);
-    
-    // Preparar dados para ChromaDB com metadados enriquecidos
-    const ids = chunks.map(() => uuidv4());
-    const metadatas = chunks.map((chunk, i) => {
-      const articleNumber = this.extractArticleNumber(chunk);
-      const articleTitle = this.extractArticleTitle(chunk);
-      
-      return {
-        lei: lawName,
-        chunk_index: i,
-        total_chunks: chunks.length,
-        article_number: articleNumber,
-        article_title: articleTitle,
-        has_article: articleNumber !== null,
-        text_length: chunk.length,
-        chunk_preview: chunk.substring(0, 100).replace(/\n/g, ' ')
-      };
-    });
+  // Chunk em memória a partir de um documento e metadados do Chroma
+  fromMetadata(doc, metadata) {
+    return {
+      text: doc,
+      lei: metadata.lei,
+      leiId: metadata.lei_id,
+      ficheiro: metadata.ficheiro,
+      areaLegal: metadata.area_legal ? metadata.area_legal.split(',') : [],
+      chunkIndex: metadata.chunk_index,
+      articleNumber: metadata.has_article ? metadata.article_number : null,
+      articleLabel: metadata.article_label || null,
+      articleTitle: metadata.article_title || null,
+      path: metadata.path,
+      paragraphs: metadata.paragraphs ? metadata.paragraphs.split(',').map(Number) : [],
+      hasArticle: metadata.has_article
+    };
+  }
 
-    // Adicionar ao ChromaDB
-    await this.collection.add({
-      ids: ids,
-      embeddings: embeddings,
-      documents: chunks,
-      metadatas: metadatas
-    });
+  // Todos os chunks da coleção agrupados por lei (sem embeddings)
+  async loadCollection() {
+    const laws = new Map(); // lei_id -> { hash, configHash, chunks }
+    const total = await this.collection.count();
 
-    // Log de artigos indexados
-    const articles = metadatas
-      .filter(m => m.article_number)
-      .map(m => m.article_number)
-      .filter((v, i, a) => a.indexOf(v) === i) // unique
-      .sort((a, b) => a - b);
-    
-    if (articles.length > 0) {
-      console.log(`    Artigos: ${articles.join(', ')}`);
+    for (let offset = 0; offset < total; offset += BATCH_SIZE) {
+      const page = await this.collection.get({
+        include: ['documents', 'metadatas'],
+        limit: BATCH_SIZE,
+        offset
+      });
+      page.ids.forEach((id, i) => {
+        const metadata = page.metadatas[i];
+        if (!laws.has(metadata.lei_id)) {
+          laws.set(metadata.lei_id, { hash: metadata.hash, configHash: metadata.config_hash, chunks: [] });
+        }
+        const law = laws.get(metadata.lei_id);
+        // Hashes diferentes dentro da mesma lei = indexação interrompida
+        if (law.hash !== metadata.hash || law.configHash !== metadata.config_hash) law.hash = null;
+        law.chunks.push({ id, ...this.fromMetadata(page.documents[i], metadata) });
+      });
     }
 
-    return chunks.length;
+    laws.forEach(law => law.chunks.sort((a, b) => a.chunkIndex - b.chunkIndex));
+    return laws;
   }
 
-  async indexAllLaws(pdfCache) {
-    console.log('\n📚 Indexando leis no RAG...');
+  async deleteIds(ids) {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      await this.collection.delete({ ids: ids.slice(i, i + BATCH_SIZE) });
+    }
+  }
+
+  /**
+   * Indexa todas as leis de forma incremental.
+   * Leis com o mesmo hash de conteúdo e configuração são reutilizadas
+   * (só os metadados do catálogo são atualizados se mudarem); as restantes
+   * são re-embebidas com upsert. Leis fora do corpus são apagadas.
+   * @param {Map} corpus - id do acto -> { text, hash, title, ficheiro, areaLegal } (ver LawCatalog.toCorpus)
+   * @returns {Promise<number>} Total de chunks indexados
+   */
+  async indexAllLaws(corpus) {
+    await this.initialize();
+    console.log('\n📚 Indexando leis no ChromaDB...');
+    const configHash = this.getConfigHash();
+    const existing = await this.loadCollection();
     let totalChunks = 0;
+    let reused = 0;
+    let rebuilt = 0;
+
+    this.resetChunks();
+    this.areasByLaw.clear();
+
+    for (const [id, data] of corpus.entries()) {
+      const title = data.title || id;
+      const hash = data.hash || contentHash(data.text);
+      const catalogFields = { lei: title, ficheiro: data.ficheiro || id, areaLegal: data.areaLegal || [] };
+      const previous = existing.get(id);
+      let lawChunks;
+
+      if (previous && previous.hash === hash && previous.configHash === configHash) {
+        lawChunks = previous.chunks;
+        reused++;
+
+        // Nome oficial vem sempre do catálogo atual (pode mudar sem re-indexar)
+        const changed = lawChunks.filter(c => c.lei !== catalogFields.lei || c.ficheiro !== catalogFields.ficheiro ||
+          c.areaLegal.join(',') !== catalogFields.areaLegal.join(','));
+        if (changed.length > 0) {
+          changed.forEach(c => Object.assign(c, catalogFields));
+          for (let i = 0; i < changed.length; i += BATCH_SIZE) {
+            const batch = changed.slice(i, i + BATCH_SIZE);
+            await this.collection.update({
+              ids: batch.map(c => c.id),
+              metadatas: batch.map(c => this.toMetadata(c, hash, configHash))
+            });
+          }
+        }
+      } else {
+        lawChunks = await this.buildLawChunks(id, data.text, title);
+        lawChunks.forEach(c => Object.assign(c, catalogFields, { id: RAGSystem.chunkId(id, c.chunkIndex) }));
+
+        for (let i = 0; i < lawChunks.length; i += BATCH_SIZE) {
+          const batch = lawChunks.slice(i, i + BATCH_SIZE);
+          await this.collection.upsert({
+            ids: batch.map(c => c.id),
+            embeddings: batch.map(c => c.embedding),
+            documents: batch.map(c => c.text),
+            metadatas: batch.map(c => this.toMetadata(c, hash, configHash))
+          });
+        }
+
+        // Chunks antigos que já não existem (lei ficou mais curta)
+        if (previous) {
+          const kept = new Set(lawChunks.map(c => c.id));
+          await this.deleteIds(previous.chunks.map(c => c.id).filter(chunkId => !kept.has(chunkId)));
+        }
+
+        // Os embeddings ficam só no Chroma
+        lawChunks.forEach(c => delete c.embedding);
+        rebuilt++;
+      }
 
-    for (const [name, data] of pdfCache.entries()) {
-      const chunks = await this.indexLaw(name, data.text);
-      totalChunks += chunks;
-      console.log(`  ✓ ${name}: ${chunks} chunks`);
+      this.areasByLaw.set(id, catalogFields.areaLegal);
+
+      if (lawChunks.length === 0) {
+        console.warn(`⚠️  ${title}: Nenhum chunk gerado`);
+        continue;
+      }
+
+      this.addLawChunks(id, lawChunks);
+      totalChunks += lawChunks.length;
+      console.log(`  ✓ ${title}: ${lawChunks.length} chunks`);
     }
 
-    console.log(`\n✅ Total de ${totalChunks} chunks indexados!\n`);
+    for (const [id, law] of existing) {
+      if (corpus.has(id)) continue;
+      await this.deleteIds(law.chunks.map(c => c.id));
+      console.log(`  ✗ ${id}: removida do índice`);
+    }
+
+    this.chunkById = new Map(this.chunks.map(c => [c.id, c]));
+
+    console.log(`\n✅ Total de ${totalChunks} chunks indexados! (${reused} leis reutilizadas, ${rebuilt} re-indexadas)\n`);
     return totalChunks;
   }
 
-  async search(query, topK = 5) {
-    if (!this.collection) {
-      throw new Error('RAG não foi inicializado');
+  /**
+   * Filtro "where" do Chroma equivalente a buildFilter()
+   * A área legal é convertida em ids de actos (metadados não têm arrays).
+   * @returns {Object|null} where (null = sem restrições); { impossivel: true } se nada pode corresponder
+   */
+  buildWhere({ leiIds, areaLegal, artigos } = {}) {
+    let allowed = leiIds ? [...leiIds] : null;
+    if (areaLegal?.length > 0) {
+      const areas = new Set(areaLegal);
+      const inArea = [...this.areasByLaw].filter(([, lawAreas]) => lawAreas.some(a => areas.has(a))).map(([id]) => id);
+      allowed = allowed ? allowed.filter(id => inArea.includes(id)) : inArea;
+    }
+    if (allowed && allowed.length === 0) return { impossivel: true };
+
+    const conditions = [];
+    if (allowed) conditions.push({ lei_id: { $in: allowed } });
+    if (artigos?.length > 0) {
+      const ranges = artigos.map(([min, max]) => ({
+        $and: [{ article_number: { $gte: min } }, { article_number: { $lte: max } }]
+      }));
+      conditions.push(ranges.length === 1 ? ranges[0] : { $or: ranges });
     }
 
-    // Detectar se está buscando artigo específico
-    const articleMatch = query.match(/artigo\s+(\d+)/i);
-    const searchingArticle = articleMatch ? parseInt(articleMatch[1]) : null;
+    if (conditions.length === 0) return null;
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+  }
 
-    // Criar embedding da pergunta
-    const queryEmbedding = await this.embeddings.embedQuery(query);
+  async semanticSearch(queryVector, k, options) {
+    if (!this.collection) {
+      throw new Error('RAG não foi inicializado');
+    }
 
-    // Buscar mais resultados se estiver procurando artigo específico
-    const nResults = searchingArticle ? 10 : topK;
+    const where = this.buildWhere(options);
+    if (where?.impossivel) return [];
 
-    // Buscar chunks similares
     const results = await this.collection.query({
-      queryEmbeddings: [queryEmbedding],
-      nResults: nResults
+      queryEmbeddings: [queryVector],
+      nResults: Math.min(k, this.chunks.length),
+      ...(where && { where }),
+      include: ['distances']
     });
 
-    // Formatar resultados
-    const documents = results.documents[0] || [];
-    const metadatas = results.metadatas[0] || [];
+    const ids = results.ids[0] || [];
     const distances = results.distances[0] || [];
+    return ids
+      .map((id, i) => ({ chunk: this.chunkById.get(id), score: 1 - distances[i] })) // distância -> similaridade
+      .filter(r => r.chunk);
+  }
 
-    let formattedResults = documents.map((doc, i) => ({
-      text: doc,
-      lei: metadatas[i]?.lei || 'Desconhecida',
-      chunkIndex: metadatas[i]?.chunk_index || 0,
-      articleNumber: metadatas[i]?.article_number,
-      articleTitle: metadatas[i]?.article_title,
-      similarity: 1 - distances[i], // Converter distância em similaridade
-      distance: distances[i]
-    }));
-
-    // Reranking: priorizar artigo específico se mencionado
-    if (searchingArticle) {
-      formattedResults = formattedResults.sort((a, b) => {
-        // Artigo exato tem prioridade máxima
-        const aExact = a.articleNumber === searchingArticle ? 1 : 0;
-        const bExact = b.articleNumber === searchingArticle ? 1 : 0;
-        
-        if (aExact !== bExact) return bExact - aExact;
-        
-        // Depois por similaridade
-        return b.similarity - a.similarity;
-      });
-
-      // Log para debug
-      const foundArticle = formattedResults.find(r => r.articleNumber === searchingArticle);
-      if (foundArticle) {
-        console.log(`✓ Artigo ${searchingArticle} encontrado (similaridade: ${foundArticle.similarity.toFixed(3)})`);
-      } else {
-        console.warn(`⚠️  Artigo ${searchingArticle} NÃO encontrado nos resultados`);
-        console.log('Artigos encontrados:', formattedResults.map(r => r.articleNumber).filter(Boolean));
-      }
+  async similarityFor(queryVector, chunks) {
+    const normalized = normalizeVector(queryVector);
+    const vectors = new Map();
+    for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+      const ids = chunks.slice(i, i + BATCH_SIZE).map(c => c.id);
+      const result = await this.collection.get({ ids, include: ['embeddings'] });
+      result.ids.forEach((id, j) => vectors.set(id, result.embeddings[j]));
     }
-
-    // Retornar top K após reranking
-    return formattedResults.slice(0, topK);
+    return chunks.map(c => (vectors.has(c.id) ? dot(normalized, normalizeVector(vectors.get(c.id))) : 0));
   }
 
   async getStats() {
-    if (!this.collection) return null;
-
-    const count = await this.collection.count();
     return {
-      totalChunks: count,
-      collectionName: this.collectionName
+      ...await super.getStats(),
+      collectionName: this.collectionName,
+      ...(this.collection && { chunksNaColecao: await this.collection.count() })
     };
   }
-
-  // Nova função para verificar artigos indexados
-  async getIndexedArticles(lawName = null) {
-    if (!this.collection) return [];
-
-    try {
-      const allData = await this.collection.get({
-        where: lawName ? { lei: lawName } : undefined,
-        include: ['metadatas']
-      });
-
-      const articles = allData.metadatas
-        .filter(m => m.article_number)
-        .map(m => ({
-          number: m.article_number,
-          title: m.article_title,
-          lei: m.lei
-        }))
-        .reduce((acc, curr) => {
-          const key = `${curr.lei}-${curr.number}`;
-          if (!acc.has(key)) {
-            acc.set(key, curr);
-          }
-          return acc;
-        }, new Map());
-
-      return Array.from(articles.values()).sort((a, b) => a.number - b.number);
-    } catch (error) {
-      console.error('Erro ao obter artigos indexados:', error);
-      return [];
-    }
-  }
-
-  // Função para verificar se artigo específico existe
-  async checkArticleExists(articleNumber, lawName = null) {
-    if (!this.collection) return false;
-
-    try {
-      const result = await this.collection.get({
-        where: {
-          article_number: articleNumber,
-          ...(lawName && { lei: lawName })
-        },
-        limit: 1
-      });
-
-      return result.ids.length > 0;
-    } catch (error) {
-      return false;
-    }
-  }
 }
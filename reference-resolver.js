@@ -0,0 +1,247 @@
+import { foldText } from './law-catalog.js';
+import { parseArticleList } from './cross-references.js';
+
+// Ordinal opcional depois de números ("125.º", "2º", "30.o")
+const ORD = '(?:\\.?\\s*[º°o](?![a-z]))?';
+
+// "alínea b) do n.º 2 do artigo 30.º-A, n.º 3", "artigos 12 e 13", "artigos 10 a 14"
+// (texto já sem acentos e em minúsculas)
+const REFERENCE_REGEX = new RegExp(
+  `(?:al(?:inea|\\.)\\s*([a-z])\\)?\\s*,?\\s*d[oa]\\s+)?` +
+  `(?:(?:n\\.?\\s*[º°o]\\.?|numero)\\s*(\\d+)${ORD}\\s*,?\\s*d[oa]\\s+)?` +
+  `\\b(art(?:igos?|s?\\.)?)\\s*(\\d{1,4})${ORD}(?:\\s*-\\s*([a-z])\\b)?` +
+  `(?:\\s*,?\\s*(?:n\\.?\\s*[º°o]\\.?|numero)\\s*(\\d+)${ORD})?` +
+  `((?:\\s*(?:,|e|a|ao)\\s*\\d{1,4}${ORD}(?![\\d/]))*)`,
+  'g'
+);
+
+// Lista depois de "artigo" no singular: só quando o último número fecha a referência
+// (ordinal, pontuação, fim do texto ou a lei: "artigo 12 e 13 da Lei ..."), não em
+// "artigo 12 e 3 colegas" ou "artigo 5 a 12 meses"
+const PLURAL_REGEX = /^art(?:igos|s\.)$/;
+const LIST_END_REGEX = /^(?:\s*(?:[.,;:!?)]|$)|\s+d[oa]s?\s)/;
+
+// Preposições entre o artigo e a lei ("artigo 12 da Lei ...", "art. 5 do CP")
+const CONNECTIVE_REGEX = /^(?:d[oa]s?|de|n[oa]s?|em)\s+/;
+
+/**
+ * Normaliza referências a leis: sem acentos, sem "n.º" antes de números, sem pontuação
+ * ("Lei n.º 23/2007" -> "lei 23/2007")
+ */
+export function normalizeReference(text) {
+  return foldText(text)
+    .replace(/\bn\.?\s*[º°o]s?\.?\s*(?=\d)/g, '')
+    .replace(/[^\w\s/-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "19/97" <-> "19/1997"
+function yearVariants(alias) {
+  const match = alias.match(/^(.*\d+\/)(\d{2}|\d{4})$/);
+  if (!match) return [alias];
+  const [, prefix, year] = match;
+  if (year.length === 2) {
+    return [alias, `${prefix}${parseInt(year) > 50 ? '19' : '20'}${year}`];
+  }
+  return [alias, `${prefix}${year.substring(2)}`];
+}
+
+/**
+ * Resolução de referências a artigos qualificadas pela lei
+ * ("art. 125.º da Lei 23/2007", "n.º 2 do artigo 30 do Código Penal", "artigo 40 da CRM").
+ * A lei é identificada por aliases do catálogo (id, título, abreviaturas, número);
+ * quando não é indicada, usa-se a lei mencionada na pergunta ou na conversa.
+ * Referências que continuam a servir a mais de uma lei são devolvidas como
+ * ambíguas, para pedir esclarecimento em vez de adivinhar.
+ */
+export class ReferenceResolver {
+  /**
+   * @param {LawCatalog} catalog - Catálogo de leis
+   * @param {Object} articleIndex - Sistema RAG (checkArticleExists(numero, leiId))
+   */
+  constructor(catalog, articleIndex) {
+    this.catalog = catalog;
+    this.articleIndex = articleIndex;
+    this.aliases = null; // alias normalizado -> Set(id do acto)
+  }
+
+  // Aliases construídos na primeira utilização (o catálogo só existe depois do arranque)
+  getAliases() {
+    if (this.aliases) return this.aliases;
+
+    this.aliases = new Map();
+    const add = (alias, actId) => {
+      for (const variant of yearVariants(normalizeReference(alias))) {
+        if (variant.length < 2) continue;
+        if (!this.aliases.has(variant)) this.aliases.set(variant, new Set());
+        this.aliases.get(variant).add(actId);
+      }
+    };
+
+    for (const act of this.catalog.listActs()) {
+      add(act.id, act.id);
+      add(act.titulo, act.id);
+      // "Lei do Trabalho (Lei n.º 13/2023)" -> "Lei do Trabalho" e "Lei n.º 13/2023"
+      const [base] = act.titulo.split(/\s+[(—]/);
+      add(base, act.id);
+      for (const [, inner] of act.titulo.matchAll(/\(([^)]+)\)/g)) {
+        add(inner, act.id);
+      }
+      act.abreviaturas.forEach(alias => add(alias, act.id));
+    }
+
+    // Do mais longo para o mais curto ("constituicao de 1990" antes de "constituicao")
+    this.aliases = new Map([...this.aliases.entries()].sort((a, b) => b[0].length - a[0].length));
+    return this.aliases;
+  }
+
+  /**
+   * Lei referida no início de um texto ("da Lei do Trabalho, ...")
+   * @returns {Array<string>|null} Ids dos actos com esse alias
+   */
+  matchLawPrefix(text) {
+    const rest = normalizeReference(text).replace(CONNECTIVE_REGEX, '');
+    for (const [alias, actIds] of this.getAliases()) {
+      if (rest === alias || rest.startsWith(`${alias} `)) {
+        return [...actIds];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Leis mencionadas em qualquer ponto de um texto
+   * @returns {Array<string>} Ids dos actos mencionados
+   */
+  findLawMentions(text) {
+    let remaining = ` ${normalizeReference(text)} `;
+    const found = new Set();
+    for (const [alias, actIds] of this.getAliases()) {
+      const needle = ` ${alias} `;
+      if (remaining.includes(needle)) {
+        actIds.forEach(id => found.add(id));
+        // Evitar que "codigo penal" volte a contar dentro de "codigo de processo penal"
+        remaining = remaining.split(needle).join(' | ');
+      }
+    }
+    return [...found];
+  }
+
+  /**
+   * Extrai e resolve as referências a artigos de uma pergunta
+   * @param {string} pergunta - Pergunta do utilizador
+   * @param {Object} options
+   * @param {Array} options.context - Histórico da conversa (mensagens { role, content })
+   * @param {Array<string>} options.leiIds - Actos elegíveis (ex: em vigor na data de referência)
+   * @returns {Promise<Object>} { referencias: [...], ambiguas: [...] }
+   */
+  async resolve(pergunta, { context = [], leiIds = null } = {}) {
+    const folded = foldText(pergunta);
+    const referencias = [];
+    const ambiguas = [];
+    const allowed = leiIds ? new Set(leiIds) : null;
+
+    const mentioned = this.findLawMentions(pergunta);
+    let contextLaws = null;
+
+    for (const match of folded.matchAll(REFERENCE_REGEX)) {
+      const [, alinea, numeroAntes, palavra, artigo, sufixo, numeroDepois, lista] = match;
+      let texto = match[0];
+      const listaValida = lista && (PLURAL_REGEX.test(palavra) || /[º°o]$/.test(lista) ||
+        LIST_END_REGEX.test(folded.substring(match.index + texto.length)));
+      // Números soltos depois do artigo não são artigos: a referência acaba antes deles
+      if (lista && !listaValida) texto = texto.slice(0, -lista.length);
+
+      // "artigos 12 e 13 da Lei ...": uma referência por artigo, todas com a mesma lei
+      const articleNumbers = listaValida ? [...new Set(parseArticleList(`${artigo}${lista}`))] : [parseInt(artigo)];
+      const reference = {
+        texto: texto.trim(),
+        sufixo: sufixo ? sufixo.toUpperCase() : null,
+        numero: numeroAntes || numeroDepois ? parseInt(numeroAntes || numeroDepois) : null,
+        alinea: alinea || null
+      };
+
+      // 1) Lei indicada logo a seguir ao artigo
+      let candidates = this.matchLawPrefix(folded.substring(match.index + texto.length, match.index + texto.length + 150));
+      let origem = 'explicita';
+
+      // 2) Lei mencionada noutro ponto da pergunta
+      if (!candidates && mentioned.length > 0) {
+        candidates = mentioned;
+        origem = 'pergunta';
+      }
+
+      // 3) Lei mencionada na conversa (mensagem mais recente primeiro)
+      if (!candidates) {
+        if (contextLaws === null) {
+          contextLaws = [];
+          for (const msg of [...context].reverse()) {
+            const laws = this.findLawMentions(msg.content || '');
+            if (laws.length > 0) {
+              contextLaws = laws;
+              break;
+            }
+          }
+        }
+        if (contextLaws.length > 0) {
+          candidates = contextLaws;
+          origem = 'contexto';
+        }
+      }
+
+      // 4) Qualquer lei elegível que tenha o artigo
+      if (!candidates) {
+        candidates = this.catalog.listActs().map(act => act.id);
+        origem = 'unica';
+      }
+
+      // Preferir actos elegíveis; uma lei pedida explicitamente vale mesmo fora de vigor
+      if (allowed) {
+        const eligible = candidates.filter(id => allowed.has(id));
+        if (eligible.length > 0 || origem === 'unica') candidates = eligible;
+      }
+
+      for (const [i, articleNumber] of articleNumbers.entries()) {
+        // O sufixo ("30-A") é só do primeiro artigo da lista
+        const articleRef = { ...reference, artigo: articleNumber, sufixo: i === 0 ? reference.sufixo : null };
+
+        // Só interessam leis que têm de facto o artigo
+        const withArticle = [];
+        for (const id of candidates) {
+          if (await this.articleIndex.checkArticleExists(articleNumber, id)) {
+            withArticle.push(id);
+          }
+        }
+
+        if (withArticle.length === 1) {
+          const act = this.catalog.getAct(withArticle[0]);
+          referencias.push({ ...articleRef, leiId: act.id, lei: act.titulo, origem, existe: true });
+        } else if (withArticle.length > 1) {
+          ambiguas.push({
+            ...articleRef,
+            candidatos: withArticle.map(id => ({ id, titulo: this.catalog.getTitle(id) }))
+          });
+        } else if (origem !== 'unica' && candidates.length === 1) {
+          // Lei identificada mas sem esse artigo no índice
+          const act = this.catalog.getAct(candidates[0]);
+          referencias.push({ ...articleRef, leiId: act.id, lei: act.titulo, origem, existe: false });
+        }
+      }
+    }
+
+    return { referencias, ambiguas };
+  }
+
+  /**
+   * Texto de pedido de esclarecimento para referências ambíguas
+   */
+  buildClarification(ambiguas) {
+    const partes = ambiguas.map(ref => {
+      const label = `${ref.numero ? `n.º ${ref.numero} do ` : ''}artigo ${ref.artigo}${ref.sufixo ? `-${ref.sufixo}` : ''}`;
+      const opcoes = ref.candidatos.map(c => `- ${c.titulo}`).join('\n');
+      return `O ${label} existe em várias leis:\n${opcoes}`;
+    });
+    return `${partes.join('\n\n')}\n\nA qual delas se refere? Indique a lei (por exemplo, "artigo ${ambiguas[0].artigo} da ${ambiguas[0].candidatos[0].titulo}").`;
+  }
+}
@@ -0,0 +1,248 @@
+import { todayMaputo, formatDate } from './deadlines.js';
+import { isValidISODate } from './law-catalog.js';
+import { PdfWriter } from './pdf-writer.js';
+
+export const REPORT_FORMATS = ['pdf', 'markdown', 'json'];
+
+// Limites do pedido (uma sessão do chat tem no máximo 25 mensagens)
+const MAX_MESSAGES = 60;
+const MAX_ANNEX_ARTICLES = 40;
+
+const AVISO = 'Este relatório foi gerado automaticamente a partir das leis de Moçambique e tem carácter informativo: não substitui o aconselhamento de um advogado ou do IPAJ (Instituto do Patrocínio e Assistência Jurídica). Confirme os artigos no anexo e a vigência das leis antes de tomar decisões.';
+
+// "Artigo N" e a epígrafe "(...)" no início de cada chunk de um artigo
+const ARTICLE_HEADER = /^\s*Artigo[^\n]*\n(?:\s*\(([^\n]*)\)\s*\n)?/;
+
+/**
+ * Resposta em Markdown como texto simples (para o PDF)
+ */
+function plainText(markdown) {
+  return markdown
+    .split('\n')
+    .map(line => line
+      .replace(/^#{1,6}\s+/, '')
+      .replace(/^(\s*)[-*]\s+/, '$1• ')
+      .replace(/\*\*|__|`/g, '')
+      .replace(/(^|[\s(])[_*]([^_*\n]+)[_*](?=[\s).,;:]|$)/g, '$1$2')
+      .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)'))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Valida o corpo do POST /api/consultas/exportar
+ * @param {Object} body - { titulo, mensagens: [{ role, content, data, modo, citacoes }], formato }
+ * @returns {Object} { erro } ou { pedido }
+ */
+export function parseReportRequest(body = {}) {
+  const { titulo = null, mensagens, formato = 'pdf' } = body;
+
+  if (!REPORT_FORMATS.includes(formato)) {
+    return { erro: `formato inválido (valores aceites: ${REPORT_FORMATS.join(', ')})` };
+  }
+  if (titulo !== null && typeof titulo !== 'string') {
+    return { erro: 'titulo deve ser um texto' };
+  }
+  if (!Array.isArray(mensagens) || mensagens.length === 0) {
+    return { erro: 'mensagens é obrigatório (lista de mensagens da sessão: { role, content })' };
+  }
+  if (mensagens.length > MAX_MESSAGES) {
+    return { erro: `mensagens tem no máximo ${MAX_MESSAGES} entradas` };
+  }
+
+  for (const [i, mensagem] of mensagens.entries()) {
+    if (typeof mensagem !== 'object' || mensagem === null) {
+      return { erro: `mensagens[${i}] deve ser um objeto` };
+    }
+    if (!['user', 'assistant'].includes(mensagem.role)) {
+      return { erro: `mensagens[${i}].role inválido (valores aceites: user, assistant)` };
+    }
+    if (typeof mensagem.content !== 'string' || !mensagem.content.trim()) {
+      return { erro: `mensagens[${i}].content é obrigatório` };
+    }
+    if (mensagem.data != null && (typeof mensagem.data !== 'string' || !isValidISODate(mensagem.data.substring(0, 10)))) {
+      return { erro: `mensagens[${i}].data inválida (formato esperado: AAAA-MM-DD ou data ISO completa)` };
+    }
+    if (mensagem.citacoes != null && !(Array.isArray(mensagem.citacoes) && mensagem.citacoes.every(c => typeof c === 'object' && c !== null))) {
+      return { erro: `mensagens[${i}].citacoes deve ser uma lista (citacoes da resposta do /perguntar-rag)` };
+    }
+  }
+
+  return { pedido: { titulo: titulo?.trim() || null, mensagens, formato } };
+}
+
+/**
+ * Relatório de uma consulta (sessão do chat) para levar ao IPAJ ou a um advogado
+ * Junta cada pergunta à resposta que se lhe seguiu e acrescenta, em anexo, o
+ * texto integral dos artigos citados. As citações vêm das respostas
+ * (citacoes do /perguntar-rag) ou, em mensagens guardadas sem elas, são
+ * extraídas do texto; o texto dos artigos vem sempre do índice, nunca do
+ * pedido.
+ */
+export class ReportGenerator {
+  /**
+   * @param {LawCatalog} catalog - Catálogo de leis (títulos)
+   * @param {Object} retriever - Sistema RAG (getArticleChunks)
+   * @param {CitationVerifier} citationVerifier - Extrai as citações de respostas sem citacoes
+   */
+  constructor(catalog, retriever, citationVerifier) {
+    this.catalog = catalog;
+    this.retriever = retriever;
+    this.citationVerifier = citationVerifier;
+  }
+
+  /**
+   * Artigos citados numa resposta, com a lei identificada
+   * @returns {Promise<Array<Object>>} [{ lei_id, artigo, numero }]
+   */
+  async citationsOf(mensagem) {
+    const citacoes = mensagem.citacoes
+      ?? (await this.citationVerifier.verify(mensagem.content, [])).citacoes;
+    return citacoes
+      .filter(c => c.lei_id && this.catalog.getAct(c.lei_id) && Number.isInteger(c.artigo))
+      .map(c => ({ lei_id: c.lei_id, artigo: c.artigo, numero: Number.isInteger(c.numero) ? c.numero : null }));
+  }
+
+  /**
+   * Texto integral de um artigo, sem o "Artigo N" e a epígrafe que cada chunk repete
+   * @returns {Promise<Object|null>} { epigrafe, texto } ou null se o artigo não estiver no índice
+   */
+  async articleText(leiId, artigo) {
+    const chunks = await this.retriever.getArticleChunks(leiId, artigo);
+    if (chunks.length === 0) return null;
+    const texto = chunks.map(chunk => chunk.text.replace(ARTICLE_HEADER, '').trim()).join('\n');
+    // Epígrafes longas nem sempre ficam em articleTitle, mas estão no texto
+    const epigrafe = chunks[0].articleTitle || chunks[0].text.match(ARTICLE_HEADER)?.[1]?.trim() || null;
+    return { epigrafe, texto };
+  }
+
+  /**
+   * Relatório estruturado (a base dos formatos PDF e Markdown)
+   * @param {Object} pedido - { titulo, mensagens } (ver parseReportRequest)
+   * @returns {Promise<Object>} { titulo, consulta, data_consulta, gerado_em, perguntas, anexo, aviso }
+   */
+  async build({ titulo = null, mensagens }) {
+    const perguntas = [];
+    const anexo = new Map(); // lei_id#artigo -> artigo do anexo
+
+    for (const mensagem of mensagens) {
+      if (mensagem.role === 'user') {
+        perguntas.push({ numero: perguntas.length + 1, pergunta: mensagem.content.trim(), data: mensagem.data?.substring(0, 10) || null, resposta: null, modo: null, artigos: [] });
+        continue;
+      }
+
+      // Resposta sem pergunta antes (sessão truncada) ou segunda resposta à mesma pergunta
+      let entrada = perguntas[perguntas.length - 1];
+      if (!entrada || entrada.resposta !== null) {
+        entrada = { numero: perguntas.length + 1, pergunta: null, data: mensagem.data?.substring(0, 10) || null, resposta: null, modo: null, artigos: [] };
+        perguntas.push(entrada);
+      }
+      entrada.resposta = mensagem.content.trim();
+      entrada.modo = mensagem.modo || null;
+
+      for (const citacao of await this.citationsOf(mensagem)) {
+        const key = `${citacao.lei_id}#${citacao.artigo}`;
+        if (!anexo.has(key) && anexo.size < MAX_ANNEX_ARTICLES) {
+          const artigo = await this.articleText(citacao.lei_id, citacao.artigo);
+          anexo.set(key, artigo && {
+            lei_id: citacao.lei_id,
+            lei: this.catalog.getTitle(citacao.lei_id),
+            artigo: citacao.artigo,
+            ...artigo,
+            citado_em: []
+          });
+        }
+        const artigo = anexo.get(key);
+        if (!artigo) continue;
+
+        const referencia = `${artigo.lei}, artigo ${citacao.artigo}${citacao.numero ? `, n.º ${citacao.numero}` : ''}`;
+        if (!entrada.artigos.includes(referencia)) entrada.artigos.push(referencia);
+        if (!artigo.citado_em.includes(entrada.numero)) artigo.citado_em.push(entrada.numero);
+      }
+    }
+
+    const datas = perguntas.map(p => p.data).filter(Boolean).sort();
+    return {
+      titulo: 'Relatório de consulta jurídica',
+      consulta: titulo,
+      data_consulta: datas[0] || null,
+      gerado_em: todayMaputo(),
+      perguntas,
+      anexo: [...anexo.values()].filter(Boolean),
+      aviso: AVISO
+    };
+  }
+
+  /**
+   * Relatório em Markdown (as respostas já vêm em Markdown)
+   * @returns {string}
+   */
+  toMarkdown(relatorio) {
+    const linhas = [`# ${relatorio.titulo}`, ''];
+    if (relatorio.consulta) linhas.push(`**Consulta:** ${relatorio.consulta}  `);
+    if (relatorio.data_consulta) linhas.push(`**Data da consulta:** ${formatDate(relatorio.data_consulta)}  `);
+    linhas.push(`**Gerado em:** ${formatDate(relatorio.gerado_em)}`, '', `> ${relatorio.aviso}`, '');
+
+    for (const entrada of relatorio.perguntas) {
+      linhas.push(`## Pergunta ${entrada.numero}`, '');
+      if (entrada.pergunta) linhas.push(entrada.pergunta.split('\n').map(linha => `> ${linha}`).join('\n'), '');
+      linhas.push(entrada.resposta ?? '_Sem resposta._', '');
+      if (entrada.artigos.length > 0) linhas.push(`_Artigos citados (texto no anexo): ${entrada.artigos.join('; ')}._`, '');
+    }
+
+    if (relatorio.anexo.length > 0) {
+      linhas.push('---', '', '## Anexo: artigos citados', '');
+      for (const artigo of relatorio.anexo) {
+        linhas.push(`### ${artigo.lei}, artigo ${artigo.artigo}${artigo.epigrafe ? ` (${artigo.epigrafe})` : ''}`, '');
+        linhas.push(artigo.texto.split('\n').join('  \n'), '');
+        linhas.push(`_Citado na resposta ${artigo.citado_em.length > 1 ? 'às perguntas' : 'à pergunta'} ${artigo.citado_em.join(', ')}._`, '');
+      }
+    }
+
+    return linhas.join('\n');
+  }
+
+  /**
+   * Relatório em PDF (A4): perguntas e respostas, depois o anexo com os artigos
+   * @returns {Promise<Uint8Array>}
+   */
+  async toPDF(relatorio) {
+    const pdf = await PdfWriter.create({
+      titulo: relatorio.consulta ? `${relatorio.titulo}: ${relatorio.consulta}` : relatorio.titulo,
+      rodape: 'Informação jurídica, não substitui o aconselhamento de um advogado ou do IPAJ.'
+    });
+
+    pdf.heading(relatorio.titulo, 1);
+    const cabecalho = [
+      relatorio.consulta && `Consulta: ${relatorio.consulta}`,
+      relatorio.data_consulta && `Data da consulta: ${formatDate(relatorio.data_consulta)}`,
+      `Gerado em: ${formatDate(relatorio.gerado_em)}`
+    ].filter(Boolean);
+    pdf.text(cabecalho.join('\n'), { size: 10, spacingAfter: 8 });
+    pdf.text(relatorio.aviso, { italic: true, size: 9, spacingAfter: 4 });
+    pdf.rule();
+
+    for (const entrada of relatorio.perguntas) {
+      pdf.heading(`Pergunta ${entrada.numero}`, 2);
+      if (entrada.pergunta) pdf.text(entrada.pergunta, { bold: true, spacingAfter: 8 });
+      pdf.text(entrada.resposta ? plainText(entrada.resposta) : 'Sem resposta.', { spacingAfter: 8 });
+      if (entrada.artigos.length > 0) {
+        pdf.text(`Artigos citados (texto no anexo): ${entrada.artigos.join('; ')}.`, { italic: true, size: 9, spacingAfter: 8 });
+      }
+      pdf.rule();
+    }
+
+    if (relatorio.anexo.length > 0) {
+      pdf.addPage();
+      pdf.heading('Anexo: artigos citados', 1);
+      for (const artigo of relatorio.anexo) {
+        pdf.heading(`${artigo.lei}, artigo ${artigo.artigo}${artigo.epigrafe ? ` (${artigo.epigrafe})` : ''}`, 3);
+        pdf.text(artigo.texto, { size: 10, spacingAfter: 4 });
+        pdf.text(`Citado na resposta ${artigo.citado_em.length > 1 ? 'às perguntas' : 'à pergunta'} ${artigo.citado_em.join(', ')}.`, { italic: true, size: 9, spacingAfter: 12 });
+      }
+    }
+
+    return pdf.save();
+  }
+}
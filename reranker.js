@@ -0,0 +1,214 @@
+import { tokenize } from './lexical-index.js';
+import { LocalCrossEncoder } from './providers.js';
+
+// Avaliadores de relevância: score da pesquisa, cross-encoder local ou LLM
+export const RERANK_SCORERS = ['none', 'cross-encoder', 'llm'];
+
+/**
+ * Configuração por modo do /api/perguntar-rag
+ * - topK: trechos entregues ao gerador
+ * - candidatos: trechos pedidos à pesquisa (sobre-amostragem)
+ * - lambda: peso da relevância no MMR (1 = só relevância, 0 = só diversidade)
+ * - maxPorArtigo / maxPorLei: limite de trechos do mesmo artigo / acto
+ */
+export const RERANK_PROFILES = {
+  consulta: { topK: 5, candidatos: 20, lambda: 0.7, maxPorArtigo: 2, maxPorLei: 3 },
+  assistencia: { topK: 7, candidatos: 28, lambda: 0.6, maxPorArtigo: 1, maxPorLei: 3 },
+  glossario: { topK: 5, candidatos: 15, lambda: 0.8, maxPorArtigo: 2, maxPorLei: 4 }
+};
+
+// Caracteres de cada trecho mostrados ao LLM
+const LLM_PREVIEW_CHARS = 600;
+
+// Semelhança textual (Jaccard dos termos) a partir da qual dois trechos são cópias
+const DUPLICATE_SIMILARITY = 0.85;
+
+// Semelhança mínima atribuída a trechos do mesmo acto (favorece variedade de leis)
+const SAME_LAW_SIMILARITY = 0.15;
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let intersection = 0;
+  for (const term of a) {
+    if (b.has(term)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Re-ranking em segunda fase dos trechos recuperados
+ * 1. Pontua a relevância de cada candidato (score da pesquisa, cross-encoder ou LLM)
+ * 2. Seleciona por Maximal Marginal Relevance: cada escolha equilibra a
+ *    relevância com a semelhança aos trechos já escolhidos (mesmo artigo,
+ *    mesmo acto, texto quase igual), para que cópias do mesmo artigo ou uma
+ *    só lei não ocupem todos os lugares.
+ * Artigos referidos explicitamente (exact) ficam sempre à frente.
+ */
+export class Reranker {
+  /**
+   * @param {Object} options
+   * @param {string} options.scorer - 'none' | 'cross-encoder' | 'llm'
+   * @param {ChatProvider} options.llm - Para o scorer 'llm'
+   * @param {string} options.crossEncoderModel - Modelo do cross-encoder local
+   * @param {string} options.localModelsPath - Pasta com modelos locais (ver providers.js)
+   */
+  constructor({ scorer = 'none', llm = null, crossEncoderModel = undefined, localModelsPath = null } = {}) {
+    if (!RERANK_SCORERS.includes(scorer)) {
+      throw new Error(`RERANK_SCORER inválido: ${scorer} (valores aceites: ${RERANK_SCORERS.join(', ')})`);
+    }
+    this.scorer = scorer;
+    this.llm = llm;
+    this.crossEncoder = scorer === 'cross-encoder'
+      ? new LocalCrossEncoder({ model: crossEncoderModel, localModelsPath })
+      : null;
+  }
+
+  /**
+   * Configuração de um modo, com alterações pontuais do pedido
+   * @param {string} modo - 'consulta' | 'assistencia' | 'glossario'
+   * @param {Object} overrides - { topK, candidatos, lambda, maxPorArtigo, maxPorLei }
+   */
+  getProfile(modo, overrides = {}) {
+    const profile = { ...(RERANK_PROFILES[modo] || RERANK_PROFILES.consulta) };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined && value !== null) profile[key] = value;
+    }
+    profile.candidatos = Math.max(profile.candidatos, profile.topK);
+    return profile;
+  }
+
+  /**
+   * Relevância (0-1) de cada candidato para a pergunta
+   */
+  async scoreRelevance(query, candidates) {
+    if (this.scorer === 'cross-encoder') {
+      return this.crossEncoder.score(query, candidates.map(c => `${c.path || c.lei}\n${c.text}`));
+    }
+    if (this.scorer === 'llm') {
+      return this.scoreWithLLM(query, candidates);
+    }
+    // Score da pesquisa (RRF com boost) normalizado pelo melhor candidato
+    const max = Math.max(...candidates.map(c => c.score || c.similarity || 0)) || 1;
+    return candidates.map(c => (c.score || c.similarity || 0) / max);
+  }
+
+  // Julgamento de relevância pelo LLM (0-10 por trecho, numa só chamada)
+  async scoreWithLLM(query, candidates) {
+    const trechos = candidates
+      .map((c, i) => `[${i + 1}] (${c.path || c.lei})\n${c.text.substring(0, LLM_PREVIEW_CHARS)}`)
+      .join('\n\n');
+
+    const prompt = `Avalie a relevância de cada trecho de lei para responder à pergunta.
+Use uma escala de 0 (irrelevante) a 10 (responde diretamente à pergunta).
+
+PERGUNTA:
+"${query}"
+
+TRECHOS:
+${trechos}
+
+Responda APENAS em formato JSON válido, com um score por trecho, pela mesma ordem:
+{ "scores": [número, ...] }`;
+
+    try {
+      const response = await this.llm.createCompletion({
+        messages: [
+          { role: 'system', content: 'Você avalia a relevância de trechos de leis de Moçambique para perguntas jurídicas.' },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0,
+        response_format: { type: 'json_object' }
+      });
+
+      const { scores } = JSON.parse(response.choices[0].message.content);
+      if (!Array.isArray(scores) || scores.length !== candidates.length) {
+        throw new Error(`esperados ${candidates.length} scores, recebidos ${scores?.length}`);
+      }
+      return scores.map(s => Math.min(Math.max(Number(s) || 0, 0), 10) / 10);
+    } catch (error) {
+      // Sem julgamento do LLM, fica o score da pesquisa
+      console.error('❌ Erro no re-ranking por LLM:', error.message);
+      const max = Math.max(...candidates.map(c => c.score || 0)) || 1;
+      return candidates.map(c => (c.score || 0) / max);
+    }
+  }
+
+  // Semelhança entre dois trechos (0-1) para o MMR
+  redundancy(a, b) {
+    if (a.leiId === b.leiId && a.articleNumber && a.articleNumber === b.articleNumber) return 1;
+    const textual = jaccard(a.terms, b.terms);
+    if (textual >= DUPLICATE_SIMILARITY) return 1;
+    return Math.max(textual, a.leiId === b.leiId ? SAME_LAW_SIMILARITY : 0);
+  }
+
+  /**
+   * Re-ordena os candidatos e devolve os topK
+   * @param {string} query - Pergunta
+   * @param {Array} candidates - Resultados da pesquisa (sobre-amostrados)
+   * @param {Object} profile - Ver getProfile()
+   * @returns {Promise<Array>} Trechos escolhidos, com relevancia e mmr
+   */
+  async rerank(query, candidates, profile) {
+    const exact = candidates.filter(c => c.exact);
+    const pool = candidates.filter(c => !c.exact);
+    const slots = Math.max(profile.topK - exact.length, 0);
+    if (pool.length === 0 || slots === 0) return exact.length > 0 ? exact : pool.slice(0, profile.topK);
+
+    const relevance = await this.scoreRelevance(query, pool);
+    const remaining = pool.map((chunk, i) => ({
+      chunk,
+      relevance: relevance[i],
+      terms: new Set(tokenize(chunk.text))
+    }));
+    remaining.forEach(r => Object.assign(r, { leiId: r.chunk.leiId, articleNumber: r.chunk.articleNumber }));
+
+    // Artigos exatos contam como já escolhidos (não repetir o mesmo artigo abaixo),
+    // mas não gastam o limite por lei: foram pedidos explicitamente
+    const selected = exact.map(chunk => ({
+      chunk,
+      leiId: chunk.leiId,
+      articleNumber: chunk.articleNumber,
+      terms: new Set(tokenize(chunk.text))
+    }));
+    const perArticle = new Map();
+    const perLaw = new Map();
+    const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    selected.forEach(s => {
+      if (s.articleNumber) count(perArticle, `${s.leiId}#${s.articleNumber}`);
+    });
+
+    const chosen = [];
+    while (chosen.length < slots && remaining.length > 0) {
+      let best = -1;
+      let bestScore = -Infinity;
+
+      remaining.forEach((candidate, i) => {
+        const articleKey = `${candidate.leiId}#${candidate.articleNumber}`;
+        if (candidate.articleNumber && (perArticle.get(articleKey) || 0) >= profile.maxPorArtigo) return;
+        if ((perLaw.get(candidate.leiId) || 0) >= profile.maxPorLei) return;
+
+        const maxRedundancy = selected.reduce((max, s) => Math.max(max, this.redundancy(candidate, s)), 0);
+        const mmr = profile.lambda * candidate.relevance - (1 - profile.lambda) * maxRedundancy;
+        if (mmr > bestScore) {
+          bestScore = mmr;
+          best = i;
+        }
+      });
+
+      // Limites atingidos para todos os restantes: completar por relevância
+      if (best === -1) {
+        remaining.sort((a, b) => b.relevance - a.relevance);
+        best = 0;
+        bestScore = null;
+      }
+
+      const [pick] = remaining.splice(best, 1);
+      selected.push(pick);
+      if (pick.articleNumber) count(perArticle, `${pick.leiId}#${pick.articleNumber}`);
+      count(perLaw, pick.leiId);
+      chosen.push({ ...pick.chunk, relevancia: pick.relevance, mmr: bestScore });
+    }
+
+    return [...exact, ...chosen];
+  }
+}
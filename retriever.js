@@ -0,0 +1,407 @@
+import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
+import { contentHash } from './index-store.js';
+import { LegalParser, PARSER_VERSION } from './legal-parser.js';
+import { LexicalIndex } from './lexical-index.js';
+
+/**
+ * Contrato comum dos sistemas de pesquisa (retrievers)
+ * O servidor só usa estes métodos, todos assíncronos:
+ * - indexAllLaws(corpus)
+ * - search(query, topK, options)
+ * - getArticleChunks(leiId, artigo, numero)
+ * - getStats()
+ * - getIndexedArticles(lei)
+ * - checkArticleExists(artigo, lei)
+ * - textSimilarities(textos, resultados)
+ *
+ * A divisão em chunks, o BM25, a fusão de rankings e os artigos exatos são
+ * partilhados; cada backend só implementa o armazenamento dos embeddings e
+ * a pesquisa semântica (ver SimpleRAG em memória e RAGSystem no ChromaDB).
+ */
+
+// Backends disponíveis (variável de ambiente RAG_BACKEND)
+export const RETRIEVER_BACKENDS = ['memory', 'chroma'];
+
+// Modos de pesquisa: embeddings, BM25 ou fusão dos dois rankings
+export const SEARCH_MODES = ['semantic', 'lexical', 'hybrid'];
+
+// Constante da Reciprocal Rank Fusion (valor usual na literatura)
+const RRF_K = 60;
+
+// Candidatos de cada ranking (semântico e BM25) que entram na fusão (top-k, não o corpus inteiro)
+const FUSION_CANDIDATES = 100;
+
+// Aumento relativo do score para chunks da área legal detectada pelo classificador
+const AREA_BOOST = 0.25;
+
+/**
+ * Converte a especificação de artigos da API em intervalos [min, max]
+ * @param {Array} spec - Ex: [12, "20-25", { de: 30, ate: 40 }]
+ * @returns {Array<Array<number>>} Intervalos
+ */
+export function parseArticleRanges(spec) {
+  const items = Array.isArray(spec) ? spec : [spec];
+  return items.map(item => {
+    let range;
+    if (typeof item === 'number') {
+      range = [item, item];
+    } else if (typeof item === 'string' && /^\s*\d+\s*(-\s*\d+\s*)?$/.test(item)) {
+      const [min, max = min] = item.split('-').map(n => parseInt(n));
+      range = [min, max];
+    } else if (item && typeof item === 'object') {
+      range = [Number(item.de), Number(item.ate ?? item.de)];
+    }
+
+    if (!range || !range.every(Number.isInteger) || range[0] > range[1]) {
+      throw new Error(`Intervalo de artigos inválido: ${JSON.stringify(item)}`);
+    }
+    return range;
+  });
+}
+
+/**
+ * Base dos retrievers: chunking estrutural, BM25 e fusão de rankings.
+ * Os chunks (sem embeddings) ficam sempre em memória para o BM25, os
+ * artigos exatos e as listagens; as subclasses implementam
+ * semanticSearch() e similarityFor().
+ */
+export class Retriever {
+  /**
+   * @param {Object} embeddings - Fornecedor de embeddings (ver providers.js)
+   */
+  constructor(embeddings) {
+    this.embeddings = embeddings;
+    this.backend = null;
+    this.chunks = []; // { text, lei, leiId, chunkIndex, articleNumber, ... }
+    this.splitterConfig = {
+      chunkSize: 1500, // Aumentado para capturar artigos completos
+      chunkOverlap: 300, // Mais overlap para contexto
+      separators: ['\n\nARTIGO', '\n\n', '\n', '. ', ' ', ''] // Priorizar separação por artigo
+    };
+    // Splitter genérico só para leis sem estrutura de artigos reconhecível
+    this.textSplitter = new RecursiveCharacterTextSplitter(this.splitterConfig);
+    this.parser = new LegalParser({ maxChunkSize: this.splitterConfig.chunkSize });
+    // Índice BM25 sobre os mesmos chunks (termos exatos, números de leis, palavras raras)
+    this.lexicalIndex = new LexicalIndex();
+  }
+
+  // Hash da configuração de chunking/embeddings (mudança invalida o índice)
+  getConfigHash() {
+    return contentHash(JSON.stringify({
+      splitter: this.splitterConfig,
+      parserVersion: PARSER_VERSION,
+      embeddingModel: this.embeddings.id
+    }));
+  }
+
+  // Dividir lei em chunks estruturais e criar embeddings (sem alterar o índice em memória)
+  async buildLawChunks(lawId, lawText, lawTitle = lawId) {
+    const structuredChunks = await this.parser.chunkLaw(lawText, lawTitle, this.textSplitter);
+
+    if (structuredChunks.length === 0) {
+      return [];
+    }
+
+    // Embeddings incluem o caminho estrutural (lei › capítulo › artigo) para dar contexto
+    const embeddings = await this.embeddings.embedDocuments(
+      structuredChunks.map(c => `${c.pathLabel}\n${c.text}`)
+    );
+
+    // Chunks com metadados estruturais
+    return structuredChunks.map((chunk, i) => ({
+      text: chunk.text,
+      lei: lawTitle,
+      leiId: lawId,
+      chunkIndex: i,
+      embedding: embeddings[i],
+      articleNumber: chunk.articleNumber,
+      articleLabel: chunk.articleLabel,
+      articleTitle: chunk.articleTitle,
+      path: chunk.pathLabel,
+      paragraphs: chunk.paragraphs,
+      hasArticle: chunk.articleNumber !== null
+    }));
+  }
+
+  // Limpar os chunks em memória antes de uma indexação completa
+  resetChunks() {
+    this.chunks = [];
+    this.lexicalIndex.clear();
+  }
+
+  // Registar os chunks de uma lei em memória (BM25, listagens, artigos exatos)
+  addLawChunks(lawId, lawChunks) {
+    lawChunks.forEach(chunk => {
+      this.lexicalIndex.add(chunk, `${chunk.path || chunk.lei}\n${chunk.text}`);
+    });
+    this.chunks.push(...lawChunks);
+
+    // Log de artigos indexados
+    const articles = new Set(lawChunks.map(c => c.articleNumber).filter(Boolean));
+    if (articles.size > 0) {
+      const sortedArticles = Array.from(articles).sort((a, b) => a - b);
+      console.log(`    Artigos: ${sortedArticles.join(', ')}`);
+    }
+  }
+
+  /**
+   * Indexa todas as leis do corpus (implementado por cada backend)
+   * @param {Map} corpus - id do acto -> { text, hash, title, ficheiro, areaLegal } (ver LawCatalog.toCorpus)
+   * @returns {Promise<number>} Total de chunks indexados
+   */
+  async indexAllLaws(corpus) {
+    throw new Error(`${this.constructor.name} não implementa indexAllLaws()`);
+  }
+
+  /**
+   * Ranking semântico (implementado por cada backend)
+   * @param {Array<number>} queryVector - Embedding da pergunta
+   * @param {number} k - Número de candidatos
+   * @param {Object} options - Filtros de search() (leiIds, areaLegal, artigos)
+   * @returns {Promise<Array>} [{ chunk, score }] por score decrescente
+   */
+  async semanticSearch(queryVector, k, options) {
+    throw new Error(`${this.constructor.name} não implementa semanticSearch()`);
+  }
+
+  /**
+   * Similaridade de cosseno entre a pergunta e chunks fora do ranking semântico
+   * @returns {Promise<Array<number>>} Uma similaridade por chunk
+   */
+  async similarityFor(queryVector, chunks) {
+    throw new Error(`${this.constructor.name} não implementa similarityFor()`);
+  }
+
+  /**
+   * Pesquisa chunks relevantes
+   * @param {string} query - Pergunta
+   * @param {number} topK - Número de resultados
+   * @param {Object} options - Opções de pesquisa
+   * @param {string} options.mode - 'semantic' | 'lexical' | 'hybrid'
+   * @param {Array<string>} options.leiIds - Ids de actos permitidos
+   * @param {Array<string>} options.areaLegal - Só actos destas áreas legais
+   * @param {Array<Array<number>>} options.artigos - Intervalos de artigos [min, max] (ver parseArticleRanges)
+   * @param {Array<string>} options.boostAreas - Áreas a favorecer sem excluir as restantes
+   * @param {Array<Object>} options.references - Artigos resolvidos { leiId, artigo, numero } (ver ReferenceResolver)
+   * @param {string} options.lexicalQuery - Pergunta para o BM25, se diferente da semântica (ver QueryExpander)
+   * @returns {Promise<Array>} Chunks ordenados por relevância
+   */
+  async search(query, topK = 5, options = {}) {
+    const mode = options.mode || 'hybrid';
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Modo de pesquisa inválido: ${mode}`);
+    }
+
+    const filter = this.buildFilter(options);
+    const boostAreas = options.boostAreas?.length > 0 ? new Set(options.boostAreas) : null;
+
+    // Cada chunk encontrado acumula o score RRF dos rankings em que aparece
+    const fused = new Map();
+    const resultFor = chunk => {
+      if (!fused.has(chunk)) {
+        fused.set(chunk, this.toResult(chunk));
+      }
+      return fused.get(chunk);
+    };
+
+    // Ranking semântico (backend)
+    let queryVector = null;
+    if (mode !== 'lexical') {
+      queryVector = await this.embeddings.embedQuery(query);
+      const semanticResults = await this.semanticSearch(queryVector, Math.max(topK, FUSION_CANDIDATES), options);
+      semanticResults.forEach(({ chunk, score }, rank) => {
+        const result = resultFor(chunk);
+        result.similarity = score;
+        result.score += 1 / (RRF_K + rank + 1);
+      });
+    }
+
+    // Ranking lexical: BM25 sobre termos normalizados
+    // (limitado como o semântico: uma palavra comum aparece em grande parte do corpus
+    // e cada candidato só lexical custa uma similaridade ao backend)
+    if (mode !== 'semantic') {
+      const lexicalResults = this.lexicalIndex.search(options.lexicalQuery || query, { filter, limit: Math.max(topK, FUSION_CANDIDATES) });
+      const maxBm25 = lexicalResults.length > 0 ? lexicalResults[0].score : 1;
+      const lexicalOnly = [];
+      lexicalResults.forEach(({ item, score }, rank) => {
+        if (!fused.has(item)) lexicalOnly.push(item);
+        const result = resultFor(item);
+        result.bm25 = score;
+        result.score += 1 / (RRF_K + rank + 1);
+        if (mode === 'lexical') {
+          // Sem embeddings, a "similaridade" mostrada é o BM25 normalizado
+          result.similarity = score / maxBm25;
+        }
+      });
+
+      // Fora dos candidatos semânticos: calcular só a similaridade destes chunks
+      if (mode === 'hybrid' && lexicalOnly.length > 0) {
+        const similarities = await this.similarityFor(queryVector, lexicalOnly);
+        lexicalOnly.forEach((chunk, i) => {
+          fused.get(chunk).similarity = similarities[i];
+        });
+      }
+    }
+
+    let results = [...fused.values()];
+
+    // Boost suave: a área detectada favorece chunks mas não exclui outras leis
+    if (boostAreas) {
+      for (const [chunk, result] of fused) {
+        if (chunk.areaLegal?.some(area => boostAreas.has(area))) {
+          result.score *= 1 + AREA_BOOST;
+        }
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+
+    // Artigos referidos explicitamente (já resolvidos para uma lei) vêm primeiro
+    const exactResults = [];
+    for (const ref of options.references || []) {
+      const found = await this.getArticleChunks(ref.leiId, ref.artigo, ref.numero);
+      if (found.length > 0) {
+        console.log(`✓ Artigo ${ref.artigo} de ${ref.lei || ref.leiId} obtido diretamente (${found.length} chunks)`);
+      } else {
+        console.warn(`⚠️  Artigo ${ref.artigo} de ${ref.lei || ref.leiId} NÃO existe no índice`);
+      }
+      exactResults.push(...found);
+    }
+
+    if (exactResults.length > 0) {
+      const exactKeys = new Set(exactResults.map(r => `${r.leiId}:${r.chunkIndex}`));
+      results = [...exactResults, ...results.filter(r => !exactKeys.has(`${r.leiId}:${r.chunkIndex}`))];
+      return results.slice(0, Math.max(topK, exactResults.length));
+    }
+
+    return results.slice(0, topK);
+  }
+
+  // Resultado de pesquisa a partir de um chunk do índice (sem embedding)
+  toResult(chunk, extra = {}) {
+    return {
+      text: chunk.text,
+      lei: chunk.lei,
+      leiId: chunk.leiId,
+      ficheiro: chunk.ficheiro,
+      chunkIndex: chunk.chunkIndex,
+      articleNumber: chunk.articleNumber,
+      articleLabel: chunk.articleLabel,
+      articleTitle: chunk.articleTitle,
+      path: chunk.path,
+      paragraphs: chunk.paragraphs,
+      similarity: 0,
+      bm25: 0,
+      score: 0,
+      ...extra
+    };
+  }
+
+  /**
+   * Similaridade (cosseno) de textos avulsos com resultados já recuperados,
+   * usando os embeddings guardados dos chunks (ex: afirmações de uma resposta)
+   * @param {Array<string>} texts - Textos a comparar
+   * @param {Array} results - Resultados de search() ou getArticleChunks()
+   * @returns {Promise<Array<Array<number>>>} Matriz [texto][resultado]
+   */
+  async textSimilarities(texts, results) {
+    if (texts.length === 0 || results.length === 0) return texts.map(() => results.map(() => 0));
+
+    const byKey = new Map(this.chunks.map(c => [`${c.leiId}#${c.chunkIndex}`, c]));
+    const chunks = results.map(r => byKey.get(`${r.leiId}#${r.chunkIndex}`));
+    const indexed = chunks.filter(Boolean);
+    const vectors = await this.embeddings.embedDocuments(texts);
+
+    const matrix = [];
+    for (const vector of vectors) {
+      const similarities = await this.similarityFor(vector, indexed);
+      let next = 0;
+      matrix.push(chunks.map(chunk => (chunk ? similarities[next++] : 0)));
+    }
+    return matrix;
+  }
+
+  /**
+   * Chunks de um artigo concreto de uma lei, por ordem.
+   * Com número (n.º) indicado, devolve só as partes que o contêm, se existirem.
+   * @param {string} leiId - Id do acto
+   * @param {number} articleNumber - Número do artigo
+   * @param {number|null} paragraph - Número (n.º) dentro do artigo
+   * @returns {Promise<Array>} Resultados marcados com exact: true
+   */
+  async getArticleChunks(leiId, articleNumber, paragraph = null) {
+    const articleChunks = this.chunks.filter(c => c.leiId === leiId && c.articleNumber === articleNumber);
+    const withParagraph = paragraph
+      ? articleChunks.filter(c => c.paragraphs?.includes(paragraph))
+      : [];
+    return (withParagraph.length > 0 ? withParagraph : articleChunks)
+      .sort((a, b) => a.chunkIndex - b.chunkIndex)
+      .map(chunk => this.toResult(chunk, { similarity: 1, exact: true }));
+  }
+
+  /**
+   * Constrói o filtro de metadados da pesquisa (null se não houver restrições)
+   */
+  buildFilter({ leiIds, areaLegal, artigos } = {}) {
+    const conditions = [];
+
+    // Restringir a um conjunto de actos (ex: leis em vigor numa data)
+    if (leiIds) {
+      const allowedLaws = new Set(leiIds);
+      conditions.push(chunk => allowedLaws.has(chunk.leiId));
+    }
+    if (areaLegal?.length > 0) {
+      const areas = new Set(areaLegal);
+      conditions.push(chunk => chunk.areaLegal?.some(area => areas.has(area)));
+    }
+    if (artigos?.length > 0) {
+      conditions.push(chunk => chunk.articleNumber !== null && chunk.articleNumber !== undefined &&
+        artigos.some(([min, max]) => chunk.articleNumber >= min && chunk.articleNumber <= max));
+    }
+
+    if (conditions.length === 0) return null;
+    return chunk => conditions.every(condition => condition(chunk));
+  }
+
+  async getStats() {
+    return {
+      backend: this.backend,
+      totalChunks: this.chunks.length,
+      embeddings: this.embeddings.id,
+      leisIndexadas: [...new Set(this.chunks.map(c => c.lei))].length
+    };
+  }
+
+  // Listar artigos indexados (lawName aceita nome oficial ou id do acto)
+  async getIndexedArticles(lawName = null) {
+    const filteredChunks = lawName
+      ? this.chunks.filter(c => c.lei === lawName || c.leiId === lawName)
+      : this.chunks;
+
+    const articlesMap = new Map();
+
+    filteredChunks
+      .filter(c => c.articleNumber !== null)
+      .forEach(c => {
+        const key = `${c.lei}-${c.articleNumber}`;
+        if (!articlesMap.has(key)) {
+          articlesMap.set(key, {
+            number: c.articleNumber,
+            title: c.articleTitle,
+            lei: c.lei,
+            leiId: c.leiId
+          });
+        }
+      });
+
+    return Array.from(articlesMap.values()).sort((a, b) => a.number - b.number);
+  }
+
+  // Verificar se artigo específico existe
+  async checkArticleExists(articleNumber, lawName = null) {
+    return this.chunks.some(c =>
+      c.articleNumber === articleNumber &&
+      (!lawName || c.lei === lawName || c.leiId === lawName)
+    );
+  }
+}
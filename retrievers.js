@@ -0,0 +1,34 @@
+import { RETRIEVER_BACKENDS } from './retriever.js';
+import { SimpleRAG } from './simple-rag.js';
+import { RAGSystem } from './rag.js';
+
+/**
+ * Cria o retriever a partir da configuração
+ * Variáveis de ambiente:
+ * - RAG_BACKEND: 'memory' (omissão) | 'chroma'
+ * - memory: RAG_INDEX_PATH, RAG_ANN, RAG_ANN_THRESHOLD
+ * - chroma: CHROMA_URL (omissão http://localhost:8000), CHROMA_COLLECTION
+ * @param {Object} embeddings - Fornecedor de embeddings (ver providers.js)
+ * @param {Object} config - Variáveis de ambiente (por omissão process.env)
+ * @returns {SimpleRAG|RAGSystem}
+ */
+export function createRetriever(embeddings, config = process.env) {
+  const backend = config.RAG_BACKEND || 'memory';
+
+  if (!RETRIEVER_BACKENDS.includes(backend)) {
+    throw new Error(`RAG_BACKEND inválido: ${backend} (valores aceites: ${RETRIEVER_BACKENDS.join(', ')})`);
+  }
+
+  console.log(`🔎 Retriever: ${backend}`);
+  if (backend === 'chroma') {
+    return new RAGSystem(embeddings, {
+      url: config.CHROMA_URL,
+      collectionName: config.CHROMA_COLLECTION
+    });
+  }
+  return new SimpleRAG(embeddings, {
+    indexPath: config.RAG_INDEX_PATH,
+    ann: config.RAG_ANN,
+    annThreshold: config.RAG_ANN_THRESHOLD ? parseInt(config.RAG_ANN_THRESHOLD) : undefined
+  });
+}
@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+import { foldText } from './law-catalog.js';
+import { todayMaputo } from './deadlines.js';
+
+/**
+ * Situações de risco iminente, com as regras que as detetam no texto
+ * normalizado (minúsculas, sem acentos):
+ * - frases: relato na primeira pessoa ("bateu-me", "fui detido"), bastam
+ *   sozinhas; são expressões completas ("me bate" não apanha "se me bater")
+ * - relatos: na terceira pessoa ou gerais ("foi detido", "com uma faca"), só
+ *   contam com uma marca pessoal na mensagem ("o meu filho foi detido") e fora
+ *   de hipóteses ("se o meu vizinho me ameaçar com uma faca");
+ *   sem ela são perguntas sobre a lei ("direitos do arguido que foi detido")
+ * - termos: genéricos ("violência doméstica"), só contam quando o
+ *   classificador vê um caso pessoal urgente (assistência, urgência alta)
+ * - contactos: tipos de instituição a indicar, pela ordem (ver contacts.js)
+ */
+export const RISK_CATEGORIES = {
+  violencia: {
+    descricao: 'violência física ou sexual',
+    frases: [
+      'me bate', 'me bateu', 'bate-me', 'bateu-me', 'me espanca', 'me espancou', 'espancou-me', 'espanca-me',
+      'me agrediu', 'agrediu-me', 'me agride', 'agride-me', 'me violou', 'violou-me', 'me violentou',
+      'me queimou', 'me estrangulou', 'me estrangula', 'estrangulou-me', 'me esfaqueou', 'estou a sangrar',
+      'estou ferida', 'estou ferido'
+    ],
+    relatos: ['bateu na minha', 'bateu no meu', 'bate na minha', 'bate no meu', 'espancou', 'agrediu', 'violou', 'esfaqueou'],
+    termos: ['violencia domestica', 'agressao', 'agressoes', 'espancamento', 'violacao sexual'],
+    contactos: ['policia', 'apoio_vitimas', 'ministerio_publico']
+  },
+  ameaca: {
+    descricao: 'ameaças à vida ou à integridade física',
+    // Só ameaças de outra pessoa: "quero me matar" é autolesão
+    frases: [
+      'ameacou me matar', 'ameacou matar-me', 'ameacou-me de morte', 'vai me matar', 'vai matar-me', 'me vai matar',
+      'vai-me matar', 'quer me matar', 'quer matar-me', 'tentou me matar', 'tentou matar-me', 'disse que me mata',
+      'disse que me matava', 'me ameaca', 'me ameacou', 'ameaca-me', 'ameacou-me', 'ameacou a minha vida',
+      'ameaca a minha vida'
+    ],
+    relatos: ['ameaca de morte', 'ameacas de morte', 'ameacou matar', 'com uma faca', 'com uma catana', 'com uma arma'],
+    termos: ['ameaca', 'ameacas', 'perseguicao'],
+    contactos: ['policia', 'apoio_vitimas', 'ministerio_publico']
+  },
+  abuso_infantil: {
+    descricao: 'abuso ou violência contra uma criança',
+    frases: [],
+    relatos: ['abuso sexual de menor', 'abuso de menores', 'abuso infantil', 'casamento prematuro', 'uniao prematura'],
+    termos: [],
+    contactos: ['policia', 'linha_apoio', 'apoio_vitimas', 'ministerio_publico']
+  },
+  detencao: {
+    descricao: 'detenção pela polícia',
+    frases: [
+      'fui detido', 'fui detida', 'estou detido', 'estou detida', 'fui preso', 'fui presa', 'estou preso',
+      'estou presa', 'me prenderam', 'prenderam-me', 'me detiveram', 'detiveram-me'
+    ],
+    relatos: [
+      'foi detido', 'foi detida', 'esta detido', 'esta detida', 'foram detidos', 'foi preso', 'foi presa',
+      'esta preso', 'esta presa', 'foram presos', 'prenderam', 'detiveram'
+    ],
+    termos: ['detencao', 'detido', 'detida'],
+    contactos: ['assistencia_juridica', 'advogados', 'ministerio_publico']
+  },
+  autolesao: {
+    descricao: 'risco de suicídio ou de se magoar',
+    frases: [
+      'quero me matar', 'quero matar-me', 'vou me matar', 'vou matar-me', 'em me matar', 'em matar-me',
+      'tentei me matar', 'tentei matar-me', 'vontade de me matar', 'me suicidar', 'suicidar-me', 'me enforcar',
+      'enforcar-me', 'quero morrer', 'vontade de morrer', 'tirar a minha vida', 'tirar a propria vida',
+      'acabar com a minha vida', 'por fim a minha vida'
+    ],
+    relatos: ['se matar', 'matar-se', 'quer se matar', 'se quer matar', 'se suicidar', 'suicidar-se', 'tentou o suicidio', 'fala em suicidio', 'falou em suicidio'],
+    termos: ['suicidio'],
+    contactos: ['linha_apoio', 'policia']
+  }
+};
+
+// Marca de um caso pessoal: alguém próximo ("o meu filho", "a nossa vizinha")
+// ("me" e "eu" não bastam: "pode me explicar", "eu queria saber" são perguntas)
+const PERSONAL_MARKER = /(?:^|[^a-z0-9])(?:meu|minha|meus|minhas|nosso|nossa|nossos|nossas)(?![a-z0-9])/;
+
+// Hipóteses ("se o meu vizinho me ameaçar", "imagine que..."): os relatos não contam
+const HYPOTHETICAL_REGEX = /(?:^|[,;:.!?]\s*|(?:^|[^a-z0-9])(?:acontece|e|mas)\s+)(?:se|caso)\s+(?:[a-z]+\s+){0,5}?[a-z]+(?:ar|er|ir|arem|erem|irem|asse|esse|isse)(?:-(?:me|te|nos|lhe|o|a))?(?![a-z0-9-])|(?:^|[^a-z0-9])(?:imagine|imaginemos|suponha|suponhamos|hipoteticamente)(?![a-z0-9])/;
+
+// Expressões que não são ameaças à vida: retiradas antes das regras
+const IDIOM_REGEX = /\bmat(?:ar|a|ou|ava)(?:-me)? de (?:trabalho|susto|rir|riso|vergonha|saudades?|tedio|cansaco|desgosto|preocupacao|raiva|inveja)\b|\bameac\w*(?:-me)? (?:de|com) (?:despedi|demiti|demissao|despej|expuls|processo|queixa|tribunal|multa|suspens)\w*/g;
+
+// Abuso de menores: uma criança e um acto de abuso na mesma mensagem (com marca pessoal)
+const CHILD_TERMS = ['crianca', 'menor de idade', 'minha filha', 'meu filho', 'enteada', 'enteado', 'sobrinha', 'sobrinho', 'neta', 'neto', 'aluna', 'bebe'];
+const CHILD_ABUSE_TERMS = ['abus', 'violou', 'violad', 'violent', 'espanc', 'maltrat', 'queimou', 'tocou nas partes', 'mexe nas partes'];
+
+// Passos de protecção por situação (antes de qualquer análise jurídica)
+const PROTECTION_STEPS = {
+  violencia: [
+    'Se está em perigo agora, afaste-se do agressor e vá para um lugar seguro: casa de um familiar, vizinho ou amigo, ou a esquadra mais próxima.',
+    'Se está ferida ou ferido, vá a uma unidade sanitária e peça que registem as lesões: o registo serve de prova.',
+    'Guarde provas (fotografias das lesões, mensagens, nomes de testemunhas) num sítio a que o agressor não tenha acesso.'
+  ],
+  ameaca: [
+    'Leve as ameaças a sério: não fique a sós com quem ameaça e avise alguém de confiança de onde está.',
+    'Guarde as mensagens, gravações e nomes de quem presenciou as ameaças.'
+  ],
+  abuso_infantil: [
+    'Afaste a criança da pessoa suspeita e não a deixe a sós com ela.',
+    'Leve a criança a uma unidade sanitária o mais depressa possível, sem lhe dar banho nem mudar a roupa se houve abuso sexual.',
+    'Ouça a criança com calma, sem a culpar nem a obrigar a repetir a história várias vezes.'
+  ],
+  autolesao: [
+    'Não fique sozinha ou sozinho agora: chame ou vá ter com alguém de confiança (familiar, amigo, vizinho) e diga-lhe como se sente.',
+    'Afaste de perto de si o que possa usar para se magoar (medicamentos, cordas, armas, venenos).',
+    'Procure ajuda hoje nas urgências da unidade sanitária mais próxima ou ligue para uma linha de apoio: o que sente pode ser tratado e não tem de passar por isto sozinha ou sozinho.'
+  ],
+  detencao: [
+    'A pessoa detida tem o direito de ser informada imediatamente das razões da detenção e dos seus direitos (artigo 64, n.º 3, da Constituição).',
+    'Tem o direito de escolher um defensor, ou pedir ao juiz que lhe nomeie um, e de falar com ele em privado; não é obrigada a responder sobre os factos (artigo 69, n.º 1, do Código de Processo Penal).',
+    'Deve ser presente a um juiz no prazo máximo de 48 horas após a detenção (artigo 175, n.º 1, do Código de Processo Penal); se o prazo passar, pode ser pedido habeas corpus ao juiz de instrução (artigo 263).'
+  ]
+};
+
+// Onde ir quando não há contactos verificados no diretório
+const FALLBACK_CONTACTS = {
+  violencia: 'Dirija-se à esquadra da PRM mais próxima e peça o Gabinete de Atendimento à Família e Menores Vítimas de Violência.',
+  ameaca: 'Apresente queixa na esquadra da PRM mais próxima ou na Procuradoria da República.',
+  abuso_infantil: 'Denuncie na esquadra da PRM mais próxima (Gabinete de Atendimento à Família e Menores Vítimas de Violência) ou na Procuradoria da República.',
+  detencao: 'Peça ajuda à delegação do IPAJ da província ou a um advogado para acompanhar a pessoa detida.',
+  autolesao: 'Vá às urgências da unidade sanitária mais próxima, de preferência acompanhada ou acompanhado por alguém de confiança.'
+};
+
+const MAX_CONTACTS = 6;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Termo no início de uma palavra (os relatos e termos podem ser radicais: "suicid")
+function mentions(folded, termo) {
+  return new RegExp(`(?:^|[^a-z0-9])${escapeRegex(termo)}`).test(folded);
+}
+
+// Expressão completa: "me bate" não apanha "me bater"
+function mentionsPhrase(folded, frase) {
+  return new RegExp(`(?:^|[^a-z0-9])${escapeRegex(frase)}(?![a-z0-9])`).test(folded);
+}
+
+/**
+ * Escalada de segurança para situações de risco iminente
+ * Regras determinísticas sobre a pergunta, somadas ao sinal do classificador
+ * (risco_iminente): continua a funcionar quando o classificador falha e
+ * devolve a classificação de recurso. Em caso de risco, a resposta começa
+ * por passos de protecção, as linhas nacionais de emergência e os contactos
+ * verificados; cada caso fica registado sem texto nem identificação da pessoa.
+ */
+export class SafetyGuard {
+  /**
+   * @param {ContactDirectory} contacts - Diretório de contactos (os verificados e as linhas nacionais de emergência)
+   * @param {Object} options - { logPath } ficheiro JSONL para o registo anónimo (opcional)
+   */
+  constructor(contacts, { logPath = null } = {}) {
+    this.contacts = contacts;
+    this.logPath = logPath;
+  }
+
+  /**
+   * Situações de risco na pergunta, pelas regras
+   * @returns {Array<string>} Categorias (ver RISK_CATEGORIES)
+   */
+  detect(pergunta, classification = {}) {
+    const folded = foldText(pergunta).replace(IDIOM_REGEX, ' ');
+    const casoUrgente = classification.modo === 'assistencia' && classification.urgencia === 'alta';
+    const pessoal = PERSONAL_MARKER.test(folded) && !HYPOTHETICAL_REGEX.test(folded);
+
+    const categorias = Object.entries(RISK_CATEGORIES)
+      .filter(([, regra]) => regra.frases.some(frase => mentionsPhrase(folded, frase)) ||
+        (pessoal && regra.relatos.some(relato => mentions(folded, relato))) ||
+        (casoUrgente && regra.termos.some(termo => mentions(folded, termo))))
+      .map(([categoria]) => categoria);
+
+    if (!categorias.includes('abuso_infantil') && pessoal &&
+      CHILD_TERMS.some(termo => mentions(folded, termo)) && CHILD_ABUSE_TERMS.some(termo => mentions(folded, termo))) {
+      categorias.push('abuso_infantil');
+    }
+    return categorias;
+  }
+
+  /**
+   * Avalia o risco de uma pergunta (regras + classificador)
+   * @param {string} pergunta
+   * @param {Object} classification - Resultado de IntentClassifier.classify (risco_iminente, tipo_risco)
+   * @param {Array} context - Histórico da conversa (para a província)
+   * @returns {Object|null} { categorias, origem, provincia, contactos, mensagem } ou null sem risco
+   */
+  assess(pergunta, classification = {}, context = []) {
+    const porRegras = this.detect(pergunta, classification);
+    const porClassificador = classification.risco_iminente === true
+      ? [RISK_CATEGORIES[classification.tipo_risco] ? classification.tipo_risco : 'violencia']
+      : [];
+    const categorias = Object.keys(RISK_CATEGORIES).filter(c => porRegras.includes(c) || porClassificador.includes(c));
+    if (categorias.length === 0) return null;
+
+    const provincia = this.contacts.detectProvince([
+      pergunta,
+      ...(context || []).filter(msg => msg.role === 'user').map(msg => msg.content).reverse()
+    ]);
+    // Emergência primeiro: a ordem dos tipos na categoria decide a ordem dos contactos
+    const tipos = [...new Set(categorias.flatMap(c => RISK_CATEGORIES[c].contactos))];
+    // As linhas nacionais de emergência (PRM, Linha Fala Criança) entram sempre
+    const contactos = this.contacts.search({ provincia })
+      .filter(c => (c.verificado || c.emergencia) && tipos.includes(c.tipo) && (provincia || c.provincia === null))
+      .sort((a, b) => tipos.indexOf(a.tipo) - tipos.indexOf(b.tipo))
+      .slice(0, MAX_CONTACTS);
+
+    const avaliacao = {
+      categorias,
+      origem: [porRegras.length > 0 && 'regras', porClassificador.length > 0 && 'classificador'].filter(Boolean),
+      provincia,
+      contactos
+    };
+    return { ...avaliacao, mensagem: this.buildMessage(avaliacao) };
+  }
+
+  /**
+   * Bloco de emergência que abre a resposta (texto fixo, não gerado pelo LLM)
+   */
+  buildMessage({ categorias, contactos }) {
+    const passos = [...new Set(categorias.flatMap(c => PROTECTION_STEPS[c]))];
+    const linhas = contactos.map(c => `- **${c.instituicao}**${c.telefone ? `: ${c.telefone}` : ''}${c.horario ? ` (${c.horario})` : ''}${c.morada ? `, ${c.morada}` : ''}`);
+    // Sem contacto verificado de uma das situações, também a instituição a procurar
+    const semContacto = categorias.filter(c => !contactos.some(contacto => contacto.verificado && RISK_CATEGORIES[c].contactos.includes(contacto.tipo)));
+    linhas.push(...[...new Set(semContacto.map(c => FALLBACK_CONTACTS[c]))].map(texto => `- ${texto}`));
+
+    return [
+      '🚨 **A sua segurança vem primeiro.**',
+      '',
+      `Pelo que descreve, esta é uma situação de ${categorias.map(c => RISK_CATEGORIES[c].descricao).join(' e de ')}. Antes de tudo:`,
+      '',
+      ...passos.map(passo => `- ${passo}`),
+      '',
+      '**Onde pedir ajuda agora:**',
+      ...linhas,
+      '',
+      'Depois destes passos, leia abaixo os direitos e os passos legais.'
+    ].join('\n');
+  }
+
+  /**
+   * Regista o caso sem dados pessoais: só a data, as categorias, a origem da
+   * deteção e a província (nunca o texto da pergunta ou a sessão)
+   */
+  async record({ categorias, origem, provincia }, { urgencia = null } = {}) {
+    console.log(`🚨 Risco iminente: ${categorias.join(', ')} (${origem.join(' + ')})${provincia ? `, ${provincia}` : ''}`);
+    if (!this.logPath) return;
+
+    const entrada = { data: todayMaputo(), categorias, origem, provincia, urgencia };
+    try {
+      await fs.promises.mkdir(path.dirname(this.logPath), { recursive: true });
+      await fs.promises.appendFile(this.logPath, `${JSON.stringify(entrada)}\n`);
+    } catch (error) {
+      console.warn(`⚠️  Não foi possível registar o caso de risco: ${error.message}`);
+    }
+  }
+}
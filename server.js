@@ -1,15 +1,29 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { OpenAI } from 'openai';
-import pdfParse from 'pdf-parse-fork';
-import { SimpleRAG } from './simple-rag.js';
+import { SEARCH_MODES, parseArticleRanges } from './retriever.js';
+import { createRetriever } from './retrievers.js';
+import { loadAllPDFs } from './pdf-loader.js';
+import { LawCatalog, LEGAL_AREAS, todayISO, isValidISODate } from './law-catalog.js';
 import { IntentClassifier } from './classifier.js';
 import { AssistanceGenerator } from './assistance-generator.js';
 import { LegalGlossary } from './glossary.js';
+import { createProviders } from './providers.js';
+import { ReferenceResolver } from './reference-resolver.js';
+import { CrossReferenceGraph } from './cross-references.js';
+import { QueryExpander } from './query-expander.js';
+import { Reranker } from './reranker.js';
+import { CitationVerifier, CITATION_MODES } from './citation-verifier.js';
+import { GroundingChecker } from './grounding.js';
+import { DeadlineCalculator } from './deadlines.js';
+import { LabourCalculator, parseLabourInput } from './labour-calculator.js';
+import { LegalAgent } from './agent.js';
+import { DocumentGenerator, parseDocumentRequest } from './document-generator.js';
+import { ReportGenerator, parseReportRequest } from './report-generator.js';
+import { ContactDirectory, PROVINCES, CONTACT_TYPES } from './contacts.js';
+import { SafetyGuard } from './safety.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,85 +35,127 @@ const PORT = process.env.PORT || 3000;
 
 // Middlewares
 app.use(cors());
-app.use(express.json());
+// Limite maior que o padrão (100kb): a exportação recebe uma sessão inteira do chat
+app.use(express.json({ limit: '1mb' }));
 app.use(express.static('public'));
 
-// OpenAI configuração
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
+// Fornecedores de LLM e embeddings (OpenAI, servidor local compatível ou CPU)
+const providers = createProviders();
+
+// Sistema RAG (em memória ou ChromaDB, ver RAG_BACKEND)
+const ragSystem = createRetriever(providers.embeddings);
+
+// Sistema de Glossário Jurídico
+const glossary = new LegalGlossary(providers.llm);
+
+// Classificador de Intenção por camadas: regras, modelo local e, com pouca confiança, o LLM
+const classifier = new IntentClassifier(providers.llm, {
+  glossary,
+  minConfianca: parseFloat(process.env.CLASSIFIER_MIN_CONFIDENCE || '0.9'),
+  usarLLM: process.env.CLASSIFIER_LLM !== 'false'
 });
 
-// Sistema RAG
-const ragSystem = new SimpleRAG(process.env.OPENAI_API_KEY);
+// Expansão de perguntas com sinónimos, grafias PT-BR e coloquialismos do glossário
+const queryExpander = new QueryExpander(glossary);
 
-// Classificador de Intenção e Gerador de Assistência
-const classifier = new IntentClassifier(process.env.OPENAI_API_KEY);
-const assistanceGenerator = new AssistanceGenerator(process.env.OPENAI_API_KEY);
+// Re-ranking em segunda fase (MMR; relevância por score da pesquisa, cross-encoder ou LLM)
+const reranker = new Reranker({
+  scorer: process.env.RERANK_SCORER || 'none',
+  llm: providers.llm,
+  crossEncoderModel: process.env.RERANK_MODEL,
+  localModelsPath: process.env.LOCAL_MODELS_PATH || null
+});
 
-// Sistema de Glossário Jurídico
-const glossary = new LegalGlossary(process.env.OPENAI_API_KEY);
+// Fundamentação das respostas: limiares de similaridade (cosseno) da recuperação e das afirmações
+const groundingChecker = new GroundingChecker(ragSystem, {
+  minSimilarity: parseFloat(process.env.GROUNDING_MIN_SIMILARITY || '0.3'),
+  strongSimilarity: parseFloat(process.env.GROUNDING_STRONG_SIMILARITY || '0.55'),
+  claimSimilarity: parseFloat(process.env.GROUNDING_CLAIM_SIMILARITY || '0.55')
+});
 
 // Cache para armazenar textos dos PDFs
 const pdfCache = new Map();
 
-// Função para extrair texto do PDF usando pdf-parse-fork
-async function extractTextFromPDF(pdfPath) {
-  try {
-    const dataBuffer = fs.readFileSync(pdfPath);
-    const data = await pdfParse(dataBuffer);
-    return data.text;
-  } catch (error) {
-    console.error(`Erro ao extrair texto do PDF ${pdfPath}:`, error.message);
-    return '';
-  }
-}
+// Catálogo canónico de leis (nomes oficiais, metadados, duplicados)
+const catalog = new LawCatalog();
 
-// Função para carregar todos os PDFs da pasta leis
-async function loadAllPDFs() {
-  const leisPath = path.join(__dirname, 'leis');
-  const files = fs.readdirSync(leisPath).filter(f => f.endsWith('.pdf'));
-  
-  console.log(`Carregando ${files.length} arquivos PDF...`);
-  
-  for (const file of files) {
-    const filePath = path.join(leisPath, file);
-    const text = await extractTextFromPDF(filePath);
-    
-    pdfCache.set(file, {
-      name: file,
-      text: text,
-      preview: text.substring(0, 500)
-    });
-    
-    console.log(`✓ ${file} carregado (${text.length} caracteres)`);
-  }
-  
-  console.log('Todos os PDFs foram carregados!');
-}
+// Referências a artigos qualificadas pela lei ("art. 125.º da Lei 23/2007")
+const referenceResolver = new ReferenceResolver(catalog, ragSystem);
+
+// Grafo de referências cruzadas entre artigos ("nos termos do artigo X")
+const crossReferences = new CrossReferenceGraph(referenceResolver);
+
+// Verificação das citações das respostas contra os trechos e o índice
+const citationVerifier = new CitationVerifier(catalog, referenceResolver, ragSystem);
+
+// Prazos legais (feriados nacionais mais os decretados, ex.: FERIADOS_ADICIONAIS=2025-12-26,2026-01-02)
+const deadlineCalculator = new DeadlineCalculator(catalog, {
+  feriadosAdicionais: (process.env.FERIADOS_ADICIONAIS || '').split(',').map(d => d.trim()).filter(isValidISODate)
+});
+
+// Indemnização, aviso prévio e férias na cessação do contrato de trabalho
+const labourCalculator = new LabourCalculator(catalog);
+
+// Diretório de contactos de assistência jurídica (só os verificados entram nas respostas)
+const contactDirectory = new ContactDirectory();
+
+// Risco iminente (violência, ameaças, abuso de crianças, detenção): segurança antes da análise jurídica
+const safetyGuard = new SafetyGuard(contactDirectory, { logPath: process.env.SAFETY_LOG_PATH || null });
+
+// Gerador de Assistência (calcula os prazos e os valores da situação)
+const assistanceGenerator = new AssistanceGenerator(providers.llm, deadlineCalculator, labourCalculator, contactDirectory);
+
+// Modo agente: o gerador pode chamar ferramentas (pesquisa, artigos, calculadoras), com limites por pergunta
+const legalAgent = new LegalAgent({
+  llm: providers.llm,
+  retriever: ragSystem,
+  catalog,
+  deadlines: deadlineCalculator,
+  labourCalculator
+}, {
+  maxSteps: parseInt(process.env.AGENT_MAX_STEPS || '4'),
+  maxToolCalls: parseInt(process.env.AGENT_MAX_TOOL_CALLS || '8')
+});
+
+// Documentos prontos a entregar (queixas, cartas, pedidos) em PDF
+const documentGenerator = new DocumentGenerator(catalog, labourCalculator);
+
+// Relatório de uma consulta (perguntas, respostas e artigos citados) em PDF ou Markdown
+const reportGenerator = new ReportGenerator(catalog, ragSystem, citationVerifier);
 
 // Rota principal da API
 app.get('/api', (req, res) => {
   res.json({
     message: 'API de Consulta de Leis Moçambicanas',
     endpoints: {
-      '/api/leis': 'Lista todas as leis disponíveis',
+      '/api/leis': 'Lista todas as leis disponíveis (catálogo)',
       '/api/perguntar': 'POST - Faz uma pergunta sobre as leis (método antigo)',
       '/api/perguntar-rag': 'POST - Faz uma pergunta usando RAG (recomendado)',
-      '/api/rag/stats': 'Estatísticas do sistema RAG'
+      '/api/perguntar-rag/stream': 'POST - Igual, com a resposta em streaming (Server-Sent Events)',
+      '/api/rag/stats': 'Estatísticas do sistema RAG',
+      '/api/rag/artigos/:numero/referencias': 'Artigos citados por um artigo e que o citam (?lei=)',
+      '/api/calculadoras/trabalho': 'POST - Indemnização, aviso prévio e férias na cessação do contrato',
+      '/api/documentos': 'GET - Modelos de documentos; POST - Gera o documento preenchido em PDF',
+      '/api/consultas/exportar': 'POST - Relatório de uma sessão do chat (PDF, Markdown ou JSON)',
+      '/api/contactos': 'Contactos de assistência jurídica (?provincia=&area_legal=&tipo=&verificados=)'
     }
   });
 });
 
-// Rota para listar todas as leis disponíveis
+// Rota para listar todas as leis disponíveis (um acto por lei, sem duplicados)
 app.get('/api/leis', (req, res) => {
-  const leis = Array.from(pdfCache.entries()).map(([name, data]) => ({
-    nome: name,
-    caracteres: data.text.length,
-    preview: data.preview
-  }));
+  const leis = catalog.listActs().map(act => {
+    const data = pdfCache.get(act.ficheiro_principal);
+    return {
+      ...catalog.toJSON(act),
+      caracteres: data.text.length,
+      preview: data.preview
+    };
+  });
   
   res.json({
     total: leis.length,
+    ficheiros: pdfCache.size,
     leis: leis
   });
 });
@@ -118,11 +174,12 @@ app.post('/api/perguntar', async (req, res) => {
     let leisUsadas = [];
     
     if (lei) {
-      // Se uma lei específica foi mencionada
-      const leiData = pdfCache.get(lei);
+      // Se uma lei específica foi mencionada (id do acto ou nome do ficheiro)
+      const act = catalog.getAct(lei);
+      const leiData = act && pdfCache.get(act.ficheiro_principal);
       if (leiData) {
-        contexto = `=== ${leiData.name} ===\n${leiData.text}`;
-        leisUsadas.push(lei);
+        contexto = `=== ${act.titulo} ===\n${leiData.text}`;
+        leisUsadas.push(act.titulo);
       } else {
         return res.status(404).json({ error: 'Lei não encontrada' });
       }
@@ -132,20 +189,19 @@ app.post('/api/perguntar', async (req, res) => {
       let textoTotal = 0;
       const maxTexto = 100000; // Limitar contexto total
       
-      for (const [name, data] of pdfCache.entries()) {
+      for (const act of catalog.listActs()) {
         if (textoTotal >= maxTexto) break;
         
         // Adicionar lei ao contexto
-        const textoLei = data.text.substring(0, 30000);
-        contexto += `\n\n=== ${name} ===\n${textoLei}`;
-        leisUsadas.push(name);
+        const textoLei = pdfCache.get(act.ficheiro_principal).text.substring(0, 30000);
+        contexto += `\n\n=== ${act.titulo} ===\n${textoLei}`;
+        leisUsadas.push(act.titulo);
         textoTotal += textoLei.length;
       }
     }
     
-    // Chamar OpenAI
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    // Chamar LLM
+    const response = await providers.llm.createCompletion({
       messages: [
         {
           role: 'system',
@@ -176,7 +232,7 @@ ${contexto}`
       resposta: response.choices[0].message.content,
       leisConsultadas: leisUsadas,
       totalLeis: leisUsadas.length,
-      modelo: 'gpt-4o-mini'
+      modelo: providers.llm.model
     });
     
   } catch (error) {
@@ -188,17 +244,19 @@ ${contexto}`
   }
 });
 
-// Rota para buscar lei específica
+// Rota para buscar lei específica (id do acto ou nome do ficheiro)
 app.get('/api/lei/:nome', (req, res) => {
   const { nome } = req.params;
-  const leiData = pdfCache.get(nome);
+  const act = catalog.getAct(nome);
+  const leiData = act && pdfCache.get(pdfCache.has(nome) ? nome : act.ficheiro_principal);
   
   if (!leiData) {
     return res.status(404).json({ error: 'Lei não encontrada' });
   }
   
   res.json({
-    nome: leiData.name,
+    ...catalog.toJSON(act),
+    nome: act.titulo,
     texto: leiData.text,
     caracteres: leiData.text.length
   });
@@ -206,135 +264,534 @@ app.get('/api/lei/:nome', (req, res) => {
 
 // ============ NOVOS ENDPOINTS RAG ============
 
-// Rota para perguntas usando RAG com Classificação Inteligente
-app.post('/api/perguntar-rag', async (req, res) => {
-  try {
-    const { pergunta, topK, session_id, context } = req.body;
-    
-    if (!pergunta) {
-      return res.status(400).json({ error: 'Pergunta é obrigatória' });
+// Máximo de trechos entregues ao gerador por pedido (topK)
+const MAX_TOP_K = 20;
+
+/**
+ * Valida o corpo de um pedido ao /api/perguntar-rag e resolve os filtros
+ * @param {Object} body - Corpo do pedido
+ * @returns {Object} { erro } ou { pedido } pronto para answerQuestion()
+ */
+function parseRagRequest(body = {}) {
+  const {
+    pergunta,
+    topK,
+    session_id,
+    context,
+    data_referencia,
+    modo_busca = 'hybrid',
+    filtros = {},
+    expandir_referencias = true,
+    expandir_consulta = true,
+    rerank = true,
+    verificar_citacoes = true,
+    verificar_fundamentacao = true,
+    agente = false
+  } = body;
+
+  if (!pergunta) {
+    return { erro: 'Pergunta é obrigatória' };
+  }
+
+  if (typeof pergunta !== 'string') {
+    return { erro: 'pergunta deve ser texto' };
+  }
+
+  if (topK !== undefined && !(Number.isInteger(topK) && topK > 0 && topK <= MAX_TOP_K)) {
+    return { erro: `topK deve ser um inteiro entre 1 e ${MAX_TOP_K}` };
+  }
+
+  if (!filtros || typeof filtros !== 'object' || Array.isArray(filtros)) {
+    return { erro: 'filtros deve ser um objeto' };
+  }
+
+  if (data_referencia && !isValidISODate(data_referencia)) {
+    return { erro: 'data_referencia inválida (formato esperado: AAAA-MM-DD)' };
+  }
+
+  if (!SEARCH_MODES.includes(modo_busca)) {
+    return { erro: `modo_busca inválido (valores aceites: ${SEARCH_MODES.join(', ')})` };
+  }
+
+  // Filtros de metadados: leis (id, abreviatura, número ou título), área legal e artigos
+  const leisFiltro = filtros.leis ? [].concat(filtros.leis) : null;
+  if (leisFiltro && leisFiltro.some(ref => typeof ref !== 'string')) {
+    return { erro: 'filtros.leis deve ser um texto ou uma lista de textos' };
+  }
+  const actsFiltro = leisFiltro ? leisFiltro.map(ref => catalog.findAct(ref)) : null;
+  if (actsFiltro && actsFiltro.some(act => !act)) {
+    const desconhecidas = leisFiltro.filter((ref, i) => !actsFiltro[i]);
+    return { erro: `Leis não encontradas no catálogo: ${desconhecidas.join(', ')}` };
+  }
+
+  const areasFiltro = filtros.area_legal ? [].concat(filtros.area_legal) : null;
+  if (areasFiltro && areasFiltro.some(area => !LEGAL_AREAS.includes(area))) {
+    return { erro: `area_legal inválida (valores aceites: ${LEGAL_AREAS.join(', ')})` };
+  }
+
+  let artigosFiltro = null;
+  if (filtros.artigos) {
+    try {
+      artigosFiltro = parseArticleRanges(filtros.artigos);
+    } catch (error) {
+      return { erro: error.message };
     }
+  }
 
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`📥 NOVA PERGUNTA RECEBIDA`);
-    console.log(`${'='.repeat(70)}`);
-    console.log(`"${pergunta}"`);
-    if (session_id) console.log(`📂 Sessão: ${session_id}`);
-    if (context && context.length > 0) console.log(`🔗 Contexto: ${context.length} mensagens anteriores`);
-    console.log();
-
-    // FASE 1: Classificar intenção (Consulta vs Assistência vs Glossário)
-    console.log('🎯 FASE 1: Classificando intenção...');
-    const classification = await classifier.classify(pergunta, context);
-    
-    // FASE 2: Buscar chunks mais relevantes no RAG
-    const numChunks = topK || (classification.modo === 'assistencia' ? 7 : 5);
-    console.log(`\n🔍 FASE 2: Buscando ${numChunks} chunks mais relevantes...`);
-    
-    // Para glossário, buscar pelo termo específico
-    const searchQuery = classification.modo === 'glossario' && classification.termo_glossario
-      ? classification.termo_glossario
-      : pergunta;
-    
-    const relevantChunks = await ragSystem.search(searchQuery, numChunks);
-    
-    if (relevantChunks.length === 0 && classification.modo !== 'glossario') {
-      return res.json({
-        modo: classification.modo,
-        resposta: 'Não encontrei informações relevantes nas leis disponíveis para responder sua pergunta.',
-        chunksEncontrados: 0,
-        classification
-      });
+  // rerank: false desativa; um objeto altera a configuração do modo (ver RERANK_PROFILES)
+  const rerankOverrides = rerank && typeof rerank === 'object' ? rerank : {};
+  if (rerankOverrides.lambda !== undefined && !(rerankOverrides.lambda >= 0 && rerankOverrides.lambda <= 1)) {
+    return { erro: 'rerank.lambda deve estar entre 0 e 1' };
+  }
+  for (const key of ['candidatos', 'maxPorArtigo', 'maxPorLei']) {
+    if (rerankOverrides[key] !== undefined && !(Number.isInteger(rerankOverrides[key]) && rerankOverrides[key] > 0)) {
+      return { erro: `rerank.${key} deve ser um inteiro positivo` };
     }
+  }
 
-    console.log(`   ✓ ${relevantChunks.length} chunks encontrados:`);
-    relevantChunks.forEach((chunk, i) => {
-      console.log(`      ${i + 1}. ${chunk.lei} (${(chunk.similarity * 100).toFixed(1)}%)`);
-    });
+  // verificar_citacoes: true/'marcar' assinala as não verificadas, 'remover' retira-as, false desativa
+  const modoCitacoes = verificar_citacoes === true ? 'marcar' : verificar_citacoes;
+  if (modoCitacoes !== false && !CITATION_MODES.includes(modoCitacoes)) {
+    return { erro: `verificar_citacoes inválido (valores aceites: true, false, ${CITATION_MODES.join(', ')})` };
+  }
 
-    let resultado;
+  if (typeof verificar_fundamentacao !== 'boolean') {
+    return { erro: 'verificar_fundamentacao deve ser true ou false' };
+  }
 
-    // FASE 3: Gerar resposta apropriada com base no modo
-    if (classification.modo === 'glossario') {
-      console.log(`\n📖 FASE 3: Gerando EXPLICAÇÃO DE GLOSSÁRIO...`);
-      console.log(`   Termo: "${classification.termo_glossario}"`);
-      
-      // Gerar explicação do termo
-      const explicacao = await glossary.explainTerm(
-        classification.termo_glossario,
-        relevantChunks,
-        { pergunta, context }
-      );
-      
-      resultado = {
-        modo: 'glossario',
-        resposta: explicacao.explicacao,
-        metadata: {
-          termo: explicacao.termo,
-          categoria: explicacao.categoria,
-          nivel_dificuldade: explicacao.nivel_dificuldade,
-          leis_usadas: explicacao.leis_consultadas
-        }
-      };
-      
-    } else if (classification.modo === 'assistencia') {
-      console.log(`\n💙 FASE 3: Gerando ASSISTÊNCIA PESSOAL...`);
-      
-      // Extrair fatos da situação
-      const facts = await classifier.extractFacts(pergunta, classification);
-      
-      // Gerar assistência completa
-      resultado = await assistanceGenerator.generateAssistance(
-        pergunta,
-        classification,
-        facts,
-        relevantChunks,
-        context
-      );
-      
-      // Detectar termos técnicos na resposta para sugestões
-      const termosSugeridos = glossary.suggestExplanations(resultado.resposta);
-      if (termosSugeridos.length > 0) {
-        resultado.termos_tecnicos = termosSugeridos;
-      }
-      
-    } else {
-      console.log(`\n📚 FASE 3: Gerando CONSULTA TÉCNICA...`);
-      
-      // Gerar consulta técnica
-      resultado = await assistanceGenerator.generateConsulta(
-        pergunta,
-        relevantChunks,
-        context
-      );
-      
-      // Detectar termos técnicos na resposta para sugestões
-      const termosSugeridos = glossary.suggestExplanations(resultado.resposta);
-      if (termosSugeridos.length > 0) {
-        resultado.termos_tecnicos = termosSugeridos;
-      }
+  if (typeof agente !== 'boolean') {
+    return { erro: 'agente deve ser true ou false' };
+  }
+
+  return {
+    pedido: {
+      pergunta,
+      topK,
+      session_id,
+      context,
+      data_referencia,
+      dataReferencia: data_referencia || todayISO(),
+      modo_busca,
+      filtros,
+      actsFiltro,
+      areasFiltro,
+      artigosFiltro,
+      expandir_referencias,
+      expandir_consulta,
+      rerank,
+      rerankOverrides,
+      modoCitacoes,
+      verificar_fundamentacao,
+      agente
     }
+  };
+}
 
-    console.log(`\n✅ Resposta gerada com sucesso!`);
-    console.log(`   Modo: ${resultado.modo.toUpperCase()}`);
-    console.log(`   Chunks usados: ${relevantChunks.length}`);
-    console.log(`   Leis consultadas: ${[...new Set(relevantChunks.map(c => c.lei))].length}`);
-    console.log(`${'='.repeat(70)}\n`);
+// Resumo de um trecho recuperado para o cliente (sem o texto)
+function toSource(chunk) {
+  return {
+    lei: chunk.lei,
+    lei_id: chunk.leiId,
+    artigo: chunk.articleNumber,
+    caminho: chunk.path,
+    similaridade: chunk.similarity,
+    exato: Boolean(chunk.exact),
+    suporte: Boolean(chunk.suporte)
+  };
+}
 
-    res.json({
+/**
+ * Responde a uma pergunta: referências -> classificação -> pesquisa -> geração
+ * @param {Object} pedido - Ver parseRagRequest()
+ * @param {Function} emit - (evento, dados) para streaming: recebe 'classificacao',
+ *   'seguranca' em situações de risco iminente, 'fontes', uma 'ferramenta' por chamada
+ *   do modo agente e um 'token' por fragmento da resposta. Sem emit, a resposta é
+ *   gerada de uma vez.
+ * @returns {Promise<Object>} Corpo da resposta do /api/perguntar-rag
+ */
+async function answerQuestion(pedido, emit = null) {
+  const {
+    pergunta,
+    topK,
+    session_id,
+    context,
+    data_referencia,
+    dataReferencia,
+    modo_busca,
+    filtros,
+    actsFiltro,
+    areasFiltro,
+    artigosFiltro,
+    expandir_referencias,
+    expandir_consulta,
+    rerank,
+    rerankOverrides,
+    modoCitacoes,
+    verificar_fundamentacao,
+    agente
+  } = pedido;
+  const onToken = emit ? texto => emit('token', { texto }) : null;
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`📥 NOVA PERGUNTA RECEBIDA${emit ? ' (streaming)' : ''}`);
+  console.log(`${'='.repeat(70)}`);
+  console.log(`"${pergunta}"`);
+  if (session_id) console.log(`📂 Sessão: ${session_id}`);
+  if (context && context.length > 0) console.log(`🔗 Contexto: ${context.length} mensagens anteriores`);
+  if (data_referencia) console.log(`📅 Legislação em vigor em: ${dataReferencia}`);
+  if (agente) console.log('🧰 Modo agente (ferramentas)');
+  console.log();
+
+  // Apenas actos em vigor na data de referência (e, se pedido, só as leis indicadas)
+  let leiIds = catalog.actsInForce(dataReferencia);
+  if (actsFiltro) {
+    const pedidas = new Set(actsFiltro.map(act => act.id));
+    leiIds = leiIds.filter(id => pedidas.has(id));
+  }
+
+  // Referências explícitas a artigos são resolvidas antes de qualquer pesquisa semântica
+  const { referencias, ambiguas } = await referenceResolver.resolve(pergunta, { context, leiIds });
+  referencias.forEach(ref => console.log(`🔗 Referência: artigo ${ref.artigo}${ref.numero ? `, n.º ${ref.numero}` : ''} → ${ref.lei}`));
+
+  if (ambiguas.length > 0) {
+    console.log(`❓ Referência ambígua (${ambiguas.map(a => `artigo ${a.artigo}: ${a.candidatos.length} leis`).join('; ')}), pedindo esclarecimento`);
+    return {
       pergunta,
-      ...resultado,
+      modo: 'clarificacao',
+      resposta: referenceResolver.buildClarification(ambiguas),
+      clarificacao: ambiguas,
+      referencias,
+      chunksEncontrados: 0,
+      data_referencia: dataReferencia,
+      metodo: 'RAG-Inteligente'
+    };
+  }
+
+  // FASE 1: Classificar intenção (Consulta vs Assistência vs Glossário)
+  console.log('🎯 FASE 1: Classificando intenção...');
+  const classification = await classifier.classify(pergunta, context);
+
+  // Risco iminente (regras + classificador): a resposta começa pelo bloco de segurança,
+  // mesmo que a parte jurídica acabe em abstenção, e a parte jurídica é curta
+  const seguranca = safetyGuard.assess(pergunta, classification, context);
+  if (seguranca) {
+    classification.modo = 'assistencia';
+    safetyGuard.record(seguranca, { urgencia: classification.urgencia });
+  }
+  const blocoSeguranca = seguranca ? `${seguranca.mensagem}
+
+---
+
+` : '';
+  const resumoSeguranca = seguranca && {
+    categorias: seguranca.categorias,
+    origem: seguranca.origem,
+    provincia: seguranca.provincia,
+    contactos: seguranca.contactos
+  };
+
+  const classificationSummary = {
+    modo: classification.modo,
+    urgencia: classification.urgencia,
+    area_legal: classification.area_legal,
+    confianca: classification.confianca,
+    camada: classification.camada
+  };
+  emit?.('classificacao', { ...classificationSummary, termo_glossario: classification.termo_glossario || null });
+  if (seguranca) {
+    emit?.('seguranca', resumoSeguranca);
+    onToken?.(blocoSeguranca);
+  }
+
+  // FASE 2: Buscar chunks mais relevantes no RAG
+  const rerankProfile = reranker.getProfile(classification.modo, { ...rerankOverrides, topK });
+  const numChunks = rerankProfile.topK;
+  const numCandidatos = rerank ? rerankProfile.candidatos : numChunks;
+  console.log(`\n🔍 FASE 2: Buscando ${numChunks} chunks mais relevantes (modo ${modo_busca}${rerank ? `, ${numCandidatos} candidatos para re-ranking` : ''})...`);
+
+  // Para glossário, buscar pelo termo específico
+  const searchQuery = classification.modo === 'glossario' && classification.termo_glossario
+    ? classification.termo_glossario
+    : pergunta;
+
+  // Aproximar a pergunta da linguagem das leis ("patrão" -> empregador, "indenização" -> indemnização)
+  const expansao = expandir_consulta ? queryExpander.expand(searchQuery) : null;
+  if (expansao?.expansoes.length > 0) {
+    console.log(`   🔤 Expansão: ${expansao.expansoes.map(e => `"${e.encontrado}" → ${e.termo} (${e.tipo})`).join('; ')}`);
+  }
+  const expansaoConsulta = expansao?.expansoes.length > 0
+    ? { semantica: expansao.semantica, lexical: expansao.lexical, expansoes: expansao.expansoes }
+    : null;
+
+  // Sem filtro explícito de área, a área detectada pelo classificador serve de boost suave
+  const boostAreas = !areasFiltro && filtros.boost_area !== false
+    ? (classification.area_legal || []).filter(area => LEGAL_AREAS.includes(area) && area !== 'outro')
+    : [];
+
+  const candidatos = await ragSystem.search(expansao ? expansao.semantica : searchQuery, numCandidatos, {
+    lexicalQuery: expansao?.lexical,
+    leiIds,
+    mode: modo_busca,
+    areaLegal: areasFiltro,
+    artigos: artigosFiltro,
+    boostAreas,
+    references: referencias.filter(ref => ref.existe)
+  });
+
+  // FASE 2b: re-ranking com diversidade (evita cópias do mesmo artigo ou de uma só lei)
+  const relevantChunks = rerank
+    ? await reranker.rerank(searchQuery, candidatos, rerankProfile)
+    : candidatos;
+  if (rerank) {
+    console.log(`   🔀 Re-ranking (${reranker.scorer}, λ=${rerankProfile.lambda}): ${candidatos.length} → ${relevantChunks.length} chunks`);
+  }
+
+  // Recuperação fraca (melhor trecho abaixo do limiar): pedir detalhes ou abster-se, sem gerar.
+  // O glossário explica o termo mesmo sem trechos.
+  const recuperacao = verificar_fundamentacao ? groundingChecker.retrievalConfidence(relevantChunks, modo_busca) : null;
+  if (recuperacao?.fraca && classification.modo !== 'glossario') {
+    const pedirDetalhes = groundingChecker.isVague(pergunta, classification);
+    console.log(`   ⚖️  Recuperação fraca (similaridade máxima ${recuperacao.similaridade_maxima ?? '-'}): ${pedirDetalhes ? 'pedindo mais detalhes' : 'abstenção'}`);
+    const leisProximas = [...new Set(relevantChunks.map(c => c.lei))];
+    return {
+      pergunta,
+      modo: pedirDetalhes ? 'clarificacao' : classification.modo,
+      resposta: blocoSeguranca + (pedirDetalhes ? groundingChecker.buildClarification() : groundingChecker.buildAbstention(leisProximas)),
+      abstencao: { motivo: 'recuperacao_fraca', similaridade_maxima: recuperacao.similaridade_maxima },
+      ...(seguranca && { seguranca: resumoSeguranca }),
+      confianca: groundingChecker.confidence({ recuperacao: recuperacao.valor ?? 0 }),
       chunksEncontrados: relevantChunks.length,
-      leisConsultadas: [...new Set(relevantChunks.map(c => c.lei))],
-      classification: {
-        modo: classification.modo,
-        urgencia: classification.urgencia,
-        area_legal: classification.area_legal,
-        confianca: classification.confianca
-      },
+      leisConsultadas: leisProximas,
+      data_referencia: dataReferencia,
+      referencias,
+      classification: classificationSummary,
       metodo: 'RAG-Inteligente'
+    };
+  }
+
+  if (relevantChunks.length === 0 && classification.modo !== 'glossario') {
+    return {
+      modo: classification.modo,
+      resposta: `${blocoSeguranca}Não encontrei informações relevantes nas leis disponíveis para responder sua pergunta.`,
+      chunksEncontrados: 0,
+      ...(seguranca && { seguranca: resumoSeguranca }),
+      classification
+    };
+  }
+
+  console.log(`   ✓ ${relevantChunks.length} chunks encontrados:`);
+  relevantChunks.forEach((chunk, i) => {
+    console.log(`      ${i + 1}. ${chunk.lei} (${(chunk.similarity * 100).toFixed(1)}%)`);
+  });
+
+  // Artigos citados diretamente pelos resultados entram como contexto de apoio
+  if (expandir_referencias) {
+    const elegiveis = new Set(leiIds);
+    const citados = crossReferences.getSupportingArticles(relevantChunks, 3)
+      .filter(ref => elegiveis.has(ref.leiId));
+    for (const ref of citados) {
+      const [chunk] = await ragSystem.getArticleChunks(ref.leiId, ref.artigo, ref.numero);
+      if (!chunk) continue;
+      relevantChunks.push({ ...chunk, exact: false, suporte: true, citadoPor: ref.citadoPor });
+      console.log(`      + ${chunk.path || chunk.lei} (citado pelo artigo ${ref.citadoPor.artigo})`);
+    }
+  }
+
+  let leisConsultadas = [...new Set(relevantChunks.map(c => c.lei))];
+  emit?.('fontes', {
+    fontes: relevantChunks.map(toSource),
+    leisConsultadas,
+    referencias,
+    ...(expansaoConsulta && { expansao_consulta: expansaoConsulta })
+  });
+
+  // Modo agente: os trechos obtidos pelas ferramentas são acrescentados a relevantChunks,
+  // e as citações e a fundamentação são verificadas também contra eles
+  const sessaoAgente = agente
+    ? legalAgent.createSession({
+      chunks: relevantChunks,
+      leiIds,
+      onToolCall: emit ? chamada => emit('ferramenta', chamada) : null
+    })
+    : null;
+
+  let resultado;
+
+  // FASE 3: Gerar resposta apropriada com base no modo
+  if (classification.modo === 'glossario') {
+    console.log(`\n📖 FASE 3: Gerando EXPLICAÇÃO DE GLOSSÁRIO...`);
+    console.log(`   Termo: "${classification.termo_glossario}"`);
+
+    // Gerar explicação do termo
+    const explicacao = await glossary.explainTerm(
+      classification.termo_glossario,
+      relevantChunks,
+      { pergunta, context },
+      { onToken, agente: sessaoAgente }
+    );
+
+    resultado = {
+      modo: 'glossario',
+      resposta: explicacao.explicacao,
+      metadata: {
+        termo: explicacao.termo,
+        categoria: explicacao.categoria,
+        nivel_dificuldade: explicacao.nivel_dificuldade,
+        leis_usadas: explicacao.leis_consultadas
+      }
+    };
+
+  } else if (classification.modo === 'assistencia') {
+    console.log(`\n💙 FASE 3: Gerando ASSISTÊNCIA PESSOAL...`);
+
+    // Extrair fatos da situação
+    const facts = await classifier.extractFacts(pergunta, classification);
+
+    // Gerar assistência completa
+    resultado = await assistanceGenerator.generateAssistance(
+      pergunta,
+      classification,
+      facts,
+      relevantChunks,
+      context,
+      { dataReferencia: data_referencia, onToken, agente: sessaoAgente, seguranca }
+    );
+
+    // Detectar termos técnicos na resposta para sugestões
+    const termosSugeridos = glossary.suggestExplanations(resultado.resposta);
+    if (termosSugeridos.length > 0) {
+      resultado.termos_tecnicos = termosSugeridos;
+    }
+
+    // Documentos que a pessoa pode gerar a partir destes factos (POST /api/documentos)
+    const documentosSugeridos = documentGenerator.suggest(classification, facts);
+    if (documentosSugeridos.length > 0) {
+      resultado.documentos_sugeridos = documentosSugeridos;
+    }
+
+  } else {
+    console.log(`\n📚 FASE 3: Gerando CONSULTA TÉCNICA...`);
+
+    // Gerar consulta técnica
+    resultado = await assistanceGenerator.generateConsulta(
+      pergunta,
+      relevantChunks,
+      context,
+      { dataReferencia: data_referencia, onToken, agente: sessaoAgente }
+    );
+
+    // Detectar termos técnicos na resposta para sugestões
+    const termosSugeridos = glossary.suggestExplanations(resultado.resposta);
+    if (termosSugeridos.length > 0) {
+      resultado.termos_tecnicos = termosSugeridos;
+    }
+  }
+
+  if (sessaoAgente) {
+    resultado.metadata.agente = sessaoAgente.summary();
+    leisConsultadas = [...new Set(relevantChunks.map(c => c.lei))];
+    console.log(`\n🧰 Agente: passos ${sessaoAgente.passos}, chamadas ${sessaoAgente.trace.length}, trechos acrescentados ${sessaoAgente.trechosAdicionados}`);
+  }
+
+  // Afirmações da resposta suportadas pelos trechos (sobre o texto gerado, antes de anotações)
+  const fundamentacao = verificar_fundamentacao
+    ? await groundingChecker.checkClaims(resultado.resposta, relevantChunks)
+    : null;
+
+  // Citações verificadas contra os trechos fornecidos e o índice (antes das notas, que citam artigos)
+  if (modoCitacoes) {
+    const verificacao = await citationVerifier.verify(resultado.resposta, relevantChunks, { modo: modoCitacoes });
+    resultado.resposta = verificacao.resposta;
+    resultado.citacoes = verificacao.citacoes;
+    resultado.verificacao_citacoes = verificacao.resumo;
+    // Leis efetivamente citadas, não todas as recuperadas (essas estão em leisConsultadas)
+    resultado.metadata.leis_usadas = [...new Set(verificacao.citacoes.filter(c => c.verificada).map(c => c.lei))];
+    const { total, verificadas, removidas } = verificacao.resumo;
+    console.log(`\n🔎 Citações: ${verificadas}/${total} verificadas${removidas > 0 ? `, ${removidas} removidas` : ''}`);
+  }
+
+  // Confiança da resposta; com poucas afirmações suportadas, abster-se em vez de responder
+  if (fundamentacao) {
+    const resumoCitacoes = resultado.verificacao_citacoes;
+    resultado.confianca = groundingChecker.confidence({
+      recuperacao: recuperacao.valor,
+      suporte: fundamentacao.fracao,
+      citacoes: resumoCitacoes?.total > 0 ? resumoCitacoes.verificadas / resumoCitacoes.total : null
     });
+    resultado.fundamentacao = fundamentacao;
+    console.log(`⚖️  Fundamentação: ${fundamentacao.suportadas}/${fundamentacao.total} afirmações suportadas, confiança ${resultado.confianca.nivel} (${resultado.confianca.valor ?? '-'})`);
+
+    const { minSuporte } = groundingChecker.getProfile(resultado.modo);
+    if (fundamentacao.fracao !== null && fundamentacao.fracao < minSuporte) {
+      console.log(`   ⚠️  Suporte abaixo de ${minSuporte}: resposta substituída por abstenção`);
+      resultado.resposta = groundingChecker.buildAbstention(leisConsultadas);
+      resultado.abstencao = { motivo: 'suporte_fraco', fracao: fundamentacao.fracao, minimo: minSuporte };
+    }
+  }
+
+  // O bloco de segurança (já enviado no stream) abre a resposta, depois das verificações do texto gerado
+  if (seguranca) {
+    resultado.resposta = blocoSeguranca + resultado.resposta;
+    resultado.seguranca = resumoSeguranca;
+  }
 
+  // Notas acrescentadas à resposta também seguem no stream
+  const appendToAnswer = texto => {
+    resultado.resposta += texto;
+    onToken?.(texto);
+  };
+
+  // Avisar quando artigos usados foram alterados ou revogados depois da data de referência
+  const avisosVigencia = catalog.getVigenciaWarnings(relevantChunks, dataReferencia);
+  if (avisosVigencia.length > 0) {
+    appendToAnswer(`\n\n⚠️ **Nota de vigência:**\n${avisosVigencia.map(a => `- ${a.mensagem}`).join('\n')}`);
+    resultado.avisos_vigencia = avisosVigencia;
+  }
+
+  // Referências a artigos que não existem na lei indicada
+  const naoEncontradas = referencias.filter(ref => !ref.existe);
+  if (naoEncontradas.length > 0) {
+    appendToAnswer(`\n\n⚠️ ${naoEncontradas.map(ref => `O artigo ${ref.artigo} não foi encontrado em ${ref.lei}.`).join(' ')}`);
+  }
+
+  console.log(`\n✅ Resposta gerada com sucesso!`);
+  console.log(`   Modo: ${resultado.modo.toUpperCase()}`);
+  console.log(`   Chunks usados: ${relevantChunks.length}`);
+  console.log(`   Leis consultadas: ${leisConsultadas.length}`);
+  console.log(`${'='.repeat(70)}\n`);
+
+  return {
+    pergunta,
+    ...resultado,
+    chunksEncontrados: relevantChunks.length,
+    leisConsultadas,
+    data_referencia: dataReferencia,
+    modo_busca,
+    referencias,
+    rerank: rerank
+      ? { avaliador: reranker.scorer, candidatos: candidatos.length, ...rerankProfile }
+      : false,
+    ...(expansaoConsulta && { expansao_consulta: expansaoConsulta }),
+    filtros: {
+      leis: actsFiltro ? actsFiltro.map(act => act.id) : null,
+      area_legal: areasFiltro,
+      artigos: artigosFiltro,
+      boost_area: boostAreas
+    },
+    classification: classificationSummary,
+    metodo: 'RAG-Inteligente'
+  };
+}
+
+// Rota para perguntas usando RAG com Classificação Inteligente
+app.post('/api/perguntar-rag', async (req, res) => {
+  const { erro, pedido } = parseRagRequest(req.body);
+  if (erro) {
+    return res.status(400).json({ error: erro });
+  }
+
+  try {
+    res.json(await answerQuestion(pedido));
   } catch (error) {
     console.error('❌ Erro ao processar pergunta RAG:', error);
     res.status(500).json({
@@ -344,11 +801,44 @@ app.post('/api/perguntar-rag', async (req, res) => {
   }
 });
 
+// Mesma pergunta em streaming (Server-Sent Events):
+// classificacao -> fontes -> ferramenta (modo agente) -> token (um por fragmento) -> fim (ou erro)
+app.post('/api/perguntar-rag/stream', async (req, res) => {
+  const { erro, pedido } = parseRagRequest(req.body);
+  if (erro) {
+    return res.status(400).json({ error: erro });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // sem buffering em proxies nginx
+  });
+
+  // O cliente pode fechar a ligação a meio: deixar de escrever
+  let aberto = true;
+  res.on('close', () => {
+    aberto = false;
+  });
+  const send = (evento, dados) => {
+    if (aberto) res.write(`event: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`);
+  };
+
+  try {
+    send('fim', await answerQuestion(pedido, send));
+  } catch (error) {
+    console.error('❌ Erro ao processar pergunta RAG (streaming):', error);
+    send('erro', { error: 'Erro ao processar pergunta', details: error.message });
+  }
+  res.end();
+});
+
 // Estatísticas do RAG
 app.get('/api/rag/stats', async (req, res) => {
   try {
     const stats = await ragSystem.getStats();
-    res.json(stats);
+    res.json({ ...stats, referencias: crossReferences.getStats() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -387,6 +877,53 @@ app.get('/api/rag/artigos/:numero', async (req, res) => {
   }
 });
 
+// Referências cruzadas de um artigo: o que cita e quem o cita
+app.get('/api/rag/artigos/:numero/referencias', (req, res) => {
+  const artigo = Number(req.params.numero);
+  const { lei } = req.query;
+
+  if (!(Number.isInteger(artigo) && artigo > 0)) {
+    return res.status(400).json({ error: 'numero deve ser um inteiro positivo' });
+  }
+
+  if (!lei) {
+    return res.status(400).json({ error: 'Parâmetro lei é obrigatório' });
+  }
+
+  const act = catalog.findAct(lei);
+  if (!act) {
+    return res.status(404).json({ error: 'Lei não encontrada' });
+  }
+
+  const cita = crossReferences.getCitations(act.id, artigo).map(edge => ({
+    lei_id: edge.para.leiId,
+    lei: edge.para.leiId ? catalog.getTitle(edge.para.leiId) : edge.para.lei_texto,
+    artigo: edge.para.artigo,
+    numero: edge.para.numero,
+    tipo: edge.tipo,
+    no_numero: edge.de.numero,
+    texto: edge.texto
+  }));
+
+  const citadoPor = crossReferences.getCitedBy(act.id, artigo).map(edge => ({
+    lei_id: edge.de.leiId,
+    lei: catalog.getTitle(edge.de.leiId),
+    artigo: edge.de.artigo,
+    numero: edge.de.numero,
+    numero_citado: edge.para.numero,
+    tipo: edge.tipo,
+    texto: edge.texto
+  }));
+
+  res.json({
+    artigo,
+    lei: act.titulo,
+    lei_id: act.id,
+    cita,
+    citado_por: citadoPor
+  });
+});
+
 // Estatísticas do Glossário
 app.get('/api/glossario/stats', (req, res) => {
   try {
@@ -409,7 +946,8 @@ app.post('/api/glossario', async (req, res) => {
     console.log(`\n📖 Explicando termo: "${termo}"`);
 
     // Buscar chunks relevantes sobre o termo
-    const relevantChunks = await ragSystem.search(termo, 5);
+    const expansao = queryExpander.expand(termo);
+    const relevantChunks = await ragSystem.search(expansao.semantica, 5, { lexicalQuery: expansao.lexical });
     
     // Gerar explicação
     const explicacao = await glossary.explainTerm(termo, relevantChunks);
@@ -431,17 +969,153 @@ app.post('/api/glossario', async (req, res) => {
   }
 });
 
+// Calculadora de direitos laborais (valores determinísticos, com o artigo de cada um)
+app.post('/api/calculadoras/trabalho', (req, res) => {
+  const { erro, dados } = parseLabourInput(req.body);
+  if (erro) {
+    return res.status(400).json({ error: erro });
+  }
+
+  try {
+    res.json(labourCalculator.calculate(dados));
+  } catch (error) {
+    console.error('❌ Erro na calculadora de trabalho:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Modelos de documentos e os campos de cada um
+app.get('/api/documentos', (req, res) => {
+  res.json({ modelos: documentGenerator.listTemplates() });
+});
+
+// Gerar um documento preenchido (PDF, ou JSON para rever o texto antes)
+app.post('/api/documentos', async (req, res) => {
+  const { erro, pedido } = parseDocumentRequest(req.body);
+  if (erro) {
+    return res.status(400).json({ error: erro });
+  }
+
+  try {
+    let factos = pedido.factos;
+    if (!factos && pedido.pergunta) {
+      // Sem factos de uma resposta anterior: extrair da descrição da situação
+      const classification = await classifier.classify(pedido.pergunta);
+      factos = await classifier.extractFacts(pedido.pergunta, { ...classification, modo: 'assistencia' });
+    }
+
+    const documento = documentGenerator.fill(pedido.modelo, { campos: pedido.campos, factos });
+    console.log(`📄 Documento ${pedido.modelo} (${pedido.formato}), ${documento.em_falta.length} campos em falta`);
+
+    if (pedido.formato === 'json') {
+      return res.json(documento);
+    }
+
+    const bytes = await documentGenerator.toPDF(documento);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pedido.modelo}-${todayISO()}.pdf"`);
+    res.send(Buffer.from(bytes));
+  } catch (error) {
+    console.error('❌ Erro ao gerar documento:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Exportar uma consulta (sessão do chat) com os artigos citados em anexo
+app.post('/api/consultas/exportar', async (req, res) => {
+  const { erro, pedido } = parseReportRequest(req.body);
+  if (erro) {
+    return res.status(400).json({ error: erro });
+  }
+
+  try {
+    const relatorio = await reportGenerator.build(pedido);
+    console.log(`🗂️  Relatório (${pedido.formato}): ${relatorio.perguntas.length} perguntas, ${relatorio.anexo.length} artigos em anexo`);
+
+    if (pedido.formato === 'json') {
+      return res.json(relatorio);
+    }
+
+    const nome = `consulta-${relatorio.gerado_em}`;
+    if (pedido.formato === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${nome}.md"`);
+      return res.send(reportGenerator.toMarkdown(relatorio));
+    }
+
+    const bytes = await reportGenerator.toPDF(relatorio);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${nome}.pdf"`);
+    res.send(Buffer.from(bytes));
+  } catch (error) {
+    console.error('❌ Erro ao exportar a consulta:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Diretório de contactos de assistência jurídica
+app.get('/api/contactos', (req, res) => {
+  const { provincia = null, area_legal = null, tipo = null, verificados = 'false' } = req.query;
+
+  // Id (ex: sofala, maputo_cidade) ou nome de província/cidade (ex: Sofala, Quelimane)
+  const provinciaId = provincia && (PROVINCES[provincia] ? provincia : contactDirectory.detectProvince([provincia]));
+  if (provincia && !provinciaId) {
+    return res.status(400).json({ error: `provincia inválida (valores aceites: ${Object.keys(PROVINCES).join(', ')})` });
+  }
+  if (area_legal && !LEGAL_AREAS.includes(area_legal)) {
+    return res.status(400).json({ error: `area_legal inválida (valores aceites: ${LEGAL_AREAS.join(', ')})` });
+  }
+  if (tipo && !CONTACT_TYPES.includes(tipo)) {
+    return res.status(400).json({ error: `tipo inválido (valores aceites: ${CONTACT_TYPES.join(', ')})` });
+  }
+  if (!['true', 'false'].includes(verificados)) {
+    return res.status(400).json({ error: 'verificados deve ser true ou false' });
+  }
+
+  const contactos = contactDirectory.search({
+    provincia: provinciaId,
+    area_legal: area_legal === 'outro' ? null : area_legal,
+    tipo,
+    verificados: verificados === 'true'
+  });
+  res.json({
+    provincia: provinciaId ? { id: provinciaId, nome: PROVINCES[provinciaId].nome } : null,
+    total: contactos.length,
+    verificados: contactos.filter(c => c.verificado).length,
+    contactos
+  });
+});
+
 // Inicializar servidor
 async function start() {
   console.log('🚀 Iniciando servidor...\n');
   
   // 1. Carregar PDFs
-  await loadAllPDFs();
+  await loadAllPDFs(path.join(__dirname, 'leis'), pdfCache);
+  
+  // 2. Construir catálogo (agrupa duplicados sob o acto canónico)
+  console.log('\n🗂️  Construindo catálogo de leis...');
+  catalog.build(pdfCache);
+  const catalogStats = catalog.getStats();
+  console.log(`   ✓ ${catalogStats.actos} actos (${catalogStats.duplicados} ficheiros duplicados agrupados)`);
   
-  // 2. Indexar RAG
-  await ragSystem.indexAllLaws(pdfCache);
+  // 3. Indexar RAG (apenas o ficheiro principal de cada acto)
+  const corpus = catalog.toCorpus(pdfCache);
+  await ragSystem.indexAllLaws(corpus);
+
+  // 4. Grafo de referências cruzadas entre artigos
+  crossReferences.build(corpus);
+
+  // 5. Diretório de contactos
+  const totalContactos = contactDirectory.load();
+  const verificados = contactDirectory.search({ verificados: true }).length;
+  console.log(`📇 ${totalContactos} contactos no diretório (${verificados} verificados)`);
+
+  // 6. Modelo local do classificador de intenção
+  const exemplosClassificador = classifier.load();
+  console.log(`🎯 Classificador: modelo local com ${exemplosClassificador} exemplos${classifier.usarLLM ? '' : ' (sem LLM)'}`);
   
-  const stats = ragSystem.getStats();
+  const stats = await ragSystem.getStats();
   const glossaryStats = glossary.getStats();
   
   // Só fazer listen se não estiver em produção (Vercel)
@@ -451,7 +1125,7 @@ async function start() {
       console.log(`🚀 SERVIDOR ASSISTENTE JURÍDICO MOÇAMBICANO`);
       console.log(`${'='.repeat(70)}`);
       console.log(`\n📊 Status do Sistema:`);
-      console.log(`   ✓ ${pdfCache.size} leis carregadas`);
+      console.log(`   ✓ ${pdfCache.size} ficheiros carregados (${catalogStats.actos} actos)`);
       console.log(`   ✓ ${stats.totalChunks} chunks indexados no RAG`);
       console.log(`   ✓ ${glossaryStats.termos_registrados} termos no glossário`);
       console.log(`   ✓ Classificador de intenção ativo (3 modos)`);
@@ -465,6 +1139,7 @@ async function start() {
     console.log(`   • POST /glossario     📖 - Explicar termo direto`);
     console.log(`   • POST /perguntar     📚 - Método tradicional`);
     console.log(`   • GET  /rag/stats     📊 - Estatísticas do RAG`);
+    console.log(`   • GET  /rag/artigos/:numero/referencias?lei= 🔗 - Referências cruzadas`);
     console.log(`   • GET  /glossario/stats 📖 - Estatísticas do Glossário`);
     console.log(`   • GET  /leis          📋 - Listar todas as leis`);
     console.log(`\n💡 Exemplos de uso:`);
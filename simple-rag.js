@@ -1,189 +1,120 @@
-import { OpenAIEmbeddings } from '@langchain/openai';
-import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
-
-export class SimpleRAG {
-  constructor(openaiApiKey) {
-    this.embeddings = new OpenAIEmbeddings({
-      openAIApiKey: openaiApiKey,
-      modelName: 'text-embedding-3-small'
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { IndexStore, contentHash } from './index-store.js';
+import { Retriever } from './retriever.js';
+import { VectorIndex, normalizeVector, dot } from './vector-index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Retriever em memória: vetores normalizados num VectorIndex e
+ * índice persistido em disco (.rag-index) para evitar re-embeddings
+ */
+export class SimpleRAG extends Retriever {
+  /**
+   * @param {Object} embeddings - Fornecedor de embeddings (ver providers.js)
+   * @param {Object} options - { indexPath, ann: 'auto'|'hnsw'|'exact', annThreshold }
+   */
+  constructor(embeddings, options = {}) {
+    super(embeddings);
+    this.backend = 'memory';
+    // Vetores normalizados (Float32Array) com top-k exato ou HNSW em corpora grandes
+    this.vectorIndex = new VectorIndex({
+      ann: options.ann || process.env.RAG_ANN || 'auto',
+      annThreshold: options.annThreshold || parseInt(process.env.RAG_ANN_THRESHOLD || '50000')
     });
-    this.chunks = []; // { text, lei, embedding, metadata }
-    this.textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1500, // Aumentado para capturar artigos completos
-      chunkOverlap: 300, // Mais overlap para contexto
-      separators: ['\n\nARTIGO', '\n\n', '\n', '. ', ' ', ''] // Priorizar separação por artigo
-    });
-  }
 
-  // Extrair número do artigo do texto
-  extractArticleNumber(text) {
-    const match = text.match(/ARTIGO\s+(\d+)/i);
-    return match ? parseInt(match[1]) : null;
+    // Índice persistente em disco (evita re-embeddings a cada arranque)
+    this.indexStore = new IndexStore(
+      options.indexPath || process.env.RAG_INDEX_PATH || path.join(__dirname, '.rag-index', 'index.json')
+    );
   }
 
-  // Extrair título/assunto do artigo
-  extractArticleTitle(text) {
-    const lines = text.split('\n');
-    for (let i = 0; i < Math.min(lines.length, 5); i++) {
-      const line = lines[i].trim();
-      if (line && !line.match(/^ARTIGO\s+\d+$/i)) {
-        return line.substring(0, 100);
-      }
-    }
-    return null;
+  // Adicionar chunks de uma lei ao índice em memória
+  addLawChunks(lawId, lawChunks) {
+    // O id no índice vetorial é a posição do chunk em this.chunks
+    lawChunks.forEach(chunk => {
+      chunk.embedding = normalizeVector(chunk.embedding);
+      this.vectorIndex.add(chunk.embedding);
+    });
+    super.addLawChunks(lawId, lawChunks);
   }
 
-  async indexLaw(lawName, lawText) {
-    // Dividir texto em chunks
-    const textChunks = await this.textSplitter.splitText(lawText);
-    
-    if (textChunks.length === 0) {
-      console.warn(`⚠️  ${lawName}: Nenhum chunk gerado`);
-      return 0;
-    }
+  /**
+   * Indexa todas as leis, reutilizando o índice persistido em disco.
+   * Só são re-embebidas as leis cujo conteúdo ou configuração mudou;
+   * leis removidas do corpus são apagadas do índice.
+   * @param {Map} corpus - id do acto -> { text, hash, title, ficheiro } (ver LawCatalog.toCorpus)
+   * @returns {Promise<number>} Total de chunks indexados
+   */
+  async indexAllLaws(corpus) {
+    console.log('\n📚 Indexando leis no RAG...');
+    const configHash = this.getConfigHash();
+    const loaded = this.indexStore.load();
+    let totalChunks = 0;
+    let reused = 0;
+    let rebuilt = 0;
 
-    // Criar embeddings para cada chunk
-    const embeddings = await this.embeddings.embedDocuments(textChunks);
-    
-    // Armazenar chunks com metadados enriquecidos
-    const articles = new Set();
-    for (let i = 0; i < textChunks.length; i++) {
-      const articleNumber = this.extractArticleNumber(textChunks[i]);
-      const articleTitle = this.extractArticleTitle(textChunks[i]);
-      
-      if (articleNumber) articles.add(articleNumber);
-      
-      this.chunks.push({
-        text: textChunks[i],
-        lei: lawName,
-        chunkIndex: i,
-        embedding: embeddings[i],
-        articleNumber: articleNumber,
-        articleTitle: articleTitle,
-        hasArticle: articleNumber !== null
-      });
+    if (loaded) {
+      console.log(`  ✓ Índice carregado de ${this.indexStore.indexPath}`);
     }
 
-    // Log de artigos indexados
-    if (articles.size > 0) {
-      const sortedArticles = Array.from(articles).sort((a, b) => a - b);
-      console.log(`    Artigos: ${sortedArticles.join(', ')}`);
-    }
+    this.resetChunks();
+    this.vectorIndex.clear();
 
-    return textChunks.length;
-  }
+    for (const [id, data] of corpus.entries()) {
+      const title = data.title || id;
+      const hash = data.hash || contentHash(data.text);
+      let lawChunks = this.indexStore.get(id, hash, configHash);
 
-  async indexAllLaws(pdfCache) {
-    console.log('\n📚 Indexando leis no RAG...');
-    let totalChunks = 0;
+      if (lawChunks) {
+        reused++;
+      } else {
+        lawChunks = await this.buildLawChunks(id, data.text, title);
+        this.indexStore.set(id, hash, configHash, lawChunks);
+        rebuilt++;
+      }
 
-    for (const [name, data] of pdfCache.entries()) {
-      const chunks = await this.indexLaw(name, data.text);
-      totalChunks += chunks;
-      console.log(`  ✓ ${name}: ${chunks} chunks`);
-    }
+      if (lawChunks.length === 0) {
+        console.warn(`⚠️  ${title}: Nenhum chunk gerado`);
+        continue;
+      }
 
-    console.log(`\n✅ Total de ${totalChunks} chunks indexados!\n`);
-    return totalChunks;
-  }
+      // Nome oficial vem sempre do catálogo atual (pode mudar sem re-indexar)
+      lawChunks.forEach(c => {
+        c.lei = title;
+        c.ficheiro = data.ficheiro || id;
+        c.areaLegal = data.areaLegal || [];
+      });
 
-  cosineSimilarity(a, b) {
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    
-    for (let i = 0; i < a.length; i++) {
-      dotProduct += a[i] * b[i];
-      normA += a[i] * a[i];
-      normB += b[i] * b[i];
+      this.addLawChunks(id, lawChunks);
+      totalChunks += lawChunks.length;
+      console.log(`  ✓ ${title}: ${lawChunks.length} chunks`);
     }
-    
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-  }
 
-  async search(query, topK = 5) {
-    // Detectar se está buscando artigo específico
-    const articleMatch = query.match(/artigo\s+(\d+)/i);
-    const searchingArticle = articleMatch ? parseInt(articleMatch[1]) : null;
-
-    // Criar embedding da pergunta
-    const queryEmbedding = await this.embeddings.embedQuery(query);
-
-    // Calcular similaridade com todos os chunks
-    let results = this.chunks.map(chunk => ({
-      text: chunk.text,
-      lei: chunk.lei,
-      chunkIndex: chunk.chunkIndex,
-      articleNumber: chunk.articleNumber,
-      articleTitle: chunk.articleTitle,
-      similarity: this.cosineSimilarity(queryEmbedding, chunk.embedding)
-    }));
-
-    // Reranking: priorizar artigo específico se mencionado
-    if (searchingArticle) {
-      results = results.sort((a, b) => {
-        // Artigo exato tem prioridade máxima
-        const aExact = a.articleNumber === searchingArticle ? 1 : 0;
-        const bExact = b.articleNumber === searchingArticle ? 1 : 0;
-        
-        if (aExact !== bExact) return bExact - aExact;
-        
-        // Depois por similaridade
-        return b.similarity - a.similarity;
-      });
+    this.vectorIndex.build();
 
-      // Log para debug
-      const foundArticle = results.find(r => r.articleNumber === searchingArticle);
-      if (foundArticle) {
-        console.log(`✓ Artigo ${searchingArticle} encontrado (similaridade: ${foundArticle.similarity.toFixed(3)})`);
-      } else {
-        console.warn(`⚠️  Artigo ${searchingArticle} NÃO encontrado nos resultados`);
-        console.log('Artigos encontrados:', results.slice(0, 10).map(r => r.articleNumber).filter(Boolean));
-      }
-    } else {
-      // Ordenar por similaridade normalmente
-      results.sort((a, b) => b.similarity - a.similarity);
+    const removed = this.indexStore.prune(corpus.keys());
+    removed.forEach(name => console.log(`  ✗ ${name}: removida do índice`));
+
+    if (rebuilt > 0 || removed.length > 0 || !loaded) {
+      this.indexStore.save();
     }
-    
-    return results.slice(0, topK);
-  }
 
-  getStats() {
-    return {
-      totalChunks: this.chunks.length,
-      leisIndexadas: [...new Set(this.chunks.map(c => c.lei))].length
-    };
+    console.log(`\n✅ Total de ${totalChunks} chunks indexados! (${reused} leis do cache, ${rebuilt} re-indexadas)\n`);
+    return totalChunks;
   }
 
-  // Listar artigos indexados
-  getIndexedArticles(lawName = null) {
-    const filteredChunks = lawName 
-      ? this.chunks.filter(c => c.lei === lawName)
-      : this.chunks;
-
-    const articlesMap = new Map();
-    
-    filteredChunks
-      .filter(c => c.articleNumber !== null)
-      .forEach(c => {
-        const key = `${c.lei}-${c.articleNumber}`;
-        if (!articlesMap.has(key)) {
-          articlesMap.set(key, {
-            number: c.articleNumber,
-            title: c.articleTitle,
-            lei: c.lei
-          });
-        }
-      });
-
-    return Array.from(articlesMap.values()).sort((a, b) => a.number - b.number);
+  // Cosseno = produto interno entre vetores normalizados
+  async semanticSearch(queryVector, k, options) {
+    const filter = this.buildFilter(options);
+    const idFilter = filter ? id => filter(this.chunks[id]) : null;
+    return this.vectorIndex.search(normalizeVector(queryVector), k, idFilter)
+      .map(({ id, score }) => ({ chunk: this.chunks[id], score }));
   }
 
-  // Verificar se artigo específico existe
-  checkArticleExists(articleNumber, lawName = null) {
-    return this.chunks.some(c => 
-      c.articleNumber === articleNumber && 
-      (lawName === null || c.lei === lawName)
-    );
+  async similarityFor(queryVector, chunks) {
+    const normalized = normalizeVector(queryVector);
+    return chunks.map(chunk => dot(normalized, chunk.embedding));
   }
 }
@@ -0,0 +1,193 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LegalAgent, AGENT_TOOLS } from '../agent.js';
+
+// Modelo com respostas guionadas: cada createCompletion devolve a próxima mensagem do guião
+function scriptedLLM(script) {
+  const calls = [];
+  return {
+    calls,
+    async createCompletion(params) {
+      calls.push({ ...params, messages: [...params.messages] });
+      const message = script.shift();
+      if (!message) throw new Error('Guião esgotado');
+      return { choices: [{ message }] };
+    },
+    async complete(params, onToken) {
+      calls.push({ ...params, messages: [...params.messages], final: true });
+      const content = 'Resposta sem ferramentas';
+      onToken?.(content);
+      return { choices: [{ message: { role: 'assistant', content } }] };
+    }
+  };
+}
+
+function toolCall(id, name, args) {
+  return { id, type: 'function', function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) } };
+}
+
+function withTools(...toolCalls) {
+  return { role: 'assistant', content: null, tool_calls: toolCalls };
+}
+
+const answer = content => ({ role: 'assistant', content });
+
+const ACT = { id: 'lei-13-2023', titulo: 'Lei do Trabalho (Lei n.º 13/2023)' };
+
+function createAgent(llm, limits) {
+  const deps = {
+    llm,
+    catalog: { findAct: lei => (['13/2023', 'lei-13-2023'].includes(lei) ? ACT : null) },
+    retriever: {
+      async getArticleChunks(leiId, artigo) {
+        return artigo === 76 ? [{ leiId, chunkIndex: 7, articleNumber: 76, lei: ACT.titulo, path: 'Artigo 76', text: 'Texto do artigo 76' }] : [];
+      },
+      async search() {
+        return [];
+      },
+      async getIndexedArticles() {
+        return [];
+      }
+    },
+    deadlines: null,
+    labourCalculator: null
+  };
+  return new LegalAgent(deps, limits);
+}
+
+const PARAMS = { messages: [{ role: 'system', content: 'Sistema' }, { role: 'user', content: 'Pergunta' }] };
+
+test('executa uma ferramenta e devolve a resposta seguinte', async () => {
+  const llm = scriptedLLM([
+    withTools(toolCall('c1', 'obter_artigo', { lei: '13/2023', artigo: 76 })),
+    answer('Segundo o artigo 76...')
+  ]);
+  const chunks = [];
+  const chamadas = [];
+  const session = createAgent(llm).createSession({ chunks, onToolCall: entry => chamadas.push(entry) });
+  const tokens = [];
+
+  const response = await session.complete(PARAMS, texto => tokens.push(texto));
+
+  assert.equal(response.choices[0].message.content, 'Segundo o artigo 76...');
+  assert.deepEqual(tokens, ['Segundo o artigo 76...']);
+  assert.equal(llm.calls.length, 2);
+  assert.equal(llm.calls[0].tool_choice, 'auto');
+  assert.equal(llm.calls[0].tools, AGENT_TOOLS);
+  assert.match(llm.calls[0].messages[0].content, /^Sistema\n\nFERRAMENTAS:/);
+
+  // O resultado da ferramenta volta ao LLM com o id da chamada
+  const toolMessage = llm.calls[1].messages.find(m => m.role === 'tool');
+  assert.equal(toolMessage.tool_call_id, 'c1');
+  assert.equal(JSON.parse(toolMessage.content).trechos[0].artigo, 76);
+
+  // Trechos obtidos juntam-se aos da resposta (para a verificação das citações)
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].agente, true);
+
+  const summary = session.summary();
+  assert.equal(summary.passos, 1);
+  assert.equal(summary.limite_atingido, false);
+  assert.equal(summary.trechos_adicionados, 1);
+  assert.equal(summary.chamadas.length, 1);
+  const [entry] = summary.chamadas;
+  assert.equal(entry.passo, 1);
+  assert.equal(entry.ferramenta, 'obter_artigo');
+  assert.deepEqual(entry.argumentos, { lei: '13/2023', artigo: 76 });
+  assert.equal(entry.resumo, 'Lei do Trabalho (Lei n.º 13/2023), artigo 76 (1 trecho)');
+  assert.equal(entry.erro, null);
+  assert.equal(typeof entry.duracao_ms, 'number');
+  assert.deepEqual(chamadas, summary.chamadas);
+});
+
+test('atingido maxSteps, responde sem ferramentas (tool_choice none)', async () => {
+  const llm = scriptedLLM([
+    withTools(toolCall('c1', 'listar_artigos', { lei: '13/2023' })),
+    withTools(toolCall('c2', 'listar_artigos', { lei: '13/2023' })),
+    withTools(toolCall('c3', 'listar_artigos', { lei: '13/2023' }))
+  ]);
+  const session = createAgent(llm, { maxSteps: 2, maxToolCalls: 8 }).createSession();
+
+  const response = await session.complete(PARAMS);
+
+  assert.equal(response.choices[0].message.content, 'Resposta sem ferramentas');
+  assert.equal(session.passos, 2);
+  assert.equal(session.trace.length, 2);
+  assert.equal(session.limiteAtingido, true);
+  const final = llm.calls.at(-1);
+  assert.equal(final.final, true);
+  assert.equal(final.tool_choice, 'none');
+  // A resposta final vê os resultados das duas chamadas
+  assert.equal(final.messages.filter(m => m.role === 'tool').length, 2);
+});
+
+test('atingido maxToolCalls, as chamadas seguintes recebem erro e não são executadas', async () => {
+  const llm = scriptedLLM([
+    withTools(
+      toolCall('c1', 'listar_artigos', { lei: '13/2023' }),
+      toolCall('c2', 'listar_artigos', { lei: '13/2023' }),
+      toolCall('c3', 'listar_artigos', { lei: '13/2023' })
+    )
+  ]);
+  const session = createAgent(llm, { maxSteps: 4, maxToolCalls: 2 }).createSession();
+
+  await session.complete(PARAMS);
+
+  assert.equal(session.trace.length, 2);
+  assert.equal(session.limiteAtingido, true);
+  const final = llm.calls.at(-1);
+  assert.equal(final.tool_choice, 'none');
+  // Cada tool_call tem resposta, mesmo a que já não foi executada
+  const toolMessages = final.messages.filter(m => m.role === 'tool');
+  assert.deepEqual(toolMessages.map(m => m.tool_call_id), ['c1', 'c2', 'c3']);
+  assert.deepEqual(JSON.parse(toolMessages[2].content), { erro: 'Limite de chamadas de ferramentas atingido' });
+});
+
+test('ferramenta desconhecida e argumentos inválidos ficam no trace como erro', async () => {
+  const llm = scriptedLLM([
+    withTools(
+      toolCall('c1', 'apagar_leis', {}),
+      toolCall('c2', 'obter_artigo', '{"lei": "13/2023", '),
+      toolCall('c3', 'obter_artigo', { lei: '99/1999', artigo: 1 }),
+      toolCall('c4', 'obter_artigo', { lei: '13/2023', artigo: 'setenta' }),
+      toolCall('c5', 'obter_artigo', { lei: '13/2023', artigo: 500 })
+    ),
+    answer('Não encontrei esses artigos.')
+  ]);
+  const session = createAgent(llm).createSession();
+
+  const response = await session.complete(PARAMS);
+
+  assert.equal(response.choices[0].message.content, 'Não encontrei esses artigos.');
+  assert.deepEqual(session.trace.map(e => e.erro), [
+    'Ferramenta desconhecida: apagar_leis',
+    'Argumentos inválidos (JSON esperado)',
+    'Lei não encontrada no catálogo: 99/1999',
+    'artigo deve ser um número',
+    'O artigo 500 não existe em Lei do Trabalho (Lei n.º 13/2023)'
+  ]);
+  assert.equal(session.trace[1].argumentos, null);
+  assert.ok(session.trace.every(e => e.resumo === null));
+  assert.equal(session.limiteAtingido, false);
+
+  // Os erros voltam ao LLM como resultado da ferramenta
+  const toolMessages = llm.calls[1].messages.filter(m => m.role === 'tool');
+  assert.deepEqual(JSON.parse(toolMessages[0].content), { erro: 'Ferramenta desconhecida: apagar_leis' });
+});
+
+test('lei fora das leis em vigor na data de referência é recusada', async () => {
+  const llm = scriptedLLM([
+    withTools(toolCall('c1', 'listar_artigos', { lei: '13/2023' })),
+    answer('ok')
+  ]);
+  const session = createAgent(llm).createSession({ leiIds: ['lei-23-2007'] });
+
+  await session.complete(PARAMS);
+
+  assert.equal(session.trace[0].erro, 'Lei do Trabalho (Lei n.º 13/2023) não está em vigor na data de referência');
+});
+
+test('limites inválidos são recusados', () => {
+  assert.throws(() => createAgent(scriptedLLM([]), { maxSteps: 0 }), /maxSteps = 0/);
+  assert.throws(() => createAgent(scriptedLLM([]), { maxToolCalls: 1.5 }), /maxToolCalls = 1.5/);
+});
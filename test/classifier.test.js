@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IntentClassifier } from '../classifier.js';
+
+// LLM que devolve sempre o mesmo JSON
+function fixedLLM(resposta) {
+  return {
+    async createCompletion() {
+      return { choices: [{ message: { content: JSON.stringify(resposta) } }] };
+    }
+  };
+}
+
+// Sem modelo treinado e com confiança mínima acima de 1: decide sempre o LLM
+function classifierWith(resposta) {
+  return new IntentClassifier(fixedLLM(resposta), { minConfianca: 1.01 });
+}
+
+const PERGUNTA = 'Fui despedido ontem sem aviso e tenho dois filhos, não sei o que fazer';
+
+function assertContract(result) {
+  assert.ok(['consulta', 'assistencia', 'glossario'].includes(result.modo));
+  assert.ok(result.confianca >= 0 && result.confianca <= 1);
+  assert.ok(Array.isArray(result.area_legal) && result.area_legal.length > 0);
+  assert.ok(['baixa', 'media', 'alta'].includes(result.urgencia));
+  assert.ok(['neutra', 'preocupacao', 'desespero', 'raiva', 'confusao'].includes(result.emocao));
+  assert.ok(Array.isArray(result.vulnerabilidades));
+  assert.equal(typeof result.risco_iminente, 'boolean');
+  assert.ok([null, 'violencia', 'ameaca', 'abuso_infantil', 'detencao', 'autolesao'].includes(result.tipo_risco));
+  assert.equal(typeof result.reasoning, 'string');
+}
+
+test('campos em falta no LLM ficam com os valores locais', async () => {
+  const result = await classifierWith({ modo: 'assistencia' }).classify(PERGUNTA);
+  assertContract(result);
+  assert.equal(result.camada, 'llm');
+  assert.equal(result.area_legal[0], 'direito_trabalho');
+  assert.equal(result.urgencia, 'alta');
+  assert.equal(result.emocao, 'desespero');
+  assert.deepEqual(result.vulnerabilidades, ['dependentes_menores']);
+  assert.equal(result.risco_iminente, false);
+  assert.equal(result.tipo_risco, null);
+});
+
+test('valores fora das listas são substituídos, os válidos ficam', async () => {
+  const result = await classifierWith({
+    modo: 'assistencia',
+    confianca: 7,
+    area_legal: ['direito_espacial', 'direito_familia'],
+    urgencia: 'altissima',
+    emocao: 'raiva',
+    problema: 42,
+    vulnerabilidades: 'filhos',
+    risco_iminente: 'sim',
+    tipo_risco: 'constructor',
+    reasoning: 'situação pessoal'
+  }).classify(PERGUNTA);
+  assertContract(result);
+  assert.equal(result.confianca, 1);
+  assert.deepEqual(result.area_legal, ['direito_familia']);
+  assert.equal(result.urgencia, 'alta');
+  assert.equal(result.emocao, 'raiva');
+  assert.equal(typeof result.problema, 'string');
+  assert.deepEqual(result.vulnerabilidades, ['dependentes_menores']);
+  assert.equal(result.risco_iminente, false);
+  assert.equal(result.tipo_risco, null);
+  assert.equal(result.reasoning, 'situação pessoal');
+});
+
+test('risco iminente do LLM só com um tipo conhecido', async () => {
+  const comTipo = await classifierWith({ modo: 'assistencia', risco_iminente: true, tipo_risco: 'ameaca' }).classify(PERGUNTA);
+  assert.equal(comTipo.risco_iminente, true);
+  assert.equal(comTipo.tipo_risco, 'ameaca');
+
+  const semTipo = await classifierWith({ modo: 'assistencia', risco_iminente: true, tipo_risco: 'outro' }).classify(PERGUNTA);
+  assert.equal(semTipo.risco_iminente, true);
+  assert.equal(semTipo.tipo_risco, null);
+});
+
+test('a classificação incompleta do LLM chega a extractFacts sem erro', async () => {
+  const classifier = classifierWith({ modo: 'assistencia' });
+  const result = await classifier.classify(PERGUNTA);
+  classifier.llm = fixedLLM({ problema_principal: 'despedimento sem aviso', vulnerabilidades: { tem_dependentes: true, numero_dependentes: 2 } });
+  const facts = await classifier.extractFacts(PERGUNTA, result);
+  assert.equal(facts.problema_principal, 'despedimento sem aviso');
+});
+
+test('modo inválido do LLM cai na classificação local', async () => {
+  const result = await classifierWith({ modo: 'conversa' }).classify(PERGUNTA);
+  assertContract(result);
+  assert.equal(result.camada, 'fallback');
+  assert.equal(result.modo, 'assistencia');
+});
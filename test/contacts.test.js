@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContactDirectory } from '../contacts.js';
+
+function contacto(id, tipo, provincia, { areas_legais = [], verificado_em = null, emergencia = false } = {}) {
+  return { id, instituicao: id, tipo, provincia, distrito: null, morada: null, telefone: null, horario: null, servicos: ['serviço'], areas_legais, emergencia, verificado_em, fonte: null };
+}
+
+// Diretório em memória: o ficheiro real não é lido
+function directory() {
+  const contacts = new ContactDirectory();
+  contacts.contacts = [
+    contacto('ipaj-sofala', 'assistencia_juridica', 'sofala', { verificado_em: '2026-10-01' }),
+    contacto('igt-sofala', 'inspeccao_trabalho', 'sofala', { areas_legais: ['direito_trabalho'] }),
+    contacto('ipaj-nampula', 'assistencia_juridica', 'nampula', { verificado_em: '2026-10-01' }),
+    contacto('comal', 'mediacao_laboral', null, { areas_legais: ['direito_trabalho'] }),
+    contacto('prm-emergencia', 'policia', null, { areas_legais: ['direito_penal', 'direito_familia'], emergencia: true })
+  ];
+  return contacts;
+}
+
+const ids = contactos => contactos.map(c => c.id);
+
+test('detectProvince: "na Beira" é Sofala, "à beira de" não é uma província', () => {
+  const contacts = new ContactDirectory();
+  assert.equal(contacts.detectProvince(['Moro na Beira e fui despedido']), 'sofala');
+  assert.equal(contacts.detectProvince(['Estou à beira de perder a casa']), null);
+});
+
+test('detectProvince: "província de Maputo" não é a cidade', () => {
+  const contacts = new ContactDirectory();
+  assert.equal(contacts.detectProvince(['Vivo na província de Maputo']), 'maputo_provincia');
+  assert.equal(contacts.detectProvince(['Vivo em Maputo']), 'maputo_cidade');
+  assert.equal(contacts.detectProvince(['Trabalho na Matola']), 'maputo_provincia');
+});
+
+test('detectProvince: a mensagem mais recente com província decide', () => {
+  const contacts = new ContactDirectory();
+  assert.equal(contacts.detectProvince(['O que posso fazer?', 'Moro em Quelimane', 'Estive em Nampula']), 'zambezia');
+  assert.equal(contacts.detectProvince(['O que posso fazer?']), null);
+});
+
+test('search: província com os nacionais, primeiro os da província', () => {
+  assert.deepEqual(ids(directory().search({ provincia: 'sofala' })), ['ipaj-sofala', 'igt-sofala', 'comal', 'prm-emergencia']);
+});
+
+test('search: área legal inclui os contactos de todas as áreas', () => {
+  assert.deepEqual(ids(directory().search({ provincia: 'sofala', area_legal: 'direito_penal' })), ['ipaj-sofala', 'prm-emergencia']);
+});
+
+test('search: tipo e verificados', () => {
+  const contacts = directory();
+  assert.deepEqual(ids(contacts.search({ tipo: 'assistencia_juridica' })), ['ipaj-sofala', 'ipaj-nampula']);
+  assert.deepEqual(ids(contacts.search({ verificados: true })), ['ipaj-sofala', 'ipaj-nampula']);
+  assert.equal(contacts.search({ provincia: 'nampula' })[0].provincia_nome, 'Nampula');
+});
+
+test('forSituation: verificados da província e linhas de emergência da área', () => {
+  const contacts = directory();
+  assert.deepEqual(ids(contacts.forSituation({ area_legal: ['direito_penal'] }, 'sofala')), ['ipaj-sofala', 'prm-emergencia']);
+  assert.deepEqual(ids(contacts.forSituation({ area_legal: ['direito_trabalho'] }, 'sofala')), ['ipaj-sofala']);
+  // Sem província, só os nacionais
+  assert.deepEqual(ids(contacts.forSituation({ area_legal: ['direito_penal'] })), ['prm-emergencia']);
+});
+
+test('forSituation com o diretório real: PRM numa situação penal', () => {
+  const contacts = new ContactDirectory();
+  assert.ok(contacts.load() > 0);
+  const contactos = contacts.forSituation({ area_legal: ['direito_penal'] });
+  assert.ok(contactos.some(c => c.id === 'prm-emergencia' && c.telefone === '119'));
+  assert.match(contacts.formatForPrompt(contactos), /linha nacional de emergência/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeadlineCalculator } from '../deadlines.js';
+
+// Só o título das fontes vem do catálogo
+const catalog = { getTitle: leiId => leiId };
+const calculator = new DeadlineCalculator(catalog, { today: () => '2026-10-19' });
+
+const ids = resultado => resultado.prazos.map(p => p.id).sort();
+
+test('despedimento com "recorrer" não traz os recursos penais', () => {
+  const resultado = calculator.calculate('Fui despedido a 3 de setembro e quero recorrer', null, ['direito_trabalho']);
+  assert.deepEqual(ids(resultado), ['creditos_laborais', 'impugnacao_despedimento', 'suspensao_despedimento']);
+  assert.equal(resultado.inicio.data, '2026-09-03');
+  // Só a suspensão (30 dias) já passou; os prazos de 6 meses continuam a correr
+  assert.deepEqual(resultado.prazos.filter(p => p.estado === 'expirado').map(p => p.id), ['suspensao_despedimento']);
+});
+
+test('"recorrer" sozinho não escolhe nenhuma regra, mesmo sem áreas', () => {
+  assert.deepEqual(ids(calculator.calculate('Quero recorrer, ainda vou a tempo?')), []);
+});
+
+test('recurso penal com um termo da área', () => {
+  const resultado = calculator.calculate('Fui condenado ontem e quero recorrer da sentença', null, ['direito_penal']);
+  assert.deepEqual(ids(resultado), ['recurso_penal_comum', 'recurso_penal_especial']);
+});
+
+test('só ficam as regras das áreas da classificação', () => {
+  const pergunta = 'O meu patrão ameaçou-me e despediu-me';
+  assert.deepEqual(ids(calculator.calculate(pergunta, null, ['direito_trabalho'])),
+    ['creditos_laborais', 'impugnacao_despedimento', 'suspensao_despedimento']);
+  assert.deepEqual(ids(calculator.calculate(pergunta, null, ['direito_penal'])), ['queixa_crime']);
+});
+
+test("área 'outro' ou sem áreas não restringe as regras", () => {
+  const pergunta = 'Fui despedido e o meu patrão ameaçou-me';
+  const todas = ids(calculator.calculate(pergunta));
+  assert.ok(todas.includes('impugnacao_despedimento') && todas.includes('queixa_crime'));
+  assert.deepEqual(ids(calculator.calculate(pergunta, null, ['outro'])), todas);
+  assert.deepEqual(ids(calculator.calculate(pergunta, null, [])), todas);
+});
+
+test('queixa: o prazo de 2 anos só quando a gravidade é indicada', () => {
+  assert.deepEqual(ids(calculator.calculate('Quero apresentar queixa contra o vizinho que me injuriou')), ['queixa_crime']);
+  assert.deepEqual(ids(calculator.calculate('Fui vítima de ofensas corporais graves e quero fazer queixa')), ['queixa_crime_grave']);
+});
+
+test('"hoje" fora da oração do acontecimento não é a data de início', () => {
+  const semData = calculator.calculate('Hoje fui ver, mas o despedimento foi em março', null, ['direito_trabalho']);
+  assert.equal(semData.inicio, null);
+  assert.ok(semData.prazos.every(p => p.estado === 'sem_data'));
+
+  assert.equal(calculator.calculate('Fui despedido hoje', null, ['direito_trabalho']).inicio.data, '2026-10-19');
+  assert.equal(calculator.calculate('Ontem fui ao tribunal, fui despedido a 3 de setembro').inicio.data, '2026-09-03');
+  // O contexto temporal extraído conta sempre
+  assert.equal(calculator.calculate('Fui despedido', { contexto_temporal: 'ontem' }).inicio.data, '2026-10-18');
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LabourCalculator, parseLabourInput } from '../labour-calculator.js';
+
+const calculator = new LabourCalculator({ getTitle: leiId => leiId });
+
+// Salário de 15 000 MT: 500 MT por dia
+function calcular(campos) {
+  const { erro, dados } = parseLabourInput({ salario: 15000, data_inicio: '2020-03-01', data_fim: '2025-09-03', ...campos });
+  assert.equal(erro, undefined);
+  return calculator.calculate(dados);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+const valor = (calculo, id) => calculo.valores.find(v => v.id === id)?.valor;
+const deducao = (calculo, id) => calculo.deducoes.find(v => v.id === id)?.valor;
+
+test('antiguidade em anos, meses e dias e anos de serviço rateados', () => {
+  const calculo = calcular({ motivo: 'caducidade' });
+  assert.deepEqual(calculo.antiguidade, { anos: 5, meses: 6, dias: 2, anos_servico: 5.51 });
+  assert.equal(calculo.salario_diario, 500);
+});
+
+test('férias proporcionais aos meses de serviço no ano da cessação', () => {
+  // Meio ano: 15 dias dos 30, não o mês inteiro
+  assert.equal(valor(calcular({ motivo: 'caducidade', data_fim: '2025-06-30' }), 'ferias'), 7500);
+  assert.equal(valor(calcular({ motivo: 'caducidade', data_fim: '2025-12-31' }), 'ferias'), 15000);
+  // Contrato iniciado no próprio ano: 12 dias do primeiro ano, pelos meses desde o início
+  assert.equal(valor(calcular({ motivo: 'caducidade', data_inicio: '2025-01-01', data_fim: '2025-03-31' }), 'ferias'), 1500);
+  // Férias já gozadas descontam
+  assert.equal(valor(calcular({ motivo: 'caducidade', data_fim: '2025-06-30', ferias_gozadas: 15 }), 'ferias'), undefined);
+});
+
+test('despedimento ilícito: 45 dias por ano e remunerações vencidas fora do total', () => {
+  const calculo = calcular({ motivo: 'despedimento_ilicito', ferias_gozadas: 10, meses_salario_em_atraso: 2 });
+  assert.equal(valor(calculo, 'indemnizacao'), 123975);
+  assert.equal(valor(calculo, 'remuneracoes_vencidas'), 90000);
+  assert.equal(valor(calculo, 'ferias'), 5125);
+  assert.equal(valor(calculo, 'salarios_em_atraso'), 30000);
+  assert.equal(calculo.total_a_receber, 123975 + 5125 + 30000);
+});
+
+test('justa causa do trabalhador: multa de 7 dias sem comunicação prévia', () => {
+  const cumprido = calcular({ motivo: 'justa_causa_trabalhador' });
+  assert.equal(valor(cumprido, 'indemnizacao'), 123975);
+  assert.deepEqual(cumprido.deducoes, []);
+
+  const semAviso = calcular({ motivo: 'justa_causa_trabalhador', aviso_previo_cumprido: false });
+  assert.equal(deducao(semAviso, 'multa_aviso_previo'), 3500);
+  assert.equal(semAviso.total_a_receber, round(cumprido.total_a_receber - 3500));
+});
+
+test('motivos económicos: escalão do salário mínimo e aviso prévio devido pelo empregador', () => {
+  const semMinimo = calcular({ motivo: 'motivos_economicos' });
+  assert.deepEqual(semMinimo.dados_em_falta, ['salario_minimo']);
+
+  // 15 000 / 5 000 = 3 salários mínimos: 30 dias por ano
+  const calculo = calcular({ motivo: 'motivos_economicos', salario_minimo: 5000 });
+  assert.equal(valor(calculo, 'indemnizacao'), 82650);
+  assert.equal(valor(calculo, 'aviso_previo'), undefined);
+  assert.equal(calculo.aviso_previo.devido_por, 'empregador');
+
+  const semAviso = calcular({ motivo: 'motivos_economicos', salario_minimo: 5000, aviso_previo_cumprido: false });
+  assert.equal(valor(semAviso, 'aviso_previo'), 15000);
+  assert.deepEqual(semAviso.deducoes, []);
+  assert.equal(semAviso.total_a_receber, round(calculo.total_a_receber + 15000));
+});
+
+test('denúncia pelo trabalhador: aviso prévio pela antiguidade, deduzido se não cumprido', () => {
+  const calculo = calcular({ motivo: 'denuncia_trabalhador', aviso_previo_cumprido: false });
+  assert.equal(valor(calculo, 'indemnizacao'), undefined);
+  assert.equal(calculo.aviso_previo.dias, 30);
+  assert.equal(deducao(calculo, 'indemnizacao_aviso_previo'), 15000);
+
+  // Entre seis meses e três anos: 15 dias; até seis meses a lei não fixa prazo
+  assert.equal(calcular({ motivo: 'denuncia_trabalhador', data_inicio: '2024-09-01' }).aviso_previo.dias, 15);
+  assert.equal(calcular({ motivo: 'denuncia_trabalhador', data_inicio: '2025-06-01' }).aviso_previo, null);
+});
+
+test('período probatório: o aviso não cumprido é pago por quem denunciou', () => {
+  const base = { motivo: 'periodo_probatorio', data_inicio: '2025-08-01', aviso_previo_cumprido: false };
+  assert.deepEqual(calcular(base).dados_em_falta, ['iniciativa']);
+  assert.equal(valor(calcular({ ...base, iniciativa: 'empregador' }), 'aviso_previo'), 3500);
+  assert.equal(deducao(calcular({ ...base, iniciativa: 'trabalhador' }), 'indemnizacao_aviso_previo'), 3500);
+});
+
+test('justa causa do empregador e caducidade: sem indemnização', () => {
+  for (const motivo of ['justa_causa_empregador', 'caducidade']) {
+    const calculo = calcular({ motivo });
+    assert.equal(valor(calculo, 'indemnizacao'), undefined);
+    assert.equal(calculo.aviso_previo, null);
+  }
+});
+
+test('contrato a prazo certo: remunerações até ao termo', () => {
+  const semTermo = calcular({ motivo: 'despedimento_ilicito', tipo_contrato: 'prazo_certo' });
+  assert.deepEqual(semTermo.dados_em_falta, ['data_termo_contrato']);
+  const calculo = calcular({ motivo: 'despedimento_ilicito', tipo_contrato: 'prazo_certo', data_termo_contrato: '2025-10-03' });
+  assert.equal(valor(calculo, 'indemnizacao'), 15000);
+});
+
+test('dados inválidos são recusados', () => {
+  assert.match(parseLabourInput({ salario: 0 }).erro, /salario/);
+  assert.match(parseLabourInput({ salario: 1, data_inicio: '2025-02-30', data_fim: '2025-03-01' }).erro, /data_inicio/);
+  assert.match(parseLabourInput({ salario: 1, data_inicio: '2025-01-01', data_fim: '2025-03-01', motivo: 'outro' }).erro, /motivo/);
+  assert.match(parseLabourInput({ salario: 1, data_inicio: '2025-01-01', data_fim: '2025-03-01', motivo: 'periodo_probatorio', iniciativa: 'ambos' }).erro, /iniciativa/);
+});
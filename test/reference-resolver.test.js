@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReferenceResolver } from '../reference-resolver.js';
+
+const ACTS = [
+  { id: 'lei-13-2023', titulo: 'Lei do Trabalho (Lei n.º 13/2023)', abreviaturas: ['LT'] },
+  { id: 'lei-24-2019', titulo: 'Código Penal (Lei n.º 24/2019)', abreviaturas: ['CP'] }
+];
+
+// Artigos indexados de cada lei
+const ARTICLES = {
+  'lei-13-2023': [12, 13, 14, 15, 76],
+  'lei-24-2019': [12, 155]
+};
+
+const catalog = {
+  listActs: () => ACTS,
+  getAct: id => ACTS.find(act => act.id === id),
+  getTitle: id => ACTS.find(act => act.id === id)?.titulo || id
+};
+const articleIndex = {
+  checkArticleExists: async (numero, leiId) => (ARTICLES[leiId] || []).includes(numero)
+};
+const resolver = new ReferenceResolver(catalog, articleIndex);
+
+const resolved = ({ referencias }) => referencias.map(r => [r.artigo, r.leiId, r.existe]);
+
+test('artigos ligados por "e" resolvem todos com a mesma lei', async () => {
+  const result = await resolver.resolve('O que dizem os artigos 12 e 13 da Lei 13/2023?');
+  assert.deepEqual(resolved(result), [[12, 'lei-13-2023', true], [13, 'lei-13-2023', true]]);
+  assert.deepEqual(result.ambiguas, []);
+});
+
+test('listas com vírgulas e intervalos', async () => {
+  assert.deepEqual(
+    resolved(await resolver.resolve('Leia os artigos 12, 13 e 15 da Lei do Trabalho')).map(([artigo]) => artigo),
+    [12, 13, 15]
+  );
+  assert.deepEqual(
+    resolved(await resolver.resolve('artigos 12.º a 14.º da Lei do Trabalho')).map(([artigo]) => artigo),
+    [12, 13, 14]
+  );
+});
+
+test('artigo da lista que não existe fica marcado como inexistente', async () => {
+  const result = await resolver.resolve('artigos 76 e 99 da Lei 13/2023');
+  assert.deepEqual(resolved(result), [[76, 'lei-13-2023', true], [99, 'lei-13-2023', false]]);
+});
+
+test('lista sem lei: cada artigo é resolvido ou ambíguo por si', async () => {
+  const result = await resolver.resolve('artigos 12 e 155');
+  assert.deepEqual(resolved(result), [[155, 'lei-24-2019', true]]);
+  assert.deepEqual(result.ambiguas.map(r => r.artigo), [12]);
+});
+
+test('números soltos depois de "artigo" no singular não são artigos', async () => {
+  const colegas = await resolver.resolve('O artigo 12 e 3 colegas foram despedidos, diz a Lei do Trabalho');
+  assert.deepEqual(resolved(colegas), [[12, 'lei-13-2023', true]]);
+  assert.equal(colegas.referencias[0].texto, 'artigo 12');
+
+  const meses = await resolver.resolve('Segundo o artigo 5 a 12 meses de prisão da Lei do Trabalho');
+  assert.deepEqual(meses.referencias.map(r => r.artigo), [5]);
+});
+
+test('lista no singular quando o último número fecha a referência', async () => {
+  assert.deepEqual(resolved(await resolver.resolve('O artigo 12 e 13 da Lei 13/2023')).map(([artigo]) => artigo), [12, 13]);
+  assert.deepEqual(resolved(await resolver.resolve('Na Lei do Trabalho, o que dizem o artigo 12 e 13?')).map(([artigo]) => artigo), [12, 13]);
+  assert.deepEqual(resolved(await resolver.resolve('art. 12.º a 14.º da Lei do Trabalho')).map(([artigo]) => artigo), [12, 13, 14]);
+  assert.deepEqual(resolved(await resolver.resolve('arts. 12 e 13 e 3 outros da Lei do Trabalho')).map(([artigo]) => artigo), [12, 13, 3]);
+});
+
+test('número de lei a seguir ao artigo não entra na lista', async () => {
+  const result = await resolver.resolve('artigo 76, 13/2023');
+  assert.deepEqual(resolved(result), [[76, 'lei-13-2023', true]]);
+});
+
+test('referência simples com número e sufixo mantém-se', async () => {
+  const [ref] = (await resolver.resolve('n.º 2 do artigo 76 da Lei do Trabalho')).referencias;
+  assert.equal(ref.artigo, 76);
+  assert.equal(ref.numero, 2);
+  assert.equal(ref.leiId, 'lei-13-2023');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Retriever } from '../retriever.js';
+
+// Backend em memória: ranking semântico vazio, regista as similaridades pedidas
+class FakeRetriever extends Retriever {
+  constructor() {
+    super({ id: 'fake', embedQuery: async () => [1] });
+    this.similarityRequests = [];
+  }
+
+  async semanticSearch() {
+    return [];
+  }
+
+  async similarityFor(queryVector, chunks) {
+    this.similarityRequests.push(chunks.length);
+    return chunks.map(() => 0.5);
+  }
+}
+
+function retrieverWith(total) {
+  const retriever = new FakeRetriever();
+  const chunks = Array.from({ length: total }, (_, i) => ({
+    text: `Artigo ${i + 1}. O contrato de trabalho ${'e a lei '.repeat(i % 7)}`,
+    lei: 'Lei do Trabalho',
+    leiId: 'lei-13-2023',
+    chunkIndex: i,
+    articleNumber: null,
+    path: 'Lei do Trabalho'
+  }));
+  retriever.addLawChunks('lei-13-2023', chunks);
+  return retriever;
+}
+
+test('hybrid: uma palavra comum não leva o corpus inteiro à fusão', async () => {
+  const retriever = retrieverWith(250);
+  const results = await retriever.search('trabalho', 5, { mode: 'hybrid' });
+  assert.equal(results.length, 5);
+  assert.deepEqual(retriever.similarityRequests, [100]);
+});
+
+test('lexical: os resultados continuam limitados ao topK', async () => {
+  const retriever = retrieverWith(250);
+  const results = await retriever.search('trabalho', 5, { mode: 'lexical' });
+  assert.equal(results.length, 5);
+  assert.deepEqual(retriever.similarityRequests, []);
+});
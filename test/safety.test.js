@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SafetyGuard } from '../safety.js';
+import { ContactDirectory } from '../contacts.js';
+
+// detect() não usa o diretório de contactos
+const guard = new SafetyGuard(null);
+
+// Relatos de risco: detetados só pelas regras, mesmo com a classificação de recurso
+const POSITIVOS = [
+  ['O meu marido bateu-me ontem e ameaçou me matar', ['violencia', 'ameaca']],
+  ['Ele disse que me vai matar', ['ameaca']],
+  ['O meu ex vai-me matar', ['ameaca']],
+  ['Estou com medo, ele ameaçou a minha vida', ['ameaca']],
+  ['O meu companheiro me espancou e estou ferida', ['violencia']],
+  ['O meu vizinho apareceu com uma catana à porta de minha casa', ['ameaca']],
+  ['O padrasto abusou da minha filha de 12 anos', ['abuso_infantil']],
+  ['Querem fazer o casamento prematuro da minha sobrinha', ['abuso_infantil']],
+  ['O meu filho foi detido ontem em Nampula', ['detencao']],
+  ['Fui preso sem saber porquê', ['detencao']],
+  ['Prenderam o meu irmão e não nos dizem onde está', ['detencao']],
+  ['O meu marido ameaçou matar-me se eu sair de casa', ['ameaca']],
+  ['Ele tentou me matar ontem à noite', ['ameaca']],
+  ['Estou a pensar em me matar', ['autolesao']],
+  ['Já não aguento, quero morrer', ['autolesao']],
+  ['Vou me matar, ninguém me ajuda', ['autolesao']],
+  ['A minha filha disse que se quer matar', ['autolesao']]
+];
+
+// Perguntas sobre a lei e situações sem risco: nunca disparam o bloco de segurança
+const NEGATIVOS = [
+  'Qual a pena para quem ameaça alguém com uma arma?',
+  'O que diz a lei sobre casamento prematuro?',
+  'O que é abuso de menores segundo o código penal?',
+  'Quais os direitos do arguido que foi detido?',
+  'O que acontece a quem foi preso em flagrante delito?',
+  'Qual a pena para quem abusa de uma criança?',
+  'A ameaça de morte é crime?',
+  'Qual a pena por violência doméstica?',
+  'O meu carro bateu noutro carro, quem paga?',
+  'Fui despedido sem justa causa',
+  'Fui ao hospital com a minha filha e não nos atenderam',
+  'Pode me explicar os direitos de quem foi detido pela polícia?',
+  'Me diga o que acontece a quem agrediu um polícia',
+  'Eu queria saber o que acontece a quem foi preso sem mandado',
+  'O meu chefe quer me matar de trabalho, posso recusar horas extra?',
+  'Se o meu vizinho me ameaçar com uma faca, o que acontece?',
+  'Imagine que o meu irmão aparece com uma arma, é crime?',
+  'O meu patrão ameaçou-me de despedimento se eu faltar',
+  'Qual a pena por incitamento ao suicídio?'
+];
+
+for (const [pergunta, esperado] of POSITIVOS) {
+  test(`deteta: ${pergunta}`, () => {
+    assert.deepEqual(guard.detect(pergunta, { modo: 'consulta', urgencia: 'media' }), esperado);
+  });
+}
+
+for (const pergunta of NEGATIVOS) {
+  test(`não deteta: ${pergunta}`, () => {
+    assert.deepEqual(guard.detect(pergunta, { modo: 'consulta', urgencia: 'media' }), []);
+    assert.deepEqual(guard.detect(pergunta), []);
+  });
+}
+
+test('termos genéricos só contam num caso pessoal urgente', () => {
+  const pergunta = 'Sofro violência doméstica, preciso de ajuda';
+  assert.deepEqual(guard.detect(pergunta, { modo: 'assistencia', urgencia: 'alta' }), ['violencia']);
+  assert.deepEqual(guard.detect(pergunta, { modo: 'assistencia', urgencia: 'media' }), []);
+});
+
+test('autolesão tem passos próprios, sem os da ameaça', () => {
+  const contacts = { detectProvince: () => null, search: () => [] };
+  const { categorias, mensagem } = new SafetyGuard(contacts).assess('Estou a pensar em me matar');
+  assert.deepEqual(categorias, ['autolesao']);
+  assert.match(mensagem, /suicídio/);
+  assert.match(mensagem, /urgências da unidade sanitária/);
+  assert.doesNotMatch(mensagem, /quem ameaça/);
+});
+
+test('linhas nacionais de emergência aparecem mesmo sem contactos verificados', () => {
+  const contacts = new ContactDirectory();
+  contacts.load();
+  const violencia = new SafetyGuard(contacts).assess('O meu marido bateu-me ontem');
+  assert.ok(violencia.contactos.some(c => c.id === 'prm-emergencia'));
+  assert.match(violencia.mensagem, /119/);
+  // Sem contacto verificado, também a instituição a procurar
+  assert.match(violencia.mensagem, /esquadra da PRM mais próxima/);
+
+  const crianca = new SafetyGuard(contacts).assess('O padrasto abusou da minha filha de 12 anos');
+  assert.match(crianca.mensagem, /116/);
+});
@@ -0,0 +1,352 @@
+/**
+ * Pesquisa vetorial sobre embeddings normalizados
+ * - Vetores guardados como Float32Array de norma 1: o cosseno é só o produto interno
+ * - Seleção top-k com heap (sem ordenar todos os chunks)
+ * - Índice HNSW opcional (aproximado) para corpora grandes
+ */
+
+/**
+ * Converte um vetor para Float32Array de norma 1
+ * @param {Array<number>|Float32Array} vector
+ * @returns {Float32Array}
+ */
+export function normalizeVector(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0 && Math.abs(norm - 1) > 1e-6) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+// Produto interno com o ciclo desenrolado (mais rápido em V8 para vetores longos)
+export function dot(a, b) {
+  const n = a.length;
+  const tail = n % 4;
+  let s0 = 0;
+  let s1 = 0;
+  let s2 = 0;
+  let s3 = 0;
+  for (let i = 0; i < n - tail; i += 4) {
+    s0 += a[i] * b[i];
+    s1 += a[i + 1] * b[i + 1];
+    s2 += a[i + 2] * b[i + 2];
+    s3 += a[i + 3] * b[i + 3];
+  }
+  for (let i = n - tail; i < n; i++) s0 += a[i] * b[i];
+  return s0 + s1 + s2 + s3;
+}
+
+/**
+ * Heap binário genérico (o topo é o elemento com menor prioridade segundo compare)
+ */
+export class BinaryHeap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Mantém os k melhores { id, score } vistos (heap de mínimos com tamanho k)
+ */
+export class TopK {
+  constructor(k) {
+    this.k = k;
+    this.heap = new BinaryHeap((a, b) => a.score - b.score);
+  }
+
+  push(id, score) {
+    if (this.heap.size < this.k) {
+      this.heap.push({ id, score });
+    } else if (score > this.heap.peek().score) {
+      this.heap.pop();
+      this.heap.push({ id, score });
+    }
+  }
+
+  // Resultados por score decrescente
+  values() {
+    return [...this.heap.items].sort((a, b) => b.score - a.score);
+  }
+}
+
+/**
+ * Pesquisa exata: produto interno com todos os vetores e seleção top-k
+ * @param {Array<Float32Array>} vectors - Vetores normalizados (índice = id)
+ * @param {Float32Array} query - Vetor da pergunta normalizado
+ * @param {number} k - Número de resultados
+ * @param {Function} filter - (id) => boolean, opcional
+ * @returns {Array} [{ id, score }]
+ */
+export function exactSearch(vectors, query, k, filter = null) {
+  const top = new TopK(k);
+  for (let id = 0; id < vectors.length; id++) {
+    if (filter && !filter(id)) continue;
+    top.push(id, dot(query, vectors[id]));
+  }
+  return top.values();
+}
+
+/**
+ * Índice HNSW (Hierarchical Navigable Small World) sobre vetores normalizados.
+ * Aproximado: troca um pouco de recall por latência sub-linear.
+ */
+export class HNSWIndex {
+  constructor({ M = 16, efConstruction = 100, efSearch = 128, seed = 42 } = {}) {
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(M);
+    this.vectors = [];
+    this.levels = [];
+    this.neighbors = []; // id -> [nível -> Array<id>]
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    // Gerador pseudo-aleatório determinístico (mesmo índice a cada construção)
+    this.random = mulberry32(seed);
+  }
+
+  get size() {
+    return this.vectors.length;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+  }
+
+  /**
+   * Procura os ef vizinhos mais próximos num nível, a partir de pontos de entrada
+   * @returns {Array} [{ id, score }] por score decrescente
+   */
+  searchLayer(query, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = new BinaryHeap((a, b) => b.score - a.score); // melhor primeiro
+    const results = new BinaryHeap((a, b) => a.score - b.score); // pior primeiro
+
+    for (const id of entryPoints) {
+      const item = { id, score: dot(query, this.vectors[id]) };
+      candidates.push(item);
+      results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score < results.peek().score) break;
+
+      for (const neighbor of this.neighbors[current.id][level] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const score = dot(query, this.vectors[neighbor]);
+        if (results.size < ef || score > results.peek().score) {
+          const item = { id: neighbor, score };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Adiciona um vetor normalizado (os ids são sequenciais: 0, 1, 2...)
+   */
+  add(vector) {
+    const id = this.vectors.length;
+    const level = this.randomLevel();
+    this.vectors.push(vector);
+    this.levels.push(level);
+    this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return id;
+    }
+
+    // Descida gulosa pelos níveis acima do nível do novo nó
+    let entry = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = [this.searchLayer(vector, entry, 1, l)[0].id];
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLayer(vector, entry, this.efConstruction, l);
+      const maxNeighbors = l === 0 ? this.maxM0 : this.M;
+      const selected = found.slice(0, this.M).map(r => r.id);
+      this.neighbors[id][l] = selected;
+
+      // Ligações bidirecionais, podando os vizinhos excedentes
+      for (const neighbor of selected) {
+        const list = this.neighbors[neighbor][l];
+        list.push(id);
+        if (list.length > maxNeighbors) {
+          const base = this.vectors[neighbor];
+          const kept = list
+            .map(other => ({ other, score: dot(base, this.vectors[other]) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxNeighbors);
+          this.neighbors[neighbor][l] = kept.map(k => k.other);
+        }
+      }
+      entry = found.map(r => r.id);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+    return id;
+  }
+
+  /**
+   * Pesquisa aproximada dos k vizinhos mais próximos
+   * @param {Float32Array} query - Vetor normalizado
+   * @param {number} k - Número de resultados
+   * @param {Object} options - { ef, filter: (id) => boolean }
+   * @returns {Array} [{ id, score }]
+   */
+  search(query, k, { ef = this.efSearch, filter = null } = {}) {
+    if (this.entryPoint === -1) return [];
+
+    let entry = [this.entryPoint];
+    for (let l = this.maxLevel; l > 0; l--) {
+      entry = [this.searchLayer(query, entry, 1, l)[0].id];
+    }
+
+    const found = this.searchLayer(query, entry, Math.max(ef, k), 0);
+    return (filter ? found.filter(r => filter(r.id)) : found).slice(0, k);
+  }
+}
+
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Índice vetorial usado pelo SimpleRAG: pesquisa exata com top-k por omissão,
+ * HNSW quando o corpus passa o limiar configurado (ou é forçado).
+ * Com filtros muito restritivos o HNSW pode devolver poucos resultados;
+ * nesse caso faz-se a pesquisa exata só sobre os vetores permitidos.
+ */
+export class VectorIndex {
+  /**
+   * @param {Object} options
+   * @param {string} options.ann - 'auto' | 'hnsw' | 'exact'
+   * @param {number} options.annThreshold - Número de vetores a partir do qual 'auto' usa HNSW
+   */
+  constructor({ ann = 'auto', annThreshold = 50000, hnsw = {} } = {}) {
+    this.ann = ann;
+    this.annThreshold = annThreshold;
+    this.hnswOptions = hnsw;
+    this.clear();
+  }
+
+  clear() {
+    this.vectors = [];
+    this.hnsw = null;
+  }
+
+  get size() {
+    return this.vectors.length;
+  }
+
+  /**
+   * Adiciona um vetor já normalizado
+   * @returns {number} id do vetor
+   */
+  add(vector) {
+    this.vectors.push(vector);
+    if (this.hnsw) this.hnsw.add(vector);
+    return this.vectors.length - 1;
+  }
+
+  get usesHNSW() {
+    return this.ann === 'hnsw' || (this.ann === 'auto' && this.vectors.length >= this.annThreshold);
+  }
+
+  /**
+   * Constrói o HNSW se a configuração o pedir (chamar depois de adicionar os vetores)
+   */
+  build() {
+    if (!this.usesHNSW) {
+      this.hnsw = null;
+      return;
+    }
+    const start = Date.now();
+    this.hnsw = new HNSWIndex(this.hnswOptions);
+    this.vectors.forEach(vector => this.hnsw.add(vector));
+    console.log(`  ✓ Índice HNSW construído (${this.vectors.length} vetores, ${Date.now() - start}ms)`);
+  }
+
+  /**
+   * @param {Float32Array} query - Vetor normalizado
+   * @param {number} k - Número de resultados
+   * @param {Function} filter - (id) => boolean, opcional
+   * @returns {Array} [{ id, score }]
+   */
+  search(query, k, filter = null) {
+    if (this.hnsw) {
+      const results = this.hnsw.search(query, k, {
+        ef: Math.max(this.hnsw.efSearch, k * (filter ? 4 : 1)),
+        filter
+      });
+      if (results.length >= Math.min(k, this.vectors.length) || !filter) return results;
+    }
+    return exactSearch(this.vectors, query, k, filter);
+  }
+}